@@ -0,0 +1,226 @@
+/**
+ * HTML regression report for CSS-vs-canvas pixel diffs. Collects per-frame
+ * diffs (src/pixel-diff.js) grouped by ROM and writes a self-contained
+ * directory — index.html, summary.json and the PNGs it references — that CI
+ * can archive as a build artifact.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import {
+  diffFrame,
+  diffHeatmapRGBA,
+  framebufferToRGBA,
+  DiffAccumulator,
+  DIFF_CAUSES,
+  DIFF_CAUSE_COLORS,
+} from '../src/pixel-diff.js';
+import { encodePNG } from './png-codec.js';
+
+const WIDTH = 256;
+const HEIGHT = 240;
+
+// Brightness kept from the reference image under a heatmap.
+const HEATMAP_BACKDROP = 0.3;
+
+const REPORT_CSS = `
+body { font: 13px/1.4 monospace; background: #111; color: #ddd; margin: 16px; }
+h1, h2 { font-weight: normal; }
+img { width: 512px; height: 480px; image-rendering: pixelated; background: #000; }
+table { border-collapse: collapse; margin-bottom: 32px; }
+td, th { border: 1px solid #333; padding: 4px 8px; vertical-align: top; text-align: left; }
+tr.over-budget td:nth-child(2) { color: #f66; }
+.rom-summary { display: flex; gap: 16px; margin-bottom: 12px; }
+.legend span { margin-right: 16px; }
+.legend i, .cause-bar i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+.cause-bar { display: flex; width: 240px; height: 12px; background: #222; margin: 4px 0; }
+.cause-bar span { display: block; height: 100%; }
+`;
+
+export class DiffReport {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.title]
+   * @param {number} [options.tolerance] - forwarded to diffFrame
+   */
+  constructor(options = {}) {
+    this.title = options.title ?? 'CSS vs canvas pixel diff';
+    this.tolerance = options.tolerance;
+    this.roms = new Map();
+  }
+
+  /**
+   * Diff one frame and keep it for the report.
+   * @param {object} entry
+   * @param {string} entry.rom - ROM label (report section)
+   * @param {string} entry.label - checkpoint label
+   * @param {number} entry.frame
+   * @param {ArrayLike<number>} entry.css - RGBA of the CSS viewport
+   * @param {number} [entry.cssWidth] - row stride of entry.css in pixels
+   * @param {object} entry.ppuState - PPU state (or toDiffState() output) with .buffer
+   * @param {number} [entry.maxDiffPercent] - budget shown next to the result
+   * @returns {object} the diffFrame result
+   */
+  addFrame(entry) {
+    const reference = framebufferToRGBA(entry.ppuState.buffer);
+    const result = diffFrame(entry.css, entry.ppuState, {
+      reference,
+      cssWidth: entry.cssWidth,
+      tolerance: this.tolerance,
+    });
+
+    let rom = this.roms.get(entry.rom);
+    if (!rom) {
+      rom = { label: entry.rom, frames: [], total: new DiffAccumulator() };
+      this.roms.set(entry.rom, rom);
+    }
+    rom.total.add(result);
+    rom.frames.push({
+      label: entry.label,
+      frame: entry.frame,
+      maxDiffPercent: entry.maxDiffPercent ?? null,
+      result,
+      cssPNG: encodePNG(_crop(entry.css, entry.cssWidth ?? WIDTH), WIDTH, HEIGHT),
+      referencePNG: encodePNG(reference, WIDTH, HEIGHT),
+      heatmapPNG: encodePNG(_overlay(reference, diffHeatmapRGBA(result)), WIDTH, HEIGHT),
+    });
+    return result;
+  }
+
+  summary() {
+    return {
+      title: this.title,
+      causes: DIFF_CAUSES,
+      roms: Array.from(this.roms.values(), (rom) => ({
+        label: rom.label,
+        frames: rom.total.frames,
+        percent: rom.total.percent,
+        causes: { ...rom.total.causes },
+        checkpoints: rom.frames.map((f) => ({
+          label: f.label,
+          frame: f.frame,
+          percent: f.result.percent,
+          maxDiffPercent: f.maxDiffPercent,
+          mismatched: f.result.mismatched,
+          causes: { ...f.result.causes },
+        })),
+      })),
+    };
+  }
+
+  /**
+   * Write index.html, summary.json and images into outDir.
+   * @returns {string} path of index.html
+   */
+  write(outDir) {
+    fs.mkdirSync(outDir, { recursive: true });
+    const sections = [];
+
+    for (const rom of this.roms.values()) {
+      const romSlug = _slug(rom.label);
+      fs.writeFileSync(
+        path.join(outDir, `${romSlug}-heatmap.png`),
+        encodePNG(_overlay(new Uint8Array(WIDTH * HEIGHT * 4), rom.total.toRGBA()), WIDTH, HEIGHT)
+      );
+
+      const rows = rom.frames.map((f) => {
+        const base = `${romSlug}-${_slug(f.label)}-${f.frame}`;
+        fs.writeFileSync(path.join(outDir, `${base}-css.png`), f.cssPNG);
+        fs.writeFileSync(path.join(outDir, `${base}-reference.png`), f.referencePNG);
+        fs.writeFileSync(path.join(outDir, `${base}-heatmap.png`), f.heatmapPNG);
+        const over = f.maxDiffPercent !== null && f.result.percent > f.maxDiffPercent;
+        return [
+          `<tr${over ? ' class="over-budget"' : ''}>`,
+          `<td>${_escape(f.label)}<br><small>frame ${f.frame}</small></td>`,
+          `<td>${f.result.percent.toFixed(2)}%${f.maxDiffPercent !== null ? `<br><small>max ${f.maxDiffPercent}%</small>` : ''}</td>`,
+          `<td>${_causeBar(f.result.causes, f.result.mismatched)}</td>`,
+          `<td><img src="${base}-css.png" alt="CSS"></td>`,
+          `<td><img src="${base}-reference.png" alt="reference"></td>`,
+          `<td><img src="${base}-heatmap.png" alt="heatmap"></td>`,
+          '</tr>',
+        ].join('');
+      });
+
+      sections.push([
+        `<section><h2>${_escape(rom.label)}</h2>`,
+        '<div class="rom-summary">',
+        `<img src="${romSlug}-heatmap.png" alt="${_escape(rom.label)} heatmap">`,
+        `<div><p>${rom.total.frames} frame(s), ${rom.total.percent.toFixed(2)}% mismatched on average</p>`,
+        `${_causeBar(rom.total.causes, rom.total.mismatched)}</div>`,
+        '</div>',
+        '<table><thead><tr><th>Checkpoint</th><th>Diff</th><th>Causes</th><th>CSS</th><th>Reference</th><th>Heatmap</th></tr></thead>',
+        `<tbody>${rows.join('\n')}</tbody></table></section>`,
+      ].join('\n'));
+    }
+
+    const html = [
+      '<!DOCTYPE html>',
+      '<html lang="en">',
+      '<head>',
+      '<meta charset="UTF-8">',
+      `<title>${_escape(this.title)}</title>`,
+      `<style>${REPORT_CSS}</style>`,
+      '</head>',
+      '<body>',
+      `<h1>${_escape(this.title)}</h1>`,
+      `<p class="legend">${DIFF_CAUSES.map((cause) => `<span><i style="background:${_rgb(cause)}"></i>${cause}</span>`).join('')}</p>`,
+      sections.join('\n') || '<p>No frames were compared.</p>',
+      '</body>',
+      '</html>',
+      '',
+    ].join('\n');
+
+    const indexPath = path.join(outDir, 'index.html');
+    fs.writeFileSync(indexPath, html);
+    fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify(this.summary(), null, 2));
+    return indexPath;
+  }
+}
+
+function _causeBar(causes, total) {
+  const segments = DIFF_CAUSES
+    .filter((cause) => causes[cause] > 0)
+    .map((cause) => `<span style="width:${((causes[cause] / total) * 100).toFixed(2)}%;background:${_rgb(cause)}" title="${cause}: ${causes[cause]}"></span>`)
+    .join('');
+  const counts = DIFF_CAUSES
+    .filter((cause) => causes[cause] > 0)
+    .map((cause) => `<i style="background:${_rgb(cause)}"></i>${cause} ${causes[cause]}`)
+    .join('<br>');
+  return `<div class="cause-bar">${segments}</div>${counts || 'no mismatches'}`;
+}
+
+/**
+ * Dimmed base image with the opaque heatmap pixels alpha-blended on top.
+ */
+function _overlay(base, heat) {
+  const out = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < out.length; i += 4) {
+    const a = heat[i + 3] / 255;
+    for (let c = 0; c < 3; c++) {
+      out[i + c] = Math.round(base[i + c] * HEATMAP_BACKDROP * (1 - a) + heat[i + c] * a);
+    }
+    out[i + 3] = 255;
+  }
+  return out;
+}
+
+function _crop(rgba, stride) {
+  if (stride === WIDTH && rgba.length === WIDTH * HEIGHT * 4) return rgba;
+  const out = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let i = 0; i < WIDTH * 4; i++) out[y * WIDTH * 4 + i] = rgba[(y * stride) * 4 + i];
+  }
+  return out;
+}
+
+function _rgb(cause) {
+  const [r, g, b] = DIFF_CAUSE_COLORS[cause];
+  return `rgb(${r},${g},${b})`;
+}
+
+function _slug(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function _escape(text) {
+  return String(text).replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[ch]);
+}
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+/**
+ * Render a ROM headlessly and write, for each requested frame:
+ *   frame-NNNNNN.png   canvas reference (jsnes frame buffer)
+ *   frame-NNNNNN.html  CSSRenderer DOM/CSS snapshot (opens standalone)
+ *   frame-NNNNNN.json  extracted PPU state
+ *
+ * Usage:
+ *   node scripts/headless-render.js <rom.nes> --frames 60,120-125 [--input movie.json|.fm2]
+ *     [--out dir] [--raster] [--priority exact] [--sprite-limit hardware]
+ *
+ * Frame N is the state after N emulated frames from power-on. --input takes
+ * a movie (see src/input-movie.js) replayed from power-on.
+ */
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { parseMovie } from '../src/input-movie.js';
+import { installHeadlessDOM, HeadlessRunner } from './headless-runner.js';
+
+const USAGE = 'Usage: node scripts/headless-render.js <rom.nes> --frames 60,120-125 [--input movie] [--out dir] '
+  + '[--raster] [--priority approx|exact] [--sprite-limit off|hardware|no-flicker]';
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      frames: { type: 'string', short: 'f' },
+      input: { type: 'string', short: 'i' },
+      out: { type: 'string', short: 'o', default: 'headless-out' },
+      raster: { type: 'boolean', default: false },
+      priority: { type: 'string' },
+      'sprite-limit': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  if (values.help || positionals.length !== 1 || !values.frames) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const frames = parseFrameList(values.frames);
+  const romData = fs.readFileSync(positionals[0]).toString('latin1');
+  const movie = values.input ? parseMovie(fs.readFileSync(values.input, 'utf8')) : null;
+  fs.mkdirSync(values.out, { recursive: true });
+
+  const restoreDOM = installHeadlessDOM();
+  try {
+    const runner = new HeadlessRunner(romData, {
+      movie,
+      raster: values.raster,
+      priority: values.priority,
+      spriteLimit: values['sprite-limit'],
+    });
+
+    const wanted = new Set(frames);
+    const last = frames[frames.length - 1];
+    while (runner.frame < last) {
+      runner.step();
+      if (!wanted.has(runner.frame)) continue;
+
+      const out = runner.capture();
+      const base = path.join(values.out, `frame-${String(out.frame).padStart(6, '0')}`);
+      if (out.png) fs.writeFileSync(`${base}.png`, out.png);
+      fs.writeFileSync(`${base}.html`, out.snapshot);
+      fs.writeFileSync(`${base}.json`, out.state);
+      console.log(`frame ${out.frame} -> ${base}.{png,html,json}`);
+    }
+    runner.destroy();
+  } finally {
+    restoreDOM();
+  }
+  return 0;
+}
+
+/**
+ * "60,120-125" -> [60, 120, 121, ..., 125], sorted and deduplicated.
+ */
+export function parseFrameList(text) {
+  const frames = new Set();
+  for (const part of text.split(',')) {
+    const match = /^\s*(\d+)(?:\s*-\s*(\d+))?\s*$/.exec(part);
+    if (!match) throw new Error(`Bad frame spec "${part}"`);
+    const start = Number(match[1]);
+    const end = match[2] !== undefined ? Number(match[2]) : start;
+    if (start < 1 || end < start) throw new Error(`Bad frame range "${part}" (frames start at 1)`);
+    for (let f = start; f <= end; f++) frames.add(f);
+  }
+  return Array.from(frames).sort((a, b) => a - b);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exitCode = 1;
+  }
+}
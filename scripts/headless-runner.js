@@ -0,0 +1,219 @@
+/**
+ * Node-side rendering without a browser: jsnes + PPUWriteTracer +
+ * PPUStateExtractor + CSSRenderer inside a happy-dom window. happy-dom has no
+ * canvas, so a minimal 2D context (createImageData / putImageData /
+ * toDataURL via pngjs) is patched in; tile sheets therefore encode to real
+ * PNG data URLs and DOM snapshots render standalone in a browser.
+ */
+import fs from 'node:fs';
+import { Window } from 'happy-dom';
+import { NES } from 'jsnes';
+import { PPUStateExtractor } from '../src/ppu-state-extractor.js';
+import { PPUWriteTracer } from '../src/ppu-write-tracer.js';
+import { CSSRenderer } from '../src/css-renderer.js';
+import { MoviePlayer } from '../src/input-movie.js';
+import { framebufferToRGBA } from '../src/pixel-diff.js';
+import { encodePNG } from './png-codec.js';
+
+const STYLESHEET_URL = new URL('../styles/nes-layers.css', import.meta.url);
+// Browser globals the renderer modules touch.
+const DOM_GLOBALS = ['window', 'document', 'Node', 'Element', 'HTMLElement', 'HTMLCanvasElement'];
+
+/**
+ * Expose a happy-dom window as the global DOM.
+ * @returns {() => void} restores the previous globals
+ */
+export function installHeadlessDOM() {
+  const window = new Window({ url: 'http://localhost/', width: 1024, height: 768 });
+  _patchCanvas(window);
+
+  const saved = DOM_GLOBALS.map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  for (const name of DOM_GLOBALS) {
+    Object.defineProperty(globalThis, name, {
+      value: name === 'window' ? window : window[name],
+      configurable: true,
+      writable: true,
+    });
+  }
+
+  return () => {
+    for (const [name, descriptor] of saved) {
+      if (descriptor) Object.defineProperty(globalThis, name, descriptor);
+      else delete globalThis[name];
+    }
+    window.close();
+  };
+}
+
+export class HeadlessRunner {
+  /**
+   * Call installHeadlessDOM() first.
+   * @param {string} romData - binary string (jsnes loadROM format)
+   * @param {object} [options]
+   * @param {import('../src/input-movie.js').InputMovie} [options.movie] - input played from power-on
+   * @param {boolean} [options.raster] - per-scanline raster bands
+   * @param {string} [options.priority] - 'approx' | 'exact'
+   * @param {string} [options.spriteLimit] - 'off' | 'hardware' | 'no-flicker'
+   */
+  constructor(romData, options = {}) {
+    this.raster = !!options.raster;
+    this.frame = 0;
+    this.latestPPUState = null;
+    this.latestTimingTrace = null;
+
+    this.nes = new NES({
+      onFrame: (buffer) => {
+        this.latestTimingTrace = this.tracer.consumeFrameTrace();
+        this.latestPPUState = this.extractor.extract({
+          timingTrace: this.latestTimingTrace,
+          includeCanonicalRegions: this.raster,
+        });
+        this.latestPPUState.buffer = buffer;
+      },
+      onAudioSample() {},
+      emulateSound: false,
+    });
+    this.extractor = new PPUStateExtractor(this.nes);
+    this.tracer = new PPUWriteTracer(this.nes);
+    this.nes.loadROM(romData);
+    this.tracer.install();
+
+    this.wrapper = document.createElement('div');
+    this.wrapper.className = 'viewport-wrapper';
+    document.body.appendChild(this.wrapper);
+    this.renderer = new CSSRenderer(this.wrapper);
+    this.renderer.setRasterMode(this.raster);
+    if (options.priority) this.renderer.setPriorityMode(options.priority);
+    if (options.spriteLimit) this.renderer.setSpriteLimitMode(options.spriteLimit);
+
+    this.player = options.movie ? new MoviePlayer(options.movie) : null;
+  }
+
+  /**
+   * Emulate and render one frame.
+   */
+  step() {
+    this.player?.applyFrame(this.nes, this.player.position, { command: () => this._powerCycle() });
+    this.tracer.beginFrame();
+    this.nes.frame();
+    if (this.latestPPUState) this.renderer.renderFrame(this.latestPPUState);
+    this.frame++;
+  }
+
+  /**
+   * @returns {{ frame: number, png: Buffer, snapshot: string, state: string }}
+   *   canvas-reference PNG, standalone DOM/CSS snapshot HTML, PPU state JSON
+   */
+  capture() {
+    const state = this.latestPPUState;
+    return {
+      frame: this.frame,
+      png: state ? encodePNG(framebufferToRGBA(state.buffer), 256, 240) : null,
+      snapshot: domSnapshot(this.renderer, { title: `frame ${this.frame}` }),
+      state: ppuStateToJSON(state),
+    };
+  }
+
+  destroy() {
+    this.tracer.uninstall();
+    this.renderer.viewport.remove();
+    this.renderer.tileCache.styleEl.remove();
+    this.wrapper.remove();
+  }
+
+  _powerCycle() {
+    this.nes.reloadROM();
+    this.tracer.resync();
+    this.renderer.resetRenderState();
+    this.latestPPUState = null;
+  }
+}
+
+/**
+ * Serialize a PPU state; typed arrays become plain arrays and the frame
+ * buffer (already written as the PNG) is dropped.
+ */
+export function ppuStateToJSON(state) {
+  return JSON.stringify(state ?? null, (key, value) => {
+    if (key === 'buffer') return undefined;
+    if (ArrayBuffer.isView(value)) return Array.from(value);
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (value instanceof Set) return Array.from(value);
+    return value;
+  });
+}
+
+/**
+ * Standalone HTML of the rendered viewport: the app stylesheet, every style
+ * element the renderer injected (tile sheets as data URLs) and the viewport
+ * DOM.
+ */
+export function domSnapshot(renderer, options = {}) {
+  const appCSS = options.stylesheet ?? fs.readFileSync(STYLESHEET_URL, 'utf8');
+  const injected = Array.from(document.head.querySelectorAll('style'))
+    .map((el) => `<style${el.id ? ` id="${el.id}"` : ''}>\n${el.textContent}\n</style>`)
+    .join('\n');
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    `<title>css-nes snapshot${options.title ? ` — ${options.title}` : ''}</title>`,
+    `<style>\n${appCSS}\n</style>`,
+    injected,
+    '</head>',
+    '<body>',
+    `<div class="viewport-wrapper">${renderer.viewport.outerHTML}</div>`,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+function _patchCanvas(window) {
+  const pixels = new WeakMap();
+  const proto = window.HTMLCanvasElement.prototype;
+
+  const bufferFor = (canvas) => {
+    let entry = pixels.get(canvas);
+    if (!entry || entry.width !== canvas.width || entry.height !== canvas.height) {
+      entry = { width: canvas.width, height: canvas.height, data: new Uint8Array(canvas.width * canvas.height * 4) };
+      pixels.set(canvas, entry);
+    }
+    return entry;
+  };
+
+  proto.getContext = function getContext(type) {
+    if (type !== '2d') return null;
+    const canvas = this;
+    return {
+      canvas,
+      createImageData(width, height) {
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+      },
+      putImageData(image, dx = 0, dy = 0) {
+        const target = bufferFor(canvas);
+        for (let y = 0; y < image.height; y++) {
+          const ty = y + dy;
+          if (ty < 0 || ty >= target.height) continue;
+          for (let x = 0; x < image.width; x++) {
+            const tx = x + dx;
+            if (tx < 0 || tx >= target.width) continue;
+            const s = (y * image.width + x) * 4;
+            const t = (ty * target.width + tx) * 4;
+            target.data[t] = image.data[s];
+            target.data[t + 1] = image.data[s + 1];
+            target.data[t + 2] = image.data[s + 2];
+            target.data[t + 3] = image.data[s + 3];
+          }
+        }
+      },
+    };
+  };
+
+  proto.toDataURL = function toDataURL() {
+    const { data, width, height } = bufferFor(this);
+    if (width === 0 || height === 0) return 'data:,';
+    return `data:image/png;base64,${encodePNG(data, width, height).toString('base64')}`;
+  };
+}
@@ -0,0 +1,25 @@
+/**
+ * RGBA <-> PNG buffers via pngjs. Kept apart from headless-runner.js so
+ * report writers and Playwright specs can encode images without loading
+ * happy-dom, jsnes and the renderer.
+ */
+import { PNG } from 'pngjs';
+
+/**
+ * @param {ArrayLike<number>} rgba - width * height * 4 bytes
+ * @returns {Buffer}
+ */
+export function encodePNG(rgba, width, height) {
+  const png = new PNG({ width, height });
+  png.data.set(rgba);
+  return PNG.sync.write(png);
+}
+
+/**
+ * @param {Buffer} buffer
+ * @returns {{ data: Buffer, width: number, height: number }}
+ */
+export function decodePNG(buffer) {
+  const png = PNG.sync.read(buffer);
+  return { data: png.data, width: png.width, height: png.height };
+}
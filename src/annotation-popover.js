@@ -1,9 +1,13 @@
 /**
  * Click-to-inspect annotation popover for paused NES viewport.
  * Shows PPU-level details for BG tiles and sprites: memory addresses,
- * raw bytes, CHR pixel grid, and palette swatches.
+ * raw bytes, CHR pixel grid, and palette swatches labelled with their
+ * palette RAM addresses ($3F00-$3F1F).
  * Shift+click inspects an exact screen pixel and shows composition provenance.
  */
+import { samplePixelProvenance, scrollPixels, scrollForScreenY } from './pixel-provenance.js';
+import { formatPaletteAddress, isPaletteMirror, paletteRAMIndex } from './palette-ram.js';
+
 export class AnnotationPopover {
   constructor(viewport, renderer, getPPUState) {
     this.viewport = viewport;
@@ -36,6 +40,18 @@ export class AnnotationPopover {
     this.highlight.style.display = 'none';
   }
 
+  /**
+   * Show pixel provenance for a screen pixel (as shift+click does).
+   * @param {Array<[string, string]>} [extraRows] - label/value rows appended to the popover
+   * @returns {boolean} false when there is no PPU state yet
+   */
+  inspectPixel(screenX, screenY, extraRows = []) {
+    const ppuState = this.getPPUState();
+    if (!ppuState) return false;
+    this._showPixelProvenance(screenX, screenY, ppuState, extraRows);
+    return true;
+  }
+
   _onClick(e) {
     // Only activate when paused (viewport has .paused class)
     if (!this.viewport.classList.contains('paused')) return;
@@ -116,7 +132,7 @@ export class AnnotationPopover {
     html += this._row('NT Byte', this._hex(rawTileByte, 2));
     html += this._row('Attrib Byte', `${this._hex(rawAttribByte, 2)} (pal ${palGroup})`);
     html += this._chrGrid(pix, palette, 8, 8);
-    html += this._paletteSwatches(palGroup, palette);
+    html += this._paletteSwatches(palGroup, palette, 0);
 
     this.popover.innerHTML = html;
     this._positionPopover(el);
@@ -186,22 +202,18 @@ export class AnnotationPopover {
     html += this._row('OAM Bytes', oamHex);
     html += this._row('Pattern Table', sprBaseHex);
     html += this._chrGrid(pix, palette, 8, height);
-    html += this._paletteSwatches(palGroup, palette);
+    html += this._paletteSwatches(palGroup, palette, 16);
 
     this.popover.innerHTML = html;
     this._positionPopover(el);
     this._positionHighlight(el);
   }
 
-  _showPixelProvenance(screenX, screenY, ppuState) {
+  _showPixelProvenance(screenX, screenY, ppuState, extraRows = []) {
     this.popover.classList.add('annotation-popover-pixel');
 
-    const bg = this._sampleBgPixel(ppuState, screenX, screenY);
-    const spriteHits = this._sampleSpritePixels(ppuState, screenX, screenY);
-    const final = this._resolveFinalPixel(ppuState, bg, spriteHits);
-
-    const activeScroll = this._scrollForScreenY(ppuState, screenY);
-    const { scrollX, scrollY } = this._scrollPixels(activeScroll);
+    const { bg, spriteHits, final } = samplePixelProvenance(ppuState, screenX, screenY);
+    const { scrollX, scrollY } = scrollPixels(scrollForScreenY(ppuState, screenY, screenX));
     const bgStatus = ppuState.bgVisible
       ? `ci ${bg.colorIndex}, pal ${bg.palGroup}, ${bg.color}`
       : 'Layer disabled';
@@ -218,178 +230,13 @@ export class AnnotationPopover {
     html += this._row('Sprite Hits', this._formatSpriteHits(spriteHits));
     html += this._row('Winner', `${final.winner} (${final.reason})`);
     html += this._row('Final Color', final.color);
+    for (const [label, value] of extraRows) html += this._row(label, value);
 
     this.popover.innerHTML = html;
     this._positionPopoverAtBox(screenX, screenY, 1, 1);
     this._positionHighlightAtBox(screenX, screenY, 1, 1);
   }
 
-  _sampleBgPixel(ppuState, screenX, screenY) {
-    const activeScroll = this._scrollForScreenY(ppuState, screenY);
-    const { scrollX, scrollY } = this._scrollPixels(activeScroll);
-    const worldX = (scrollX + screenX) % 512;
-    const worldY = (scrollY + screenY) % 480;
-
-    const ntX = worldX >= 256 ? 1 : 0;
-    const ntY = worldY >= 240 ? 1 : 0;
-    const logicalNT = ntY * 2 + ntX;
-    const physicalNT = ppuState.mirrorMap[logicalNT] ?? logicalNT;
-
-    const localX = worldX % 256;
-    const localY = worldY % 240;
-    const tileCol = localX >> 3;
-    const tileRow = localY >> 3;
-    const slot = tileRow * 32 + tileCol;
-
-    const nt = ppuState.nameTables[physicalNT];
-    const tileIndex = nt && nt.tile ? nt.tile[slot] : 0;
-    const rawAttrib = nt && nt.attrib ? nt.attrib[slot] : 0;
-    const palGroup = this._decodePaletteGroup(rawAttrib);
-    const ntAddr = 0x2000 + physicalNT * 0x400 + slot;
-
-    const pixelX = localX & 7;
-    const pixelY = localY & 7;
-    const tileData = ppuState.ptTile[ppuState.bgPatternBase + tileIndex];
-    const colorIndex = tileData ? tileData.pix[(pixelY << 3) + pixelX] : 0;
-    const color = this._bgColorFromState(ppuState, palGroup, colorIndex);
-
-    return {
-      worldX,
-      worldY,
-      logicalNT,
-      physicalNT,
-      tileCol,
-      tileRow,
-      tileIndex,
-      ntAddr,
-      pixelX,
-      pixelY,
-      palGroup,
-      colorIndex,
-      color,
-    };
-  }
-
-  _sampleSpritePixels(ppuState, screenX, screenY) {
-    if (!ppuState.spritesVisible) return [];
-
-    const hits = [];
-    const sprites = ppuState.sprites;
-    const is8x16 = ppuState.spriteSize === 1;
-    const height = is8x16 ? 16 : 8;
-
-    for (let i = 0; i < 64; i++) {
-      const spr = sprites[i];
-      const sprX = spr.x;
-      const sprY = spr.y + 1;
-
-      if (sprY >= 240 || sprY + height <= 0) continue;
-      if (screenX < sprX || screenX >= sprX + 8) continue;
-      if (screenY < sprY || screenY >= sprY + height) continue;
-
-      const localX = screenX - sprX;
-      const localY = screenY - sprY;
-
-      const sample = is8x16
-        ? this._sample8x16SpritePixel(ppuState, spr, localX, localY)
-        : this._sample8x8SpritePixel(ppuState, spr, localX, localY);
-
-      if (!sample || sample.colorIndex === 0) continue;
-
-      const palGroup = this._decodePaletteGroup(spr.palette);
-      const color = this._sprColorFromState(ppuState, palGroup, sample.colorIndex);
-
-      hits.push({
-        idx: i,
-        x: sprX,
-        y: sprY,
-        behindBg: !!spr.behindBg,
-        palGroup,
-        color,
-        ...sample,
-      });
-    }
-
-    return hits;
-  }
-
-  _sample8x8SpritePixel(ppuState, spr, localX, localY) {
-    const tileAddress = ppuState.sprPatternBase + spr.tileIndex;
-    const tile = ppuState.ptTile[tileAddress];
-    if (!tile) return null;
-
-    const pixelX = spr.flipH ? 7 - localX : localX;
-    const pixelY = spr.flipV ? 7 - localY : localY;
-    const colorIndex = tile.pix[(pixelY << 3) + pixelX];
-
-    return {
-      tileIndex: spr.tileIndex,
-      tileAddress,
-      pixelX,
-      pixelY,
-      colorIndex,
-    };
-  }
-
-  _sample8x16SpritePixel(ppuState, spr, localX, localY) {
-    const bankBase = (spr.tileIndex & 1) ? 256 : 0;
-    const pairTop = spr.tileIndex & 0xFE;
-    const spriteY = spr.flipV ? 15 - localY : localY;
-    const tileOffset = spriteY >= 8 ? 1 : 0;
-    const tileIndex = pairTop + tileOffset;
-    const tileAddress = bankBase + tileIndex;
-    const tile = ppuState.ptTile[tileAddress];
-    if (!tile) return null;
-
-    const pixelX = spr.flipH ? 7 - localX : localX;
-    const pixelY = spriteY & 7;
-    const colorIndex = tile.pix[(pixelY << 3) + pixelX];
-
-    return {
-      tileIndex,
-      tileAddress,
-      pixelX,
-      pixelY,
-      colorIndex,
-    };
-  }
-
-  _resolveFinalPixel(ppuState, bg, spriteHits) {
-    const backdrop = this._bgColorFromState(ppuState, 0, 0);
-    const bgOpaque = ppuState.bgVisible && bg.colorIndex > 0;
-    const sprite = ppuState.spritesVisible && spriteHits.length > 0 ? spriteHits[0] : null;
-
-    if (sprite) {
-      if (!bgOpaque || !sprite.behindBg) {
-        return {
-          winner: `Sprite #${sprite.idx}`,
-          color: sprite.color,
-          reason: bgOpaque ? 'Sprite is in front of BG' : 'BG pixel is transparent',
-        };
-      }
-
-      return {
-        winner: 'Background',
-        color: bg.color,
-        reason: `Sprite #${sprite.idx} is behind opaque BG`,
-      };
-    }
-
-    if (bgOpaque) {
-      return {
-        winner: 'Background',
-        color: bg.color,
-        reason: 'No opaque sprite pixel overlaps',
-      };
-    }
-
-    return {
-      winner: 'Backdrop',
-      color: backdrop,
-      reason: 'No visible BG or sprite pixel here',
-    };
-  }
-
   _formatSpriteHits(spriteHits) {
     if (spriteHits.length === 0) return 'none';
 
@@ -469,63 +316,30 @@ export class AnnotationPopover {
     return `<div class="annot-chr-canvas"><img src="${dataURL}" width="${canvasW}" height="${canvasH}" style="image-rendering:pixelated"></div>`;
   }
 
-  _paletteSwatches(group, palette) {
+  /**
+   * @param {number} ramBase - palette RAM index of BG (0) or sprite (16) group 0
+   */
+  _paletteSwatches(group, palette, ramBase) {
+    const pm = this.renderer.paletteManager;
     let html = `<div class="annot-palette-swatches"><span class="annot-label">Palette ${group}:</span>`;
     for (let i = 0; i < 4; i++) {
       const color = palette[i];
       const border = i === 0 ? 'border:1px dashed #888;' : '';
-      html += `<span class="annot-swatch" style="background:${color};${border}" title="${color}"></span>`;
+      const index = ramBase + (group << 2) + i;
+      const address = formatPaletteAddress(index);
+      const value = pm.getPaletteRAMValue(index);
+      let title = address;
+      if (isPaletteMirror(index)) title += ` \u2192 ${formatPaletteAddress(paletteRAMIndex(index))}`;
+      if (value !== null) title += ` = ${this._hex(value, 2)}`;
+      title += ` ${color}`;
+      html += `<span class="annot-swatch-entry" data-address="${address}" title="${title}">`;
+      html += `<span class="annot-swatch" style="background:${color};${border}"></span>`;
+      html += `<span class="annot-swatch-addr">${address}</span></span>`;
     }
     html += '</div>';
     return html;
   }
 
-  _scrollPixels(scroll) {
-    return {
-      scrollX: scroll.coarseX * 8 + scroll.fineX + scroll.nameTableH * 256,
-      scrollY: scroll.coarseY * 8 + scroll.fineY + scroll.nameTableV * 240,
-    };
-  }
-
-  _scrollForScreenY(ppuState, screenY) {
-    const regions = ppuState.renderPlan?.regions;
-    if (Array.isArray(regions)) {
-      for (const region of regions) {
-        if (screenY >= region.yStart && screenY < region.yEnd && region.scroll) {
-          return region.scroll;
-        }
-      }
-    }
-    return ppuState.scroll;
-  }
-
-  _decodePaletteGroup(rawValue) {
-    const value = Number(rawValue) || 0;
-    return value > 3 ? (value >> 2) & 3 : value & 3;
-  }
-
-  _bgColorFromState(ppuState, palGroup, colorIndex) {
-    if (colorIndex === 0) {
-      return this._packedToCss(ppuState.bgPalette[0]);
-    }
-    const idx = (palGroup << 2) + colorIndex;
-    return this._packedToCss(ppuState.bgPalette[idx]);
-  }
-
-  _sprColorFromState(ppuState, palGroup, colorIndex) {
-    if (colorIndex === 0) return 'transparent';
-    const idx = (palGroup << 2) + colorIndex;
-    return this._packedToCss(ppuState.sprPalette[idx]);
-  }
-
-  _packedToCss(packed) {
-    const value = Number(packed) || 0;
-    const r = value & 0xff;
-    const g = (value >> 8) & 0xff;
-    const b = (value >> 16) & 0xff;
-    return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
-  }
-
   _hex(value, width) {
     return '$' + (value >>> 0).toString(16).padStart(width, '0');
   }
@@ -0,0 +1,363 @@
+/**
+ * APU audio output. jsnes emits one L/R sample per `onAudioSample` call at
+ * EMULATOR_SAMPLE_RATE; samples are batched per frame, resampled to the
+ * AudioContext rate and posted to an AudioWorklet ring buffer
+ * (audio-worklet.js).
+ *
+ * The emulator is paced by requestAnimationFrame, not by the audio clock, so
+ * sample production drifts against playback. The worklet reports its fill
+ * level and the resampling ratio is nudged (at most MAX_DRIFT_ADJUST) to hold
+ * the buffer near the target latency instead of letting it run dry or overflow.
+ *
+ * Headless mode skips Web Audio entirely and records every sample into a
+ * WavCapture, so audio output can be compared byte-for-byte in tests.
+ */
+
+// Rate passed to jsnes (`new NES({ sampleRate })`); fixed so captures are
+// identical on every machine regardless of the output device rate.
+export const EMULATOR_SAMPLE_RATE = 44100;
+export const DEFAULT_VOLUME = 0.5;
+// Buffered audio the drift correction aims for.
+export const DEFAULT_TARGET_LATENCY = 0.05;
+// Largest resampling ratio change drift correction may apply (±0.5%).
+export const MAX_DRIFT_ADJUST = 0.005;
+
+export class AudioOutput {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.headless] - record to a WavCapture instead of playing
+   * @param {number} [options.volume] - 0..1
+   * @param {number} [options.inputRate] - emulator sample rate
+   * @param {number} [options.targetLatency] - seconds of buffered audio to hold
+   * @param {Function} [options.AudioContext] - constructor override (tests)
+   */
+  constructor(options = {}) {
+    this.headless = !!options.headless;
+    this.inputRate = Math.max(1, options.inputRate ?? EMULATOR_SAMPLE_RATE);
+    this.targetLatency = Math.max(0.01, options.targetLatency ?? DEFAULT_TARGET_LATENCY);
+    this.volume = _clamp01(options.volume ?? DEFAULT_VOLUME);
+    this.muted = false;
+    // The browser refused to resume playback (autoplay policy). Samples are
+    // dropped until a later start() resumes the context.
+    this.blocked = false;
+
+    this._AudioContext = options.AudioContext ?? globalThis.AudioContext ?? null;
+    this.context = null;
+    this.node = null;
+    this.gain = null;
+    this.resampler = null;
+    this._startPromise = null;
+
+    this._pending = [];
+    this._targetFrames = 0;
+    this.stats = { fill: 0, ratio: 1, underruns: 0, overruns: 0, postedFrames: 0 };
+
+    this.capture = this.headless ? new WavCapture(this.inputRate) : null;
+  }
+
+  get available() {
+    return this.headless || !!this._AudioContext;
+  }
+
+  /**
+   * Create the AudioContext and worklet node. Must first run from (or after)
+   * a user gesture for browsers to allow playback. Safe to call repeatedly.
+   * @returns {Promise<boolean>} false if Web Audio is missing or playback is
+   *   blocked (see `blocked`)
+   */
+  start() {
+    if (this.headless) return Promise.resolve(true);
+    if (!this._AudioContext) return Promise.resolve(false);
+    if (!this._startPromise) {
+      this._startPromise = this._createGraph().catch((err) => {
+        this._startPromise = null;
+        throw err;
+      });
+    }
+    return this._startPromise.then(() => this._resume());
+  }
+
+  /**
+   * jsnes `onAudioSample` sink.
+   */
+  pushSample(left, right) {
+    if (this.capture) this.capture.pushSample(left, right);
+    if (!this.node || this.muted || this.blocked) return;
+    this._pending.push(left, right);
+  }
+
+  /**
+   * Flush the frame's samples to the worklet. Call once per emulated frame.
+   */
+  endFrame() {
+    if (!this.node || this._pending.length === 0) {
+      this._pending.length = 0;
+      return;
+    }
+
+    const ratio = driftCorrection(this.stats.fill, this._targetFrames);
+    this.stats.ratio = ratio;
+    const out = this.resampler.process(this._pending, ratio);
+    this._pending.length = 0;
+    if (out.length === 0) return;
+
+    this.stats.postedFrames += out.length >> 1;
+    this.node.port.postMessage({ type: 'samples', samples: out }, [out.buffer]);
+  }
+
+  setVolume(volume) {
+    this.volume = _clamp01(volume);
+    this._applyGain();
+    return this.volume;
+  }
+
+  /**
+   * Silence output (pause, window blur). Buffered audio is dropped so
+   * unmuting never plays stale samples.
+   */
+  setMuted(muted) {
+    this.muted = !!muted;
+    this._pending.length = 0;
+    if (this.muted) this.node?.port.postMessage({ type: 'clear' });
+    this._applyGain();
+    return this.muted;
+  }
+
+  /**
+   * Begin recording samples (at the emulator rate) alongside playback.
+   */
+  startCapture() {
+    this.capture = new WavCapture(this.inputRate);
+    return this.capture;
+  }
+
+  /**
+   * Stop recording and return the WAV. Headless outputs keep recording.
+   * @returns {Blob|null}
+   */
+  stopCapture() {
+    const capture = this.capture;
+    if (!capture) return null;
+    if (!this.headless) this.capture = null;
+    return capture.toBlob();
+  }
+
+  async close() {
+    this.node?.disconnect();
+    this.gain?.disconnect();
+    const context = this.context;
+    this.node = null;
+    this.gain = null;
+    this.context = null;
+    this._startPromise = null;
+    if (context) await context.close();
+  }
+
+  async _createGraph() {
+    const context = new this._AudioContext({ latencyHint: 'interactive' });
+    await context.audioWorklet.addModule(new URL('./audio-worklet.js', import.meta.url));
+
+    const outRate = context.sampleRate;
+    this._targetFrames = Math.round(this.targetLatency * outRate);
+    const node = new AudioWorkletNode(context, 'nes-audio', {
+      numberOfInputs: 0,
+      outputChannelCount: [2],
+      processorOptions: {
+        capacity: this._targetFrames * 4,
+        primeFrames: this._targetFrames,
+      },
+    });
+    node.port.onmessage = (event) => {
+      const msg = event.data;
+      if (msg?.type !== 'level') return;
+      this.stats.fill = msg.fill;
+      this.stats.underruns = msg.underruns;
+      this.stats.overruns = msg.overruns;
+    };
+
+    const gain = context.createGain();
+    node.connect(gain);
+    gain.connect(context.destination);
+
+    this.context = context;
+    this.node = node;
+    this.gain = gain;
+    this.resampler = new LinearResampler(this.inputRate, outRate);
+    this.stats.fill = 0;
+    this._applyGain();
+  }
+
+  async _resume() {
+    if (this.context.state === 'suspended') {
+      try {
+        await this.context.resume();
+      } catch (err) {
+        console.warn('AudioOutput: playback blocked:', err);
+        this.blocked = true;
+        return false;
+      }
+    }
+    this.blocked = false;
+    return true;
+  }
+
+  _applyGain() {
+    if (!this.gain) return;
+    const value = this.muted ? 0 : this.volume;
+    // Short ramp avoids a click when muting mid-waveform.
+    this.gain.gain.setTargetAtTime(value, this.context.currentTime, 0.01);
+  }
+}
+
+/**
+ * Resampling ratio multiplier for a buffer fill level. Below target the
+ * stream is stretched (more output per input frame), above target squeezed.
+ * @param {number} fillFrames - frames queued in the ring buffer
+ * @param {number} targetFrames
+ * @param {number} [maxAdjust]
+ */
+export function driftCorrection(fillFrames, targetFrames, maxAdjust = MAX_DRIFT_ADJUST) {
+  if (!(targetFrames > 0)) return 1;
+  const error = Math.max(-1, Math.min(1, (targetFrames - fillFrames) / targetFrames));
+  return 1 + error * maxAdjust;
+}
+
+/**
+ * Streaming linear-interpolation resampler for interleaved stereo. The
+ * fractional read position and last input frame carry across calls, so
+ * chunk boundaries are seamless.
+ */
+export class LinearResampler {
+  constructor(inputRate, outputRate) {
+    this.step = inputRate / outputRate;
+    this._pos = 0;
+    this._prevL = 0;
+    this._prevR = 0;
+  }
+
+  /**
+   * @param {ArrayLike<number>} input - interleaved L/R samples
+   * @param {number} [ratio] - drift correction multiplier (> 1 = more output)
+   * @returns {Float32Array} interleaved L/R at the output rate
+   */
+  process(input, ratio = 1) {
+    const frames = input.length >> 1;
+    if (frames === 0) return new Float32Array(0);
+
+    const step = this.step / ratio;
+    // Position p interpolates input frames floor(p) and floor(p) + 1, where
+    // frame -1 is the last frame of the previous chunk.
+    const capacity = Math.max(0, Math.ceil((frames - 1 - this._pos) / step));
+    const out = new Float32Array(capacity * 2);
+
+    let pos = this._pos;
+    let o = 0;
+    while (pos < frames - 1 && o < out.length) {
+      const i0 = Math.floor(pos);
+      const frac = pos - i0;
+      const l0 = i0 < 0 ? this._prevL : input[i0 * 2];
+      const r0 = i0 < 0 ? this._prevR : input[i0 * 2 + 1];
+      const l1 = input[(i0 + 1) * 2];
+      const r1 = input[(i0 + 1) * 2 + 1];
+      out[o++] = l0 + (l1 - l0) * frac;
+      out[o++] = r0 + (r1 - r0) * frac;
+      pos += step;
+    }
+
+    this._pos = pos - frames;
+    this._prevL = input[(frames - 1) * 2];
+    this._prevR = input[(frames - 1) * 2 + 1];
+    return o === out.length ? out : out.slice(0, o);
+  }
+}
+
+/**
+ * Accumulates stereo samples as 16-bit PCM and encodes them as a WAV file.
+ */
+export class WavCapture {
+  constructor(sampleRate = EMULATOR_SAMPLE_RATE) {
+    this.sampleRate = sampleRate;
+    this.frameCount = 0;
+    this._chunks = [];
+    this._chunk = new Int16Array(8192);
+    this._chunkLen = 0;
+  }
+
+  pushSample(left, right) {
+    if (this._chunkLen === this._chunk.length) {
+      this._chunks.push(this._chunk);
+      this._chunk = new Int16Array(8192);
+      this._chunkLen = 0;
+    }
+    this._chunk[this._chunkLen++] = _toInt16(left);
+    this._chunk[this._chunkLen++] = _toInt16(right);
+    this.frameCount++;
+  }
+
+  /**
+   * @returns {Int16Array} interleaved L/R PCM
+   */
+  samples() {
+    const out = new Int16Array(this.frameCount * 2);
+    let offset = 0;
+    for (const chunk of this._chunks) {
+      out.set(chunk, offset);
+      offset += chunk.length;
+    }
+    out.set(this._chunk.subarray(0, this._chunkLen), offset);
+    return out;
+  }
+
+  toWavBytes() {
+    return encodeWav(this.samples(), this.sampleRate, 2);
+  }
+
+  toBlob() {
+    return new Blob([this.toWavBytes()], { type: 'audio/wav' });
+  }
+}
+
+/**
+ * Encode 16-bit PCM as a RIFF/WAVE file.
+ * @param {Int16Array} pcm - interleaved samples
+ * @param {number} sampleRate
+ * @param {number} channels
+ * @returns {Uint8Array}
+ */
+export function encodeWav(pcm, sampleRate, channels) {
+  const dataBytes = pcm.length * 2;
+  const bytes = new Uint8Array(44 + dataBytes);
+  const view = new DataView(bytes.buffer);
+
+  _writeAscii(bytes, 0, 'RIFF');
+  view.setUint32(4, 36 + dataBytes, true);
+  _writeAscii(bytes, 8, 'WAVE');
+  _writeAscii(bytes, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * channels * 2, true);
+  view.setUint16(32, channels * 2, true);
+  view.setUint16(34, 16, true);
+  _writeAscii(bytes, 36, 'data');
+  view.setUint32(40, dataBytes, true);
+
+  for (let i = 0; i < pcm.length; i++) {
+    view.setInt16(44 + i * 2, pcm[i], true);
+  }
+  return bytes;
+}
+
+function _toInt16(sample) {
+  const s = Math.max(-1, Math.min(1, sample || 0));
+  return Math.round(s * 32767);
+}
+
+function _writeAscii(bytes, offset, text) {
+  for (let i = 0; i < text.length; i++) bytes[offset + i] = text.charCodeAt(i);
+}
+
+function _clamp01(value) {
+  return Number.isFinite(value) ? Math.max(0, Math.min(1, value)) : DEFAULT_VOLUME;
+}
@@ -0,0 +1,137 @@
+/**
+ * AudioWorklet side of the audio output: a stereo ring buffer fed by
+ * resampled chunks from the main thread (via the node's MessagePort) and
+ * drained one render quantum at a time.
+ *
+ * Loaded with `audioWorklet.addModule()`, so this file must stay free of
+ * imports. The ring buffer is exported for unit tests; registerProcessor only
+ * exists inside an AudioWorkletGlobalScope.
+ */
+
+export class AudioRingBuffer {
+  /**
+   * @param {number} capacity - frames (one frame = one L/R pair)
+   */
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity | 0);
+    this.data = new Float32Array(this.capacity * 2);
+    this.readIdx = 0;
+    this.size = 0;
+    this.overruns = 0;
+    this.underruns = 0;
+  }
+
+  /**
+   * Append interleaved L/R samples. When full, the oldest frames are dropped
+   * so latency never grows past the capacity.
+   */
+  push(samples) {
+    let frames = samples.length >> 1;
+    let src = 0;
+    if (frames > this.capacity) {
+      src = (frames - this.capacity) * 2;
+      frames = this.capacity;
+    }
+
+    const overflow = this.size + frames - this.capacity;
+    if (overflow > 0) {
+      this.readIdx = (this.readIdx + overflow) % this.capacity;
+      this.size -= overflow;
+      this.overruns++;
+    }
+
+    let writeIdx = (this.readIdx + this.size) % this.capacity;
+    for (let i = 0; i < frames; i++) {
+      this.data[writeIdx * 2] = samples[src++];
+      this.data[writeIdx * 2 + 1] = samples[src++];
+      writeIdx = writeIdx + 1 === this.capacity ? 0 : writeIdx + 1;
+    }
+    this.size += frames;
+  }
+
+  /**
+   * Fill the output channels, padding with silence on underrun.
+   * @param {Float32Array} left
+   * @param {Float32Array} [right]
+   * @returns {number} frames actually read
+   */
+  pull(left, right = null) {
+    const wanted = left.length;
+    const frames = Math.min(wanted, this.size);
+    for (let i = 0; i < frames; i++) {
+      left[i] = this.data[this.readIdx * 2];
+      if (right) right[i] = this.data[this.readIdx * 2 + 1];
+      this.readIdx = this.readIdx + 1 === this.capacity ? 0 : this.readIdx + 1;
+    }
+    this.size -= frames;
+    if (frames < wanted) {
+      left.fill(0, frames);
+      if (right) right.fill(0, frames);
+      this.underruns++;
+    }
+    return frames;
+  }
+
+  clear() {
+    this.readIdx = 0;
+    this.size = 0;
+  }
+}
+
+// Report the fill level every few render quanta (128 frames each).
+const LEVEL_REPORT_INTERVAL = 4;
+
+const ProcessorBase = globalThis.AudioWorkletProcessor ?? class {};
+
+class NESAudioProcessor extends ProcessorBase {
+  constructor(options = {}) {
+    super(options);
+    const opts = options.processorOptions || {};
+    this.ring = new AudioRingBuffer(opts.capacity ?? 12000);
+    // Hold output until this many frames are queued, so playback starts
+    // (and restarts after an underrun or clear) with a cushion.
+    this.primeFrames = Math.min(this.ring.capacity, Math.max(0, opts.primeFrames ?? 0));
+    this.primed = false;
+    this.quanta = 0;
+
+    this.port.onmessage = (event) => {
+      const msg = event.data;
+      if (msg?.type === 'samples') {
+        this.ring.push(msg.samples);
+      } else if (msg?.type === 'clear') {
+        this.ring.clear();
+        this.primed = false;
+      }
+    };
+  }
+
+  process(inputs, outputs) {
+    const out = outputs[0];
+    const left = out[0];
+    const right = out[1] || null;
+
+    if (!this.primed && this.ring.size >= this.primeFrames) this.primed = true;
+
+    if (this.primed) {
+      const read = this.ring.pull(left, right);
+      if (read < left.length) this.primed = false;
+    } else {
+      left.fill(0);
+      if (right) right.fill(0);
+    }
+
+    if (++this.quanta % LEVEL_REPORT_INTERVAL === 0) {
+      this.port.postMessage({
+        type: 'level',
+        fill: this.ring.size,
+        underruns: this.ring.underruns,
+        overruns: this.ring.overruns,
+      });
+    }
+    return true;
+  }
+}
+
+if (typeof globalThis.registerProcessor === 'function') {
+  globalThis.registerProcessor('nes-audio', NESAudioProcessor);
+}
@@ -64,7 +64,8 @@ export class BGLayer {
       ? tileCache.activateBgSet(
         ppuState.bgPatternBase,
         ppuState.chrBankSignature,
-        ppuState.chrSetKey
+        ppuState.chrSetKey,
+        { emphasis: ppuState.emphasis ?? 0, greyscale: !!ppuState.greyscale }
       )
       : '';
     this._applyBgSetClass(bgSetClass);
@@ -105,6 +106,18 @@ export class BGLayer {
     this.bgLayer.style.transform = `translate(${-scrollX}px, ${-scrollY}px)`;
   }
 
+  /**
+   * Drop the tile/attribute diff caches so the next update() rewrites every
+   * tile (e.g. after a save state replaced the nametables wholesale).
+   */
+  resetDiffCache() {
+    for (let q = 0; q < 4; q++) {
+      this.prevTile[q].fill(-1);
+      this.prevAttrib[q].fill(-1);
+    }
+    this._applyBgSetClass('');
+  }
+
   _applyBgSetClass(bgSetClass) {
     if (this._activeBgSetClass && this._activeBgSetClass !== bgSetClass) {
       this.bgLayer.classList.remove(this._activeBgSetClass);
@@ -120,6 +133,8 @@ export class BGLayer {
     const divs = this.quadTileDivs[q];
     const prevT = this.prevTile[q];
     const prevA = this.prevAttrib[q];
+    // Palette-variable sheets are masks, positioned like the background.
+    const maskSheets = tileCache.paletteMode === 'variables';
 
     for (let i = 0; i < 960; i++) {
       const tileIdx = ntData.tile[i];
@@ -135,7 +150,9 @@ export class BGLayer {
       const div = divs[i];
 
       if (tileChanged || sheetChanged) {
-        div.style.backgroundPosition = tileCache.getTilePosition(tileIdx);
+        const position = tileCache.getTilePosition(tileIdx);
+        div.style.backgroundPosition = position;
+        if (maskSheets) div.style.setProperty('mask-position', position);
         prevT[i] = tileIdx;
       }
 
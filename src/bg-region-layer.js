@@ -1,14 +1,28 @@
 /**
- * Region-based BG compositor. Each region uses an internal BGLayer instance and
- * is clipped to a vertical band. This enables multi-scroll split rendering.
+ * Region-based BG compositor. Regions that share render state (scroll, CHR set,
+ * mirroring) are grouped and drawn by one pooled BGLayer whose band is clipped
+ * to the union of those scanline ranges. N regions therefore cost at most
+ * `maxLayers` tile grids instead of 3,840 nodes per band. Line splits cut a
+ * single scanline horizontally so a mid-line change is drawn from its x on.
+ *
+ * Groups beyond the grid budget are folded into their closest neighbour, or
+ * with `stripOverflow` (raster mode) drawn band by band as BGStrips, each with
+ * its own scroll and only the tiles under it.
  */
 import { BGLayer } from './bg-layer.js';
+import { BGStrip } from './bg-strip.js';
+import { DEFAULT_MAX_REGIONS } from './scroll-region-planner.js';
 
 export class BGRegionLayer {
-  constructor(container) {
+  constructor(container, options = {}) {
     this.container = container;
-    this.maxRegions = 2;
+    this.maxRegions = Math.max(1, options.maxRegions ?? DEFAULT_MAX_REGIONS);
+    this.maxLayers = Math.max(1, options.maxLayers ?? 4);
+    this.stripOverflow = !!options.stripOverflow;
     this.entries = [];
+    // Pooled BGStrips, one per overflow band
+    this.strips = [];
+    this._frameSeq = 0;
 
     this.root = document.createElement('div');
     this.root.className = 'bg-region-layer';
@@ -17,38 +31,84 @@ export class BGRegionLayer {
     container.appendChild(this.root);
   }
 
-  update(ppuState, tileCache, regions) {
-    const safeRegions = Array.isArray(regions) ? regions : [];
-    const count = Math.min(this.maxRegions, safeRegions.length);
+  update(ppuState, tileCache, regions, lineSplits = []) {
+    const safeRegions = this._cutLineSplits(
+      this._clampRegions(Array.isArray(regions) ? regions : []),
+      Array.isArray(lineSplits) ? lineSplits : []
+    );
+    const count = safeRegions.length;
 
     if (!ppuState.bgVisible || count === 0) {
       this.hide();
       return;
     }
 
+    this._frameSeq++;
     this.root.style.display = '';
     this.root.dataset.regionCount = String(count);
-    this._ensureEntries(count);
 
-    for (let i = 0; i < this.entries.length; i++) {
-      const entry = this.entries[i];
-      if (i >= count) {
-        entry.band.style.display = 'none';
-        continue;
-      }
+    const { groups, stripBands } = this._groupRegions(safeRegions);
+    const assigned = this._assignEntries(groups);
+    this.root.dataset.layerCount = String(groups.length);
+    this.root.dataset.stripCount = String(stripBands.length);
 
-      const region = safeRegions[i];
-      const yStart = _clampInt(region.yStart, 0, 239);
-      const yEnd = _clampInt(region.yEnd, yStart + 1, 240);
+    for (let i = 0; i < groups.length; i++) {
+      const group = groups[i];
+      const entry = assigned[i];
 
       entry.band.style.display = '';
-      entry.band.style.top = `${yStart}px`;
-      entry.band.style.height = `${yEnd - yStart}px`;
-      entry.viewport.style.top = `${-yStart}px`;
+      entry.band.style.clipPath = _bandsToClipPath(group.bands);
+      entry.band.dataset.bands = group.bands.map(_bandLabel).join(',');
 
-      const regionState = this._buildRegionState(ppuState, region);
+      const regionState = this._buildRegionState(ppuState, group.region);
       entry.layer.update(regionState, tileCache);
     }
+
+    for (const entry of this.entries) {
+      if (!assigned.includes(entry)) {
+        entry.band.style.display = 'none';
+      }
+    }
+
+    for (let i = 0; i < stripBands.length; i++) {
+      const { region, band } = stripBands[i];
+      const strip = this.strips[i] ?? this._createStrip();
+      strip.update(this._buildRegionState(ppuState, region), tileCache, band);
+    }
+    for (let i = stripBands.length; i < this.strips.length; i++) this.strips[i].hide();
+  }
+
+  /**
+   * Change band/layer budgets at runtime (e.g. switching to per-scanline
+   * raster mode). Pooled layers beyond the new budget are torn down.
+   */
+  setBudget({ maxRegions = this.maxRegions, maxLayers = this.maxLayers, stripOverflow = this.stripOverflow } = {}) {
+    this.maxRegions = Math.max(1, maxRegions);
+    this.maxLayers = Math.max(1, maxLayers);
+    this.stripOverflow = !!stripOverflow;
+
+    while (this.entries.length > this.maxLayers) {
+      const entry = this.entries.pop();
+      entry.band.remove();
+    }
+    if (!this.stripOverflow) {
+      for (const strip of this.strips) strip.remove();
+      this.strips = [];
+    }
+  }
+
+  /**
+   * Reset every pooled layer's diff cache and forget which state each entry
+   * drew, so no entry is reused on the assumption that its grid is current.
+   */
+  resetDiffCaches() {
+    for (const entry of this.entries) {
+      entry.layer.resetDiffCache();
+      entry.region = null;
+      entry.lastUsedFrame = 0;
+    }
+    for (const strip of this.strips) strip.resetDiffCache();
+    this.hide();
   }
 
   hide() {
@@ -56,6 +116,7 @@ export class BGRegionLayer {
     for (const entry of this.entries) {
       entry.band.style.display = 'none';
     }
+    for (const strip of this.strips) strip.hide();
   }
 
   _buildRegionState(ppuState, region) {
@@ -63,6 +124,8 @@ export class BGRegionLayer {
       ...ppuState,
       scroll: region.scroll || ppuState.scroll,
       bgVisible: ppuState.bgVisible && region.bgVisible !== false,
+      emphasis: region.emphasis ?? ppuState.emphasis,
+      greyscale: region.greyscale ?? ppuState.greyscale,
       bgPatternBase: region.bgPatternBase ?? ppuState.bgPatternBase,
       sprPatternBase: region.sprPatternBase ?? ppuState.sprPatternBase,
       spriteSize: region.spriteSize ?? ppuState.spriteSize,
@@ -72,21 +135,262 @@ export class BGRegionLayer {
     };
   }
 
-  _ensureEntries(count) {
-    while (this.entries.length < count) {
-      const band = document.createElement('div');
-      band.className = 'bg-region-band';
-      band.style.display = 'none';
+  /**
+   * Keep at most maxRegions bands. Overflow regions are folded into the last
+   * kept band so the bottom of the screen is never left empty.
+   */
+  _clampRegions(regions) {
+    const out = [];
+    const count = Math.min(this.maxRegions, regions.length);
+    for (let i = 0; i < count; i++) {
+      const region = regions[i];
+      const yStart = _clampInt(region?.yStart, 0, 239);
+      const lastKept = i === count - 1;
+      const rawEnd = lastKept ? regions[regions.length - 1]?.yEnd : region?.yEnd;
+      const yEnd = _clampInt(rawEnd, yStart + 1, 240);
+      out.push({ region, yStart, yEnd });
+    }
+    return out;
+  }
+
+  /**
+   * Carve each split line out of the band covering it: the band keeps the
+   * line up to the first split, and every split draws its own x range.
+   */
+  _cutLineSplits(bands, lineSplits) {
+    if (lineSplits.length === 0) return bands;
+    let out = bands;
+    for (const split of lineSplits) {
+      const y = _clampInt(split?.yStart, 0, 239);
+      const xStart = _clampInt(split?.xStart, 1, 255);
+      const xEnd = _clampInt(split?.xEnd, xStart + 1, 256);
+      const next = [];
+      for (const band of out) {
+        if (y < band.yStart || y >= band.yEnd || (band.xStart ?? 0) !== 0) {
+          next.push(band);
+          continue;
+        }
+        if (band.yStart < y) next.push({ ...band, yEnd: y });
+        next.push({ ...band, yStart: y, yEnd: y + 1, xStart: 0, xEnd: Math.min(band.xEnd ?? 256, xStart) });
+        if (y + 1 < band.yEnd) next.push({ ...band, yStart: y + 1 });
+      }
+      next.push({ region: split, yStart: y, yEnd: y + 1, xStart, xEnd });
+      out = next;
+    }
+    return out;
+  }
+
+  /**
+   * Group bands whose regions render identically, then fold the smallest
+   * groups into their closest neighbour until the layer budget fits. With
+   * stripOverflow those groups keep their state and become strip bands.
+   * @returns {{ groups: object[], stripBands: { region: object, band: number[] }[] }}
+   */
+  _groupRegions(bands) {
+    const groups = [];
+    for (const { region, yStart, yEnd, xStart = 0, xEnd = 256 } of bands) {
+      const band = [yStart, yEnd, xStart, xEnd];
+      const match = groups.find((group) => _sameLayerState(group.region, region));
+      if (match) {
+        match.bands.push(band);
+        match.height += yEnd - yStart;
+      } else {
+        groups.push({ region, bands: [band], height: yEnd - yStart });
+      }
+    }
+
+    const stripBands = [];
+    while (groups.length > this.maxLayers) {
+      let smallestIdx = 0;
+      for (let i = 1; i < groups.length; i++) {
+        if (groups[i].height < groups[smallestIdx].height) smallestIdx = i;
+      }
+      const smallest = groups[smallestIdx];
+      groups.splice(smallestIdx, 1);
+
+      if (this.stripOverflow) {
+        for (const band of smallest.bands) stripBands.push({ region: smallest.region, band });
+        continue;
+      }
+
+      let target = groups[0];
+      let bestDistance = Infinity;
+      for (const group of groups) {
+        const distance = _layerStateDistance(group.region, smallest.region);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          target = group;
+        }
+      }
+      target.bands.push(...smallest.bands);
+      target.height += smallest.height;
+    }
+
+    for (const group of groups) {
+      group.bands.sort((a, b) => a[0] - b[0] || a[2] - b[2]);
+    }
+    stripBands.sort((a, b) => a.band[0] - b.band[0] || a.band[2] - b.band[2]);
+    return { groups, stripBands };
+  }
+
+  /**
+   * Bind each group to a pooled entry. Entries that drew the same state last
+   * frame are reused first so their BGLayer tile diff caches stay warm.
+   */
+  _assignEntries(groups) {
+    const assigned = new Array(groups.length).fill(null);
+    const taken = new Set();
+
+    for (let i = 0; i < groups.length; i++) {
+      const entry = this.entries.find(
+        (candidate) => !taken.has(candidate) && candidate.region && _sameLayerState(candidate.region, groups[i].region)
+      );
+      if (entry) {
+        assigned[i] = entry;
+        taken.add(entry);
+      }
+    }
+
+    for (let i = 0; i < groups.length; i++) {
+      if (assigned[i]) continue;
+
+      let entry = null;
+      if (this.entries.length < this.maxLayers) {
+        entry = this._createEntry();
+      } else {
+        for (const candidate of this.entries) {
+          if (taken.has(candidate)) continue;
+          if (!entry || candidate.lastUsedFrame < entry.lastUsedFrame) entry = candidate;
+        }
+      }
+
+      assigned[i] = entry;
+      taken.add(entry);
+    }
+
+    for (let i = 0; i < groups.length; i++) {
+      assigned[i].region = groups[i].region;
+      assigned[i].lastUsedFrame = this._frameSeq;
+    }
+
+    return assigned;
+  }
+
+  _createEntry() {
+    const band = document.createElement('div');
+    band.className = 'bg-region-band';
+    band.style.display = 'none';
+
+    const viewport = document.createElement('div');
+    viewport.className = 'bg-region-viewport';
+    band.appendChild(viewport);
+
+    this.root.appendChild(band);
+    const layer = new BGLayer(viewport);
+    const entry = { band, viewport, layer, region: null, lastUsedFrame: 0 };
+    this.entries.push(entry);
+    return entry;
+  }
+
+  _createStrip() {
+    const strip = new BGStrip(this.root);
+    this.strips.push(strip);
+    return strip;
+  }
+}
+
+function _bandsToClipPath(bands) {
+  // One polygon tracing every band; the connecting edges run along x=0 and
+  // enclose no area, so gaps between bands stay clipped. A partial band is
+  // reached by a spur along its top edge that retraces itself.
+  const points = [];
+  for (const [y0, y1, x0 = 0, x1 = 256] of bands) {
+    if (x0 === 0 && x1 === 256) {
+      points.push(`0% ${y0}px`, `100% ${y0}px`, `100% ${y1}px`, `0% ${y1}px`);
+      continue;
+    }
+    const right = x1 === 256 ? '100%' : `${x1}px`;
+    points.push(
+      `0% ${y0}px`, `${x0}px ${y0}px`, `${right} ${y0}px`,
+      `${right} ${y1}px`, `${x0}px ${y1}px`, `${x0}px ${y0}px`, `0% ${y0}px`
+    );
+  }
+  return `polygon(${points.join(', ')})`;
+}
+
+function _bandLabel([y0, y1, x0 = 0, x1 = 256]) {
+  return x0 === 0 && x1 === 256 ? `${y0}-${y1}` : `${y0}-${y1}@${x0}-${x1}`;
+}
+
+function _sameLayerState(a, b) {
+  if (!a || !b) return false;
+  const sa = a.scroll;
+  const sb = b.scroll;
+  if (!!sa !== !!sb) return false;
+  if (sa && (
+    sa.coarseX !== sb.coarseX ||
+    sa.coarseY !== sb.coarseY ||
+    sa.fineX !== sb.fineX ||
+    sa.fineY !== sb.fineY ||
+    sa.nameTableH !== sb.nameTableH ||
+    sa.nameTableV !== sb.nameTableV
+  )) {
+    return false;
+  }
 
-      const viewport = document.createElement('div');
-      viewport.className = 'bg-region-viewport';
-      band.appendChild(viewport);
+  return (
+    (a.bgVisible !== false) === (b.bgVisible !== false) &&
+    (a.emphasis ?? 0) === (b.emphasis ?? 0) &&
+    !!a.greyscale === !!b.greyscale &&
+    a.bgPatternBase === b.bgPatternBase &&
+    a.chrSetKey === b.chrSetKey &&
+    _sameFour(a.mirrorMap, b.mirrorMap) &&
+    _sameSignature(a.chrSignature, b.chrSignature)
+  );
+}
+
+function _layerStateDistance(a, b) {
+  const scrollDelta =
+    Math.abs(_scrollX(a) - _scrollX(b)) +
+    Math.abs(_scrollY(a) - _scrollY(b));
+  const flagPenalty =
+    ((a.bgVisible !== false) !== (b.bgVisible !== false) ? 512 : 0) +
+    ((a.emphasis ?? 0) !== (b.emphasis ?? 0) ? 512 : 0) +
+    (!!a.greyscale !== !!b.greyscale ? 512 : 0) +
+    (a.bgPatternBase !== b.bgPatternBase ? 256 : 0) +
+    (a.chrSetKey !== b.chrSetKey ? 256 : 0) +
+    (_sameFour(a.mirrorMap, b.mirrorMap) ? 0 : 1024);
+  return scrollDelta + flagPenalty;
+}
+
+function _scrollX(region) {
+  const s = region.scroll;
+  return s ? s.coarseX * 8 + s.fineX + s.nameTableH * 256 : 0;
+}
+
+function _scrollY(region) {
+  const s = region.scroll;
+  return s ? s.coarseY * 8 + s.fineY + s.nameTableV * 240 : 0;
+}
+
+function _sameFour(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return !a && !b;
+  return a[0] === b[0] && a[1] === b[1] && a[2] === b[2] && a[3] === b[3];
+}
 
-      this.root.appendChild(band);
-      const layer = new BGLayer(viewport);
-      this.entries.push({ band, viewport, layer });
+function _sameSignature(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b)) return !a && !b;
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    const ea = a[i];
+    const eb = b[i];
+    if (Array.isArray(ea) && Array.isArray(eb)) {
+      if (ea[0] !== eb[0] || ea[1] !== eb[1] || ea[2] !== eb[2] || ea[3] !== eb[3]) return false;
+    } else if (ea !== eb) {
+      return false;
     }
   }
+  return true;
 }
 
 function _clampInt(value, min, max) {
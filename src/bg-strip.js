@@ -0,0 +1,142 @@
+/**
+ * Background strip: only the nametable tiles under one screen rectangle,
+ * scrolled on its own. BGRegionLayer draws raster bands beyond its grid
+ * budget with strips, so every scanline keeps its own scroll for about 33
+ * tile nodes per tile row crossed instead of a 3,840-node BGLayer.
+ */
+export class BGStrip {
+  constructor(container) {
+    this.el = document.createElement('div');
+    this.el.className = 'bg-strip';
+    this.el.dataset.layer = 'background-strip';
+
+    // Tile grid, offset by the fine scroll within the first tile
+    this.grid = document.createElement('div');
+    this.grid.className = 'bg-strip-tiles';
+    this.el.appendChild(this.grid);
+    container.appendChild(this.el);
+
+    this.cells = [];
+    this.prevTile = new Int16Array(0);
+    this.prevAttrib = new Int8Array(0);
+    this.cols = 0;
+    this._activeBgSetClass = '';
+  }
+
+  /**
+   * @param {object} ppuState - the band's region state (see BGRegionLayer)
+   * @param {object} tileCache
+   * @param {number[]} band - [yStart, yEnd, xStart, xEnd] in screen pixels
+   */
+  update(ppuState, tileCache, [yStart, yEnd, xStart = 0, xEnd = 256]) {
+    const { nameTables, mirrorMap, scroll } = ppuState;
+    const style = this.el.style;
+    style.display = ppuState.bgVisible === false ? 'none' : '';
+    style.top = `${yStart}px`;
+    style.left = `${xStart}px`;
+    style.width = `${xEnd - xStart}px`;
+    style.height = `${yEnd - yStart}px`;
+    if (ppuState.bgVisible === false) return;
+
+    const bgSetClass = typeof tileCache.activateBgSet === 'function'
+      ? tileCache.activateBgSet(
+        ppuState.bgPatternBase,
+        ppuState.chrBankSignature,
+        ppuState.chrSetKey,
+        { emphasis: ppuState.emphasis ?? 0, greyscale: !!ppuState.greyscale }
+      )
+      : '';
+    this._applyBgSetClass(bgSetClass);
+
+    // World position (in the 512x480 nametable space) of the band's top-left pixel
+    const worldX = (scroll.coarseX * 8 + scroll.fineX + scroll.nameTableH * 256 + xStart) % 512;
+    const worldY = (scroll.coarseY * 8 + scroll.fineY + scroll.nameTableV * 240 + yStart) % 480;
+    const cols = ((worldX & 7) + (xEnd - xStart) + 7) >> 3;
+    const rows = ((worldY & 7) + (yEnd - yStart) + 7) >> 3;
+    this._resize(cols, rows);
+    this.grid.style.transform = `translate(${-(worldX & 7)}px, ${-(worldY & 7)}px)`;
+
+    // Palette-variable sheets are masks, positioned like the background.
+    const maskSheets = tileCache.paletteMode === 'variables';
+    const firstCol = worldX >> 3;
+    const firstRow = worldY >> 3;
+    for (let r = 0; r < rows; r++) {
+      const wy = (firstRow + r) % 60;
+      for (let c = 0; c < cols; c++) {
+        const wx = (firstCol + c) % 64;
+        const logicalNT = (wy >= 30 ? 2 : 0) + (wx >= 32 ? 1 : 0);
+        const ntData = nameTables[mirrorMap[logicalNT]];
+        if (!ntData) continue;
+        const slot = (wy % 30) * 32 + (wx % 32);
+        this._updateCell(r * cols + c, ntData.tile[slot], ntData.attrib[slot], tileCache, maskSheets);
+      }
+    }
+  }
+
+  hide() {
+    this.el.style.display = 'none';
+  }
+
+  resetDiffCache() {
+    this.prevTile.fill(-1);
+    this.prevAttrib.fill(-1);
+    this._applyBgSetClass('');
+  }
+
+  remove() {
+    this.el.remove();
+  }
+
+  _resize(cols, rows) {
+    const count = cols * rows;
+    if (cols !== this.cols) {
+      this.cols = cols;
+      this.grid.style.gridTemplateColumns = `repeat(${cols}, 8px)`;
+    }
+    if (count === this.cells.length) return;
+
+    while (this.cells.length < count) {
+      const d = document.createElement('div');
+      d.className = 'bg-tile';
+      d.dataset.type = 'bg-tile';
+      this.grid.appendChild(d);
+      this.cells.push(d);
+    }
+    while (this.cells.length > count) this.cells.pop().remove();
+    this.prevTile = new Int16Array(count).fill(-1);
+    this.prevAttrib = new Int8Array(count).fill(-1);
+  }
+
+  _updateCell(i, tileIdx, rawAttrib, tileCache, maskSheets) {
+    const palGroup = rawAttrib >> 2;
+    const tileChanged = tileIdx !== this.prevTile[i];
+    const attribChanged = rawAttrib !== this.prevAttrib[i];
+    if (!tileChanged && !attribChanged && !tileCache.bgSheetUpdated(palGroup)) return;
+
+    const div = this.cells[i];
+    const position = tileCache.getTilePosition(tileIdx);
+    div.style.backgroundPosition = position;
+    if (maskSheets) div.style.setProperty('mask-position', position);
+    if (tileChanged) {
+      div.dataset.tileIdx = tileIdx;
+      div.dataset.tileHex = '$' + tileIdx.toString(16).padStart(2, '0');
+      this.prevTile[i] = tileIdx;
+    }
+    if (attribChanged) {
+      div.className = `bg-tile bg-pal-${palGroup}`;
+      div.dataset.palette = palGroup;
+      this.prevAttrib[i] = rawAttrib;
+    }
+  }
+
+  _applyBgSetClass(bgSetClass) {
+    if (this._activeBgSetClass && this._activeBgSetClass !== bgSetClass) {
+      this.grid.classList.remove(this._activeBgSetClass);
+    }
+    if (bgSetClass && this._activeBgSetClass !== bgSetClass) {
+      this.grid.classList.add(bgSetClass);
+    }
+    this._activeBgSetClass = bgSetClass || '';
+    this.el.dataset.bgSet = this._activeBgSetClass;
+  }
+}
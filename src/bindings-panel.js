@@ -0,0 +1,243 @@
+/**
+ * Bindings Panel — remap keyboard keys for both pads and buttons per
+ * connected gamepad. Click a cell, then press the key (or gamepad button) to
+ * bind; Escape cancels, Delete clears. Shortcut collisions are listed as
+ * warnings above the tables.
+ */
+import { NES_BUTTON_NAMES, PLAYER_COUNT } from './input-bindings.js';
+
+const KEY_LABELS = {
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ShiftRight: 'RShift',
+  ShiftLeft: 'LShift',
+};
+
+export class BindingsPanel {
+  /**
+   * @param {HTMLElement} inspectorEl
+   * @param {import('./input-bindings.js').InputBindings} bindings
+   * @param {object} [options]
+   * @param {import('./input-bindings.js').GamepadPoller} [options.poller]
+   * @param {(message: string) => void} [options.onWarning]
+   */
+  constructor(inspectorEl, bindings, options = {}) {
+    this.bindings = bindings;
+    this.poller = options.poller ?? null;
+    this.onWarning = options.onWarning ?? null;
+    this.visible = false;
+    // { kind: 'key', player, button } | { kind: 'pad', id, button }
+    this.capture = null;
+    this._padRaf = null;
+
+    this.container = document.createElement('div');
+    this.container.className = 'inspector-subpanel bindings-panel';
+    this.container.style.display = 'none';
+
+    const header = document.createElement('div');
+    header.className = 'subpanel-header';
+    header.textContent = 'Controls';
+    this.container.appendChild(header);
+
+    this.warningEl = document.createElement('div');
+    this.warningEl.className = 'bindings-warning';
+    this.container.appendChild(this.warningEl);
+
+    this.keyTable = document.createElement('table');
+    this.keyTable.className = 'bindings-table';
+    this.container.appendChild(this.keyTable);
+
+    this.padSection = document.createElement('div');
+    this.padSection.className = 'bindings-gamepads';
+    this.container.appendChild(this.padSection);
+
+    const resetBtn = document.createElement('button');
+    resetBtn.className = 'bindings-reset';
+    resetBtn.textContent = 'Restore defaults';
+    resetBtn.addEventListener('click', () => {
+      this.bindings.reset();
+      this.cancelCapture();
+    });
+    this.container.appendChild(resetBtn);
+
+    this.container.addEventListener('click', (e) => this._onClick(e));
+    this.container.addEventListener('change', (e) => this._onChange(e));
+
+    inspectorEl.appendChild(this.container);
+    this.refresh();
+  }
+
+  get capturing() {
+    return this.capture !== null;
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.container.style.display = this.visible ? '' : 'none';
+    if (this.visible) this.refresh();
+    else this.cancelCapture();
+    return this.visible;
+  }
+
+  /**
+   * Feed a keydown while capturing.
+   * @returns {boolean} true when the key was consumed
+   */
+  captureKey(code) {
+    const capture = this.capture;
+    if (!capture) return false;
+    if (code === 'Escape') {
+      this.cancelCapture();
+      return true;
+    }
+    if (capture.kind !== 'key') return true;
+
+    this.capture = null;
+    if (code === 'Delete') {
+      this.bindings.clearKey(capture.player, capture.button);
+      this.refresh();
+      return true;
+    }
+
+    const result = this.bindings.setKey(capture.player, capture.button, code);
+    const label = `P${capture.player} ${NES_BUTTON_NAMES[capture.button]}`;
+    if (result.shortcut) {
+      this._warn(`${label}: ${_keyLabel(code)} also toggles ${result.shortcut}; the shortcut is disabled while bound`);
+    } else if (result.displaced) {
+      this._warn(`${label}: ${_keyLabel(code)} moved from P${result.displaced.player} ${NES_BUTTON_NAMES[result.displaced.button]}`);
+    }
+    this.refresh();
+    return true;
+  }
+
+  cancelCapture() {
+    this.capture = null;
+    if (this._padRaf !== null) {
+      cancelAnimationFrame(this._padRaf);
+      this._padRaf = null;
+    }
+    this.refresh();
+  }
+
+  refresh() {
+    this._renderKeys();
+    this._renderGamepads();
+    this._renderWarnings();
+  }
+
+  _renderKeys() {
+    const collisionCodes = new Set(this.bindings.shortcutCollisions().map((c) => c.code));
+    const rows = ['<tr><th>Button</th>'];
+    for (let p = 1; p <= PLAYER_COUNT; p++) rows.push(`<th>P${p}</th>`);
+    rows.push('</tr>');
+    NES_BUTTON_NAMES.forEach((name, b) => {
+      rows.push(`<tr><td>${name}</td>`);
+      for (let p = 1; p <= PLAYER_COUNT; p++) {
+        const code = this.bindings.keyFor(p, b);
+        const capturing = this.capture?.kind === 'key' && this.capture.player === p && this.capture.button === b;
+        const collides = collisionCodes.has(code);
+        const cls = ['binding-key', capturing ? 'capturing' : '', collides ? 'binding-collision' : ''].join(' ').trim();
+        const text = capturing ? 'press a key…' : (code ? _keyLabel(code) : '—');
+        rows.push(`<td><button class="${cls}" data-player="${p}" data-button="${b}">${text}</button></td>`);
+      }
+      rows.push('</tr>');
+    });
+    this.keyTable.innerHTML = rows.join('');
+  }
+
+  _renderGamepads() {
+    const pads = this.poller?.connected() ?? [];
+    if (pads.length === 0) {
+      this.padSection.innerHTML = '<div class="bindings-note">No gamepad connected (press a button on one to wake it).</div>';
+      return;
+    }
+
+    const parts = [];
+    for (const pad of pads) {
+      const mapping = this.bindings.gamepadMapping(pad.id);
+      const id = _escape(pad.id);
+      const options = ['<option value="">Auto</option>'];
+      for (let p = 1; p <= PLAYER_COUNT; p++) {
+        options.push(`<option value="${p}"${mapping.player === p ? ' selected' : ''}>P${p}</option>`);
+      }
+      parts.push(`<div class="bindings-pad" data-pad-id="${id}">`);
+      parts.push(`<div class="bindings-pad-name">#${pad.index} ${id} → P${pad.player}`);
+      parts.push(` <select class="bindings-pad-player" data-pad-id="${id}">${options.join('')}</select></div>`);
+      parts.push('<table class="bindings-table">');
+      NES_BUTTON_NAMES.forEach((name, b) => {
+        const capturing = this.capture?.kind === 'pad' && this.capture.id === pad.id && this.capture.button === b;
+        const text = capturing ? 'press a button…' : `Btn ${mapping.buttons[b]}`;
+        parts.push(`<tr><td>${name}</td><td><button class="binding-pad${capturing ? ' capturing' : ''}" `
+          + `data-pad-id="${id}" data-button="${b}">${text}</button></td></tr>`);
+      });
+      parts.push('</table></div>');
+    }
+    this.padSection.innerHTML = parts.join('');
+  }
+
+  _renderWarnings() {
+    const collisions = this.bindings.shortcutCollisions();
+    this.warningEl.innerHTML = collisions
+      .map((c) => `<div>P${c.player} ${NES_BUTTON_NAMES[c.button]} (${_keyLabel(c.code)}) shadows the ${c.shortcut} shortcut</div>`)
+      .join('');
+    this.warningEl.style.display = collisions.length > 0 ? '' : 'none';
+  }
+
+  _onClick(e) {
+    const keyBtn = e.target.closest('.binding-key');
+    if (keyBtn) {
+      this.cancelCapture();
+      this.capture = { kind: 'key', player: Number(keyBtn.dataset.player), button: Number(keyBtn.dataset.button) };
+      this.refresh();
+      return;
+    }
+    const padBtn = e.target.closest('.binding-pad');
+    if (padBtn && this.poller) {
+      this.cancelCapture();
+      this.capture = { kind: 'pad', id: padBtn.dataset.padId, button: Number(padBtn.dataset.button) };
+      this.poller.pollRawPress(); // baseline, so a button already held does not count
+      this._waitForPadButton();
+      this.refresh();
+    }
+  }
+
+  _onChange(e) {
+    const select = e.target.closest('.bindings-pad-player');
+    if (!select) return;
+    this.bindings.setGamepadPlayer(select.dataset.padId, select.value ? Number(select.value) : null);
+    this.refresh();
+  }
+
+  _waitForPadButton() {
+    this._padRaf = requestAnimationFrame(() => {
+      this._padRaf = null;
+      const capture = this.capture;
+      if (capture?.kind !== 'pad') return;
+      const press = this.poller.pollRawPress();
+      if (press && press.id === capture.id) {
+        this.capture = null;
+        this.bindings.setGamepadButton(capture.id, capture.button, press.button);
+        this.refresh();
+        return;
+      }
+      this._waitForPadButton();
+    });
+  }
+
+  _warn(message) {
+    this.onWarning?.(message);
+  }
+}
+
+function _keyLabel(code) {
+  if (KEY_LABELS[code]) return KEY_LABELS[code];
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  return code;
+}
+
+function _escape(text) {
+  return String(text).replace(/[&<>"]/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[ch]));
+}
@@ -0,0 +1,431 @@
+/**
+ * Per-mapper CHR bank decoders. The tracer feeds every mapper register write
+ * through one of these, so `chrBankSignature` lists the 1KB CHR banks mapped
+ * at $0000-$1FFF ([bank0..bank7]) instead of hashing ptTile object identities.
+ * Bank numbers follow what jsnes actually loads, quirks included, so they
+ * always name the tiles sitting in `ppu.ptTile`.
+ */
+
+// 1KB banks in one 4KB jsnes VROM bank.
+const BANKS_PER_VROM = 4;
+
+// Tiles per 1KB bank.
+const TILES_PER_BANK = 64;
+
+// 8KB bank 0, which every jsnes mapper loads at power-on.
+export const POWER_ON_CHR_BANKS = Object.freeze([0, 1, 2, 3, 4, 5, 6, 7]);
+
+/**
+ * Fixed CHR (NROM, UxROM, AxROM, CHR-RAM carts): no register changes banks.
+ * Also the base class that bank-switching decoders extend.
+ */
+export class CHRBankDecoder {
+  /**
+   * @param {number} bankCount - 1KB CHR-ROM banks on the cart (0 for CHR-RAM)
+   */
+  constructor(bankCount = 0) {
+    this.bankCount = Math.max(0, bankCount);
+    this.banks = POWER_ON_CHR_BANKS.slice();
+    this.mapper = null;
+  }
+
+  /** True if a CPU write to `address` can change CHR banking. */
+  handles() {
+    return false;
+  }
+
+  write() {}
+
+  /**
+   * Adopt the live mapper's banks and mode registers, after loadROM() or
+   * fromJSON() replaced the state this decoder was following.
+   * @param {object|null} mapper - jsnes mapper instance
+   * @param {Array<number|string>} [banks] - mapped 1KB banks (see inferCHRBanks)
+   */
+  sync(mapper, banks) {
+    this.mapper = mapper ?? null;
+    if (Array.isArray(banks) && banks.length === 8) this.banks = banks.slice();
+  }
+
+  /** @returns {Array<number|string>} eight 1KB bank ids */
+  signature() {
+    return this.banks.slice();
+  }
+
+  // jsnes wraps every CHR load modulo the ROM size and skips loads on CHR-RAM carts.
+  _set1k(slot, bank) {
+    if (this.bankCount === 0) return;
+    this.banks[slot] = bank % this.bankCount;
+  }
+
+  _set4k(slot, bank4k) {
+    for (let i = 0; i < BANKS_PER_VROM; i++) this._set1k(slot + i, bank4k * BANKS_PER_VROM + i);
+  }
+
+  _set8k(bank8k) {
+    this._set4k(0, bank8k * 2);
+    this._set4k(4, bank8k * 2 + 1);
+  }
+}
+
+/**
+ * MMC1: 5-bit serial shift register, 8KB or 4KB CHR mode. jsnes treats
+ * bit 4 of a CHR bank as "upper half of CHR" and does not clear bit 0 in
+ * 8KB mode; both quirks are mirrored here.
+ */
+export class MMC1Decoder extends CHRBankDecoder {
+  constructor(bankCount) {
+    super(bankCount);
+    this._shift = 0;
+    this._count = 0;
+    this._chr4k = 0;
+  }
+
+  handles(address) {
+    return address >= 0x8000;
+  }
+
+  write(address, value) {
+    if (value & 0x80) {
+      this._shift = 0;
+      this._count = 0;
+      return;
+    }
+    this._shift |= (value & 1) << this._count;
+    if (++this._count < 5) return;
+    this._setRegister((address >> 13) & 3, this._shift);
+    this._shift = 0;
+    this._count = 0;
+  }
+
+  sync(mapper, banks) {
+    super.sync(mapper, banks);
+    this._shift = mapper?.regBuffer ?? 0;
+    this._count = mapper?.regBufferCounter ?? 0;
+    this._chr4k = mapper?.vromSwitchingSize ?? 0;
+  }
+
+  _setRegister(register, value) {
+    if (register === 0) {
+      this._chr4k = (value >> 4) & 1;
+      return;
+    }
+    if (register === 3) return;
+
+    const upper = value & 0x10 ? Math.floor(this.bankCount / BANKS_PER_VROM / 2) : 0;
+    const bank4k = upper + (value & 0x0f);
+    if (register === 1 && this._chr4k === 0) {
+      this._set4k(0, bank4k);
+      this._set4k(4, bank4k + 1);
+    } else if (register === 1) {
+      this._set4k(0, bank4k);
+    } else if (this._chr4k === 1) {
+      this._set4k(4, bank4k);
+    }
+  }
+}
+
+/**
+ * MMC3: $8000 selects R0-R7 and the CHR A12 inversion, $8001 loads the
+ * selected register. R0/R1 are 2KB banks, R2-R5 1KB. jsnes decodes only
+ * the exact register addresses and applies inversion on the next load.
+ */
+export class MMC3Decoder extends CHRBankDecoder {
+  constructor(bankCount) {
+    super(bankCount);
+    this._command = 0;
+    this._invert = 0;
+  }
+
+  handles(address) {
+    return address === 0x8000 || address === 0x8001;
+  }
+
+  write(address, value) {
+    if (address === 0x8000) {
+      this._command = value & 7;
+      this._invert = (value >> 7) & 1;
+    } else if (this._command <= 5) {
+      this._load(this._command, value);
+    }
+  }
+
+  sync(mapper, banks) {
+    super.sync(mapper, banks);
+    this._command = mapper?.command ?? 0;
+    this._invert = mapper?.chrAddressSelect ?? 0;
+  }
+
+  _load(command, value) {
+    const flip = this._invert ? 4 : 0;
+    if (command < 2) {
+      const slot = (command * 2) ^ flip;
+      this._set1k(slot, value);
+      this._set1k(slot + 1, value + 1);
+    } else {
+      this._set1k((command + 2) ^ flip, value);
+    }
+  }
+}
+
+/** TxSROM (118): MMC3 with CHR bit 7 wired to nametable select. */
+export class TxSROMDecoder extends MMC3Decoder {
+  _load(command, value) {
+    super._load(command, value & 0x7f);
+  }
+}
+
+/**
+ * TQROM (119): MMC3 where bit 6 of a CHR bank picks the cart's 8KB of
+ * CHR-RAM. RAM banks are reported as 'ram0'-'ram7'.
+ */
+export class TQROMDecoder extends MMC3Decoder {
+  _load(command, value) {
+    if (!(value & 0x40)) {
+      super._load(command, value & 0x3f);
+      return;
+    }
+    const flip = this._invert ? 4 : 0;
+    if (command < 2) {
+      const slot = (command * 2) ^ flip;
+      this.banks[slot] = `ram${value & 0x06}`;
+      this.banks[slot + 1] = `ram${(value & 0x06) + 1}`;
+    } else {
+      this.banks[(command + 2) ^ flip] = `ram${value & 0x07}`;
+    }
+  }
+}
+
+/**
+ * MMC5: $5101 picks 8/4/2/1KB CHR pages and $5120-$5127 load them. jsnes
+ * only stubs MMC5, so this follows the hardware; the BG-only set at
+ * $5128-$512B (used with 8x16 sprites) is not represented.
+ */
+export class MMC5Decoder extends CHRBankDecoder {
+  constructor(bankCount) {
+    super(bankCount);
+    this._mode = 3;
+    this._pages = new Array(8).fill(0);
+  }
+
+  handles(address) {
+    return address === 0x5101 || (address >= 0x5120 && address <= 0x5127);
+  }
+
+  write(address, value) {
+    if (address === 0x5101) {
+      this._mode = value & 3;
+    } else {
+      this._pages[address & 7] = value;
+    }
+    this._apply();
+  }
+
+  _apply() {
+    const size = 8 >> this._mode; // 1KB banks per page
+    for (let start = 0; start < 8; start += size) {
+      const page = this._pages[start + size - 1];
+      for (let i = 0; i < size; i++) this._set1k(start + i, page * size + i);
+    }
+  }
+}
+
+/**
+ * MMC2 (9): two 4KB registers per pattern table, chosen by latches that
+ * flip when the PPU fetches tiles $FD/$FE. Latch state is read from the
+ * mapper because it changes on fetches, not writes.
+ */
+export class MMC2Decoder extends CHRBankDecoder {
+  constructor(bankCount) {
+    super(bankCount);
+    this._registers = { 0xb000: 0, 0xc000: 0, 0xd000: 0, 0xe000: 0 };
+  }
+
+  handles(address) {
+    const register = address & 0xf000;
+    return register >= 0xb000 && register <= 0xe000;
+  }
+
+  write(address, value) {
+    this._registers[address & 0xf000] = value & 0x1f;
+  }
+
+  sync(mapper, banks) {
+    super.sync(mapper, banks);
+    this._registers[0xb000] = mapper?.chrBankFD0 ?? 0;
+    this._registers[0xc000] = mapper?.chrBankFE0 ?? 0;
+    this._registers[0xd000] = mapper?.chrBankFD1 ?? 0;
+    this._registers[0xe000] = mapper?.chrBankFE1 ?? 0;
+  }
+
+  signature() {
+    const latch0 = this.mapper?.latch0 ?? 0xfe;
+    const latch1 = this.mapper?.latch1 ?? 0xfe;
+    this._set4k(0, this._registers[latch0 === 0xfd ? 0xb000 : 0xc000]);
+    this._set4k(4, this._registers[latch1 === 0xfd ? 0xd000 : 0xe000]);
+    return super.signature();
+  }
+}
+
+/**
+ * Discrete boards that swap all 8KB of CHR from one latch register.
+ */
+export class CHRLatchDecoder extends CHRBankDecoder {
+  /**
+   * @param {number} bankCount
+   * @param {{ handles: (address: number) => boolean, bank: (value: number) => number }} latch
+   */
+  constructor(bankCount, latch) {
+    super(bankCount);
+    this.latch = latch;
+  }
+
+  handles(address) {
+    return this.latch.handles(address);
+  }
+
+  write(address, value) {
+    this._set8k(this.latch.bank(value));
+  }
+}
+
+// 8KB CHR latches by iNES mapper number: register range and bank bits.
+const CHR_8K_LATCHES = {
+  3: { handles: (a) => a >= 0x8000, bank: (v) => v }, // CNROM
+  11: { handles: (a) => a >= 0x8000, bank: (v) => v >> 4 }, // Color Dreams
+  38: { handles: (a) => a >= 0x7000 && a <= 0x7fff, bank: (v) => (v >> 2) & 3 }, // PCI556
+  66: { handles: (a) => a >= 0x8000, bank: (v) => v & 3 }, // GxROM
+  79: { handles: (a) => (a & 0xe100) === 0x4100, bank: (v) => v & 7 }, // NINA-03/06
+  140: { handles: (a) => a >= 0x6000 && a <= 0x7fff, bank: (v) => v & 0x0f }, // Jaleco JF-11/14
+  240: { handles: (a) => a >= 0x4020 && a <= 0x5fff, bank: (v) => v & 0x0f },
+};
+
+// Register-decoding CHR mappers by iNES mapper number.
+const CHR_DECODERS = {
+  1: MMC1Decoder,
+  4: MMC3Decoder,
+  5: MMC5Decoder,
+  9: MMC2Decoder,
+  118: TxSROMDecoder,
+  119: TQROMDecoder,
+};
+
+/**
+ * Decoder for the cart loaded into `nes`, seeded from its current mapping.
+ * Mappers without CHR banking (or unknown ones) get a fixed decoder.
+ * @param {object} nes - jsnes NES instance
+ * @returns {CHRBankDecoder}
+ */
+export function createCHRBankDecoder(nes) {
+  const mapperType = nes?.rom?.mapperType;
+  const bankCount = (nes?.rom?.vromCount ?? 0) * BANKS_PER_VROM;
+  const Decoder = CHR_DECODERS[mapperType];
+
+  let decoder;
+  if (Decoder) decoder = new Decoder(bankCount);
+  else if (CHR_8K_LATCHES[mapperType]) decoder = new CHRLatchDecoder(bankCount, CHR_8K_LATCHES[mapperType]);
+  else decoder = new CHRBankDecoder(bankCount);
+
+  decoder.sync(nes?.mmap ?? null, inferCHRBanks(nes));
+  return decoder;
+}
+
+/**
+ * Read the mapped banks back out of `ppu.ptTile` by finding each 1KB slot's
+ * first tile among the cart's decoded banks. After `nes.fromJSON()` the slots
+ * hold copies (jsnes rebuilds ptTile and only restores pixels, and its mappers
+ * do not save CHR bank registers), so those are matched by content against
+ * the CHR-ROM banks instead. Only used to seed decoders and when no trace is
+ * available; slots it cannot place keep their power-on bank.
+ * @param {object} nes - jsnes NES instance
+ * @returns {Array<number|string>} eight 1KB bank ids
+ */
+export function inferCHRBanks(nes) {
+  const banks = POWER_ON_CHR_BANKS.slice();
+  const tiles = nes?.ppu?.ptTile;
+  const index = _bankIndex(nes);
+  if (!Array.isArray(tiles) || !index) return banks;
+
+  for (let slot = 0; slot < 8; slot++) {
+    const start = slot * TILES_PER_BANK;
+    const bank = index.get(tiles[start]) ?? _matchBankPixels(nes, tiles, start);
+    if (bank !== undefined) banks[slot] = bank;
+  }
+  return banks;
+}
+
+const _bankIndexes = new WeakMap();
+
+// First tile of every CHR-ROM (and TQROM CHR-RAM) 1KB bank -> bank id, per mapper.
+function _bankIndex(nes) {
+  const mapper = nes?.mmap;
+  const vromTile = nes?.rom?.vromTile;
+  if (!mapper || !Array.isArray(vromTile)) return null;
+
+  let index = _bankIndexes.get(mapper);
+  if (index) return index;
+
+  index = new Map();
+  for (let vrom = 0; vrom < vromTile.length; vrom++) {
+    for (let i = 0; i < BANKS_PER_VROM; i++) {
+      const tile = vromTile[vrom]?.[i * TILES_PER_BANK];
+      if (tile) index.set(tile, vrom * BANKS_PER_VROM + i);
+    }
+  }
+  const ramTiles = Array.isArray(mapper.chrRamTiles) ? mapper.chrRamTiles : [];
+  for (let bank = 0; bank < ramTiles.length; bank++) {
+    if (ramTiles[bank]?.[0]) index.set(ramTiles[bank][0], `ram${bank}`);
+  }
+  _bankIndexes.set(mapper, index);
+  return index;
+}
+
+const _bankPixelIndexes = new WeakMap();
+
+// CHR-ROM 1KB bank whose tiles have the same pixels as tiles[start..start+63].
+// Banks with identical pixels resolve to the first of them, which draws the same.
+function _matchBankPixels(nes, tiles, start) {
+  const vromTile = nes.rom.vromTile;
+  let index = _bankPixelIndexes.get(nes.rom);
+  if (!index) {
+    // Pixel hash -> bank ids with that hash
+    index = new Map();
+    for (let vrom = 0; vrom < vromTile.length; vrom++) {
+      for (let i = 0; i < BANKS_PER_VROM; i++) {
+        const hash = _hashBankPixels(vromTile[vrom], i * TILES_PER_BANK);
+        if (hash === null) continue;
+        if (!index.has(hash)) index.set(hash, []);
+        index.get(hash).push(vrom * BANKS_PER_VROM + i);
+      }
+    }
+    _bankPixelIndexes.set(nes.rom, index);
+  }
+
+  const candidates = index.get(_hashBankPixels(tiles, start));
+  return candidates?.find((bank) => _sameBankPixels(
+    tiles,
+    start,
+    vromTile[Math.floor(bank / BANKS_PER_VROM)],
+    (bank % BANKS_PER_VROM) * TILES_PER_BANK,
+  ));
+}
+
+// FNV-1a over the pixels of 64 tiles; null if any tile is missing.
+function _hashBankPixels(tiles, start) {
+  let hash = 0x811c9dc5;
+  for (let t = start; t < start + TILES_PER_BANK; t++) {
+    const pix = tiles?.[t]?.pix;
+    if (!pix) return null;
+    for (let p = 0; p < 64; p++) hash = Math.imul(hash ^ pix[p], 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function _sameBankPixels(a, aStart, b, bStart) {
+  for (let t = 0; t < TILES_PER_BANK; t++) {
+    const pa = a[aStart + t].pix;
+    const pb = b[bStart + t].pix;
+    for (let p = 0; p < 64; p++) if (pa[p] !== pb[p]) return false;
+  }
+  return true;
+}
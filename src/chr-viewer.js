@@ -11,6 +11,7 @@ export class CHRViewer {
     this._useBgPalette = false;
     this._forceRedraw = false;
     this._frameSkip = 0;
+    this._banks = null;
 
     // Container
     this.container = document.createElement('div');
@@ -57,6 +58,7 @@ export class CHRViewer {
     const label0 = document.createElement('div');
     label0.className = 'chr-table-label';
     label0.textContent = '$0000';
+    this.label0 = label0;
     this.canvas0 = document.createElement('canvas');
     this.canvas0.width = 128;
     this.canvas0.height = 128;
@@ -71,6 +73,7 @@ export class CHRViewer {
     const label1 = document.createElement('div');
     label1.className = 'chr-table-label';
     label1.textContent = '$1000';
+    this.label1 = label1;
     this.canvas1 = document.createElement('canvas');
     this.canvas1.width = 128;
     this.canvas1.height = 128;
@@ -115,6 +118,7 @@ export class CHRViewer {
     }
     this._frameSkip = 0;
     this._forceRedraw = false;
+    this._updateBankLabels(ppuState.chrBankSignature);
 
     const tileCache = this.renderer.tileCache;
     const palGroup = this._palGroup;
@@ -180,11 +184,31 @@ export class CHRViewer {
     const address = baseIndex + tileIndex;
     const hexAddr = '$' + (address * 16).toString(16).toUpperCase().padStart(4, '0');
 
-    this.tooltip.textContent = `${hexAddr} (#${address})`;
+    const bank = this._banks?.[address >> 6];
+    this.tooltip.textContent = bank === undefined
+      ? `${hexAddr} (#${address})`
+      : `${hexAddr} (#${address}) bank ${_formatBank(bank)}`;
     this.tooltip.style.display = '';
   }
 
   _hideTooltip() {
     this.tooltip.style.display = 'none';
   }
+
+  // Mapped 1KB banks per pattern table, e.g. "$0000 banks 08 09 0A 0B".
+  _updateBankLabels(signature) {
+    if (!Array.isArray(signature) || signature.length < 8) {
+      this._banks = null;
+      return;
+    }
+    this._banks = signature.slice(0, 8);
+    this.label0.textContent = `$0000 banks ${this._banks.slice(0, 4).map(_formatBank).join(' ')}`;
+    this.label1.textContent = `$1000 banks ${this._banks.slice(4, 8).map(_formatBank).join(' ')}`;
+    this.label0.dataset.banks = this._banks.slice(0, 4).join(',');
+    this.label1.dataset.banks = this._banks.slice(4, 8).join(',');
+  }
+}
+
+function _formatBank(bank) {
+  return typeof bank === 'number' ? bank.toString(16).toUpperCase().padStart(2, '0') : String(bank);
 }
@@ -13,9 +13,26 @@ import { NametableViewer } from './nametable-viewer.js';
 import { PaletteViewer } from './palette-viewer.js';
 import { OAMViewer } from './oam-viewer.js';
 import { CHRViewer } from './chr-viewer.js';
+import { IRQViewer } from './irq-viewer.js';
+import { writeBgPaletteVars } from './palette-vars.js';
+
+// Raster scenes (wavy water, per-line parallax) get this many grids; bands
+// past them are drawn as per-band strips (see BGRegionLayer).
+const DEFAULT_MAX_RASTER_LAYERS = 6;
 
 export class CSSRenderer {
-  constructor(wrapperEl) {
+  /**
+   * @param {HTMLElement} wrapperEl
+   * @param {object} [options]
+   * @param {number} [options.maxRegions] - BG region band budget
+   * @param {number} [options.maxRegionLayers] - pooled BGLayer budget for region mode
+   * @param {number} [options.maxRasterLayers] - pooled BGLayer budget for raster mode
+   * @param {Worker|object|false} [options.sheetWorker] - sheet encoder (see TileCache)
+   * @param {number} [options.maxSheetLatency] - frames a sheet may wait for the worker
+   * @param {'sheets'|'variables'} [options.paletteMode] - see setPaletteMode()
+   * @param {boolean} [options.atlas] - see setAtlasMode()
+   */
+  constructor(wrapperEl, options = {}) {
     this.wrapper = wrapperEl;
 
     // Create viewport
@@ -27,9 +44,31 @@ export class CSSRenderer {
 
     // Subsystems
     this.paletteManager = new PaletteManager();
-    this.tileCache = new TileCache();
+    this.tileCache = new TileCache({
+      sheetWorker: options.sheetWorker,
+      maxSheetLatency: options.maxSheetLatency,
+      paletteMode: options.paletteMode,
+      atlas: options.atlas,
+      atlasStyle: this.viewport.style,
+    });
+    this._syncSheetModes();
+    // BG palette custom properties written by the last renderFrame()
+    this.paletteVarWrites = 0;
     this.bgLayer = new BGLayer(this.viewport);
-    this.bgRegionLayer = new BGRegionLayer(this.viewport);
+    this.bgRegionLayer = new BGRegionLayer(this.viewport, {
+      maxRegions: options.maxRegions,
+      maxLayers: options.maxRegionLayers,
+    });
+    this._regionBudget = {
+      maxRegions: this.bgRegionLayer.maxRegions,
+      maxLayers: this.bgRegionLayer.maxLayers,
+      stripOverflow: false,
+    };
+    this._rasterBudget = {
+      maxRegions: 240,
+      maxLayers: Math.max(1, options.maxRasterLayers ?? DEFAULT_MAX_RASTER_LAYERS),
+      stripOverflow: true,
+    };
     this.spriteLayer = new SpriteLayer(this.viewport);
     this.debugOverlay = new DebugOverlay(this.viewport);
     this.annotationPopover = null; // initialized by App.vue via initAnnotation()
@@ -41,14 +80,102 @@ export class CSSRenderer {
     this.layerVisible = { bg: true, sprites: true };
 
     this._usingRegionBg = false;
+    this.rasterMode = false;
     this.frameCount = 0;
   }
 
+  /**
+   * Toggle per-scanline raster mode. BG bands come from the canonical
+   * (uncompressed) region list, so every run of identical scanlines gets its
+   * own clipped band; bands sharing state still share one pooled BGLayer, and
+   * bands past the grid budget are drawn as BGStrips with their own scroll.
+   * The extractor must be called with includeCanonicalRegions while enabled.
+   */
+  setRasterMode(enabled) {
+    this.rasterMode = !!enabled;
+    this.bgRegionLayer.setBudget(this.rasterMode ? this._rasterBudget : this._regionBudget);
+    this.viewport.dataset.rasterMode = this.rasterMode ? '1' : '0';
+    return this.rasterMode;
+  }
+
+  /**
+   * Select sprite-vs-BG priority compositing ('approx' or 'exact').
+   * Exact mode isolates the viewport so behind-BG sprites stack between the
+   * backdrop and the BG layer instead of under the viewport background.
+   */
+  setPriorityMode(mode) {
+    const applied = this.spriteLayer.setPriorityMode(mode);
+    this.viewport.classList.toggle('priority-exact', applied === 'exact');
+    this.viewport.dataset.priorityMode = applied;
+    return applied;
+  }
+
+  /**
+   * Select the sprite-per-scanline limit mode ('off', 'hardware', 'no-flicker').
+   */
+  setSpriteLimitMode(mode) {
+    const applied = this.spriteLayer.setSpriteLimitMode(mode);
+    this.viewport.dataset.spriteLimit = applied;
+    return applied;
+  }
+
+  /**
+   * Select the master palette (a MASTER_PALETTES id or a parsePalFile()
+   * result). Sheets are redrawn with it on the next renderFrame().
+   */
+  setMasterPalette(palette) {
+    const applied = this.paletteManager.setMasterPalette(palette);
+    this.viewport.dataset.masterPalette = applied;
+    return applied;
+  }
+
+  /**
+   * Select how BG tiles are coloured: 'sheets' (a PNG sheet per palette
+   * group) or 'variables' (colour-index masks painted from `--pal-bg-N-M`
+   * custom properties, so BG palette writes skip sheet rendering).
+   * Everything is redrawn on the next renderFrame().
+   */
+  setPaletteMode(mode) {
+    const applied = this.tileCache.setPaletteMode(mode);
+    this._syncSheetModes();
+    this.resetRenderState();
+    return applied;
+  }
+
+  /**
+   * Toggle sheet-atlas mode: every BG and sprite sheet is packed into atlas
+   * row images at a fixed place per CHR set, so steady-state frames never rewrite
+   * the tile cache stylesheet. Turns the 'variables' palette mode off.
+   * Everything is redrawn on the next renderFrame().
+   */
+  setAtlasMode(enabled) {
+    const applied = this.tileCache.setAtlasMode(enabled);
+    this._syncSheetModes();
+    this.resetRenderState();
+    return applied;
+  }
+
+  /**
+   * Forget all frame-to-frame caches (palettes, sheets, BG tile diffs) so the
+   * next renderFrame() draws from scratch. Call after the emulator state is
+   * replaced out from under the renderer, e.g. when a save state is loaded.
+   */
+  resetRenderState() {
+    this.paletteManager.reset();
+    this.tileCache.reset();
+    this.bgLayer.resetDiffCache();
+    this.bgRegionLayer.resetDiffCaches();
+    this.annotationPopover?.dismiss();
+  }
+
   /**
    * Initialize annotation popover with a PPU state getter.
    */
   initAnnotation(getPPUState) {
     this.annotationPopover = new AnnotationPopover(this.viewport, this, getPPUState);
+    this.debugOverlay.onDiffPixelClick = (x, y, cause) => {
+      this.annotationPopover.inspectPixel(x, y, [['Diff Cause', cause]]);
+    };
   }
 
   /**
@@ -60,6 +187,7 @@ export class CSSRenderer {
       palette: new PaletteViewer(inspectorEl, this),
       oam: new OAMViewer(inspectorEl, this),
       chr: new CHRViewer(inspectorEl, this),
+      irq: new IRQViewer(inspectorEl, this),
     };
   }
 
@@ -72,9 +200,16 @@ export class CSSRenderer {
       : null;
     const spriteChrSignature = this._resolveSpriteCHRSignature(ppuState, renderRegions);
     const spriteRegionPlan = this._buildSpriteRegionPlan(ppuState, renderRegions);
+    const bgRegions = this._resolveBgRegions(ppuState, renderRegions);
+    const lineSplits = Array.isArray(ppuState.renderPlan?.lineSplits)
+      ? ppuState.renderPlan.lineSplits
+      : [];
 
     // 1. Update palettes
-    this.paletteManager.update(ppuState.bgPalette, ppuState.sprPalette);
+    this.paletteManager.update(ppuState.bgPalette, ppuState.sprPalette, ppuState);
+    this.paletteVarWrites = this.tileCache.paletteMode === 'variables'
+      ? writeBgPaletteVars(this.viewport.style, this.paletteManager.bgColors, this.paletteManager.dirtyIndices)
+      : 0;
 
     // 2. Update tile cache (spritesheets)
     this.tileCache.update(
@@ -95,10 +230,10 @@ export class CSSRenderer {
       this._usingRegionBg = false;
       this.bgRegionLayer.hide();
       this.bgLayer.update(hiddenBgState, this.tileCache);
-    } else if (renderRegions && renderRegions.length > 1) {
+    } else if (bgRegions && (bgRegions.length > 1 || lineSplits.length > 0)) {
       this._usingRegionBg = true;
       this.bgLayer.update(hiddenBgState, this.tileCache);
-      this.bgRegionLayer.update(ppuState, this.tileCache, renderRegions);
+      this.bgRegionLayer.update(ppuState, this.tileCache, bgRegions, lineSplits);
     } else {
       this._usingRegionBg = false;
       this.bgRegionLayer.hide();
@@ -124,12 +259,20 @@ export class CSSRenderer {
     this.viewport.dataset.sprPatternTable = ppuState.sprPatternBase === 0 ? '$0000' : '$1000';
     this.viewport.dataset.spriteSize = ppuState.spriteSize === 0 ? '8x8' : '8x16';
     this.viewport.dataset.mirroring = ppuState.mirrorMap.join(',');
-    this.viewport.dataset.bgRegions = String(renderRegions ? renderRegions.length : 1);
+    this.viewport.dataset.bgRegions = String(bgRegions ? bgRegions.length : 1);
+    this.viewport.dataset.lineSplits = String(lineSplits.length);
     this.viewport.dataset.timingMode = ppuState.renderPlan?.mode || 'single';
     this.viewport.dataset.timingEvents = String(ppuState.renderPlan?.eventCount || 0);
 
     // 7. Update debug overlays
-    this.debugOverlay.update(ppuState);
+    this.debugOverlay.update(ppuState, {
+      regions: bgRegions,
+      lineSplits,
+      priority: this.spriteLayer.priorityMode,
+      droppedRows: this.spriteLayer.limitMode === 'hardware' ? this.spriteLayer.lastEvaluation?.droppedRows : null,
+      bgVisible: this.layerVisible.bg,
+      spritesVisible: sprState.spritesVisible,
+    });
 
     // 8. Update inspector panels
     if (this.inspectorPanels) {
@@ -137,6 +280,7 @@ export class CSSRenderer {
       this.inspectorPanels.palette.update(ppuState);
       this.inspectorPanels.oam.update(ppuState);
       this.inspectorPanels.chr.update(ppuState);
+      this.inspectorPanels.irq.update(ppuState);
     }
 
     this.frameCount++;
@@ -166,6 +310,20 @@ export class CSSRenderer {
     this.wrapper.style.transform = `scale(${n})`;
   }
 
+  _syncSheetModes() {
+    this.viewport.dataset.paletteMode = this.tileCache.paletteMode;
+    this.viewport.dataset.sheetAtlas = this.tileCache.atlas ? '1' : '0';
+  }
+
+  _resolveBgRegions(ppuState, renderRegions) {
+    if (!this.rasterMode) return renderRegions;
+    const canonicalRegions = ppuState?.renderPlan?.canonicalRegions;
+    if (Array.isArray(canonicalRegions) && canonicalRegions.length > 0) {
+      return canonicalRegions;
+    }
+    return renderRegions;
+  }
+
   _resolveSpritesVisible(ppuState, renderRegions) {
     const canonicalRegions = ppuState?.renderPlan?.canonicalRegions;
     if (Array.isArray(canonicalRegions) && canonicalRegions.length > 0) {
@@ -1,7 +1,12 @@
 /**
  * Visual debug overlays for the CSS-NES renderer.
- * Provides 5 toggleable overlay layers updated per-frame from PPU state.
+ * Provides 7 toggleable overlay layers updated per-frame from PPU state.
  */
+import { rasterizeRenderModel, diffFrame, DIFF_CAUSES, DIFF_CAUSE_COLORS } from './pixel-diff.js';
+
+// Heatmap pixel opacity over the CSS viewport.
+const DIFF_HEATMAP_ALPHA = 170;
+
 export class DebugOverlay {
   constructor(viewport) {
     this.viewport = viewport;
@@ -15,6 +20,8 @@ export class DebugOverlay {
       paletteRegions: false,
       scrollSplit: false,
       nametableSeam: false,
+      diffHeatmap: false,
+      irqLines: false,
     };
 
     // 1. Tile Grid — repeating CSS gradient, no per-frame update
@@ -56,6 +63,28 @@ export class DebugOverlay {
     this.ntSeamHEl.style.display = 'none';
     viewport.appendChild(this.ntSeamHEl);
 
+    // 6. Diff Heatmap — CSS render model vs framebuffer, colored by cause
+    this.diffCanvas = document.createElement('canvas');
+    this.diffCanvas.className = 'debug-overlay debug-overlay-diff';
+    this.diffCanvas.width = 256;
+    this.diffCanvas.height = 240;
+    this.diffCanvas.style.display = 'none';
+    this._diffCtx = this.diffCanvas.getContext('2d');
+    viewport.appendChild(this.diffCanvas);
+    this.lastDiff = null;
+    // (x, y, cause) => void; set by CSSRenderer to open the provenance popover
+    this.onDiffPixelClick = null;
+    // Capture phase so a click on a mismatched pixel wins over the popover's own handler.
+    this._onDiffClick = this._onDiffClick.bind(this);
+    viewport.addEventListener('click', this._onDiffClick, true);
+
+    // 7. IRQ Lines — a marker under each predicted (or fired) MMC3 IRQ line
+    this.irqLinesEl = document.createElement('div');
+    this.irqLinesEl.className = 'debug-overlay debug-overlay-irq-lines';
+    this.irqLinesEl.style.display = 'none';
+    this._irqMarkers = [];
+    viewport.appendChild(this.irqLinesEl);
+
     // Palette region color coding for attribute groups 0-3
     this._paletteColors = [
       'rgba(255, 0, 0, 0.15)',
@@ -67,8 +96,10 @@ export class DebugOverlay {
 
   /**
    * Called each frame by CSSRenderer. Updates dynamic overlays from PPU state.
+   * @param {object} [renderInfo] - how the CSS layers drew this frame, for the
+   *   diff heatmap (see rasterizeRenderModel options)
    */
-  update(ppuState) {
+  update(ppuState, renderInfo = {}) {
     if (this._active.paletteRegions) {
       this._updatePaletteRegions(ppuState);
     }
@@ -78,11 +109,17 @@ export class DebugOverlay {
     if (this._active.nametableSeam) {
       this._updateNametableSeam(ppuState);
     }
+    if (this._active.diffHeatmap) {
+      this._updateDiffHeatmap(ppuState, renderInfo);
+    }
+    if (this._active.irqLines) {
+      this._updateIRQLines(ppuState);
+    }
   }
 
   /**
    * Toggle an overlay by name.
-   * @param {string} name - 'tileGrid'|'spriteBoxes'|'paletteRegions'|'scrollSplit'|'nametableSeam'
+   * @param {string} name - 'tileGrid'|'spriteBoxes'|'paletteRegions'|'scrollSplit'|'nametableSeam'|'diffHeatmap'|'irqLines'
    * @returns {boolean} New active state
    */
   toggle(name) {
@@ -109,6 +146,13 @@ export class DebugOverlay {
         this.ntSeamVEl.style.display = on ? '' : 'none';
         this.ntSeamHEl.style.display = on ? '' : 'none';
         break;
+      case 'diffHeatmap':
+        this.diffCanvas.style.display = on ? '' : 'none';
+        if (!on) this.lastDiff = null;
+        break;
+      case 'irqLines':
+        this.irqLinesEl.style.display = on ? '' : 'none';
+        break;
     }
 
     return on;
@@ -217,4 +261,80 @@ export class DebugOverlay {
       this.ntSeamHEl.style.display = 'none';
     }
   }
+
+  _updateDiffHeatmap(ppuState, renderInfo) {
+    // The heatmap covers the 256px frame buffer only.
+    if (!ppuState.buffer || this.viewport.dataset.ultraWide === '1') {
+      this.lastDiff = null;
+      this._diffCtx?.clearRect(0, 0, 256, 240);
+      return;
+    }
+
+    const cssRGBA = rasterizeRenderModel(ppuState, renderInfo);
+    this.lastDiff = diffFrame(cssRGBA, ppuState, { tolerance: 0 });
+    if (!this._diffCtx) return;
+
+    const image = this._diffCtx.createImageData(256, 240);
+    const mask = this.lastDiff.mask;
+    for (let i = 0; i < mask.length; i++) {
+      if (mask[i] === 0) continue;
+      const [r, g, b] = DIFF_CAUSE_COLORS[DIFF_CAUSES[mask[i] - 1]];
+      image.data[i * 4] = r;
+      image.data[i * 4 + 1] = g;
+      image.data[i * 4 + 2] = b;
+      image.data[i * 4 + 3] = DIFF_HEATMAP_ALPHA;
+    }
+    this._diffCtx.putImageData(image, 0, 0);
+  }
+
+  /**
+   * Each marker sits at the top of the line after the IRQ, the first line
+   * the handler can change. data-state is 'match' when the predicted line
+   * fired, 'predicted' or 'fired' when only one side has it.
+   */
+  _updateIRQLines(ppuState) {
+    const irq = ppuState.irq;
+    const predicted = new Set(irq?.predicted ?? []);
+    const fired = new Set(irq?.fired ?? []);
+    const lines = [...new Set([...predicted, ...fired])].sort((a, b) => a - b);
+    let count = 0;
+
+    for (const y of lines) {
+      if (y < -1 || y >= 239) continue;
+      if (count === this._irqMarkers.length) {
+        const marker = document.createElement('div');
+        marker.className = 'irq-line-marker';
+        this.irqLinesEl.appendChild(marker);
+        this._irqMarkers.push(marker);
+      }
+      const marker = this._irqMarkers[count++];
+      let state = 'match';
+      if (!fired.has(y)) state = 'predicted';
+      else if (!predicted.has(y)) state = 'fired';
+      marker.style.display = '';
+      marker.style.top = `${y + 1}px`;
+      marker.dataset.line = y;
+      marker.dataset.state = state;
+      marker.textContent = `IRQ ${y}`;
+    }
+
+    for (let i = count; i < this._irqMarkers.length; i++) {
+      this._irqMarkers[i].style.display = 'none';
+    }
+  }
+
+  _onDiffClick(e) {
+    if (!this._active.diffHeatmap || !this.lastDiff || !this.onDiffPixelClick) return;
+
+    const rect = this.viewport.getBoundingClientRect();
+    if (rect.width <= 0 || rect.height <= 0) return;
+    const x = Math.floor(((e.clientX - rect.left) * 256) / rect.width);
+    const y = Math.floor(((e.clientY - rect.top) * 240) / rect.height);
+    if (x < 0 || x >= 256 || y < 0 || y >= 240) return;
+
+    const code = this.lastDiff.mask[y * 256 + x];
+    if (code === 0) return;
+    e.stopImmediatePropagation();
+    this.onDiffPixelClick(x, y, DIFF_CAUSES[code - 1]);
+  }
 }
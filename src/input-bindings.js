@@ -0,0 +1,374 @@
+/**
+ * Controller bindings for both NES pads: one keyboard key per button per
+ * player plus a per-device Gamepad API mapping, persisted to localStorage.
+ *
+ * Keys are stored as `KeyboardEvent.code` values so bindings follow the
+ * physical key regardless of layout. App shortcuts are matched by code too,
+ * from the tables below. Bindings that land on an app shortcut (SHORTCUT_KEYS)
+ * are allowed but reported, since the pad input wins and the shortcut stops
+ * working.
+ */
+
+// Index = jsnes button id (Controller.BUTTON_A ... BUTTON_RIGHT).
+export const NES_BUTTON_NAMES = ['A', 'B', 'Select', 'Start', 'Up', 'Down', 'Left', 'Right'];
+export const BINDINGS_STORAGE_KEY = 'css-nes:bindings';
+export const PLAYER_COUNT = 2;
+
+// Layer, view, audio and rewind keys (KeyboardEvent.code -> App.vue action name).
+export const APP_SHORTCUTS = {
+  KeyB: { name: 'bgLayer', label: 'BG layer' },
+  KeyS: { name: 'spriteLayer', label: 'Sprite layer' },
+  KeyE: { name: 'spritePriority', label: 'Sprite priority' },
+  KeyL: { name: 'spriteLimit', label: 'Sprite limit' },
+  KeyI: { name: 'isometric', label: 'Isometric view' },
+  KeyU: { name: 'ultraWide', label: 'Ultra wide' },
+  KeyR: { name: 'raster', label: 'Raster mode' },
+  KeyM: { name: 'mute', label: 'Mute' },
+  Backspace: { name: 'rewind', label: 'Rewind' },
+};
+
+// Debug overlay toggles (KeyboardEvent.code -> DebugOverlay name).
+export const DEBUG_SHORTCUTS = {
+  Digit1: { name: 'tileGrid', label: 'Tile grid overlay' },
+  Digit2: { name: 'spriteBoxes', label: 'Sprite box overlay' },
+  Digit3: { name: 'paletteRegions', label: 'Palette region overlay' },
+  Digit4: { name: 'scrollSplit', label: 'Split line overlay' },
+  Digit5: { name: 'nametableSeam', label: 'Nametable seam overlay' },
+  Digit6: { name: 'diffHeatmap', label: 'Diff heatmap overlay' },
+  Digit7: { name: 'irqLines', label: 'IRQ line overlay' },
+};
+
+// Inspector panel toggles (KeyboardEvent.code -> panel name).
+export const INSPECT_SHORTCUTS = {
+  KeyN: { name: 'nametable', label: 'Nametable inspector' },
+  KeyP: { name: 'palette', label: 'Palette inspector' },
+  KeyO: { name: 'oam', label: 'OAM inspector' },
+  KeyC: { name: 'chr', label: 'CHR inspector' },
+  KeyV: { name: 'irq', label: 'IRQ inspector' },
+};
+
+// Save-state keys (KeyboardEvent.code -> App.vue action name).
+export const SAVE_STATE_SHORTCUTS = {
+  F5: { name: 'save', label: 'Save state' },
+  F6: { name: 'previousSlot', label: 'Previous save slot' },
+  F7: { name: 'nextSlot', label: 'Next save slot' },
+  F9: { name: 'load', label: 'Load state' },
+};
+
+// Every app shortcut key (KeyboardEvent.code -> label), built from the tables above.
+export const SHORTCUT_KEYS = _shortcutLabels(APP_SHORTCUTS, DEBUG_SHORTCUTS, INSPECT_SHORTCUTS, SAVE_STATE_SHORTCUTS);
+
+// Per player, indexed like NES_BUTTON_NAMES.
+export const DEFAULT_KEY_BINDINGS = [
+  ['KeyZ', 'KeyX', 'ShiftRight', 'Enter', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'],
+  ['KeyK', 'KeyJ', 'KeyQ', 'KeyW', 'KeyT', 'KeyG', 'KeyF', 'KeyH'],
+];
+
+// "standard" Gamepad mapping: right face button = A, bottom = B, back/start,
+// d-pad 12-15.
+export const DEFAULT_GAMEPAD_BUTTONS = [1, 0, 8, 9, 12, 13, 14, 15];
+// Left stick deflection that counts as a d-pad press.
+export const GAMEPAD_AXIS_THRESHOLD = 0.5;
+
+export class InputBindings {
+  /**
+   * @param {object} [options]
+   * @param {Storage|null} [options.storage] - defaults to localStorage (null disables persistence)
+   * @param {string} [options.storageKey]
+   */
+  constructor(options = {}) {
+    this.storage = options.storage !== undefined ? options.storage : (globalThis.localStorage ?? null);
+    this.storageKey = options.storageKey ?? BINDINGS_STORAGE_KEY;
+    this.keys = _defaultKeys();
+    // gamepad id -> { player: 1|2|null (null = by connection index), buttons: number[] }
+    this.gamepads = {};
+    this._keyIndex = new Map();
+    this.load();
+  }
+
+  /**
+   * @param {string} code - KeyboardEvent.code
+   * @returns {{ player: number, button: number }|null}
+   */
+  lookupKey(code) {
+    return this._keyIndex.get(code) ?? null;
+  }
+
+  keyFor(player, button) {
+    return this.keys[player - 1]?.[button] ?? null;
+  }
+
+  /**
+   * Bind a key. A key bound elsewhere moves here (the old binding is cleared).
+   * @returns {{ displaced: { player: number, button: number }|null, shortcut: string|null }}
+   */
+  setKey(player, button, code) {
+    _checkSlot(player, button);
+    const displaced = this.lookupKey(code);
+    if (displaced && !(displaced.player === player && displaced.button === button)) {
+      this.keys[displaced.player - 1][displaced.button] = null;
+    }
+    this.keys[player - 1][button] = code;
+    this._reindex();
+    this.save();
+    return {
+      displaced: displaced && !(displaced.player === player && displaced.button === button) ? displaced : null,
+      shortcut: SHORTCUT_KEYS[code] ?? null,
+    };
+  }
+
+  clearKey(player, button) {
+    _checkSlot(player, button);
+    this.keys[player - 1][button] = null;
+    this._reindex();
+    this.save();
+  }
+
+  /**
+   * @returns {{ player: number, button: number, code: string, shortcut: string }[]}
+   */
+  shortcutCollisions() {
+    const out = [];
+    for (let p = 0; p < PLAYER_COUNT; p++) {
+      for (let b = 0; b < NES_BUTTON_NAMES.length; b++) {
+        const code = this.keys[p][b];
+        if (code && SHORTCUT_KEYS[code]) out.push({ player: p + 1, button: b, code, shortcut: SHORTCUT_KEYS[code] });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * @param {string} id - Gamepad.id
+   * @returns {{ player: number|null, buttons: number[] }}
+   */
+  gamepadMapping(id) {
+    return this.gamepads[id] ?? { player: null, buttons: DEFAULT_GAMEPAD_BUTTONS.slice() };
+  }
+
+  /**
+   * Player a connected gamepad drives: its saved choice, else by connection
+   * index (first pad = player 1, second = player 2).
+   */
+  gamepadPlayer(gamepad) {
+    return this.gamepadMapping(gamepad.id).player ?? (gamepad.index % PLAYER_COUNT) + 1;
+  }
+
+  setGamepadButton(id, button, index) {
+    _checkSlot(1, button);
+    const mapping = this._ownGamepadMapping(id);
+    mapping.buttons[button] = index;
+    this.save();
+  }
+
+  setGamepadPlayer(id, player) {
+    if (player !== null) _checkSlot(player, 0);
+    this._ownGamepadMapping(id).player = player;
+    this.save();
+  }
+
+  reset() {
+    this.keys = _defaultKeys();
+    this.gamepads = {};
+    this._reindex();
+    this.save();
+  }
+
+  load() {
+    this.keys = _defaultKeys();
+    this.gamepads = {};
+    let data = null;
+    try {
+      const text = this.storage?.getItem(this.storageKey);
+      data = text ? JSON.parse(text) : null;
+    } catch {
+      data = null;
+    }
+
+    if (Array.isArray(data?.keys)) {
+      for (let p = 0; p < PLAYER_COUNT; p++) {
+        const saved = data.keys[p];
+        if (!Array.isArray(saved)) continue;
+        for (let b = 0; b < NES_BUTTON_NAMES.length; b++) {
+          if (typeof saved[b] === 'string' || saved[b] === null) this.keys[p][b] = saved[b];
+        }
+      }
+    }
+    if (data?.gamepads && typeof data.gamepads === 'object') {
+      for (const [id, mapping] of Object.entries(data.gamepads)) {
+        if (!Array.isArray(mapping?.buttons)) continue;
+        const buttons = DEFAULT_GAMEPAD_BUTTONS.map((def, b) => (
+          Number.isInteger(mapping.buttons[b]) ? mapping.buttons[b] : def
+        ));
+        const player = mapping.player === 1 || mapping.player === 2 ? mapping.player : null;
+        this.gamepads[id] = { player, buttons };
+      }
+    }
+    this._reindex();
+  }
+
+  /**
+   * @returns {boolean} false when storage is unavailable or full
+   */
+  save() {
+    if (!this.storage) return false;
+    try {
+      this.storage.setItem(this.storageKey, JSON.stringify(this.toJSON()));
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  toJSON() {
+    return { keys: this.keys, gamepads: this.gamepads };
+  }
+
+  _ownGamepadMapping(id) {
+    if (!this.gamepads[id]) this.gamepads[id] = this.gamepadMapping(id);
+    return this.gamepads[id];
+  }
+
+  _reindex() {
+    this._keyIndex.clear();
+    for (let p = 0; p < PLAYER_COUNT; p++) {
+      for (let b = 0; b < NES_BUTTON_NAMES.length; b++) {
+        const code = this.keys[p][b];
+        // First binding wins if saved data ever holds a duplicate.
+        if (code && !this._keyIndex.has(code)) this._keyIndex.set(code, { player: p + 1, button: b });
+      }
+    }
+  }
+}
+
+/**
+ * Polls the Gamepad API once per frame and reports NES button edges.
+ */
+export class GamepadPoller {
+  /**
+   * @param {InputBindings} bindings
+   * @param {object} [options]
+   * @param {() => (Gamepad|null)[]} [options.getGamepads] - override (tests)
+   */
+  constructor(bindings, options = {}) {
+    this.bindings = bindings;
+    this._getGamepads = options.getGamepads ?? (() => globalThis.navigator?.getGamepads?.() ?? []);
+    // pad index -> { player, pressed: boolean[8] }
+    this._held = new Map();
+    // pad index -> raw button pressed flags, for remap capture
+    this._raw = new Map();
+  }
+
+  /**
+   * @param {(player: number, button: number, pressed: boolean) => void} onButton
+   */
+  poll(onButton) {
+    const seen = new Set();
+    for (const pad of _connected(this._getGamepads())) {
+      seen.add(pad.index);
+      const player = this.bindings.gamepadPlayer(pad);
+      const mapping = this.bindings.gamepadMapping(pad.id);
+      let held = this._held.get(pad.index);
+      if (held && held.player !== player) {
+        this._releaseAll(held, onButton);
+        held = null;
+      }
+      if (!held) {
+        held = { player, pressed: new Array(NES_BUTTON_NAMES.length).fill(false) };
+        this._held.set(pad.index, held);
+      }
+
+      for (let b = 0; b < NES_BUTTON_NAMES.length; b++) {
+        const pressed = _isPressed(pad, mapping.buttons[b], b);
+        if (pressed !== held.pressed[b]) {
+          held.pressed[b] = pressed;
+          onButton(player, b, pressed);
+        }
+      }
+    }
+
+    for (const [index, held] of this._held) {
+      if (seen.has(index)) continue;
+      this._releaseAll(held, onButton);
+      this._held.delete(index);
+    }
+  }
+
+  /**
+   * First raw button newly pressed on any pad since the last call.
+   * @returns {{ id: string, index: number, button: number }|null}
+   */
+  pollRawPress() {
+    let found = null;
+    for (const pad of _connected(this._getGamepads())) {
+      const prev = this._raw.get(pad.index) ?? [];
+      const now = pad.buttons.map((btn) => !!btn?.pressed);
+      for (let i = 0; i < now.length && !found; i++) {
+        if (now[i] && !prev[i]) found = { id: pad.id, index: pad.index, button: i };
+      }
+      this._raw.set(pad.index, now);
+    }
+    return found;
+  }
+
+  /**
+   * @returns {{ id: string, index: number, player: number }[]}
+   */
+  connected() {
+    return _connected(this._getGamepads()).map((pad) => ({
+      id: pad.id,
+      index: pad.index,
+      player: this.bindings.gamepadPlayer(pad),
+    }));
+  }
+
+  _releaseAll(held, onButton) {
+    for (let b = 0; b < held.pressed.length; b++) {
+      if (held.pressed[b]) onButton(held.player, b, false);
+    }
+  }
+}
+
+function _connected(pads) {
+  return Array.from(pads ?? []).filter((pad) => pad && pad.connected !== false);
+}
+
+function _isPressed(pad, index, button) {
+  if (pad.buttons[index]?.pressed) return true;
+  // D-pad also follows the left stick.
+  const x = pad.axes?.[0] ?? 0;
+  const y = pad.axes?.[1] ?? 0;
+  switch (button) {
+    case 4: return y < -GAMEPAD_AXIS_THRESHOLD;
+    case 5: return y > GAMEPAD_AXIS_THRESHOLD;
+    case 6: return x < -GAMEPAD_AXIS_THRESHOLD;
+    case 7: return x > GAMEPAD_AXIS_THRESHOLD;
+    default: return false;
+  }
+}
+
+function _defaultKeys() {
+  return DEFAULT_KEY_BINDINGS.map((keys) => keys.slice());
+}
+
+function _checkSlot(player, button) {
+  if (!Number.isInteger(player) || player < 1 || player > PLAYER_COUNT) {
+    throw new RangeError(`Invalid player ${player}`);
+  }
+  if (!Number.isInteger(button) || button < 0 || button >= NES_BUTTON_NAMES.length) {
+    throw new RangeError(`Invalid button ${button}`);
+  }
+}
+
+// KeyboardEvent.key table -> { KeyboardEvent.code: label }. Digits and
+// letters map to their physical keys; named keys (F5) share key and code.
+function _shortcutLabels(...tables) {
+  const out = {};
+  for (const table of tables) {
+    for (const [code, { label }] of Object.entries(table)) {
+      if (out[code]) throw new Error(`Shortcut key ${code} is bound twice`);
+      out[code] = label;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,304 @@
+/**
+ * Input movies: per-frame controller state from power-on, replayed
+ * deterministically.
+ *
+ * A movie is a list of packed frames, one number each: pad 1 buttons in bits
+ * 0-7, pad 2 in bits 8-15 (jsnes button order, A = bit 0 ... RIGHT = bit 7)
+ * and FM2-style commands in bits 16+. The native file format is JSON with the
+ * frames run-length encoded; FCEUX FM2 text movies can be imported.
+ *
+ * Recording samples the pads after `nes.frame()` (after jsnes has clocked
+ * turbo), so the movie holds exactly what the game read. Playback writes the
+ * pads before `nes.frame()` with turbo cleared.
+ */
+
+export const MOVIE_FORMAT = 'css-nes-movie';
+export const MOVIE_VERSION = 1;
+// FM2 command bits carried in a frame.
+export const MOVIE_COMMAND_RESET = 1;
+export const MOVIE_COMMAND_POWER = 2;
+
+const PRESSED = 0x41;
+const RELEASED = 0x40;
+// FM2 pad columns are "RLDUTSBA"; column k is jsnes button 7 - k.
+const FM2_BUTTON_COUNT = 8;
+const FM2_COMMAND_MASK = MOVIE_COMMAND_RESET | MOVIE_COMMAND_POWER;
+// Longest movie a file may decode to when its header gives no length: 24 hours at 60 fps.
+const MAX_MOVIE_FRAMES = 24 * 60 * 60 * 60;
+
+export class InputMovie {
+  /**
+   * @param {object} [options]
+   * @param {string|null} [options.romHash] - SHA-256 of the ROM (save-states.js hashROM)
+   * @param {number[]} [options.frames] - packed frames
+   * @param {number} [options.rerecords]
+   * @param {string} [options.comment]
+   * @param {string} [options.source] - 'css-nes' or 'fm2'
+   * @param {object} [options.meta] - extra header fields (FM2 romFilename, guid, ...)
+   */
+  constructor(options = {}) {
+    this.romHash = options.romHash ?? null;
+    this.frames = options.frames ? Array.from(options.frames) : [];
+    this.rerecords = Math.max(0, options.rerecords ?? 0);
+    this.comment = options.comment ?? '';
+    this.source = options.source ?? 'css-nes';
+    this.meta = options.meta ?? {};
+  }
+
+  get length() {
+    return this.frames.length;
+  }
+
+  /**
+   * @returns {{ pads: number[], command: number }|null}
+   */
+  frame(index) {
+    if (index < 0 || index >= this.frames.length) return null;
+    return unpackFrame(this.frames[index]);
+  }
+
+  truncate(length) {
+    this.frames.length = Math.max(0, Math.min(this.frames.length, length));
+  }
+}
+
+export class MovieRecorder {
+  /**
+   * @param {object} [options] - InputMovie options (romHash, comment)
+   */
+  constructor(options = {}) {
+    this.movie = new InputMovie(options);
+  }
+
+  get length() {
+    return this.movie.length;
+  }
+
+  /**
+   * Record the pads for movie frame `index` (call right after `nes.frame()`).
+   * Recording over earlier frames (after a rewind) truncates the movie there
+   * and counts a rerecord.
+   * @param {object} nes
+   * @param {number} [index] - defaults to appending
+   */
+  recordFrame(nes, index = this.movie.length) {
+    if (index < this.movie.length) {
+      this.movie.truncate(index);
+      this.movie.rerecords++;
+    }
+    this.movie.frames.push(packFrame(readPads(nes), 0));
+  }
+}
+
+export class MoviePlayer {
+  /**
+   * @param {InputMovie} movie
+   */
+  constructor(movie) {
+    this.movie = movie;
+    this.position = 0;
+  }
+
+  get done() {
+    return this.position >= this.movie.length;
+  }
+
+  /**
+   * Drive the pads for movie frame `index` (call right before `nes.frame()`).
+   * @param {object} nes
+   * @param {number} [index] - defaults to the frame after the last one applied
+   * @param {object} [hooks]
+   * @param {(command: number, index: number) => void} [hooks.command] - reset / power
+   *   commands; the caller owns the machine, so it performs them
+   * @returns {boolean} false once the movie has ended
+   */
+  applyFrame(nes, index = this.position, hooks = {}) {
+    const frame = this.movie.frame(index);
+    if (!frame) {
+      this.position = this.movie.length;
+      return false;
+    }
+    if (frame.command & FM2_COMMAND_MASK) hooks.command?.(frame.command, index);
+    writePads(nes, frame.pads);
+    this.position = index + 1;
+    return true;
+  }
+}
+
+/**
+ * @returns {number[]} button bitmask per pad
+ */
+export function readPads(nes) {
+  const pads = [0, 0];
+  for (let i = 0; i < 2; i++) {
+    const state = nes.controllers?.[i + 1]?.state;
+    if (!state) continue;
+    for (let b = 0; b < 8; b++) {
+      if (state[b] === PRESSED) pads[i] |= 1 << b;
+    }
+  }
+  return pads;
+}
+
+export function writePads(nes, pads) {
+  for (let i = 0; i < 2; i++) {
+    const c = nes.controllers?.[i + 1];
+    if (!c) continue;
+    const mask = pads[i] ?? 0;
+    for (let b = 0; b < 8; b++) c.state[b] = mask & (1 << b) ? PRESSED : RELEASED;
+    c.baseA = c.state[0];
+    c.baseB = c.state[1];
+    c.turboA = false;
+    c.turboB = false;
+  }
+}
+
+export function packFrame(pads, command = 0) {
+  return ((pads[0] ?? 0) & 0xFF) | (((pads[1] ?? 0) & 0xFF) << 8) | ((command & 0xFF) << 16);
+}
+
+export function unpackFrame(packed) {
+  return { pads: [packed & 0xFF, (packed >> 8) & 0xFF], command: (packed >> 16) & 0xFF };
+}
+
+/**
+ * @returns {string} native JSON movie
+ */
+export function serializeMovie(movie) {
+  return JSON.stringify({
+    format: MOVIE_FORMAT,
+    version: MOVIE_VERSION,
+    romHash: movie.romHash,
+    rerecords: movie.rerecords,
+    comment: movie.comment,
+    length: movie.length,
+    input: _encodeRuns(movie.frames),
+  });
+}
+
+/**
+ * Parse a native JSON movie or an FM2 text movie.
+ * @param {string} text
+ * @returns {InputMovie}
+ */
+export function parseMovie(text) {
+  if (/^\s*version\s+3\b/.test(text)) return parseFM2(text);
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Unrecognized movie file (expected css-nes JSON or FM2)');
+  }
+  if (data?.format !== MOVIE_FORMAT) throw new Error('Unrecognized movie file (expected css-nes JSON or FM2)');
+  if (data.version > MOVIE_VERSION) throw new Error(`Unsupported movie version ${data.version}`);
+
+  const maxFrames = Number.isFinite(data.length) ? Math.min(data.length, MAX_MOVIE_FRAMES) : MAX_MOVIE_FRAMES;
+  const frames = _decodeRuns(data.input ?? '', maxFrames);
+  if (Number.isFinite(data.length) && data.length !== frames.length) {
+    throw new Error(`Movie is corrupt: header says ${data.length} frames, input has ${frames.length}`);
+  }
+  return new InputMovie({
+    romHash: data.romHash,
+    frames,
+    rerecords: data.rerecords,
+    comment: data.comment,
+  });
+}
+
+/**
+ * Import an FCEUX FM2 text movie. Only power-on movies with standard
+ * gamepads are supported; binary input, savestate-anchored movies and
+ * Zapper ports are rejected.
+ * @param {string} text
+ * @returns {InputMovie}
+ */
+export function parseFM2(text) {
+  const header = {};
+  const comments = [];
+  const frames = [];
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trimEnd();
+    if (line === '') continue;
+    if (line[0] === '|') {
+      frames.push(_parseFM2Line(line, frames.length));
+      continue;
+    }
+    const space = line.indexOf(' ');
+    const key = space < 0 ? line : line.slice(0, space);
+    const value = space < 0 ? '' : line.slice(space + 1);
+    if (key === 'comment') comments.push(value);
+    else header[key] = value;
+  }
+
+  if (header.version !== '3') throw new Error(`Unsupported FM2 version ${header.version ?? '(missing)'}`);
+  if (header.binary === '1') throw new Error('Binary FM2 input is not supported');
+  if (header.savestate) throw new Error('FM2 movies that start from a savestate are not supported');
+  for (const port of ['port0', 'port1']) {
+    if (header[port] === '2') throw new Error(`FM2 ${port} is a Zapper; only gamepads are supported`);
+  }
+
+  return new InputMovie({
+    frames,
+    rerecords: Number.parseInt(header.rerecordCount ?? '0', 10) || 0,
+    comment: comments.join('\n'),
+    source: 'fm2',
+    meta: {
+      romFilename: header.romFilename ?? null,
+      romChecksum: header.romChecksum ?? null,
+      guid: header.guid ?? null,
+      palFlag: header.palFlag === '1',
+    },
+  });
+}
+
+function _parseFM2Line(line, index) {
+  // |commands|port0|port1|port2|
+  const fields = line.split('|');
+  const command = Number.parseInt(fields[1], 10);
+  if (!Number.isFinite(command)) throw new Error(`FM2 frame ${index}: bad command field "${fields[1]}"`);
+  const pads = [_parseFM2Pad(fields[2]), _parseFM2Pad(fields[3])];
+  return packFrame(pads, command & FM2_COMMAND_MASK);
+}
+
+function _parseFM2Pad(field) {
+  if (!field) return 0;
+  let mask = 0;
+  for (let k = 0; k < FM2_BUTTON_COUNT && k < field.length; k++) {
+    const ch = field[k];
+    if (ch !== '.' && ch !== ' ') mask |= 1 << (7 - k);
+  }
+  return mask;
+}
+
+// Runs are "value*count" in hex, comma separated: "0*78,8*5,0*12c".
+function _encodeRuns(frames) {
+  const runs = [];
+  let i = 0;
+  while (i < frames.length) {
+    const value = frames[i];
+    let count = 1;
+    while (i + count < frames.length && frames[i + count] === value) count++;
+    runs.push(`${value.toString(16)}*${count.toString(16)}`);
+    i += count;
+  }
+  return runs.join(',');
+}
+
+// Stops at `maxFrames`, before a corrupt run count can allocate billions of frames.
+function _decodeRuns(input, maxFrames) {
+  const frames = [];
+  if (!input) return frames;
+  for (const run of input.split(',')) {
+    const [value, count] = run.split('*').map((part) => Number.parseInt(part, 16));
+    if (!Number.isFinite(value) || !Number.isFinite(count) || count < 1) {
+      throw new Error(`Movie is corrupt: bad input run "${run}"`);
+    }
+    if (frames.length + count > maxFrames) {
+      throw new Error(`Movie is corrupt: input runs past ${maxFrames} frames`);
+    }
+    for (let n = 0; n < count; n++) frames.push(value);
+  }
+  return frames;
+}
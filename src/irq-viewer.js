@@ -0,0 +1,117 @@
+/**
+ * IRQ Viewer — MMC3 scanline counter state for the current frame.
+ * Shows the counter at frame start, the $C000-$E001 writes with their
+ * line/dot, and the predicted IRQ lines next to the ones jsnes fired.
+ */
+import { MMC3_IRQ_REGISTERS } from './mmc3-irq.js';
+
+export class IRQViewer {
+  constructor(inspectorEl, renderer) {
+    this.renderer = renderer;
+    this.visible = false;
+
+    // Container
+    this.container = document.createElement('div');
+    this.container.className = 'inspector-subpanel irq-viewer';
+    this.container.style.display = 'none';
+
+    const header = document.createElement('div');
+    header.className = 'subpanel-header';
+    header.textContent = 'MMC3 IRQ';
+    this.container.appendChild(header);
+
+    // Shown instead of the tables on boards without a counter
+    this.emptyEl = document.createElement('div');
+    this.emptyEl.className = 'irq-empty';
+    this.emptyEl.textContent = 'No scanline IRQ counter on this mapper';
+    this.container.appendChild(this.emptyEl);
+
+    // Frame summary: counter state at frame start, predicted vs fired lines
+    this.summaryEl = document.createElement('dl');
+    this.summaryEl.className = 'irq-summary';
+    this.fields = {};
+    for (const [key, label] of [
+      ['counter', 'Counter'],
+      ['latch', 'Reload'],
+      ['enabled', 'Enabled'],
+      ['predicted', 'Predicted'],
+      ['fired', 'Fired'],
+    ]) {
+      const dt = document.createElement('dt');
+      dt.textContent = label;
+      const dd = document.createElement('dd');
+      dd.dataset.field = key;
+      this.summaryEl.append(dt, dd);
+      this.fields[key] = dd;
+    }
+    this.container.appendChild(this.summaryEl);
+
+    // Register writes this frame
+    const tableWrap = document.createElement('div');
+    tableWrap.className = 'oam-table-wrap';
+    const table = document.createElement('table');
+    table.className = 'oam-table irq-writes';
+    const thead = document.createElement('thead');
+    const headRow = document.createElement('tr');
+    for (const h of ['Line', 'Dot', 'Reg', 'Value']) {
+      const th = document.createElement('th');
+      th.textContent = h;
+      headRow.appendChild(th);
+    }
+    thead.appendChild(headRow);
+    table.appendChild(thead);
+    this.writesBody = document.createElement('tbody');
+    table.appendChild(this.writesBody);
+    tableWrap.appendChild(table);
+    this.container.appendChild(tableWrap);
+
+    inspectorEl.appendChild(this.container);
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.container.style.display = this.visible ? '' : 'none';
+    return this.visible;
+  }
+
+  update(ppuState) {
+    if (!this.visible) return;
+
+    const irq = ppuState.irq;
+    this.emptyEl.style.display = irq ? 'none' : '';
+    this.summaryEl.style.display = irq ? '' : 'none';
+    this.writesBody.parentElement.style.display = irq ? '' : 'none';
+    if (!irq) return;
+
+    this.fields.counter.textContent = irq.start.counter;
+    this.fields.latch.textContent = irq.start.latch;
+    this.fields.enabled.textContent = irq.start.enabled ? 'yes' : 'no';
+    this.fields.predicted.textContent = _formatLines(irq.predicted);
+    this.fields.fired.textContent = _formatLines(irq.fired);
+    const mismatch = irq.predicted.length !== irq.fired.length ||
+      irq.predicted.some((y, i) => y !== irq.fired[i]);
+    this.container.classList.toggle('irq-mismatch', mismatch);
+
+    const rows = irq.writes.map((write) => {
+      const tr = document.createElement('tr');
+      tr.dataset.kind = write.kind;
+      const cells = [
+        write.screenY,
+        write.dot,
+        `$${write.address.toString(16).toUpperCase()} ${MMC3_IRQ_REGISTERS[write.address]}`,
+        '$' + write.value.toString(16).toUpperCase().padStart(2, '0'),
+      ];
+      for (const text of cells) {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      }
+      return tr;
+    });
+    this.writesBody.replaceChildren(...rows);
+  }
+}
+
+function _formatLines(lines) {
+  return lines.length > 0 ? lines.join(', ') : '-';
+}
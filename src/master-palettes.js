@@ -0,0 +1,171 @@
+/**
+ * NES master palettes: the 64 colours a 6-bit palette RAM value selects.
+ * Colours are packed 0xBBGGRR like jsnes' tables, so they drop into the
+ * same emphasis and CSS conversion paths as jsnes' own colours.
+ *
+ * `ntsc` is jsnes' table (the canvas reference draws with it). `pal` is
+ * generated from the PPU's composite signal levels with the 2C07's chroma
+ * phase; the other entries are the usual emulator palettes.
+ */
+
+// Palette selected when nothing else is configured.
+export const DEFAULT_MASTER_PALETTE = 'ntsc';
+
+// .pal file sizes: 64 RGB triplets, or 8 emphasis tables of 64.
+export const PAL_FILE_SIZE = 192;
+export const PAL_FILE_EMPHASIS_SIZE = 1536;
+
+// jsnes loadNTSCPalette(), packed 0xBBGGRR.
+const JSNES_NTSC = [
+  0x525252, 0xb40000, 0xa00000, 0xb1003d, 0x740069, 0x00005b, 0x00005f, 0x001840,
+  0x002f10, 0x084a08, 0x006700, 0x124200, 0x6d2800, 0x000000, 0x000000, 0x000000,
+  0xc4d5e7, 0xff4000, 0xdc0e22, 0xff476b, 0xd7009f, 0x680ad7, 0x0019bc, 0x0054b1,
+  0x006a5b, 0x008c03, 0x00ab00, 0x2c8800, 0xa47200, 0x000000, 0x000000, 0x000000,
+  0xf8f8f8, 0xffab3c, 0xff7981, 0xff5bc5, 0xff48f2, 0xdf49ff, 0x476dff, 0x00b4f7,
+  0x00e0ff, 0x00e375, 0x03f42b, 0x78b82e, 0xe5e218, 0x787878, 0x000000, 0x000000,
+  0xffffff, 0xfff2be, 0xf8b8b8, 0xf8b8d8, 0xffb6ff, 0xffc3ff, 0xc7d1ff, 0x9adaff,
+  0x88edf8, 0x83ffdd, 0xb8f8b8, 0xf5f8ac, 0xffffb0, 0xf8d8f8, 0x000000, 0x000000,
+];
+
+// FCEUX default palette, RRGGBB.
+const FCEUX_RGB = `
+  747474 24188c 0000a8 44009c 8c0074 a80010 a40000 7c0800
+  402c00 004400 005000 003c14 183c5c 000000 000000 000000
+  bcbcbc 0070ec 2038ec 8000f0 bc00bc e40058 d82800 c84c0c
+  887000 009400 00a800 009038 008088 000000 000000 000000
+  fcfcfc 3cbcfc 5c94fc cc88fc f478fc fc74b4 fc7460 fc9838
+  f0bc3c 80d010 4cdc48 58f898 00e8d8 787878 000000 000000
+  fcfcfc a8e4fc c4d4fc d4c8fc fcc4fc fcc4d8 fcbcb0 fcd8a8
+  fce4a0 e0fca0 a8f0bc b0fccc 9cfcf0 c4c4c4 000000 000000`;
+
+// Nestopia YUV palette, RRGGBB.
+const NESTOPIA_RGB = `
+  666666 002a88 1412a7 3b00a4 5c007e 6e0040 6c0700 561d00
+  333500 0c4800 005200 004f08 00404d 000000 000000 000000
+  adadad 155fd9 4240ff 7527fe a01acc b71e7b b53120 994e00
+  6b6d00 388700 0d9300 008f32 007c8d 000000 000000 000000
+  ffffff 64b0ff 9290ff c676ff f26aff ff6ecc ff8170 ea9e22
+  bcbe00 88d800 5ce430 45e082 48cdde 4f4f4f 000000 000000
+  ffffff c0dfff d3d2ff e8c8ff fac2ff ffc4ea ffccc5 f7d8a5
+  e4e594 cfef96 bdf4ab b3f3cc b5ebf2 b8b8b8 000000 000000`;
+
+// FirebrandX "Smooth" palette, RRGGBB.
+const SMOOTH_RGB = `
+  6a6d6a 001380 1e008a 39007a 550056 5a0018 4f1000 3d1c00
+  253200 003d00 004000 003924 002e55 000000 000000 000000
+  b9bcb9 1850c7 4b30e3 7322d6 951fa9 9d285c 983700 7f4c00
+  5e6400 227700 027e02 007645 006e8a 000000 000000 000000
+  ffffff 68a6ff 8c9cff b586ff d975fd e377b9 e58d68 d49d29
+  b3af0c 7bc211 55ca47 46cb81 47c1c5 4a4d4a 000000 000000
+  ffffff cceaff dddeff ecdaff f8d7fe fcd6f5 fddbcf f9e7b5
+  f1f0aa dafaa9 c9ffbc c3fbd7 c4f6f6 bec1be 000000 000000`;
+
+// 2C07 chroma phase offset (degrees) for the generated PAL palette.
+const PAL_HUE_OFFSET = -20;
+
+// Composite levels (relative to sync) for luma 0-3: signal low, signal high.
+const SIGNAL_LOW = [0.350, 0.518, 0.962, 1.550];
+const SIGNAL_HIGH = [1.094, 1.506, 1.962, 1.962];
+const SIGNAL_BLACK = 0.518;
+const SIGNAL_WHITE = 1.962;
+
+// Built-in master palettes by id.
+export const MASTER_PALETTES = Object.freeze({
+  ntsc: _palette('ntsc', 'NTSC 2C02', Uint32Array.from(JSNES_NTSC)),
+  pal: _palette('pal', 'PAL 2C07', _generateCompositePalette(PAL_HUE_OFFSET)),
+  fceux: _palette('fceux', 'FCEUX', _fromRGBHex(FCEUX_RGB)),
+  nestopia: _palette('nestopia', 'Nestopia', _fromRGBHex(NESTOPIA_RGB)),
+  smooth: _palette('smooth', 'Smooth (FBX)', _fromRGBHex(SMOOTH_RGB)),
+});
+
+/**
+ * @param {string} id - MASTER_PALETTES key
+ * @returns {object|null} { id, label, colors, emphasisTables }
+ */
+export function getMasterPalette(id) {
+  return Object.hasOwn(MASTER_PALETTES, id) ? MASTER_PALETTES[id] : null;
+}
+
+/**
+ * Parse a .pal file: 64 RGB triplets (192 bytes), or 512 (1536 bytes) where
+ * each further block of 64 is the palette under emphasis bits 1-7.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {string} [label]
+ * @returns {object} { id: 'custom', label, colors, emphasisTables }
+ */
+export function parsePalFile(data, label = 'Custom') {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes.length !== PAL_FILE_SIZE && bytes.length !== PAL_FILE_EMPHASIS_SIZE) {
+    throw new Error(`Unsupported .pal file: ${bytes.length} bytes (expected ${PAL_FILE_SIZE} or ${PAL_FILE_EMPHASIS_SIZE})`);
+  }
+
+  const tables = [];
+  for (let offset = 0; offset < bytes.length; offset += PAL_FILE_SIZE) {
+    const table = new Uint32Array(64);
+    for (let i = 0; i < 64; i++) {
+      const p = offset + i * 3;
+      table[i] = _pack(bytes[p], bytes[p + 1], bytes[p + 2]);
+    }
+    tables.push(table);
+  }
+
+  return _palette('custom', label, tables[0], tables.length === 8 ? tables : null);
+}
+
+function _palette(id, label, colors, emphasisTables = null) {
+  return Object.freeze({ id, label, colors, emphasisTables });
+}
+
+// RRGGBB → 0xBBGGRR
+function _pack(r, g, b) {
+  return (b << 16) | (g << 8) | r;
+}
+
+function _fromRGBHex(text) {
+  const values = text.trim().split(/\s+/).map((hex) => parseInt(hex, 16));
+  return Uint32Array.from(values, (rgb) => _pack((rgb >> 16) & 0xff, (rgb >> 8) & 0xff, rgb & 0xff));
+}
+
+/**
+ * Decode each colour's composite waveform: 12 phase steps of a square wave
+ * between the luma's low and high levels, demodulated as YUV. Hue 0 and
+ * $xD+ have no chroma; $xE/$xF are forced to black.
+ */
+function _generateCompositePalette(hueDegrees) {
+  const colors = new Uint32Array(64);
+  for (let index = 0; index < 64; index++) {
+    const hue = index & 0x0f;
+    const luma = hue > 0x0d ? 1 : (index >> 4) & 3;
+    let low = SIGNAL_LOW[luma];
+    let high = SIGNAL_HIGH[luma];
+    if (hue === 0) low = high;
+    if (hue > 0x0c) high = low;
+
+    let y = 0;
+    let u = 0;
+    let v = 0;
+    for (let phase = 0; phase < 12; phase++) {
+      const level = (hue + phase) % 12 < 6 ? high : low;
+      const signal = (level - SIGNAL_BLACK) / (SIGNAL_WHITE - SIGNAL_BLACK);
+      const angle = (Math.PI * (phase + hueDegrees / 30)) / 6;
+      y += signal;
+      u += signal * Math.cos(angle);
+      v -= signal * Math.sin(angle);
+    }
+    // Averaging a square wave halves its chroma amplitude.
+    y /= 12;
+    u /= 6;
+    v /= 6;
+
+    colors[index] = _pack(
+      _channel(y + 1.140 * v),
+      _channel(y - 0.395 * u - 0.581 * v),
+      _channel(y + 2.032 * u),
+    );
+  }
+  return colors;
+}
+
+function _channel(value) {
+  return Math.max(0, Math.min(255, Math.round(value * 255)));
+}
@@ -5,10 +5,19 @@
  *
  * The display span lives in the toolbar (outside the viewport), so updating
  * the counter text doesn't trigger self-referential mutations.
+ *
+ * A per-frame budget tracks how long rendering has run over it, so
+ * expensive modes (e.g. raster bands) can be watched frame to frame.
  */
+
+// Matches the red threshold used by the stats bar.
+export const DEFAULT_MUTATION_BUDGET = 3000;
+
 export class MutationCounter {
-  constructor(targetEl) {
+  constructor(targetEl, options = {}) {
     this._count = 0;
+    this.lastCount = 0;
+    this.setBudget(options.budget ?? DEFAULT_MUTATION_BUDGET);
 
     this._observer = new MutationObserver((records) => {
       for (let i = 0; i < records.length; i++) {
@@ -48,9 +57,35 @@ export class MutationCounter {
 
     const count = this._count;
     this._count = 0;
+
+    this.lastCount = count;
+    if (count > this.peakCount) this.peakCount = count;
+    if (count > this.budget) {
+      this.overBudgetFrames++;
+      this.totalOverBudgetFrames++;
+    } else {
+      this.overBudgetFrames = 0;
+    }
     return count;
   }
 
+  /**
+   * Set the per-frame mutation budget. Resets over-budget tracking.
+   */
+  setBudget(budget) {
+    this.budget = Math.max(1, Number.isFinite(budget) ? Math.trunc(budget) : DEFAULT_MUTATION_BUDGET);
+    this.peakCount = 0;
+    this.overBudgetFrames = 0;
+    this.totalOverBudgetFrames = 0;
+  }
+
+  /**
+   * True when the most recent snapshot exceeded the budget.
+   */
+  isOverBudget() {
+    return this.lastCount > this.budget;
+  }
+
   /**
    * Format a count for display.
    */
@@ -62,11 +97,12 @@ export class MutationCounter {
   }
 
   /**
-   * Return a CSS class name based on mutation count severity.
+   * Return a CSS class name based on mutation count severity. Yellow starts
+   * at a third of the budget.
    */
-  static severity(count) {
-    if (count > 3000) return 'mut-red';
-    if (count >= 1000) return 'mut-yellow';
+  static severity(count, budget = DEFAULT_MUTATION_BUDGET) {
+    if (count > budget) return 'mut-red';
+    if (count >= budget / 3) return 'mut-yellow';
     return 'mut-green';
   }
 }
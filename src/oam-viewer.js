@@ -86,6 +86,7 @@ export class OAMViewer {
 
     const sprites = ppuState.sprites;
     const is8x16 = ppuState.spriteSize === 1;
+    const evaluation = this.renderer.spriteLayer.lastEvaluation;
 
     for (let i = 0; i < 64; i++) {
       const spr = sprites[i];
@@ -103,6 +104,8 @@ export class OAMViewer {
       if (spr.flipH) flags.push('H');
       if (spr.flipV) flags.push('V');
       if (spr.behindBg) flags.push('B');
+      // D = loses rows to the 8-sprites-per-scanline limit
+      if (evaluation?.droppedRows[i]) flags.push('D');
       cells[5].textContent = flags.join('') || '-';
 
       // Dim off-screen sprites
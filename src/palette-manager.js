@@ -1,43 +1,112 @@
 /**
  * Converts NES palette data to CSS colors and tracks which palette groups changed.
  * A palette group is 4 consecutive colors (indices 0-3, 4-7, 8-11, 12-15).
+ * Changes are also tracked per palette RAM index (0-31, i.e. $3F00-$3F1F).
+ *
+ * When the PPU state carries palette RAM, colours are resolved from the 6-bit
+ * indices through the selected master palette (see master-palettes.js);
+ * otherwise the packed colours jsnes computed are used as they are.
  */
+import { NO_MASK, maskedColor, sameMask } from './ppu-mask.js';
+import { DEFAULT_MASTER_PALETTE, getMasterPalette } from './master-palettes.js';
+import { PALETTE_RAM_SIZE, paletteRAMIndex } from './palette-ram.js';
+
 export class PaletteManager {
-  constructor() {
+  constructor(options = {}) {
     this.prevBg = new Array(16).fill(-1);
     this.prevSpr = new Array(16).fill(-1);
     this.bgColors = new Array(16).fill('#000000');
     this.sprColors = new Array(16).fill('#000000');
     this.dirtyBgGroups = new Set();
     this.dirtySprGroups = new Set();
+    // Palette RAM indices (0-31) whose value or colour changed in the last update
+    this.dirtyIndices = new Set();
+
+    // Palette RAM ($3F00-$3F1F) and PPUMASK colour state of the last update
+    this.paletteRAM = null;
+    this.frameMask = NO_MASK;
+    this.prevRAM = new Array(PALETTE_RAM_SIZE).fill(-1);
+
+    this.master = getMasterPalette(DEFAULT_MASTER_PALETTE);
+    if (options.masterPalette) this.setMasterPalette(options.masterPalette);
+  }
+
+  /**
+   * Select the master palette: a MASTER_PALETTES id or a parsePalFile()
+   * result. Every group is redrawn on the next update().
+   * @returns {string} id of the palette in use
+   */
+  setMasterPalette(palette) {
+    const resolved = typeof palette === 'string' ? getMasterPalette(palette) : palette;
+    if (!resolved?.colors || resolved.colors.length < 64) {
+      throw new Error(`Unknown master palette: ${typeof palette === 'string' ? palette : palette?.id}`);
+    }
+    this.master = resolved;
+    this.reset();
+    return resolved.id;
   }
 
   /**
    * Update palettes from PPU state. Returns true if anything changed.
+   * `ppuSource` ({ paletteRAM, emphasis, greyscale }, e.g. the PPU state)
+   * switches colour resolution to the master palette and enables
+   * getBgPaletteGroup() for other PPUMASK states.
    */
-  update(bgPalette, sprPalette) {
+  update(bgPalette, sprPalette, ppuSource = null) {
     this.dirtyBgGroups.clear();
     this.dirtySprGroups.clear();
+    this.dirtyIndices.clear();
+
+    if (ppuSource) this._updatePPUSource(ppuSource);
+    else this.paletteRAM = null;
 
     for (let i = 0; i < 16; i++) {
-      if (bgPalette[i] !== this.prevBg[i]) {
-        this.bgColors[i] = this._toCSS(bgPalette[i]);
-        this.prevBg[i] = bgPalette[i];
-        this.dirtyBgGroups.add(i >> 2);
+      const bg = this.paletteRAM ? this._resolve(this._ramValue(i), this.frameMask) : bgPalette[i];
+      if (bg !== this.prevBg[i]) {
+        this.bgColors[i] = this._toCSS(bg);
+        this.prevBg[i] = bg;
+        this._markDirty(i);
       }
-      if (sprPalette[i] !== this.prevSpr[i]) {
-        this.sprColors[i] = this._toCSS(sprPalette[i]);
-        this.prevSpr[i] = sprPalette[i];
-        this.dirtySprGroups.add(i >> 2);
+      const spr = this.paletteRAM ? this._resolve(this._ramValue(16 + i), this.frameMask) : sprPalette[i];
+      if (spr !== this.prevSpr[i]) {
+        this.sprColors[i] = this._toCSS(spr);
+        this.prevSpr[i] = spr;
+        this._markDirty(16 + i);
       }
     }
 
-    return this.dirtyBgGroups.size > 0 || this.dirtySprGroups.size > 0;
+    return this.dirtyIndices.size > 0;
   }
 
-  /** Get 4 CSS color strings for BG palette group n (0-3) */
-  getBgPaletteGroup(n) {
+  /**
+   * Forget the previous palettes so the next update() marks every group dirty.
+   */
+  reset() {
+    this.prevBg.fill(-1);
+    this.prevSpr.fill(-1);
+    this.prevRAM.fill(-1);
+    this.dirtyBgGroups.clear();
+    this.dirtySprGroups.clear();
+    this.dirtyIndices.clear();
+  }
+
+  /**
+   * Whether `mask` draws with this frame's colours (bgColors/sprColors).
+   * Without palette RAM every mask falls back to them.
+   */
+  usesFrameColors(mask) {
+    return !this.paletteRAM || sameMask(mask, this.frameMask);
+  }
+
+  /**
+   * Get 4 CSS color strings for BG palette group n (0-3), as drawn under
+   * `mask` ({ emphasis, greyscale }) when given, else under the frame's mask.
+   */
+  getBgPaletteGroup(n, mask = null) {
     const base = n << 2;
+    if (mask && !this.usesFrameColors(mask)) {
+      return [0, 1, 2, 3].map((i) => this._toCSS(this._resolve(this._ramValue(base + i), mask)));
+    }
     return [this.bgColors[base], this.bgColors[base + 1], this.bgColors[base + 2], this.bgColors[base + 3]];
   }
 
@@ -47,11 +116,64 @@ export class PaletteManager {
     return [this.sprColors[base], this.sprColors[base + 1], this.sprColors[base + 2], this.sprColors[base + 3]];
   }
 
+  /** Palette RAM values ($00-$3F) behind BG group n, or null without palette RAM */
+  getBgPaletteIndices(n) {
+    return this._groupValues(n << 2);
+  }
+
+  /**
+   * Palette RAM values ($00-$3F) behind sprite group n, or null without
+   * palette RAM. Entry 0 reads the mirrored BG entry ($3F10 → $3F00).
+   */
+  getSprPaletteIndices(n) {
+    return this._groupValues(16 + (n << 2));
+  }
+
+  /** Palette RAM value ($00-$3F) at index 0-31 ($3F00-$3F1F), or null without palette RAM */
+  getPaletteRAMValue(index) {
+    return this.paletteRAM ? this._ramValue(index) : null;
+  }
+
   /** Background color (palette index 0 — shared across all BG palettes) */
   getBackgroundColor() {
     return this.bgColors[0];
   }
 
+  _updatePPUSource({ paletteRAM, emphasis, greyscale }) {
+    this.frameMask = { emphasis: (emphasis ?? 0) & 7, greyscale: !!greyscale };
+    this.paletteRAM = paletteRAM ?? null;
+    if (!this.paletteRAM) return;
+
+    // Mask variants follow palette RAM even where the frame colours did not
+    // move (greyscale maps several indices to one colour).
+    for (let i = 0; i < PALETTE_RAM_SIZE; i++) {
+      const value = this._ramValue(i);
+      if (value === this.prevRAM[i]) continue;
+      this.prevRAM[i] = value;
+      this._markDirty(i);
+    }
+  }
+
+  _markDirty(index) {
+    this.dirtyIndices.add(index);
+    if (index < 16) this.dirtyBgGroups.add(index >> 2);
+    else this.dirtySprGroups.add((index - 16) >> 2);
+  }
+
+  // $3F10/$3F14/$3F18/$3F1C read their BG counterparts
+  _ramValue(index) {
+    return this.paletteRAM[paletteRAMIndex(index)] & 0x3f;
+  }
+
+  _groupValues(base) {
+    if (!this.paletteRAM) return null;
+    return [0, 1, 2, 3].map((i) => this._ramValue(base + i));
+  }
+
+  _resolve(index, mask) {
+    return maskedColor(this.master.colors, index, mask, this.master.emphasisTables);
+  }
+
   _toCSS(packed) {
     // jsnes stores colors as 0xBBGGRR (for Uint32 canvas LE compatibility)
     const r = packed & 0xff;
@@ -0,0 +1,51 @@
+/**
+ * Palette RAM ($3F00-$3F1F) addressing. The 32 entries are 4 BG groups
+ * ($3F00-$3F0F) then 4 sprite groups ($3F10-$3F1F) of 4 colours each.
+ * Entry 0 of a sprite group ($3F10/$3F14/$3F18/$3F1C) has no storage of its
+ * own: it mirrors the BG entry 16 below, so $3F10 reads back the backdrop.
+ */
+
+// PPU address of palette RAM entry 0 (the backdrop).
+export const PALETTE_RAM_BASE = 0x3f00;
+
+// Palette RAM entries; $3F20-$3FFF repeat them.
+export const PALETTE_RAM_SIZE = 32;
+
+/**
+ * @param {number} address - PPU address ($3F00-$3FFF) or entry index (0-31)
+ * @returns {number} index (0-31) of the entry that stores the value
+ */
+export function paletteRAMIndex(address) {
+  const index = address & 0x1f;
+  return (index & 0x13) === 0x10 ? index & 0x0f : index;
+}
+
+/**
+ * @param {number} index - palette RAM entry (0-31)
+ * @returns {boolean} true for the sprite entries that mirror a BG entry
+ */
+export function isPaletteMirror(index) {
+  return paletteRAMIndex(index) !== (index & 0x1f);
+}
+
+/**
+ * Read palette RAM out of a PPU memory array, resolving the mirrors so
+ * index 16 always equals index 0 and so on.
+ * @param {ArrayLike<number>} vram - PPU address space ($0000-$3FFF)
+ * @returns {Uint8Array} 32 six-bit palette values
+ */
+export function readPaletteRAM(vram) {
+  const ram = new Uint8Array(PALETTE_RAM_SIZE);
+  for (let i = 0; i < PALETTE_RAM_SIZE; i++) {
+    ram[i] = vram[PALETTE_RAM_BASE + paletteRAMIndex(i)] & 0x3f;
+  }
+  return ram;
+}
+
+/**
+ * @param {number} index - palette RAM entry (0-31)
+ * @returns {string} its PPU address, e.g. `$3F11`
+ */
+export function formatPaletteAddress(index) {
+  return '$' + (PALETTE_RAM_BASE + (index & 0x1f)).toString(16).toUpperCase();
+}
@@ -0,0 +1,48 @@
+/**
+ * CSS custom properties for palette indirection. `--pal-bg-N-M` holds colour
+ * M (0-3) of BG palette group N. In the 'variables' palette mode BG sheets
+ * are colour-index masks and styles/nes-layers.css paints them with these,
+ * so a palette write costs one property write instead of a sheet render.
+ */
+
+/**
+ * @param {number} group - BG palette group (0-3)
+ * @param {number} entry - colour within the group (0-3)
+ * @returns {string} e.g. `--pal-bg-2-3`
+ */
+export function paletteVarName(group, entry) {
+  return `--pal-bg-${group & 3}-${entry & 3}`;
+}
+
+/**
+ * Write BG palette colours to an element's inline style.
+ * @param {CSSStyleDeclaration} style
+ * @param {string[]} bgColors - 16 CSS colours (PaletteManager.bgColors)
+ * @param {Iterable<number>|null} [indices] - palette RAM indices to write
+ *   (sprite indices 16-31 are skipped), or null for all 16
+ * @returns {number} properties written
+ */
+export function writeBgPaletteVars(style, bgColors, indices = null) {
+  let written = 0;
+  for (const index of indices ?? bgColors.keys()) {
+    if (index >= 16) continue;
+    style.setProperty(paletteVarName(index >> 2, index & 3), bgColors[index]);
+    written++;
+  }
+  return written;
+}
+
+/**
+ * @param {string[][]} groups - 4 CSS colours per BG palette group
+ * @returns {string} declarations for a stylesheet rule that overrides the
+ *   variables below it (e.g. for a band drawn under another PPUMASK)
+ */
+export function bgPaletteVarDeclarations(groups) {
+  let css = '';
+  groups.forEach((colors, group) => {
+    colors.forEach((color, entry) => {
+      css += `${paletteVarName(group, entry)}: ${color}; `;
+    });
+  });
+  return css.trim();
+}
@@ -1,7 +1,10 @@
 /**
- * Palette Viewer — displays all 8 palette groups (4 BG + 4 SPR) as color swatches.
- * Highlights groups that changed this frame with a brief flash.
+ * Palette Viewer — displays all 8 palette groups (4 BG + 4 SPR) as color swatches,
+ * each labelled with its raw $00-$3F palette RAM value when the state has one.
+ * Highlights groups and entries that changed this frame with a brief flash.
  */
+import { formatPaletteAddress } from './palette-ram.js';
+
 export class PaletteViewer {
   constructor(inspectorEl, renderer) {
     this.renderer = renderer;
@@ -15,10 +18,14 @@ export class PaletteViewer {
     const header = document.createElement('div');
     header.className = 'subpanel-header';
     header.textContent = 'Palettes';
+    this.masterEl = document.createElement('span');
+    this.masterEl.className = 'pal-master';
+    header.appendChild(this.masterEl);
     this.container.appendChild(header);
 
     // 8 rows: BG 0-3, SPR 0-3
     this.swatches = [];
+    this.indexLabels = [];
     this.rows = [];
 
     for (let i = 0; i < 8; i++) {
@@ -31,14 +38,22 @@ export class PaletteViewer {
       row.appendChild(label);
 
       const rowSwatches = [];
+      const rowLabels = [];
       for (let j = 0; j < 4; j++) {
         const swatch = document.createElement('div');
         swatch.className = 'pal-swatch';
+        swatch.dataset.address = formatPaletteAddress(i * 4 + j);
+        swatch.title = swatch.dataset.address;
+        const index = document.createElement('span');
+        index.className = 'pal-index';
+        swatch.appendChild(index);
         row.appendChild(swatch);
         rowSwatches.push(swatch);
+        rowLabels.push(index);
       }
 
       this.swatches.push(rowSwatches);
+      this.indexLabels.push(rowLabels);
       this.rows.push(row);
       this.container.appendChild(row);
     }
@@ -56,6 +71,7 @@ export class PaletteViewer {
     if (!this.visible) return;
 
     const pm = this.renderer.paletteManager;
+    this.masterEl.textContent = pm.master.label;
 
     // BG groups 0-3
     for (let g = 0; g < 4; g++) {
@@ -64,6 +80,7 @@ export class PaletteViewer {
       for (let c = 0; c < 4; c++) {
         this.swatches[g][c].style.backgroundColor = colors[c];
       }
+      this._updateIndices(g, pm.getBgPaletteIndices(g));
       this.rows[g].classList.toggle('pal-dirty', dirty);
     }
 
@@ -74,7 +91,28 @@ export class PaletteViewer {
       for (let c = 0; c < 4; c++) {
         this.swatches[4 + g][c].style.backgroundColor = colors[c];
       }
+      this._updateIndices(4 + g, pm.getSprPaletteIndices(g));
       this.rows[4 + g].classList.toggle('pal-dirty', dirty);
     }
+
+    for (let i = 0; i < 32; i++) {
+      this.swatches[i >> 2][i & 3].classList.toggle('pal-swatch-dirty', pm.dirtyIndices.has(i));
+    }
+  }
+
+  _updateIndices(row, indices) {
+    for (let c = 0; c < 4; c++) {
+      const label = this.indexLabels[row][c];
+      const index = indices?.[c];
+      label.textContent = index === undefined ? '' : _formatIndex(index);
+      if (index === undefined) delete this.swatches[row][c].dataset.index;
+      else this.swatches[row][c].dataset.index = index;
+      // Rows $2x-$3x (bar the $xD-$xF greys) are light; label them in dark text.
+      label.classList.toggle('pal-index-dark', index !== undefined && (index & 0x0f) < 0x0d && index >= 0x20);
+    }
   }
 }
+
+function _formatIndex(index) {
+  return '$' + index.toString(16).toUpperCase().padStart(2, '0');
+}
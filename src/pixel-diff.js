@@ -0,0 +1,442 @@
+/**
+ * CSS-vs-canvas pixel diff with per-pixel cause classification.
+ * Compares a rasterized CSS viewport (RGBA) against the jsnes frame buffer
+ * and attributes each mismatch to a likely cause using the same provenance
+ * sampling as the annotation popover plus the frame's render plan.
+ */
+import {
+  samplePixelProvenance,
+  regionForScreenY,
+  bgColorFromState,
+  decodePaletteGroup,
+  packedToCss,
+} from './pixel-provenance.js';
+import { maskedColor, sameMask } from './ppu-mask.js';
+
+export const DIFF_CAUSES = ['sprite-priority', 'palette', 'region-seam', 'chr-set', 'other'];
+
+// Heatmap color per cause (RGB).
+export const DIFF_CAUSE_COLORS = {
+  'sprite-priority': [255, 0, 255],
+  palette: [255, 200, 0],
+  'region-seam': [0, 200, 255],
+  'chr-set': [0, 230, 110],
+  other: [255, 60, 60],
+};
+
+// Largest per-channel difference still treated as a match (screenshot color drift).
+export const DEFAULT_DIFF_TOLERANCE = 16;
+
+// Rows on either side of a render-plan region boundary attributed to the seam.
+export const DEFAULT_SEAM_MARGIN = 1;
+
+const WIDTH = 256;
+const HEIGHT = 240;
+
+/**
+ * Diff a CSS raster against ppuState.buffer.
+ * @param {ArrayLike<number>} cssRGBA - RGBA bytes of the CSS viewport
+ * @param {object} ppuState - PPUStateExtractor output (with .buffer)
+ * @param {object} [options]
+ * @param {number} [options.cssWidth] - row stride of cssRGBA in pixels (default 256)
+ * @param {ArrayLike<number>} [options.reference] - reference RGBA (default: from ppuState.buffer)
+ * @param {number} [options.tolerance]
+ * @param {number} [options.seamMargin]
+ * @returns {{ width: number, height: number, mismatched: number, percent: number,
+ *   causes: Object<string, number>, mask: Uint8Array }} mask holds 0 for a match,
+ *   otherwise 1 + the DIFF_CAUSES index
+ */
+export function diffFrame(cssRGBA, ppuState, options = {}) {
+  const cssWidth = Math.max(1, options.cssWidth ?? WIDTH);
+  const tolerance = Math.max(0, options.tolerance ?? DEFAULT_DIFF_TOLERANCE);
+  const seamMargin = Math.max(0, options.seamMargin ?? DEFAULT_SEAM_MARGIN);
+  const reference = options.reference ?? framebufferToRGBA(ppuState.buffer);
+  const mask = new Uint8Array(WIDTH * HEIGHT);
+  const causes = _emptyCauseCounts();
+  let mismatched = 0;
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const r = (y * WIDTH + x) * 4;
+      const c = (y * cssWidth + x) * 4;
+      const delta = Math.max(
+        Math.abs(reference[r] - cssRGBA[c]),
+        Math.abs(reference[r + 1] - cssRGBA[c + 1]),
+        Math.abs(reference[r + 2] - cssRGBA[c + 2])
+      );
+      if (delta <= tolerance) continue;
+
+      const refColor = _rgbToCss(reference[r], reference[r + 1], reference[r + 2]);
+      const cause = classifyPixel(ppuState, x, y, refColor, { seamMargin });
+      mask[y * WIDTH + x] = DIFF_CAUSES.indexOf(cause) + 1;
+      causes[cause]++;
+      mismatched++;
+    }
+  }
+
+  return {
+    width: WIDTH,
+    height: HEIGHT,
+    mismatched,
+    percent: (mismatched / (WIDTH * HEIGHT)) * 100,
+    causes,
+    mask,
+  };
+}
+
+/**
+ * Most likely reason the reference shows refColor where the CSS renderer
+ * composited something else:
+ *  - sprite-priority: a sprite covers the pixel and the reference shows another
+ *    candidate layer (priority, 8-per-line limit)
+ *  - region-seam: the render plan merged scanlines with a different scroll, or
+ *    the pixel sits on a region boundary
+ *  - chr-set: the exact scanline used another CHR set / pattern base, or the
+ *    reference shows another index of the same palette (pattern data differs)
+ *  - palette: the reference color is absent from the frame-end palettes, or
+ *    matches the same color index of another palette group
+ * @param {string} refColor - '#rrggbb'
+ * @returns {string} one of DIFF_CAUSES
+ */
+export function classifyPixel(ppuState, x, y, refColor, options = {}) {
+  const seamMargin = Math.max(0, options.seamMargin ?? DEFAULT_SEAM_MARGIN);
+  const { bg, spriteHits, final } = samplePixelProvenance(ppuState, x, y);
+
+  if (spriteHits.length > 0 && refColor !== final.color) {
+    const candidates = [bg.color, bgColorFromState(ppuState, 0, 0), ...spriteHits.map((hit) => hit.color)];
+    if (candidates.includes(refColor)) return 'sprite-priority';
+  }
+
+  const regions = ppuState.renderPlan?.regions;
+  const region = regionForScreenY(regions, y);
+  const exact = regionForScreenY(ppuState.renderPlan?.canonicalRegions, y);
+  if (region && exact) {
+    if (region.scrollX !== exact.scrollX || region.scrollY !== exact.scrollY) return 'region-seam';
+    if (region.chrSetKey !== exact.chrSetKey || region.bgPatternBase !== exact.bgPatternBase) return 'chr-set';
+  }
+  if (_nearRegionBoundary(regions, y, seamMargin)) return 'region-seam';
+
+  if (!_paletteHasColor(ppuState, refColor)) return 'palette';
+  for (let group = 0; group < 4; group++) {
+    if (group !== bg.palGroup && bg.colorIndex > 0 && bgColorFromState(ppuState, group, bg.colorIndex) === refColor) {
+      return 'palette';
+    }
+  }
+  for (let ci = 0; ci < 4; ci++) {
+    if (ci !== bg.colorIndex && bgColorFromState(ppuState, bg.palGroup, ci) === refColor) return 'chr-set';
+  }
+
+  return 'other';
+}
+
+/**
+ * Rasterize the composition the CSS layers encode for a PPU state, for live
+ * diffing where the DOM cannot be read back as pixels: BG per render-plan
+ * region (from the region's CHR set in chrStateCatalog), then sprites stacked the way SpriteLayer stacks them. 'approx'
+ * puts every front sprite above BG (later OAM index on top) and hides
+ * behind-BG sprites under the viewport background; 'exact' follows the
+ * hardware rule (first opaque sprite in OAM order, behind-BG loses to opaque BG).
+ * @param {object} ppuState
+ * @param {object} [options]
+ * @param {object[]} [options.regions] - BG regions drawn (default renderPlan.regions)
+ * @param {object[]} [options.lineSplits] - partial-line regions drawn (default renderPlan.lineSplits)
+ * @param {string} [options.priority] - 'approx' | 'exact'
+ * @param {Array<number[]|null>} [options.droppedRows] - per-sprite rows clipped by the scanline limit
+ * @param {boolean} [options.bgVisible] - false when the BG layer is hidden in the UI
+ * @param {boolean} [options.spritesVisible] - false when the sprite layer is hidden
+ * @returns {Uint8ClampedArray} 256x240 RGBA
+ */
+export function rasterizeRenderModel(ppuState, options = {}) {
+  const regions = options.regions ?? ppuState.renderPlan?.regions;
+  const lineSplits = options.lineSplits ?? ppuState.renderPlan?.lineSplits ?? [];
+  const exact = options.priority === 'exact';
+  const droppedRows = options.droppedRows ?? null;
+  const bgVisible = ppuState.bgVisible && options.bgVisible !== false;
+  const spritesVisible = ppuState.spritesVisible && options.spritesVisible !== false;
+  const colors = new Int32Array(WIDTH * HEIGHT);
+  const bgOpaque = new Uint8Array(WIDTH * HEIGHT);
+  const maskedPalettes = new Map();
+  const chrSets = new Map();
+
+  for (let y = 0; y < HEIGHT; y++) {
+    for (const span of _rowSpans(regionForScreenY(regions, y), lineSplits, y)) {
+      const region = span.region;
+      const scroll = region ? region.scroll : ppuState.scroll;
+      const rowVisible = bgVisible && region?.bgVisible !== false;
+      const patternBase = region?.bgPatternBase ?? ppuState.bgPatternBase;
+      const mirrorMap = region?.mirrorMap ?? ppuState.mirrorMap;
+      const bgPalette = _bgPaletteFor(ppuState, region, maskedPalettes);
+      const setTiles = _bgTilesFor(ppuState, region, chrSets);
+      const scrollX = scroll.coarseX * 8 + scroll.fineX + scroll.nameTableH * 256;
+      const worldY = (scroll.coarseY * 8 + scroll.fineY + scroll.nameTableV * 240 + y) % 480;
+      const localY = worldY % 240;
+
+      for (let x = span.xStart; x < span.xEnd; x++) {
+        const i = y * WIDTH + x;
+        colors[i] = ppuState.bgPalette[0];
+        if (!rowVisible) continue;
+
+        const worldX = (scrollX + x) % 512;
+        const logicalNT = (worldY >= 240 ? 2 : 0) + (worldX >= 256 ? 1 : 0);
+        const nt = ppuState.nameTables[mirrorMap[logicalNT] ?? logicalNT];
+        if (!nt) continue;
+        const localX = worldX % 256;
+        const slot = (localY >> 3) * 32 + (localX >> 3);
+        const tile = setTiles ? setTiles[nt.tile[slot]] : ppuState.ptTile[patternBase + nt.tile[slot]];
+        const ci = tile ? tile.pix[((localY & 7) << 3) + (localX & 7)] : 0;
+        if (ci === 0) continue;
+        colors[i] = bgPalette[(decodePaletteGroup(nt.attrib[slot]) << 2) + ci];
+        bgOpaque[i] = 1;
+      }
+    }
+  }
+
+  if (spritesVisible) {
+    const height = ppuState.spriteSize === 1 ? 16 : 8;
+    // Exact: paint in reverse OAM order so the first opaque sprite ends up on top.
+    const order = exact ? _range(63, -1) : _range(0, 64);
+    const owner = exact ? new Int8Array(WIDTH * HEIGHT).fill(-1) : null;
+
+    for (const s of order) {
+      const spr = ppuState.sprites[s];
+      if (!exact && spr.behindBg) continue;
+      const top = spr.y + 1;
+      if (top >= 240 || top + height <= 0) continue;
+      const dropped = droppedRows?.[s] ? new Set(droppedRows[s]) : null;
+
+      for (let row = 0; row < height; row++) {
+        const y = top + row;
+        if (y < 0 || y >= HEIGHT || dropped?.has(row)) continue;
+        for (let col = 0; col < 8; col++) {
+          const x = spr.x + col;
+          if (x >= WIDTH) break;
+          const ci = _spriteColorIndex(ppuState, spr, col, row, height);
+          if (ci === 0) continue;
+          const i = y * WIDTH + x;
+          if (exact) {
+            owner[i] = s;
+          } else {
+            colors[i] = ppuState.sprPalette[(decodePaletteGroup(spr.palette) << 2) + ci];
+          }
+        }
+      }
+    }
+
+    if (exact) {
+      for (let i = 0; i < owner.length; i++) {
+        const s = owner[i];
+        if (s < 0) continue;
+        const spr = ppuState.sprites[s];
+        if (spr.behindBg && bgOpaque[i]) continue;
+        const x = i % WIDTH;
+        const row = Math.floor(i / WIDTH) - (spr.y + 1);
+        const ci = _spriteColorIndex(ppuState, spr, x - spr.x, row, height);
+        colors[i] = ppuState.sprPalette[(decodePaletteGroup(spr.palette) << 2) + ci];
+      }
+    }
+  }
+
+  return framebufferToRGBA(colors);
+}
+
+/**
+ * RGBA heatmap of one diff: mismatches in their cause color, matches transparent.
+ */
+export function diffHeatmapRGBA(result) {
+  const rgba = new Uint8ClampedArray(result.width * result.height * 4);
+  for (let i = 0; i < result.mask.length; i++) {
+    const code = result.mask[i];
+    if (code === 0) continue;
+    const [r, g, b] = DIFF_CAUSE_COLORS[DIFF_CAUSES[code - 1]];
+    rgba[i * 4] = r;
+    rgba[i * 4 + 1] = g;
+    rgba[i * 4 + 2] = b;
+    rgba[i * 4 + 3] = 255;
+  }
+  return rgba;
+}
+
+/**
+ * Sums diffs over many frames (e.g. every checkpoint of one ROM).
+ */
+export class DiffAccumulator {
+  constructor() {
+    this.frames = 0;
+    this.mismatched = 0;
+    this.causes = _emptyCauseCounts();
+    this.counts = new Uint16Array(WIDTH * HEIGHT);
+  }
+
+  add(result) {
+    this.frames++;
+    this.mismatched += result.mismatched;
+    for (const cause of DIFF_CAUSES) this.causes[cause] += result.causes[cause];
+    for (let i = 0; i < result.mask.length; i++) {
+      if (result.mask[i] !== 0 && this.counts[i] < 0xffff) this.counts[i]++;
+    }
+  }
+
+  get percent() {
+    return this.frames > 0 ? (this.mismatched / (this.frames * WIDTH * HEIGHT)) * 100 : 0;
+  }
+
+  /**
+   * RGBA heatmap where opacity is the fraction of frames a pixel mismatched.
+   */
+  toRGBA() {
+    const rgba = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    if (this.frames === 0) return rgba;
+    for (let i = 0; i < this.counts.length; i++) {
+      if (this.counts[i] === 0) continue;
+      rgba[i * 4] = 255;
+      rgba[i * 4 + 1] = 40;
+      rgba[i * 4 + 2] = 40;
+      rgba[i * 4 + 3] = Math.round(64 + (191 * this.counts[i]) / this.frames);
+    }
+    return rgba;
+  }
+}
+
+/**
+ * The subset of a PPU state diffFrame/classifyPixel read, as plain arrays so
+ * it survives structured clone / JSON (e.g. page.evaluate in Playwright).
+ */
+export function toDiffState(ppuState) {
+  const plan = ppuState.renderPlan;
+  const stripRegion = ({ chrSignature, ...region }) => region;
+  return {
+    buffer: Array.from(ppuState.buffer),
+    bgPalette: Array.from(ppuState.bgPalette),
+    sprPalette: Array.from(ppuState.sprPalette),
+    nameTables: ppuState.nameTables.map((nt) => (nt ? { tile: Array.from(nt.tile), attrib: Array.from(nt.attrib) } : null)),
+    mirrorMap: Array.from(ppuState.mirrorMap),
+    ptTile: ppuState.ptTile.map((tile) => ({ pix: tile ? Array.from(tile.pix) : new Array(64).fill(0) })),
+    sprites: ppuState.sprites.map((spr) => ({ ...spr })),
+    scroll: { ...ppuState.scroll },
+    bgPatternBase: ppuState.bgPatternBase,
+    sprPatternBase: ppuState.sprPatternBase,
+    spriteSize: ppuState.spriteSize,
+    bgVisible: ppuState.bgVisible,
+    spritesVisible: ppuState.spritesVisible,
+    emphasis: ppuState.emphasis,
+    greyscale: ppuState.greyscale,
+    paletteRAM: ppuState.paletteRAM ? Array.from(ppuState.paletteRAM) : null,
+    masterPalette: ppuState.masterPalette ? Array.from(ppuState.masterPalette) : null,
+    renderPlan: plan
+      ? {
+        regions: (plan.regions ?? []).map(stripRegion),
+        canonicalRegions: (plan.canonicalRegions ?? []).map(stripRegion),
+        lineSplits: (plan.lineSplits ?? []).map(stripRegion),
+      }
+      : null,
+  };
+}
+
+/**
+ * jsnes frame buffer (0xBBGGRR per pixel) to RGBA bytes.
+ */
+export function framebufferToRGBA(buffer) {
+  const rgba = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < WIDTH * HEIGHT; i++) {
+    const color = buffer[i];
+    rgba[i * 4] = color & 0xff;
+    rgba[i * 4 + 1] = (color >> 8) & 0xff;
+    rgba[i * 4 + 2] = (color >> 16) & 0xff;
+    rgba[i * 4 + 3] = 0xff;
+  }
+  return rgba;
+}
+
+function _emptyCauseCounts() {
+  const counts = {};
+  for (const cause of DIFF_CAUSES) counts[cause] = 0;
+  return counts;
+}
+
+function _range(from, to) {
+  const out = [];
+  const step = from < to ? 1 : -1;
+  for (let i = from; i !== to; i += step) out.push(i);
+  return out;
+}
+
+/**
+ * Horizontal spans of row y: the row's region up to the first line split,
+ * then each split region over its own x range.
+ */
+function _rowSpans(region, lineSplits, y) {
+  const spans = [{ region, xStart: 0, xEnd: WIDTH }];
+  for (const split of lineSplits) {
+    if (split.yStart !== y) continue;
+    spans[0].xEnd = Math.min(spans[0].xEnd, split.xStart);
+    spans.push({ region: split, xStart: split.xStart, xEnd: split.xEnd ?? WIDTH });
+  }
+  return spans;
+}
+
+// BG colours of a region drawn under another PPUMASK than the frame ends
+// with; the backdrop stays on the frame's colour, as in the CSS viewport.
+function _bgPaletteFor(ppuState, region, cache) {
+  if (!region || !ppuState.paletteRAM || !ppuState.masterPalette) return ppuState.bgPalette;
+  const mask = {
+    emphasis: region.emphasis ?? ppuState.emphasis,
+    greyscale: region.greyscale ?? ppuState.greyscale,
+  };
+  if (sameMask(mask, ppuState)) return ppuState.bgPalette;
+  let palette = cache.get(region);
+  if (!palette) {
+    palette = Array.from({ length: 16 }, (_, i) => maskedColor(ppuState.masterPalette, ppuState.paletteRAM[i], mask));
+    cache.set(region, palette);
+  }
+  return palette;
+}
+
+// The 256 BG tiles of a region's CHR set (chrSetKey) from chrStateCatalog, as
+// TileCache draws them; null when the frame's catalog does not hold that set,
+// in which case the region reads the pattern table the frame ends with.
+function _bgTilesFor(ppuState, region, cache) {
+  const key = region?.chrSetKey;
+  if (!key || !Array.isArray(ppuState.chrStateCatalog)) return null;
+  if (!cache.has(key)) {
+    cache.set(key, ppuState.chrStateCatalog.find((state) => state?.key === key)?.tiles ?? null);
+  }
+  return cache.get(key);
+}
+
+/**
+ * Color index of a sprite pixel at sprite-relative (col, row), rows counted
+ * from the top on screen.
+ */
+function _spriteColorIndex(ppuState, spr, col, row, height) {
+  const px = spr.flipH ? 7 - col : col;
+  const py = spr.flipV ? height - 1 - row : row;
+  let tileAddress;
+  if (height === 16) {
+    tileAddress = ((spr.tileIndex & 1) ? 256 : 0) + (spr.tileIndex & 0xFE) + (py >= 8 ? 1 : 0);
+  } else {
+    tileAddress = ppuState.sprPatternBase + spr.tileIndex;
+  }
+  const tile = ppuState.ptTile[tileAddress];
+  return tile ? tile.pix[((py & 7) << 3) + px] : 0;
+}
+
+function _nearRegionBoundary(regions, y, margin) {
+  if (!Array.isArray(regions) || regions.length < 2) return false;
+  for (let i = 1; i < regions.length; i++) {
+    const boundary = regions[i].yStart;
+    if (y >= boundary - margin && y < boundary + margin) return true;
+  }
+  return false;
+}
+
+function _paletteHasColor(ppuState, color) {
+  for (let i = 0; i < 16; i++) {
+    if (packedToCss(ppuState.bgPalette[i]) === color) return true;
+    if (packedToCss(ppuState.sprPalette[i]) === color) return true;
+  }
+  return false;
+}
+
+function _rgbToCss(r, g, b) {
+  return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+}
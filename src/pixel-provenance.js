@@ -0,0 +1,249 @@
+/**
+ * Per-pixel composition provenance from an extracted PPU state: which BG
+ * tile pixel and which sprites cover a screen pixel, and which of them wins.
+ * Shared by AnnotationPopover (shift+click) and the pixel-diff classifier.
+ */
+
+/**
+ * @returns {{ bg: object, spriteHits: object[], final: { winner: string, color: string, reason: string } }}
+ */
+export function samplePixelProvenance(ppuState, screenX, screenY) {
+  const bg = sampleBgPixel(ppuState, screenX, screenY);
+  const spriteHits = sampleSpritePixels(ppuState, screenX, screenY);
+  const final = resolveFinalPixel(ppuState, bg, spriteHits);
+  return { bg, spriteHits, final };
+}
+
+/**
+ * @param {object} [scroll] - scroll to sample with; defaults to the render-plan
+ *   region covering screenY
+ */
+export function sampleBgPixel(ppuState, screenX, screenY, scroll = scrollForScreenY(ppuState, screenY, screenX)) {
+  const { scrollX, scrollY } = scrollPixels(scroll);
+  const worldX = (scrollX + screenX) % 512;
+  const worldY = (scrollY + screenY) % 480;
+
+  const ntX = worldX >= 256 ? 1 : 0;
+  const ntY = worldY >= 240 ? 1 : 0;
+  const logicalNT = ntY * 2 + ntX;
+  const physicalNT = ppuState.mirrorMap[logicalNT] ?? logicalNT;
+
+  const localX = worldX % 256;
+  const localY = worldY % 240;
+  const tileCol = localX >> 3;
+  const tileRow = localY >> 3;
+  const slot = tileRow * 32 + tileCol;
+
+  const nt = ppuState.nameTables[physicalNT];
+  const tileIndex = nt && nt.tile ? nt.tile[slot] : 0;
+  const rawAttrib = nt && nt.attrib ? nt.attrib[slot] : 0;
+  const palGroup = decodePaletteGroup(rawAttrib);
+  const ntAddr = 0x2000 + physicalNT * 0x400 + slot;
+
+  const pixelX = localX & 7;
+  const pixelY = localY & 7;
+  const tileData = ppuState.ptTile[ppuState.bgPatternBase + tileIndex];
+  const colorIndex = tileData ? tileData.pix[(pixelY << 3) + pixelX] : 0;
+  const color = bgColorFromState(ppuState, palGroup, colorIndex);
+
+  return {
+    worldX,
+    worldY,
+    logicalNT,
+    physicalNT,
+    tileCol,
+    tileRow,
+    tileIndex,
+    ntAddr,
+    pixelX,
+    pixelY,
+    palGroup,
+    colorIndex,
+    color,
+  };
+}
+
+/**
+ * Opaque sprite pixels at a screen position, in OAM (priority) order.
+ */
+export function sampleSpritePixels(ppuState, screenX, screenY) {
+  if (!ppuState.spritesVisible) return [];
+
+  const hits = [];
+  const sprites = ppuState.sprites;
+  const is8x16 = ppuState.spriteSize === 1;
+  const height = is8x16 ? 16 : 8;
+
+  for (let i = 0; i < 64; i++) {
+    const spr = sprites[i];
+    const sprX = spr.x;
+    const sprY = spr.y + 1;
+
+    if (sprY >= 240 || sprY + height <= 0) continue;
+    if (screenX < sprX || screenX >= sprX + 8) continue;
+    if (screenY < sprY || screenY >= sprY + height) continue;
+
+    const localX = screenX - sprX;
+    const localY = screenY - sprY;
+
+    const sample = is8x16
+      ? _sample8x16SpritePixel(ppuState, spr, localX, localY)
+      : _sample8x8SpritePixel(ppuState, spr, localX, localY);
+
+    if (!sample || sample.colorIndex === 0) continue;
+
+    const palGroup = decodePaletteGroup(spr.palette);
+    const color = sprColorFromState(ppuState, palGroup, sample.colorIndex);
+
+    hits.push({
+      idx: i,
+      x: sprX,
+      y: sprY,
+      behindBg: !!spr.behindBg,
+      palGroup,
+      color,
+      ...sample,
+    });
+  }
+
+  return hits;
+}
+
+export function resolveFinalPixel(ppuState, bg, spriteHits) {
+  const backdrop = bgColorFromState(ppuState, 0, 0);
+  const bgOpaque = ppuState.bgVisible && bg.colorIndex > 0;
+  const sprite = ppuState.spritesVisible && spriteHits.length > 0 ? spriteHits[0] : null;
+
+  if (sprite) {
+    if (!bgOpaque || !sprite.behindBg) {
+      return {
+        winner: `Sprite #${sprite.idx}`,
+        color: sprite.color,
+        reason: bgOpaque ? 'Sprite is in front of BG' : 'BG pixel is transparent',
+      };
+    }
+
+    return {
+      winner: 'Background',
+      color: bg.color,
+      reason: `Sprite #${sprite.idx} is behind opaque BG`,
+    };
+  }
+
+  if (bgOpaque) {
+    return {
+      winner: 'Background',
+      color: bg.color,
+      reason: 'No opaque sprite pixel overlaps',
+    };
+  }
+
+  return {
+    winner: 'Backdrop',
+    color: backdrop,
+    reason: 'No visible BG or sprite pixel here',
+  };
+}
+
+export function scrollPixels(scroll) {
+  return {
+    scrollX: scroll.coarseX * 8 + scroll.fineX + scroll.nameTableH * 256,
+    scrollY: scroll.coarseY * 8 + scroll.fineY + scroll.nameTableV * 240,
+  };
+}
+
+/**
+ * Scroll of the render-plan region covering screenY (the frame scroll when
+ * there is no plan). With screenX, a line split covering that pixel wins.
+ */
+export function scrollForScreenY(ppuState, screenY, screenX = null) {
+  if (screenX !== null) {
+    const split = (ppuState.renderPlan?.lineSplits ?? []).find((s) => (
+      s.yStart === screenY && screenX >= s.xStart && screenX < (s.xEnd ?? 256) && s.scroll
+    ));
+    if (split) return split.scroll;
+  }
+  const region = regionForScreenY(ppuState.renderPlan?.regions, screenY);
+  return region ? region.scroll : ppuState.scroll;
+}
+
+export function regionForScreenY(regions, screenY) {
+  if (!Array.isArray(regions)) return null;
+  for (const region of regions) {
+    if (screenY >= region.yStart && screenY < region.yEnd && region.scroll) {
+      return region;
+    }
+  }
+  return null;
+}
+
+export function decodePaletteGroup(rawValue) {
+  const value = Number(rawValue) || 0;
+  return value > 3 ? (value >> 2) & 3 : value & 3;
+}
+
+export function bgColorFromState(ppuState, palGroup, colorIndex) {
+  if (colorIndex === 0) {
+    return packedToCss(ppuState.bgPalette[0]);
+  }
+  const idx = (palGroup << 2) + colorIndex;
+  return packedToCss(ppuState.bgPalette[idx]);
+}
+
+export function sprColorFromState(ppuState, palGroup, colorIndex) {
+  if (colorIndex === 0) return 'transparent';
+  const idx = (palGroup << 2) + colorIndex;
+  return packedToCss(ppuState.sprPalette[idx]);
+}
+
+/**
+ * jsnes packed 0xBBGGRR to '#rrggbb'.
+ */
+export function packedToCss(packed) {
+  const value = Number(packed) || 0;
+  const r = value & 0xff;
+  const g = (value >> 8) & 0xff;
+  const b = (value >> 16) & 0xff;
+  return '#' + ((r << 16) | (g << 8) | b).toString(16).padStart(6, '0');
+}
+
+function _sample8x8SpritePixel(ppuState, spr, localX, localY) {
+  const tileAddress = ppuState.sprPatternBase + spr.tileIndex;
+  const tile = ppuState.ptTile[tileAddress];
+  if (!tile) return null;
+
+  const pixelX = spr.flipH ? 7 - localX : localX;
+  const pixelY = spr.flipV ? 7 - localY : localY;
+  const colorIndex = tile.pix[(pixelY << 3) + pixelX];
+
+  return {
+    tileIndex: spr.tileIndex,
+    tileAddress,
+    pixelX,
+    pixelY,
+    colorIndex,
+  };
+}
+
+function _sample8x16SpritePixel(ppuState, spr, localX, localY) {
+  const bankBase = (spr.tileIndex & 1) ? 256 : 0;
+  const pairTop = spr.tileIndex & 0xFE;
+  const spriteY = spr.flipV ? 15 - localY : localY;
+  const tileOffset = spriteY >= 8 ? 1 : 0;
+  const tileIndex = pairTop + tileOffset;
+  const tileAddress = bankBase + tileIndex;
+  const tile = ppuState.ptTile[tileAddress];
+  if (!tile) return null;
+
+  const pixelX = spr.flipH ? 7 - localX : localX;
+  const pixelY = spriteY & 7;
+  const colorIndex = tile.pix[(pixelY << 3) + pixelX];
+
+  return {
+    tileIndex,
+    tileAddress,
+    pixelX,
+    pixelY,
+    colorIndex,
+  };
+}
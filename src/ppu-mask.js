@@ -0,0 +1,77 @@
+/**
+ * PPUMASK colour effects: the emphasis bits (5-7) and greyscale (bit 0).
+ * Colours follow jsnes' palette table so CSS output matches the canvas:
+ * each set emphasis bit dims the two channels it does not name to 3/4
+ * (the factors do not compound), and greyscale keeps only bit 5 of the
+ * palette index, i.e. the $00/$20 column of the master palette.
+ */
+
+// Channel scale applied by an emphasis bit.
+export const EMPHASIS_FACTOR = 0.75;
+
+// PPUMASK state with no colour effect.
+export const NO_MASK = Object.freeze({ emphasis: 0, greyscale: false });
+
+/**
+ * @param {{ emphasis?: number, greyscale?: boolean }} a
+ * @param {{ emphasis?: number, greyscale?: boolean }} b
+ * @returns {boolean}
+ */
+export function sameMask(a, b) {
+  return ((a?.emphasis ?? 0) & 7) === ((b?.emphasis ?? 0) & 7) && !!a?.greyscale === !!b?.greyscale;
+}
+
+/**
+ * Short key suffix for a mask state, e.g. `e5g` for emphasis 5 + greyscale.
+ */
+export function maskToken(mask) {
+  return `e${(mask?.emphasis ?? 0) & 7}${mask?.greyscale ? 'g' : ''}`;
+}
+
+/**
+ * @param {number} packed - 0xBBGGRR colour from the base (unemphasized) table
+ * @param {number} emphasis - PPUMASK bits 5-7 as 0-7
+ * @returns {number} packed colour with the emphasis applied
+ */
+export function emphasizeColor(packed, emphasis) {
+  const emph = emphasis & 7;
+  if (emph === 0) return packed;
+
+  // jsnes names packed bits 16-23 "r" and bits 0-7 "b"; follow its naming
+  // so the bit → channel mapping reads the same as palette-table.js.
+  let rFactor = 1;
+  let gFactor = 1;
+  let bFactor = 1;
+  if (emph & 1) {
+    rFactor = EMPHASIS_FACTOR;
+    bFactor = EMPHASIS_FACTOR;
+  }
+  if (emph & 2) {
+    rFactor = EMPHASIS_FACTOR;
+    gFactor = EMPHASIS_FACTOR;
+  }
+  if (emph & 4) {
+    gFactor = EMPHASIS_FACTOR;
+    bFactor = EMPHASIS_FACTOR;
+  }
+
+  const r = Math.floor(((packed >> 16) & 0xff) * rFactor);
+  const g = Math.floor(((packed >> 8) & 0xff) * gFactor);
+  const b = Math.floor((packed & 0xff) * bFactor);
+  return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * @param {ArrayLike<number>} masterPalette - 64 packed base colours
+ * @param {number} index - palette RAM value ($00-$3F)
+ * @param {{ emphasis?: number, greyscale?: boolean }} mask
+ * @param {Array<ArrayLike<number>>|null} [emphasisTables] - per-emphasis
+ *   tables (e.g. from a 1536-byte .pal file), used instead of the 3/4 scaling
+ * @returns {number} packed colour the PPU outputs for `index` under `mask`
+ */
+export function maskedColor(masterPalette, index, mask, emphasisTables = null) {
+  const entry = mask?.greyscale ? index & 0x20 : index & 0x3f;
+  const emphasis = (mask?.emphasis ?? 0) & 7;
+  if (emphasisTables?.[emphasis]) return emphasisTables[emphasis][entry] ?? 0;
+  return emphasizeColor(masterPalette[entry] ?? 0, emphasis);
+}
@@ -3,19 +3,26 @@
  * All reads are from public properties on nes.ppu — no jsnes modifications needed.
  */
 import { buildScanlineState } from './scanline-state-builder.js';
-import { planScrollRegions } from './scroll-region-planner.js';
+import { inferCHRBanks } from './chr-bank-decoders.js';
+import { predictIRQLines } from './mmc3-irq.js';
+import { readPaletteRAM } from './palette-ram.js';
+import {
+  planScrollRegions,
+  planLineSplits,
+  DEFAULT_MAX_REGIONS,
+  SPRITE0_SPLIT_DELAY,
+} from './scroll-region-planner.js';
 
 export class PPUStateExtractor {
-  constructor(nes) {
+  constructor(nes, options = {}) {
     this.nes = nes;
-    this._tileRefIds = new WeakMap();
-    this._nextTileRefId = 1;
+    this.maxRegions = Math.max(1, options.maxRegions ?? DEFAULT_MAX_REGIONS);
   }
 
   extract(options = {}) {
     const ppu = this.nes.ppu;
     const mirrorMap = [ppu.ntable1[0], ppu.ntable1[1], ppu.ntable1[2], ppu.ntable1[3]];
-    const chrBankSignature = this._extractCHRBankSignature(ppu);
+    const chrBankSignature = this._extractCHRBankSignature(options.timingTrace);
     const includeCanonicalRegions = options.includeCanonicalRegions !== false;
     const scroll = {
       coarseX: ppu.regHT,
@@ -30,12 +37,16 @@ export class PPUStateExtractor {
     const spriteSize = ppu.f_spriteSize; // 0=8x8, 1=8x16
     const bgVisible = ppu.f_bgVisibility === 1;
     const spritesVisible = ppu.f_spVisibility === 1;
+    const emphasis = (ppu.f_color ?? 0) & 7;
+    const greyscale = ppu.f_dispType === 1;
     const chrStateCatalog = this._extractCHRStateCatalog(options.timingTrace?.chrStates);
 
     const renderPlan = this._buildRenderPlan(options.timingTrace, {
       scroll,
       bgVisible,
       spritesVisible,
+      emphasis,
+      greyscale,
       bgPatternBase,
       sprPatternBase,
       spriteSize,
@@ -44,6 +55,8 @@ export class PPUStateExtractor {
     }, {
       includeCanonicalRegions,
       chrStateCatalog,
+      maxRegions: options.maxRegions ?? this.maxRegions,
+      spr0HitY: ppu.spr0HitY,
     });
 
     return {
@@ -51,6 +64,12 @@ export class PPUStateExtractor {
       bgPalette: ppu.imgPalette.slice(0, 16),
       sprPalette: ppu.sprPalette.slice(0, 16),
 
+      // Palette RAM ($3F00-$3F1F) as 6-bit values, $3F10/$3F14/$3F18/$3F1C
+      // mirrored from the BG entries, plus jsnes' unemphasized master
+      // palette the reference canvas draws with
+      paletteRAM: this._extractPaletteRAM(ppu),
+      masterPalette: this._extractMasterPalette(ppu),
+
       // Nametables — tile indices and attributes for each physical nametable
       nameTables: this._extractNameTables(ppu),
 
@@ -73,12 +92,19 @@ export class PPUStateExtractor {
       bgVisible,
       spritesVisible,
 
-      // Sprite 0 hit (for future scroll split detection)
+      // PPUMASK colour effects at frame end (emphasis bits 5-7 as 0-7)
+      emphasis,
+      greyscale,
+
+      // Sprite 0 hit line this frame (-1 if none); a split hint for the planner
       spr0HitY: ppu.spr0HitY,
 
       // Regionized render plan (single region fallback when no timing data)
       renderPlan,
 
+      // MMC3 IRQ counter activity this frame (null for boards without one)
+      irq: this._extractIRQ(options.timingTrace, renderPlan),
+
       // Catalog of captured BG CHR states keyed by signature/base.
       chrStateCatalog,
 
@@ -95,20 +121,33 @@ export class PPUStateExtractor {
   _buildRenderPlan(timingTrace, fallbackState, options = {}) {
     const includeCanonicalRegions = options.includeCanonicalRegions !== false;
     const chrStateCatalog = Array.isArray(options.chrStateCatalog) ? options.chrStateCatalog : [];
+    const maxRegions = Math.max(1, options.maxRegions ?? this.maxRegions);
     const events = Array.isArray(timingTrace?.events) ? timingTrace.events : [];
     const scanlineModel = buildScanlineState(timingTrace, fallbackState, {
       includeMapperWrites: true,
       mapperApplyWithinScanline: true,
     });
+    // IRQ handlers run on the line after the counter fires.
+    const irqLines = timingTrace?.irq ? predictIRQLines(timingTrace.irq, scanlineModel).lines : [];
+    const preferredSplits = irqLines.map((y) => y + 1);
+    // Without writes the sprite-0 hit is the only split evidence; with them
+    // it marks a split worth keeping.
+    const spr0HitY = options.spr0HitY ?? -1;
+    const traced = events.length > 0;
+    if (traced && spr0HitY >= 0) preferredSplits.push(spr0HitY + SPRITE0_SPLIT_DELAY);
+    const sprite0HitY = traced ? undefined : spr0HitY;
     const regionsRaw = planScrollRegions(scanlineModel, fallbackState, {
-      maxRegions: 2,
+      maxRegions,
       minRegionHeight: 6,
+      preferredSplits,
+      sprite0HitY,
     });
     const canonicalRegionsRaw = includeCanonicalRegions
       ? planScrollRegions(scanlineModel, fallbackState, {
         compress: false,
         minRegionHeight: 1,
         maxRegions: 240,
+        sprite0HitY,
       })
       : regionsRaw;
     const canonicalRegions = canonicalRegionsRaw.map((region) => ({
@@ -119,16 +158,22 @@ export class PPUStateExtractor {
       ...region,
       chrSetKey: this._buildChrSetKey(region.bgPatternBase, region.chrSignature),
     }));
+    const lineSplits = planLineSplits(scanlineModel).map((region) => ({
+      ...region,
+      chrSetKey: this._buildChrSetKey(region.bgPatternBase, region.chrSignature),
+    }));
     const eventCount = events.length;
 
     return {
-      mode: regions.length > 1 ? 'region' : 'single',
+      mode: regions.length > 1 || lineSplits.length > 0 ? 'region' : 'single',
       source: eventCount > 0 ? 'timing-trace' : 'snapshot',
       eventCount,
       splitCount: Math.max(0, regions.length - 1),
       canonicalSplitCount: Math.max(0, canonicalRegions.length - 1),
       canonicalRegionCount: canonicalRegions.length,
       canonicalRegions,
+      lineSplits,
+      irqLines,
       scanlineModel,
       chrStateKeys: chrStateCatalog.map((state) => state.key),
       regions,
@@ -191,32 +236,37 @@ export class PPUStateExtractor {
   }
 
   /**
-   * Compute a stable numeric signature per 1KB CHR region using object-identity
-   * IDs for all 64 tiles in the region (FNV-1a style fold).
+   * The eight mapped 1KB CHR banks at frame end, as decoded by the tracer.
+   * Without a trace they are read back from the pattern table tiles.
    */
-  _extractCHRBankSignature(ppu) {
-    const refs = new Array(8);
-    for (let i = 0; i < 8; i++) {
-      const base = i * 64;
-      let h = 0x811c9dc5;
-      for (let j = 0; j < 64; j++) {
-        const id = this._tileRefId(ppu.ptTile[base + j]);
-        h ^= id;
-        h = Math.imul(h, 0x01000193);
-      }
-      refs[i] = h >>> 0;
-    }
-    return refs;
+  _extractCHRBankSignature(timingTrace) {
+    const decoded = timingTrace?.chrBankSignature;
+    if (Array.isArray(decoded) && decoded.length === 8) return decoded.slice();
+    return inferCHRBanks(this.nes);
   }
 
-  _tileRefId(tile) {
-    if (!tile || (typeof tile !== 'object' && typeof tile !== 'function')) return 0;
-    let id = this._tileRefIds.get(tile);
-    if (!id) {
-      id = this._nextTileRefId++;
-      this._tileRefIds.set(tile, id);
-    }
-    return id;
+  /**
+   * The traced IRQ writes and fired lines next to the lines the counter
+   * model predicts, so a wrong prediction shows up in the inspector.
+   */
+  _extractIRQ(timingTrace, renderPlan) {
+    const irq = timingTrace?.irq;
+    if (!irq?.start) return null;
+    return {
+      start: { ...irq.start },
+      writes: irq.writes.slice(),
+      fired: irq.fired.slice(),
+      predicted: renderPlan.irqLines.slice(),
+    };
+  }
+
+  _extractPaletteRAM(ppu) {
+    return ppu.vramMem ? readPaletteRAM(ppu.vramMem) : null;
+  }
+
+  _extractMasterPalette(ppu) {
+    const table = ppu.palTable?.emphTable?.[0];
+    return table ? Uint32Array.from(table) : null;
   }
 
   _extractSprites(ppu) {
@@ -1,7 +1,14 @@
 /**
  * Captures frame-local timed writes relevant to rendering state.
  * We patch mapper regWrite()/write() at runtime to avoid modifying jsnes.
+ * Mapper writes also drive a CHR bank decoder (src/chr-bank-decoders.js),
+ * which supplies every snapshot's `chrSignature`. On MMC3 boards the
+ * $C000-$E001 IRQ writes and the lines the counter actually fired on are
+ * kept per frame as `irq` (see src/mmc3-irq.js).
  */
+import { createCHRBankDecoder, POWER_ON_CHR_BANKS } from './chr-bank-decoders.js';
+import { MMC3_IRQ_REGISTERS, hasIRQCounter } from './mmc3-irq.js';
+
 export class PPUWriteTracer {
   constructor(nes) {
     this.nes = nes;
@@ -9,15 +16,18 @@ export class PPUWriteTracer {
     this._mapper = null;
     this._originalRegWrite = null;
     this._originalWrite = null;
+    this._originalClockIrqCounter = null;
     this._trackMapperWrites = false;
-    this._tileRefIds = new WeakMap();
-    this._nextTileRefId = 1;
+    this._chrBanks = null;
 
     this._frameOpen = false;
     this._seq = 0;
     this._startState = null;
     this._events = [];
     this._chrStatesByKey = new Map();
+    this._irqStart = null;
+    this._irqWrites = [];
+    this._irqFired = [];
   }
 
   install() {
@@ -30,6 +40,7 @@ export class PPUWriteTracer {
     this._mapper = mapper;
     this._originalRegWrite = mapper.regWrite;
     this._originalWrite = typeof mapper.write === 'function' ? mapper.write : null;
+    this._chrBanks = createCHRBankDecoder(this.nes);
 
     const tracer = this;
     mapper.regWrite = function patchedRegWrite(address, value) {
@@ -38,14 +49,14 @@ export class PPUWriteTracer {
       let timing = null;
 
       if (track) {
-        before = tracer._snapshotPPU({ includeChrSignature: false });
+        before = tracer._snapshotPPU();
         timing = tracer._snapshotTiming();
       }
 
       const ret = tracer._originalRegWrite.call(this, address, value);
 
       if (track) {
-        const after = tracer._snapshotPPU({ includeChrSignature: false });
+        const after = tracer._snapshotPPU();
         tracer._events.push({
           seq: tracer._seq++,
           address,
@@ -63,16 +74,27 @@ export class PPUWriteTracer {
 
     if (this._originalWrite) {
       mapper.write = function patchedWrite(address, value) {
-        const track = tracer._frameOpen && tracer._isMapperAddress(address);
+        // The decoder follows every bank write, traced frame or not.
+        const banking = tracer._chrBanks.handles(address);
+        const track = tracer._frameOpen && tracer._isMapperAddress(address, banking);
         let before = null;
         let timing = null;
 
         if (track) {
-          before = tracer._snapshotPPU({ includeChrSignature: false });
+          before = tracer._snapshotPPU();
           timing = tracer._snapshotTiming();
         }
 
         const ret = tracer._originalWrite.call(this, address, value);
+        if (banking) tracer._chrBanks.write(address, value);
+        if (tracer._frameOpen && tracer._originalClockIrqCounter && address in MMC3_IRQ_REGISTERS) {
+          tracer._irqWrites.push({
+            address,
+            value,
+            kind: MMC3_IRQ_REGISTERS[address],
+            ...tracer._snapshotTiming(),
+          });
+        }
 
         if (track) {
           const after = tracer._snapshotPPU();
@@ -93,6 +115,16 @@ export class PPUWriteTracer {
       };
     }
 
+    if (hasIRQCounter(mapper)) {
+      this._originalClockIrqCounter = mapper.clockIrqCounter;
+      mapper.clockIrqCounter = function patchedClockIrqCounter() {
+        const fires = this.irqEnable === 1 && this.irqCounter <= 0;
+        const ret = tracer._originalClockIrqCounter.call(this);
+        if (fires && tracer._frameOpen) tracer._irqFired.push(tracer.nes.ppu.scanline - 21);
+        return ret;
+      };
+    }
+
     this._installed = true;
     return true;
   }
@@ -103,10 +135,33 @@ export class PPUWriteTracer {
     if (this._originalWrite) {
       this._mapper.write = this._originalWrite;
     }
+    if (this._originalClockIrqCounter) {
+      this._mapper.clockIrqCounter = this._originalClockIrqCounter;
+    }
     this._installed = false;
     this._mapper = null;
     this._originalRegWrite = null;
     this._originalWrite = null;
+    this._originalClockIrqCounter = null;
+  }
+
+  /**
+   * Drop any half-open frame trace and re-patch the mapper. `nes.fromJSON()`
+   * resets the machine, which replaces the mapper instance, and restores
+   * CHR banks the decoder never saw written.
+   */
+  resync() {
+    this._frameOpen = false;
+    this._events.length = 0;
+    this._seq = 0;
+    this._startState = null;
+    this._chrStatesByKey.clear();
+    this._irqStart = null;
+    this._irqWrites.length = 0;
+    this._irqFired.length = 0;
+    const installed = this.install();
+    if (installed) this._chrBanks = createCHRBankDecoder(this.nes);
+    return installed;
   }
 
   beginFrame() {
@@ -115,6 +170,9 @@ export class PPUWriteTracer {
     this._chrStatesByKey.clear();
     this._startState = this._snapshotPPU();
     this._captureCurrentCHRStates(this._startState?.chrSignature);
+    this._irqWrites.length = 0;
+    this._irqFired.length = 0;
+    this._irqStart = this._snapshotIRQ();
     this._frameOpen = true;
   }
 
@@ -123,12 +181,23 @@ export class PPUWriteTracer {
       startState: this._startState || this._snapshotPPU(),
       events: this._events.slice(),
       chrStates: Array.from(this._chrStatesByKey.values()),
+      chrBankSignature: this._chrSignature(),
+      irq: this._originalClockIrqCounter
+        ? {
+          start: this._irqStart || this._snapshotIRQ(),
+          writes: this._irqWrites.slice(),
+          fired: this._irqFired.slice(),
+        }
+        : null,
     };
 
     this._frameOpen = false;
     this._events.length = 0;
     this._startState = null;
     this._chrStatesByKey.clear();
+    this._irqStart = null;
+    this._irqWrites.length = 0;
+    this._irqFired.length = 0;
 
     return trace;
   }
@@ -146,8 +215,8 @@ export class PPUWriteTracer {
     );
   }
 
-  _isMapperAddress(address) {
-    return this._trackMapperWrites && address >= 0x8000 && address <= 0xffff;
+  _isMapperAddress(address, banking = false) {
+    return this._trackMapperWrites && (banking || (address >= 0x8000 && address <= 0xffff));
   }
 
   _snapshotTiming() {
@@ -165,8 +234,7 @@ export class PPUWriteTracer {
     };
   }
 
-  _snapshotPPU(options = {}) {
-    const includeChrSignature = options.includeChrSignature !== false;
+  _snapshotPPU() {
     const ppu = this.nes.ppu;
     const mirrorMap = ppu.ntable1
       ? [ppu.ntable1[0], ppu.ntable1[1], ppu.ntable1[2], ppu.ntable1[3]]
@@ -184,42 +252,30 @@ export class PPUWriteTracer {
       f_bgPatternTable: ppu.f_bgPatternTable,
       f_spPatternTable: ppu.f_spPatternTable,
       f_spriteSize: ppu.f_spriteSize,
+      f_color: ppu.f_color,
+      f_dispType: ppu.f_dispType,
       mirrorMap,
-      chrSignature: includeChrSignature ? this._computeCHRSignature(ppu.ptTile) : undefined,
+      chrSignature: this._chrSignature(),
       firstWrite: ppu.firstWrite,
       scanline: ppu.scanline,
       dot: ppu.curX,
     };
   }
 
-  _tileRefId(tile) {
-    if (!tile || (typeof tile !== 'object' && typeof tile !== 'function')) return 0;
-    let id = this._tileRefIds.get(tile);
-    if (!id) {
-      id = this._nextTileRefId++;
-      this._tileRefIds.set(tile, id);
-    }
-    return id;
+  /** @returns {{ counter: number, latch: number, enabled: boolean }|null} */
+  _snapshotIRQ() {
+    const mapper = this._mapper;
+    if (!this._originalClockIrqCounter || !mapper) return null;
+    return {
+      counter: mapper.irqCounter,
+      latch: mapper.irqLatchValue,
+      enabled: mapper.irqEnable === 1,
+    };
   }
 
-  _computeCHRSignature(tiles) {
-    const signature = new Array(8);
-    if (!Array.isArray(tiles)) {
-      for (let i = 0; i < 8; i++) signature[i] = 0;
-      return signature;
-    }
-
-    for (let i = 0; i < 8; i++) {
-      const base = i * 64;
-      let h = 0x811c9dc5;
-      for (let j = 0; j < 64; j++) {
-        const id = this._tileRefId(tiles[base + j]);
-        h ^= id;
-        h = Math.imul(h, 0x01000193);
-      }
-      signature[i] = h >>> 0;
-    }
-    return signature;
+  /** @returns {Array<number|string>} the eight mapped 1KB CHR banks */
+  _chrSignature() {
+    return this._chrBanks ? this._chrBanks.signature() : POWER_ON_CHR_BANKS.slice();
   }
 
   _captureCurrentCHRStates(signature = null) {
@@ -229,7 +285,7 @@ export class PPUWriteTracer {
 
     const sig = Array.isArray(signature) && signature.length === 8
       ? signature
-      : this._computeCHRSignature(tiles);
+      : this._chrSignature();
     this._storeCHRState(0, sig, 0, tiles, 0);
     this._storeCHRState(256, sig, 4, tiles, 256);
   }
@@ -0,0 +1,241 @@
+/**
+ * Rewind history: the last N seconds of emulation, frame-accurate.
+ *
+ * Full machine state (`nes.toJSON()`) is only stored as a keyframe every
+ * `keyframeInterval` frames; every frame stores its controller input and the
+ * timing trace from `PPUWriteTracer.consumeFrameTrace()`. Seeking restores the
+ * nearest keyframe at or before the target and replays the recorded inputs,
+ * so the target frame is re-emulated (and re-traced) exactly.
+ *
+ * Keyframes are packed into typed arrays: a plain toJSON() snapshot is
+ * several MB of boxed numbers, the packed form a few hundred KB.
+ */
+
+export const DEFAULT_REWIND_SECONDS = 10;
+export const DEFAULT_KEYFRAME_INTERVAL = 20;
+const FRAMES_PER_SECOND = 60;
+
+export class RewindBuffer {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.seconds] - history length
+   * @param {number} [options.keyframeInterval] - frames between full snapshots
+   */
+  constructor(options = {}) {
+    this.capacity = Math.max(1, Math.round((options.seconds ?? DEFAULT_REWIND_SECONDS) * FRAMES_PER_SECOND));
+    this.keyframeInterval = Math.max(1, options.keyframeInterval ?? DEFAULT_KEYFRAME_INTERVAL);
+    // [{ start, state, frames: [{ input, trace }] }], oldest first
+    this.segments = [];
+    this.frameCount = 0;
+    this.position = -1;
+    this._nextFrame = 0;
+  }
+
+  get firstFrame() {
+    return this.segments.length > 0 ? this.segments[0].start : -1;
+  }
+
+  get lastFrame() {
+    return this.segments.length > 0 ? this._nextFrame - 1 : -1;
+  }
+
+  /**
+   * True when the shown frame is behind the newest recorded frame.
+   */
+  get inHistory() {
+    return this.position >= 0 && this.position < this.lastFrame;
+  }
+
+  /**
+   * Record the inputs for the frame about to run (call right before
+   * `nes.frame()`). Recording after a seek discards the frames after the
+   * shown one, since the timeline now branches from there.
+   * @returns {number} the frame number being recorded
+   */
+  beginFrame(nes) {
+    if (this.inHistory) this._truncateAfter(this.position);
+
+    let segment = this.segments[this.segments.length - 1];
+    if (!segment || segment.frames.length >= this.keyframeInterval) {
+      segment = { start: this._nextFrame, state: packState(nes.toJSON()), frames: [] };
+      this.segments.push(segment);
+    }
+    segment.frames.push({ input: snapshotControllers(nes), trace: null });
+    this.frameCount++;
+    this.position = this._nextFrame++;
+    this._evict();
+    return this.position;
+  }
+
+  /**
+   * Attach the frame's timing trace (call right after `nes.frame()`).
+   */
+  endFrame(trace) {
+    const segment = this.segments[this.segments.length - 1];
+    if (!segment) return;
+    segment.frames[segment.frames.length - 1].trace = trace ?? null;
+  }
+
+  /**
+   * @returns {{ frame: number, input: object[], trace: object|null }|null}
+   */
+  entry(frame) {
+    const segment = this._segmentFor(frame);
+    if (!segment) return null;
+    const { input, trace } = segment.frames[frame - segment.start];
+    return { frame, input, trace };
+  }
+
+  /**
+   * Re-emulate up to `frame` (clamped to the buffered range).
+   * @param {number} frame
+   * @param {object} hooks
+   * @param {(state: object) => void} hooks.restore - load a machine state (nes.fromJSON + tracer resync)
+   * @param {(input: object[], frame: number) => void} hooks.runFrame - apply input and run one traced frame
+   * @returns {object|null} entry() of the frame now shown
+   */
+  seek(frame, hooks) {
+    if (this.segments.length === 0) return null;
+    const target = Math.max(this.firstFrame, Math.min(this.lastFrame, Math.trunc(frame)));
+    const segment = this._segmentFor(target);
+
+    hooks.restore(unpackState(segment.state));
+    for (let f = segment.start; f <= target; f++) {
+      hooks.runFrame(segment.frames[f - segment.start].input, f);
+    }
+    this.position = target;
+    return this.entry(target);
+  }
+
+  /**
+   * Drop all history. Frame numbers restart at 0.
+   */
+  clear() {
+    this.segments = [];
+    this.frameCount = 0;
+    this.position = -1;
+    this._nextFrame = 0;
+  }
+
+  /**
+   * @returns {number} seconds of history currently held
+   */
+  duration() {
+    return this.frameCount / FRAMES_PER_SECOND;
+  }
+
+  _segmentFor(frame) {
+    for (let i = this.segments.length - 1; i >= 0; i--) {
+      const segment = this.segments[i];
+      if (frame >= segment.start) {
+        return frame < segment.start + segment.frames.length ? segment : null;
+      }
+    }
+    return null;
+  }
+
+  _truncateAfter(frame) {
+    while (this.segments.length > 0 && this.segments[this.segments.length - 1].start > frame) {
+      this.frameCount -= this.segments.pop().frames.length;
+    }
+    const segment = this.segments[this.segments.length - 1];
+    if (segment) {
+      const keep = frame - segment.start + 1;
+      this.frameCount -= segment.frames.length - keep;
+      segment.frames.length = keep;
+    }
+    this._nextFrame = frame + 1;
+  }
+
+  /**
+   * Drop whole segments from the front so every kept frame still has its
+   * keyframe.
+   */
+  _evict() {
+    while (this.segments.length > 1 && this.frameCount - this.segments[0].frames.length >= this.capacity) {
+      this.frameCount -= this.segments.shift().frames.length;
+    }
+  }
+}
+
+/**
+ * Copy both controllers' button state (including turbo phase).
+ */
+export function snapshotControllers(nes) {
+  const out = [];
+  for (const id of [1, 2]) {
+    const c = nes.controllers?.[id];
+    out.push(c
+      ? {
+        state: c.state.slice(),
+        baseA: c.baseA,
+        baseB: c.baseB,
+        turboA: c.turboA,
+        turboB: c.turboB,
+        turboToggle: c.turboToggle,
+      }
+      : null);
+  }
+  return out;
+}
+
+export function applyControllerInputs(nes, input) {
+  for (let i = 0; i < 2; i++) {
+    const c = nes.controllers?.[i + 1];
+    const snap = input?.[i];
+    if (!c || !snap) continue;
+    for (let b = 0; b < snap.state.length; b++) c.state[b] = snap.state[b];
+    c.baseA = snap.baseA;
+    c.baseB = snap.baseB;
+    c.turboA = snap.turboA;
+    c.turboB = snap.turboB;
+    c.turboToggle = snap.turboToggle;
+  }
+}
+
+/**
+ * Deep-copy a toJSON() state, storing numeric arrays as typed arrays.
+ */
+export function packState(value) {
+  if (Array.isArray(value)) {
+    const numeric = _numericKind(value);
+    if (numeric === 'u8') return Uint8Array.from(value);
+    if (numeric === 'i32') return Int32Array.from(value);
+    if (numeric === 'f64') return Float64Array.from(value);
+    return value.map(packState);
+  }
+  if (value && typeof value === 'object') {
+    if (ArrayBuffer.isView(value)) return value.slice();
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = packState(value[key]);
+    return out;
+  }
+  return value;
+}
+
+/**
+ * Inverse of packState(): a fresh plain-array state safe to hand to
+ * `nes.fromJSON()` (which may keep references to what it is given).
+ */
+export function unpackState(value) {
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(unpackState);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const key of Object.keys(value)) out[key] = unpackState(value[key]);
+    return out;
+  }
+  return value;
+}
+
+function _numericKind(arr) {
+  if (arr.length === 0) return null;
+  let kind = 'u8';
+  for (let i = 0; i < arr.length; i++) {
+    const v = arr[i];
+    if (typeof v !== 'number') return null;
+    if (kind === 'u8' && !(Number.isInteger(v) && v >= 0 && v <= 255)) kind = 'i32';
+    if (kind === 'i32' && !(Number.isInteger(v) && v >= -0x80000000 && v <= 0x7fffffff)) kind = 'f64';
+  }
+  return kind;
+}
@@ -0,0 +1,140 @@
+/**
+ * Save-state slots for jsnes machine state (`nes.toJSON()`).
+ * Records are persisted to IndexedDB under `${romHash}:${slot}`, so each ROM
+ * gets its own numbered slots and a state can never be loaded into a
+ * different game.
+ */
+
+export const SAVE_STATE_SLOT_COUNT = 10;
+export const SAVE_STATE_DB_NAME = 'css-nes';
+const STORE_NAME = 'save-states';
+const DB_VERSION = 1;
+
+/**
+ * SHA-256 of the raw ROM bytes as a lowercase hex string.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @returns {Promise<string>}
+ */
+export async function hashROM(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  // crypto.subtle only exists in secure contexts (https:, localhost).
+  if (!globalThis.crypto?.subtle) throw new Error('ROM hashing needs a secure context');
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export class SaveStateStore {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.slotCount] - number of slots per ROM
+   * @param {string} [options.dbName]
+   * @param {IDBFactory} [options.indexedDB] - defaults to globalThis.indexedDB
+   */
+  constructor(options = {}) {
+    this.slotCount = Math.max(1, options.slotCount ?? SAVE_STATE_SLOT_COUNT);
+    this.dbName = options.dbName ?? SAVE_STATE_DB_NAME;
+    this._idb = options.indexedDB ?? globalThis.indexedDB ?? null;
+    this._dbPromise = null;
+  }
+
+  get available() {
+    return !!this._idb;
+  }
+
+  /**
+   * Snapshot `nes` into a slot, replacing whatever was there.
+   * @returns {Promise<object>} slot summary (record without the machine state)
+   */
+  async save(romHash, slot, nes, meta = {}) {
+    const record = {
+      ...meta,
+      key: this._key(romHash, slot),
+      romHash,
+      slot,
+      savedAt: Date.now(),
+      state: nes.toJSON(),
+    };
+    const store = await this._store('readwrite');
+    await _request(store.put(record));
+    return _summary(record);
+  }
+
+  /**
+   * @returns {Promise<object|null>} full record ({ romHash, slot, savedAt, state, ... })
+   */
+  async load(romHash, slot) {
+    const store = await this._store('readonly');
+    const record = await _request(store.get(this._key(romHash, slot)));
+    return record ?? null;
+  }
+
+  /**
+   * Occupied slots for a ROM, ordered by slot number.
+   * @returns {Promise<object[]>} summaries without machine state
+   */
+  async list(romHash) {
+    const store = await this._store('readonly');
+    const records = await _request(store.index('romHash').getAll(romHash));
+    return records.map(_summary).sort((a, b) => a.slot - b.slot);
+  }
+
+  async delete(romHash, slot) {
+    const store = await this._store('readwrite');
+    await _request(store.delete(this._key(romHash, slot)));
+  }
+
+  async close() {
+    if (!this._dbPromise) return;
+    const db = await this._dbPromise;
+    this._dbPromise = null;
+    db.close();
+  }
+
+  _key(romHash, slot) {
+    if (typeof romHash !== 'string' || romHash.length === 0) {
+      throw new Error('SaveStateStore: no ROM hash (load a ROM first)');
+    }
+    if (!Number.isInteger(slot) || slot < 0 || slot >= this.slotCount) {
+      throw new RangeError(`SaveStateStore: slot must be 0-${this.slotCount - 1}, got ${slot}`);
+    }
+    return `${romHash}:${slot}`;
+  }
+
+  async _store(mode) {
+    const db = await this._open();
+    return db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+  }
+
+  _open() {
+    if (!this._idb) {
+      return Promise.reject(new Error('SaveStateStore: IndexedDB is not available'));
+    }
+    if (!this._dbPromise) {
+      const req = this._idb.open(this.dbName, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          store.createIndex('romHash', 'romHash');
+        }
+      };
+      this._dbPromise = _request(req).catch((err) => {
+        this._dbPromise = null;
+        throw err;
+      });
+    }
+    return this._dbPromise;
+  }
+}
+
+function _request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function _summary(record) {
+  const { state, ...rest } = record;
+  return rest;
+}
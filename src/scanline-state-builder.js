@@ -1,7 +1,43 @@
 /**
  * Replays timed PPU + mapper writes into effective per-scanline state.
  * Model output is canonical (no region-budget compression).
+ *
+ * When every write carries a `dot`, scroll comes from emulating the PPU's
+ * loopy registers (v, t, x, w) over the $2000/$2005/$2006 stream: t reaches
+ * v horizontally at dot 257 of every rendering line and vertically during
+ * pre-render dots 280-304, a second $2006 write copies t into v at once, and
+ * v's vertical position advances at dot 256. Each line's scroll is the
+ * frame-origin scroll that puts v's nametable row on that line, so a
+ * mid-frame $2006 becomes a plain region split. Changes that land mid-line
+ * are reported in `lineSplits` with the screen x they take effect from.
  */
+
+// Dot at which the horizontal bits of t are copied into v.
+export const HORIZONTAL_COPY_DOT = 257;
+
+// Last pre-render dot at which the vertical bits of t are copied into v.
+export const VERTICAL_COPY_DOT = 304;
+
+// Dot at which v's vertical position is incremented on rendering lines.
+export const VERTICAL_INCREMENT_DOT = 256;
+
+// First dot of the next line's two-tile prefetch.
+const PREFETCH_DOT = 321;
+
+// Pixels the BG fetch pipeline runs ahead of output (two tiles).
+const FETCH_LEAD_PIXELS = 16;
+
+// State fields updated together, keyed by the PPU mechanism that moves them.
+const FIELD_GROUPS = {
+  scroll: ['coarseX', 'coarseY', 'fineX', 'fineY', 'nameTableH', 'nameTableV'],
+  mask: ['bgVisible', 'spritesVisible', 'emphasis', 'greyscale'],
+  pattern: ['bgPatternBase'],
+  sprite: ['sprPatternBase', 'spriteSize'],
+  mapper: ['mirrorMap', 'chrSignature'],
+};
+
+const ALL_GROUPS = Object.keys(FIELD_GROUPS);
+
 export function buildScanlineState(timingTrace, fallbackState, options = {}) {
   const applyWithinScanline = options.applyWithinScanline === true;
   const mapperApplyWithinScanline = options.mapperApplyWithinScanline !== false;
@@ -16,72 +52,265 @@ export function buildScanlineState(timingTrace, fallbackState, options = {}) {
     ? [...timingTrace.events].sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0))
     : [];
 
-  const segments = [{ yStart: 0, state: start, source: 'initial', event: null }];
-  let activeState = start;
-  let relevantEventCount = 0;
-  let appliedEventCount = 0;
+  // Relevant writes with the register state each one left behind.
+  const timed = [];
+  let registerState = start;
   const domainCounts = { ppu: 0, mapper: 0 };
 
   for (const event of events) {
     if (!_isTimingRelevant(event.address, includeMapperWrites)) continue;
     if (!event.after) continue;
 
-    relevantEventCount++;
     if (_isMapperAddress(event.address)) domainCounts.mapper++;
     else domainCounts.ppu++;
 
-    const nextState = _stateFromSnapshot(event.after, activeState);
-    if (_stateEquals(nextState, activeState)) continue;
+    const nextState = _stateFromSnapshot(event.after, registerState);
+    timed.push({ event, state: nextState, changed: !_stateEquals(nextState, registerState) });
+    registerState = nextState;
+  }
 
-    const yStart = _resolveApplyScanline(event, {
-      applyWithinScanline,
-      mapperApplyWithinScanline,
+  // Each write becomes one or more applications: a group of fields taking
+  // the value they held after the write, from a given (y, x) onward.
+  const dotTiming = timed.every(({ event }) => typeof event.dot === 'number');
+  const applications = [];
+  const push = (placement, state, event) => {
+    if (placement.y >= 240) return;
+    applications.push({
+      y: Math.max(0, placement.y),
+      x: placement.x,
+      order: applications.length,
+      groups: placement.groups,
+      state,
+      event,
     });
-    activeState = nextState;
-
-    if (yStart >= 240) continue;
-    appliedEventCount++;
-
-    if (yStart <= 0) {
-      segments[0] = {
-        yStart: 0,
-        state: nextState,
-        source: _eventDomain(event.address),
-        event,
-      };
-      continue;
-    }
+  };
 
-    const last = segments[segments.length - 1];
-    if (last.yStart === yStart) {
-      last.state = nextState;
-      last.source = _eventDomain(event.address);
-      last.event = event;
-      continue;
-    }
+  for (const { event, state, changed } of timed) {
+    const placements = dotTiming
+      ? _resolveDotPlacements(event, { mapperApplyWithinScanline })
+      : _resolveLinePlacements(event, { applyWithinScanline, mapperApplyWithinScanline, changed });
+    for (const placement of placements) push(placement, state, event);
+  }
 
-    segments.push({
-      yStart,
-      state: nextState,
-      source: _eventDomain(event.address),
-      event,
-    });
+  if (dotTiming) {
+    for (const entry of _simulateLoopyScroll(timed, start, timingTrace?.startState)) {
+      push(entry, { scroll: entry.scroll }, entry.event);
+    }
   }
 
-  const canonicalSegments = _resolveSegments(segments);
+  applications.sort((a, b) => a.y - b.y || a.x - b.x || a.order - b.order);
+  const replay = _replayApplications(start, applications);
+  const canonicalSegments = _resolveSegments(replay.segments);
   const scanlines = _materializeScanlines(canonicalSegments);
 
   return {
     scanlines,
     segments: canonicalSegments,
     canonicalSegments,
+    lineSplits: replay.lineSplits,
     eventCount: events.length,
-    relevantEventCount,
-    appliedEventCount,
+    relevantEventCount: timed.length,
+    appliedEventCount: replay.appliedEvents.size,
     domainCounts,
   };
 }
 
+/**
+ * Run v/t/x/w through the frame and emit the scroll every rendering line
+ * starts with, plus mid-line scroll changes ($2006 v loads, fine X writes).
+ * Lines with rendering off are skipped: v is frozen and BG is not drawn.
+ */
+function _simulateLoopyScroll(timed, start, startSnapshot) {
+  const out = [];
+  let t = _loopyFromScroll(start.scroll);
+  let v = t;
+  let x = start.scroll.fineX;
+  let w = startSnapshot?.firstWrite === false ? 1 : 0;
+  let rendering = start.bgVisible || start.spritesVisible;
+  let lastEvent = null;
+  // Screen x where v was last loaded on the current line; tiles advance from
+  // there, so a fine X change mid-line scrolls relative to it.
+  let lineLoad = { x: 0, v };
+  let i = 0;
+
+  const runUntil = (line, dot) => {
+    while (i < timed.length && _isBefore(timed[i].event, line, dot)) {
+      const { event, state } = timed[i++];
+      const address = event.address;
+      const value = event.value ?? 0;
+      const y = _eventScreenY(event);
+      if (typeof event.firstWriteBefore === 'boolean') w = event.firstWriteBefore ? 0 : 1;
+
+      if (address === 0x2000) {
+        t = (t & ~0x0c00) | ((value & 0x03) << 10);
+      } else if (address === 0x2001) {
+        rendering = state.bgVisible || state.spritesVisible;
+        continue;
+      } else if (address === 0x2005 && w === 0) {
+        t = (t & ~0x001f) | (value >> 3);
+        x = value & 0x07;
+        const pos = _outputPosition(y, event.dot);
+        if (pos.y === y) {
+          out.push({ ...pos, groups: ['scroll'], scroll: _frameScroll(lineLoad.v, x, lineLoad.x, pos.y), event });
+        }
+        w = 1;
+      } else if (address === 0x2005) {
+        t = (t & ~0x73e0) | ((value & 0x07) << 12) | ((value & 0xf8) << 2);
+        w = 0;
+      } else if (address === 0x2006 && w === 0) {
+        t = (t & 0x00ff) | ((value & 0x3f) << 8);
+        w = 1;
+      } else if (address === 0x2006) {
+        t = (t & 0x7f00) | (value & 0xff);
+        v = t;
+        const pos = _fetchPosition(y, event.dot);
+        if (pos.x > 0) {
+          out.push({ ...pos, groups: ['scroll'], scroll: _frameScroll(v, x, pos.x, pos.y), event });
+          lineLoad = { x: pos.x, v };
+        }
+        w = 0;
+      } else {
+        continue;
+      }
+      lastEvent = event;
+    }
+  };
+
+  for (let line = -1; line < 240; line++) {
+    runUntil(line, VERTICAL_INCREMENT_DOT);
+    if (rendering && line >= 0) v = _incrementY(v);
+    runUntil(line, HORIZONTAL_COPY_DOT);
+    if (rendering) v = (v & ~0x041f) | (t & 0x041f);
+    if (line === -1) {
+      runUntil(line, VERTICAL_COPY_DOT + 1);
+      if (rendering) v = (v & 0x041f) | (t & ~0x041f);
+    }
+    runUntil(line, PREFETCH_DOT);
+
+    const next = line + 1;
+    lineLoad = { x: 0, v };
+    if (next < 240 && rendering) {
+      out.push({ y: next, x: 0, groups: ['scroll'], scroll: _frameScroll(v, x, 0, next), event: lastEvent });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Frame-origin scroll under which screen (loadX, screenY) shows the tile v
+ * points at: the form BG layers take, where row y samples world row
+ * scrollY + y.
+ */
+function _frameScroll(v, fineX, loadX, screenY) {
+  const coarseX = v & 0x1f;
+  const coarseY = (v >> 5) & 0x1f;
+  const nameTableH = (v >> 10) & 1;
+  const nameTableV = (v >> 11) & 1;
+  const fineY = (v >> 12) & 7;
+  const scrollX = _wrap(coarseX * 8 + nameTableH * 256 + fineX - loadX, 512);
+  const scrollY = _wrap(nameTableV * 240 + coarseY * 8 + fineY - screenY, 480);
+  const rowY = scrollY % 240;
+  return {
+    coarseX: (scrollX & 0xff) >> 3,
+    coarseY: rowY >> 3,
+    fineX: scrollX & 7,
+    fineY: rowY & 7,
+    nameTableH: scrollX >> 8,
+    nameTableV: scrollY >= 240 ? 1 : 0,
+  };
+}
+
+function _loopyFromScroll(scroll) {
+  return (
+    ((scroll.fineY & 7) << 12) |
+    ((scroll.nameTableV & 1) << 11) |
+    ((scroll.nameTableH & 1) << 10) |
+    ((scroll.coarseY & 0x1f) << 5) |
+    (scroll.coarseX & 0x1f)
+  );
+}
+
+/**
+ * v's dot-256 vertical increment: fine Y, then coarse Y, wrapping 29 -> 0
+ * into the other vertical nametable (31 -> 0 without switching).
+ */
+function _incrementY(v) {
+  if ((v & 0x7000) !== 0x7000) return v + 0x1000;
+  let out = v & ~0x7000;
+  let coarseY = (out & 0x03e0) >> 5;
+  if (coarseY === 29) {
+    coarseY = 0;
+    out ^= 0x0800;
+  } else if (coarseY === 31) {
+    coarseY = 0;
+  } else {
+    coarseY++;
+  }
+  return (out & ~0x03e0) | (coarseY << 5);
+}
+
+function _isBefore(event, line, dot) {
+  const y = _eventScreenY(event);
+  return y < line || (y === line && event.dot < dot);
+}
+
+/**
+ * Walk applications in screen order. Changes at x=0 start a new segment;
+ * changes further right become line splits that carry into the next line.
+ */
+function _replayApplications(start, applications) {
+  const segments = [{ yStart: 0, state: start, source: 'initial', event: null }];
+  const lineSplits = [];
+  const appliedEvents = new Set();
+  let active = start;
+
+  for (const app of applications) {
+    const next = _applyGroups(active, app.state, app.groups);
+    if (_stateEquals(next, active)) continue;
+    active = next;
+    if (app.event) appliedEvents.add(app.event);
+    const source = app.event ? _eventDomain(app.event.address) : 'ppu';
+
+    if (app.x > 0) {
+      const last = lineSplits[lineSplits.length - 1];
+      if (last && last.y === app.y && last.x === app.x) {
+        last.state = next;
+        last.source = source;
+        last.event = app.event;
+      } else {
+        lineSplits.push({ y: app.y, x: app.x, state: next, source, event: app.event });
+      }
+      continue;
+    }
+
+    const last = segments[segments.length - 1];
+    if (last.yStart === app.y) {
+      last.state = next;
+      last.source = source;
+      last.event = app.event;
+      continue;
+    }
+    segments.push({ yStart: app.y, state: next, source, event: app.event });
+  }
+
+  // A split only lasts to the end of its line; the next line starts from the
+  // state after the last split, which needs its own segment.
+  for (let i = 0; i < lineSplits.length; i++) {
+    const split = lineSplits[i];
+    const nextSplit = lineSplits[i + 1];
+    if (nextSplit && nextSplit.y === split.y) continue;
+    const y = split.y + 1;
+    if (y >= 240 || segments.some((seg) => seg.yStart === y)) continue;
+    const idx = segments.findIndex((seg) => seg.yStart > y);
+    const carried = { yStart: y, state: split.state, source: split.source, event: split.event };
+    if (idx === -1) segments.push(carried);
+    else segments.splice(idx, 0, carried);
+  }
+
+  return { segments, lineSplits, appliedEvents };
+}
+
 function _resolveSegments(segments) {
   const resolved = [];
   for (let i = 0; i < segments.length; i++) {
@@ -125,19 +354,108 @@ function _eventDomain(address) {
   return _isMapperAddress(address) ? 'mapper' : 'ppu';
 }
 
-function _resolveApplyScanline(event, options) {
-  const applyWithinScanline = options.applyWithinScanline;
-  const mapperApplyWithinScanline = options.mapperApplyWithinScanline;
+/**
+ * Line-granular placement for traces without dot timing: the whole register
+ * state applies from the start of one scanline.
+ */
+function _resolveLinePlacements(event, options) {
+  if (!options.changed) return [];
+  if (event.phase === 'prerender') return [{ y: 0, x: 0, groups: ALL_GROUPS }];
+  if (event.phase === 'vblank') return [];
+
+  const y = _eventScreenY(event);
+  const sameScanline = _isMapperAddress(event.address)
+    ? options.mapperApplyWithinScanline
+    : options.applyWithinScanline;
+  return [{ y: _clamp(sameScanline ? y : y + 1, 0, 239), x: 0, groups: ALL_GROUPS }];
+}
+
+/**
+ * Dot-accurate placement for everything but scroll (see _simulateLoopyScroll):
+ * - sprite setup: fetched from dot 257 for the next line, so a write before
+ *   dot 257 shows from line y+1, later ones from y+2;
+ * - PPUMASK: immediately, from the pixel being output;
+ * - pattern table and mapper banks: from the first tile fetched after the
+ *   write, which the pipeline shows two tiles later.
+ */
+function _resolveDotPlacements(event, options) {
+  if (event.phase === 'vblank') return [];
+
+  const address = event.address;
+  const dot = event.dot;
+  const y = _eventScreenY(event);
+
+  // Writes during vblank land before every fetch of the frame.
+  if (event.phase === 'prerender' && y < -1) {
+    const groups = _groupsForAddress(address);
+    return groups.length > 0 ? [{ y: 0, x: 0, groups }] : [];
+  }
+
+  if (_isMapperAddress(address)) {
+    if (!options.mapperApplyWithinScanline) return [{ y: y + 1, x: 0, groups: ['mapper'] }];
+    return [{ ..._fetchPosition(y, dot), groups: ['mapper'] }];
+  }
+
+  if (address === 0x2000) {
+    return [
+      { y: dot < HORIZONTAL_COPY_DOT ? y + 1 : y + 2, x: 0, groups: ['sprite'] },
+      { ..._fetchPosition(y, dot), groups: ['pattern'] },
+    ];
+  }
+  if (address === 0x2001) {
+    return [{ ..._outputPosition(y, dot), groups: ['mask'] }];
+  }
+  return [];
+}
+
+function _groupsForAddress(address) {
+  if (_isMapperAddress(address)) return ['mapper'];
+  if (address === 0x2000) return ['pattern', 'sprite'];
+  if (address === 0x2001) return ['mask'];
+  return [];
+}
 
-  if (event.phase === 'prerender') return 0;
-  if (event.phase === 'vblank') return 240;
+/**
+ * First screen position rendered from tiles fetched after `dot` on line y.
+ * Dots 1-256 fetch tiles 2-33 of the current line; dots 321-336 prefetch
+ * tiles 0-1 of the next one.
+ */
+function _fetchPosition(y, dot) {
+  if (dot >= 321) {
+    return { y: y + 1, x: Math.min(FETCH_LEAD_PIXELS, ((dot - 321) >> 3) * 8 + 8) };
+  }
+  if (y < 0) return { y: 0, x: 0 };
+  if (dot <= 0) return { y, x: FETCH_LEAD_PIXELS };
 
-  const y = typeof event.screenY === 'number' ? event.screenY : event.scanline - 21;
-  const isMapper = _isMapperAddress(event.address);
-  const sameScanline = isMapper ? mapperApplyWithinScanline : applyWithinScanline;
+  const x = ((dot - 1) >> 3) * 8 + 8 + FETCH_LEAD_PIXELS;
+  return x >= 256 ? { y: y + 1, x: 0 } : { y, x };
+}
+
+/**
+ * Screen position output at `dot` on line y (dot 1 draws pixel 0).
+ */
+function _outputPosition(y, dot) {
+  if (y < 0) return { y: 0, x: 0 };
+  if (dot > 256) return { y: y + 1, x: 0 };
+  return { y, x: Math.max(0, dot - 1) };
+}
+
+function _eventScreenY(event) {
+  return typeof event.screenY === 'number' ? event.screenY : event.scanline - 21;
+}
 
-  if (sameScanline) return _clamp(y, 0, 239);
-  return _clamp(y + 1, 0, 239);
+function _applyGroups(active, source, groups) {
+  const next = {
+    ...active,
+    scroll: { ...active.scroll },
+  };
+  for (const group of groups) {
+    for (const field of FIELD_GROUPS[group]) {
+      if (field in next.scroll) next.scroll[field] = source.scroll[field];
+      else next[field] = source[field];
+    }
+  }
+  return next;
 }
 
 function _normalizeState(state) {
@@ -153,6 +471,8 @@ function _normalizeState(state) {
       },
       bgVisible: true,
       spritesVisible: true,
+      emphasis: 0,
+      greyscale: false,
       bgPatternBase: 0,
       sprPatternBase: 0,
       spriteSize: 0,
@@ -172,6 +492,8 @@ function _normalizeState(state) {
     },
     bgVisible: !!state.bgVisible,
     spritesVisible: !!state.spritesVisible,
+    emphasis: (state.emphasis ?? 0) & 7,
+    greyscale: !!state.greyscale,
     bgPatternBase: state.bgPatternBase === 256 ? 256 : 0,
     sprPatternBase: state.sprPatternBase === 256 ? 256 : 0,
     spriteSize: state.spriteSize === 1 ? 1 : 0,
@@ -192,6 +514,8 @@ function _stateFromSnapshot(snapshot, fallback) {
     },
     bgVisible: (snapshot.f_bgVisibility ?? (fallback.bgVisible ? 1 : 0)) === 1,
     spritesVisible: (snapshot.f_spVisibility ?? (fallback.spritesVisible ? 1 : 0)) === 1,
+    emphasis: (snapshot.f_color ?? fallback.emphasis) & 7,
+    greyscale: (snapshot.f_dispType ?? (fallback.greyscale ? 1 : 0)) === 1,
     bgPatternBase: (snapshot.f_bgPatternTable ?? (fallback.bgPatternBase === 256 ? 1 : 0)) === 1 ? 256 : 0,
     sprPatternBase: (snapshot.f_spPatternTable ?? (fallback.sprPatternBase === 256 ? 1 : 0)) === 1 ? 256 : 0,
     spriteSize: (snapshot.f_spriteSize ?? fallback.spriteSize) === 1 ? 1 : 0,
@@ -210,6 +534,8 @@ function _stateEquals(a, b) {
     a.scroll.nameTableV === b.scroll.nameTableV &&
     a.bgVisible === b.bgVisible &&
     a.spritesVisible === b.spritesVisible &&
+    a.emphasis === b.emphasis &&
+    a.greyscale === b.greyscale &&
     a.bgPatternBase === b.bgPatternBase &&
     a.sprPatternBase === b.sprPatternBase &&
     a.spriteSize === b.spriteSize &&
@@ -287,6 +613,10 @@ function _emptyCHRSignature() {
   ];
 }
 
+function _wrap(value, size) {
+  return ((value % size) + size) % size;
+}
+
 function _clamp(value, min, max) {
   return Math.max(min, Math.min(max, value));
 }
@@ -1,10 +1,36 @@
 /**
  * Compresses per-scanline state into contiguous scroll/visibility regions.
  */
+
+// Default region budget shared by the extractor and BGRegionLayer.
+export const DEFAULT_MAX_REGIONS = 8;
+
+// Merge-error multiplier for a split on a preferred line (see planScrollRegions).
+export const PREFERRED_SPLIT_WEIGHT = 16;
+
+// Lines after a preferred split line that still count as landing on it.
+export const PREFERRED_SPLIT_SLACK = 2;
+
+// Lines from the sprite-0 hit to the first line drawn with the new scroll.
+export const SPRITE0_SPLIT_DELAY = 1;
+
+/**
+ * @param {object} [options]
+ * @param {number[]} [options.preferredSplits] - screen lines where a split is
+ *   expected (e.g. the line after a predicted MMC3 IRQ). Splits starting on or
+ *   up to PREFERRED_SPLIT_SLACK lines after one are the last to be merged
+ *   away when the region budget is tight.
+ * @param {number} [options.sprite0HitY] - sprite-0 hit line for a model built
+ *   without a timing trace. A snapshot only holds the end-of-frame scroll, so
+ *   the lines down to the hit are taken as a status bar at scroll (0, 0) and
+ *   the snapshot scroll starts SPRITE0_SPLIT_DELAY lines after it.
+ */
+
 export function planScrollRegions(scanlineModel, fallbackState, options = {}) {
-  const maxRegions = Math.max(1, options.maxRegions ?? 2);
+  const maxRegions = Math.max(1, options.maxRegions ?? DEFAULT_MAX_REGIONS);
   const minRegionHeight = Math.max(1, options.minRegionHeight ?? 6);
   const compress = options.compress !== false;
+  const preferredSplits = Array.isArray(options.preferredSplits) ? options.preferredSplits : [];
   const scanlines = scanlineModel?.scanlines;
   if (!Array.isArray(scanlines) || scanlines.length === 0) {
     return [_singleRegionFromFallback(fallbackState)];
@@ -28,16 +54,43 @@ export function planScrollRegions(scanlineModel, fallbackState, options = {}) {
   if (regions.length === 0) {
     return [_singleRegionFromFallback(fallbackState)];
   }
+  if (regions.length === 1) {
+    _splitAtSprite0(regions, options.sprite0HitY);
+  }
 
   if (compress) {
     _coalesceTinyRegions(regions, minRegionHeight);
-    _limitRegions(regions, maxRegions);
+    _limitRegions(regions, maxRegions, preferredSplits);
   }
   _normalizeBounds(regions);
 
   return regions;
 }
 
+/**
+ * Partial-scanline regions for mid-line state changes. Each covers one line
+ * from xStart to the next split on that line (or the right edge); the line
+ * left of the first split keeps the state of the region around it.
+ */
+export function planLineSplits(scanlineModel) {
+  const splits = scanlineModel?.lineSplits;
+  if (!Array.isArray(splits)) return [];
+
+  const out = [];
+  for (let i = 0; i < splits.length; i++) {
+    const split = splits[i];
+    const next = splits[i + 1];
+    const xEnd = next && next.y === split.y ? next.x : 256;
+    if (split.y < 0 || split.y >= 240 || split.x >= xEnd) continue;
+    out.push({
+      ..._toRegion(split.y, split.y + 1, split.state),
+      xStart: split.x,
+      xEnd,
+    });
+  }
+  return out;
+}
+
 function _toRegion(yStart, yEnd, state) {
   const scroll = {
     coarseX: state.scroll.coarseX,
@@ -56,6 +109,8 @@ function _toRegion(yStart, yEnd, state) {
     scrollY: scroll.coarseY * 8 + scroll.fineY + scroll.nameTableV * 240,
     bgVisible: state.bgVisible,
     spritesVisible: state.spritesVisible,
+    emphasis: state.emphasis ?? 0,
+    greyscale: !!state.greyscale,
     bgPatternBase: state.bgPatternBase,
     sprPatternBase: state.sprPatternBase,
     spriteSize: state.spriteSize,
@@ -82,6 +137,8 @@ function _singleRegionFromFallback(state) {
     scrollY: scroll.coarseY * 8 + scroll.fineY + scroll.nameTableV * 240,
     bgVisible: state?.bgVisible ?? true,
     spritesVisible: state?.spritesVisible ?? true,
+    emphasis: state?.emphasis ?? 0,
+    greyscale: !!state?.greyscale,
     bgPatternBase: state?.bgPatternBase ?? 0,
     sprPatternBase: state?.sprPatternBase ?? 0,
     spriteSize: state?.spriteSize ?? 0,
@@ -101,6 +158,8 @@ function _sameRegionState(a, b) {
     a.scroll.nameTableV === b.scroll.nameTableV &&
     a.bgVisible === b.bgVisible &&
     a.spritesVisible === b.spritesVisible &&
+    a.emphasis === b.emphasis &&
+    a.greyscale === b.greyscale &&
     a.bgPatternBase === b.bgPatternBase &&
     a.sprPatternBase === b.sprPatternBase &&
     a.spriteSize === b.spriteSize &&
@@ -109,6 +168,27 @@ function _sameRegionState(a, b) {
   );
 }
 
+function _splitAtSprite0(regions, hitY) {
+  if (!Number.isInteger(hitY) || hitY < 0) return;
+  const yEnd = hitY + SPRITE0_SPLIT_DELAY;
+  const playfield = regions[0];
+  // Nothing to split when the playfield itself sits at the origin.
+  if (yEnd >= 240 || (playfield.scrollX === 0 && playfield.scrollY === 0)) return;
+
+  const scroll = { coarseX: 0, coarseY: 0, fineX: 0, fineY: 0, nameTableH: 0, nameTableV: 0 };
+  regions.unshift({
+    ...playfield,
+    yStart: 0,
+    yEnd,
+    scroll,
+    scrollX: 0,
+    scrollY: 0,
+    mirrorMap: playfield.mirrorMap.slice(),
+    chrSignature: playfield.chrSignature.map((region) => region.slice()),
+  });
+  playfield.yStart = yEnd;
+}
+
 function _coalesceTinyRegions(regions, minRegionHeight) {
   let i = 0;
   while (i < regions.length && regions.length > 1) {
@@ -148,46 +228,54 @@ function _coalesceTinyRegions(regions, minRegionHeight) {
   }
 }
 
-function _limitRegions(regions, maxRegions) {
+function _limitRegions(regions, maxRegions, preferredSplits = []) {
+  // Drop the split whose removal costs the fewest wrong pixels: the absorbed
+  // region's height times how different its state is from its neighbour.
+  // A thin status bar with a large scroll delta outranks a tall band that
+  // only differs by a pixel of scroll. Preferred splits weigh more.
   while (regions.length > maxRegions) {
-    let idx = 0;
-    let minHeight = Infinity;
-    for (let i = 0; i < regions.length; i++) {
-      const h = regions[i].yEnd - regions[i].yStart;
-      if (h < minHeight) {
-        minHeight = h;
-        idx = i;
-      }
-    }
+    let bestIdx = 0;
+    let bestIntoNext = true;
+    let bestError = Infinity;
 
-    if (idx === 0) {
-      regions[1].yStart = regions[0].yStart;
-      regions.splice(0, 1);
-      continue;
-    }
+    for (let i = 0; i < regions.length - 1; i++) {
+      const curr = regions[i];
+      const next = regions[i + 1];
+      const cost = _mergeCost(curr, next) * _splitWeight(next.yStart, preferredSplits);
+      const currError = (curr.yEnd - curr.yStart) * cost;
+      const nextError = (next.yEnd - next.yStart) * cost;
 
-    if (idx === regions.length - 1) {
-      regions[idx - 1].yEnd = regions[idx].yEnd;
-      regions.splice(idx, 1);
-      continue;
+      if (currError < bestError) {
+        bestError = currError;
+        bestIdx = i;
+        bestIntoNext = true;
+      }
+      if (nextError < bestError) {
+        bestError = nextError;
+        bestIdx = i;
+        bestIntoNext = false;
+      }
     }
 
-    const prev = regions[idx - 1];
-    const curr = regions[idx];
-    const next = regions[idx + 1];
-    const prevCost = _mergeCost(prev, curr);
-    const nextCost = _mergeCost(curr, next);
-
-    if (prevCost <= nextCost) {
-      prev.yEnd = curr.yEnd;
-      regions.splice(idx, 1);
-    } else {
+    const curr = regions[bestIdx];
+    const next = regions[bestIdx + 1];
+    if (bestIntoNext) {
       next.yStart = curr.yStart;
-      regions.splice(idx, 1);
+      regions.splice(bestIdx, 1);
+    } else {
+      curr.yEnd = next.yEnd;
+      regions.splice(bestIdx + 1, 1);
     }
   }
 }
 
+function _splitWeight(y, preferredSplits) {
+  for (const line of preferredSplits) {
+    if (y >= line && y <= line + PREFERRED_SPLIT_SLACK) return PREFERRED_SPLIT_WEIGHT;
+  }
+  return 1;
+}
+
 function _mergeCost(a, b) {
   const scrollDelta =
     Math.abs(a.scrollX - b.scrollX) +
@@ -195,6 +283,8 @@ function _mergeCost(a, b) {
   const flagPenalty =
     (a.bgVisible !== b.bgVisible ? 512 : 0) +
     (a.spritesVisible !== b.spritesVisible ? 512 : 0) +
+    (a.emphasis !== b.emphasis ? 512 : 0) +
+    (a.greyscale !== b.greyscale ? 512 : 0) +
     (a.bgPatternBase !== b.bgPatternBase ? 256 : 0) +
     (a.sprPatternBase !== b.sprPatternBase ? 256 : 0) +
     (a.spriteSize !== b.spriteSize ? 128 : 0) +
@@ -0,0 +1,144 @@
+/**
+ * Sheet atlas: every live sheet drawn at a place that stays fixed while its
+ * owner lives. The atlas is a stack of rows of 8 sheets, each row its own
+ * image, so a sheet change re-encodes one 1024x128 row rather than the whole
+ * atlas. Sprite sets (and the global sprite sheets) take a row, bank 0 then
+ * bank 1; BG sets take half a row of 4 palette groups, below the sprite rows.
+ *
+ * Tiles find their sheet through CSS variables: `--set-image` (the row) and
+ * `--set-x` from the set's class, `--pal-x` from the palette class (see
+ * TileCache).
+ */
+import { SHEET_SIZE } from './sheet-raster.js';
+
+// Sheets per atlas row (one sprite set, or two BG sets).
+export const ATLAS_ROW_SHEETS = 8;
+
+export class SheetAtlas {
+  /**
+   * @param {{ spriteSlots: number, bgSlots: number }} capacity - owners of
+   *   each kind that can hold a place at once
+   */
+  constructor({ spriteSlots, bgSlots }) {
+    this.spriteRows = Math.max(1, spriteSlots);
+    this.bgRows = Math.ceil(Math.max(1, bgSlots) / 2);
+    this.width = ATLAS_ROW_SHEETS * SHEET_SIZE;
+    this.rowHeight = SHEET_SIZE;
+
+    this.rows = [];
+    for (let i = 0; i < this.spriteRows + this.bgRows; i++) {
+      const canvas = document.createElement('canvas');
+      canvas.width = this.width;
+      canvas.height = this.rowHeight;
+      this.rows.push({ canvas, ctx: canvas.getContext('2d') });
+    }
+
+    this._slots = {
+      sprite: new Array(this.spriteRows).fill(null),
+      bg: new Array(this.bgRows * 2).fill(null),
+    };
+    // Sheet canvas → { row, x } of its place in the atlas
+    this._origins = new WeakMap();
+    // Owner → { kind, slot, row, x, canvases }
+    this._places = new Map();
+    // Rows drawn to since the last encodeDirty()
+    this._dirtyRows = new Set();
+  }
+
+  /**
+   * Reserve a place for `owner` and bind its sheet canvases to it, left to right.
+   * @param {'sprite'|'bg'} kind
+   * @param {object} owner
+   * @param {HTMLCanvasElement[]} canvases
+   * @returns {{ row: number, x: number }} the place's row and x offset in pixels
+   */
+  allocate(kind, owner, canvases) {
+    const slots = this._slots[kind];
+    const slot = slots.indexOf(null);
+    if (slot < 0) throw new Error(`Sheet atlas has no free ${kind} slot`);
+    slots[slot] = owner;
+
+    const row = kind === 'bg' ? this.spriteRows + (slot >> 1) : slot;
+    const x = kind === 'bg' ? (slot & 1) * 4 * SHEET_SIZE : 0;
+    this._places.set(owner, { kind, slot, row, x, canvases });
+    canvases.forEach((canvas, i) => this._origins.set(canvas, { row, x: x + i * SHEET_SIZE }));
+    return { row, x };
+  }
+
+  /**
+   * Give up `owner`'s place. Its canvases are unbound, so a late draw cannot
+   * land on the next owner; its pixels stay until that owner draws over them.
+   */
+  release(owner) {
+    const place = this._places.get(owner);
+    if (!place) return;
+    this._slots[place.kind][place.slot] = null;
+    this._places.delete(owner);
+    for (const canvas of place.canvases) this._origins.delete(canvas);
+  }
+
+  /** @returns {{ row: number, x: number }|null} */
+  placeOf(owner) {
+    const place = this._places.get(owner);
+    return place ? { row: place.row, x: place.x } : null;
+  }
+
+  /** Number of owners holding a place */
+  get size() {
+    return this._places.size;
+  }
+
+  /**
+   * Copy pixels just put into a bound sheet canvas at (x, y) into the atlas.
+   * @returns {boolean} false if the canvas has no place in the atlas
+   */
+  put(canvas, imageData, x, y) {
+    const origin = this._origins.get(canvas);
+    if (!origin) return false;
+    this.rows[origin.row].ctx.putImageData(imageData, origin.x + x, y);
+    this._dirtyRows.add(origin.row);
+    return true;
+  }
+
+  /**
+   * Replace a bound sheet with a whole-sheet image (a worker ImageBitmap).
+   * @returns {boolean} false if the canvas has no place in the atlas
+   */
+  draw(canvas, image) {
+    const origin = this._origins.get(canvas);
+    if (!origin) return false;
+    const { ctx } = this.rows[origin.row];
+    ctx.clearRect(origin.x, 0, SHEET_SIZE, SHEET_SIZE);
+    ctx.drawImage(image, origin.x, 0);
+    this._dirtyRows.add(origin.row);
+    return true;
+  }
+
+  /**
+   * Encode the rows drawn to since the last call as PNG: blob: URLs where
+   * the canvas supports toBlob (encoded off the main thread), data: URLs
+   * otherwise. A row that fails to encode gets a null URL and stays dirty,
+   * so the next encodeDirty() retries it.
+   * @returns {Promise<Array<{ row: number, url: string|null }>>}
+   */
+  encodeDirty() {
+    const rows = [...this._dirtyRows].sort((a, b) => a - b);
+    this._dirtyRows.clear();
+    return Promise.all(rows.map((row) => _encodeCanvas(this.rows[row].canvas)
+      .catch(() => null)
+      .then((url) => {
+        if (!url) this._dirtyRows.add(row);
+        return { row, url };
+      })));
+  }
+}
+
+function _encodeCanvas(canvas) {
+  return new Promise((resolve) => {
+    if (typeof canvas.toBlob !== 'function') {
+      resolve(canvas.toDataURL('image/png'));
+      return;
+    }
+    canvas.toBlob((blob) => resolve(blob ? URL.createObjectURL(blob) : null), 'image/png');
+  });
+}
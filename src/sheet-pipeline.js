@@ -0,0 +1,178 @@
+/**
+ * Off-main-thread sheet encoding for TileCache. When the browser has Worker,
+ * OffscreenCanvas and createImageBitmap, sheets are rasterized and PNG-encoded
+ * in sheet-worker.js while the page keeps showing each sheet's previous
+ * image. A sheet still waiting after maxLatencyFrames frames is rendered on
+ * the main thread instead, so no sheet lags further behind than that.
+ *
+ * Without a worker (happy-dom, headless rendering), or for a sheet with no
+ * image to keep showing, every render happens synchronously.
+ */
+import { packSheetTiles } from './sheet-raster.js';
+
+// Frames a queued sheet may wait for the worker before it is rendered synchronously.
+export const DEFAULT_MAX_SHEET_LATENCY = 2;
+
+export class SheetPipeline {
+  /**
+   * @param {object} [options]
+   * @param {Worker|object|false} [options.worker] - false for synchronous
+   *   rendering only, a Worker-like object to use instead of sheet-worker.js
+   * @param {number} [options.maxLatencyFrames]
+   */
+  constructor(options = {}) {
+    this.maxLatencyFrames = Math.max(0, options.maxLatencyFrames ?? DEFAULT_MAX_SHEET_LATENCY);
+    this.worker = null;
+
+    // Queued jobs by sheet key, and by id for worker replies
+    this.pending = new Map();
+    this._jobs = new Map();
+    this._nextId = 1;
+    this._frame = 0;
+    this._idleWaiters = [];
+
+    this.stats = { queued: 0, completed: 0, forced: 0, superseded: 0 };
+
+    this._attachWorker(options.worker === undefined ? _createSheetWorker() : options.worker || null);
+  }
+
+  /** Whether renders can be deferred to the worker */
+  get async() {
+    return this.worker !== null;
+  }
+
+  /**
+   * Render a sheet. `renderSync()` draws it on the main thread and returns
+   * its URL; `publish(url, result)` installs an image, with `result` null
+   * for a synchronous render and `{ hashes, bitmap, deferred }` otherwise.
+   * @param {*} key - sheet identity (its canvas); a newer render replaces a queued one
+   * @param {Array} tileSlice
+   * @param {string[]} colors
+   * @param {{ renderSync: function, publish: function, defer?: boolean, encode?: boolean }} handlers -
+   *   `defer: false` renders now even with a worker (nothing to show meanwhile);
+   *   `encode: false` skips the worker's PNG, publishing a null URL and the bitmap
+   * @returns {boolean} true if the render was queued
+   */
+  render(key, tileSlice, colors, { renderSync, publish, defer = true, encode = true }) {
+    const previous = this._supersede(key);
+
+    if (!this.worker || !defer) {
+      publish(renderSync(), null);
+      return false;
+    }
+
+    // A replacement keeps the deadline of the render it replaces, so a sheet
+    // rewritten every frame is still forced maxLatencyFrames after it went stale.
+    const frame = previous ? previous.frame : this._frame;
+    const job = { id: this._nextId++, key, frame, renderSync, publish };
+    this.pending.set(key, job);
+    this._jobs.set(job.id, job);
+    this.stats.queued++;
+
+    const { pix, present } = packSheetTiles(tileSlice);
+    this.worker.postMessage({ id: job.id, pix, present, colors, encode }, [pix.buffer, present.buffer]);
+    return true;
+  }
+
+  isPending(key) {
+    return this.pending.has(key);
+  }
+
+  /**
+   * Advance the frame clock and render overdue sheets synchronously.
+   */
+  beginFrame() {
+    this._frame++;
+    for (const job of [...this.pending.values()]) {
+      if (this._frame - job.frame >= this.maxLatencyFrames) this._force(job);
+    }
+  }
+
+  /**
+   * @returns {Promise<void>} resolves once no sheet is waiting on the worker
+   */
+  settle() {
+    if (this.pending.size === 0) return Promise.resolve();
+    return new Promise((resolve) => this._idleWaiters.push(resolve));
+  }
+
+  /**
+   * Forget queued sheets; their worker replies are ignored.
+   */
+  cancel() {
+    this.pending.clear();
+    this._jobs.clear();
+    this._notifyIdle();
+  }
+
+  _supersede(key) {
+    const previous = this.pending.get(key);
+    if (!previous) return null;
+    this._finish(previous);
+    this.stats.superseded++;
+    return previous;
+  }
+
+  _force(job) {
+    this._finish(job);
+    this.stats.forced++;
+    job.publish(job.renderSync(), { hashes: null, bitmap: null, deferred: true });
+    if (this.pending.size === 0) this._notifyIdle();
+  }
+
+  _finish(job) {
+    this.pending.delete(job.key);
+    this._jobs.delete(job.id);
+  }
+
+  _notifyIdle() {
+    const waiters = this._idleWaiters;
+    this._idleWaiters = [];
+    for (const resolve of waiters) resolve();
+  }
+
+  _onMessage(msg) {
+    const job = this._jobs.get(msg?.id);
+    if (!job) {
+      // Superseded, forced or cancelled while the worker was busy
+      msg?.bitmap?.close?.();
+      return;
+    }
+
+    if (msg.error) {
+      console.warn(`TileCache: sheet worker failed (${msg.error}); rendering sheets on the main thread.`);
+      this._disableWorker();
+      return;
+    }
+
+    this._finish(job);
+    this.stats.completed++;
+    const url = msg.blob ? URL.createObjectURL(msg.blob) : null;
+    job.publish(url, { hashes: msg.hashes, bitmap: msg.bitmap, deferred: true });
+    if (this.pending.size === 0) this._notifyIdle();
+  }
+
+  _attachWorker(worker) {
+    if (!worker) return;
+    this.worker = worker;
+    worker.onmessage = (event) => this._onMessage(event.data);
+    worker.onerror = () => this._disableWorker();
+  }
+
+  _disableWorker() {
+    this.worker?.terminate?.();
+    this.worker = null;
+    for (const job of [...this.pending.values()]) this._force(job);
+  }
+}
+
+function _createSheetWorker() {
+  if (typeof Worker !== 'function' || typeof OffscreenCanvas !== 'function' || typeof createImageBitmap !== 'function') {
+    return null;
+  }
+  try {
+    return new Worker(new URL('./sheet-worker.js', import.meta.url), { type: 'module' });
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * Sheet rasterization shared by TileCache (main thread) and the sheet worker:
+ * 256 tiles of 8x8 colour indices laid out 16x16 in a 128x128 RGBA sheet.
+ * Index 0 (and anything the palette has no colour for) is transparent.
+ */
+
+// Sheet width and height in pixels.
+export const SHEET_SIZE = 128;
+
+// Tiles per sheet (one pattern table).
+export const SHEET_TILES = 256;
+
+/**
+ * @param {Array<string|null>} colors - CSS `#rrggbb` strings; null leaves
+ *   that colour index transparent
+ * @returns {Array<number[]|null>} [r, g, b] per colour
+ */
+export function parseSheetColors(colors) {
+  return colors.map((c) => {
+    if (!c) return null;
+    const v = parseInt(c.slice(1), 16);
+    return [(v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff];
+  });
+}
+
+/**
+ * Copy a tile slice into transferable arrays for the worker.
+ * @param {Array<{ pix: ArrayLike<number> }|null>} tileSlice
+ * @returns {{ pix: Uint8Array, present: Uint8Array }} 64 indices per tile,
+ *   and 1 for each slot that holds a tile
+ */
+export function packSheetTiles(tileSlice) {
+  const pix = new Uint8Array(SHEET_TILES * 64);
+  const present = new Uint8Array(SHEET_TILES);
+  for (let tileIdx = 0; tileIdx < SHEET_TILES; tileIdx++) {
+    const tile = tileSlice?.[tileIdx];
+    if (!tile) continue;
+    const base = tileIdx * 64;
+    for (let i = 0; i < 64; i++) pix[base + i] = tile.pix[i];
+    present[tileIdx] = 1;
+  }
+  return { pix, present };
+}
+
+/**
+ * Write one tile's pixels into RGBA `data` (row stride `width`) at (x, y).
+ * @param {ArrayLike<number>} pix - colour indices, 64 from `offset`
+ * @returns {number} FNV-1a hash of the colours written
+ */
+export function writeTileCell(data, width, x, y, pix, offset, rgb) {
+  let h = 0x811c9dc5;
+  for (let py = 0; py < 8; py++) {
+    for (let px = 0; px < 8; px++) {
+      const colorIdx = pix[offset + (py << 3) + px] | 0;
+      const destOffset = ((y + py) * width + (x + px)) * 4;
+      let packed = 0;
+      if (colorIdx <= 0 || colorIdx >= rgb.length || !rgb[colorIdx]) {
+        data[destOffset] = 0;
+        data[destOffset + 1] = 0;
+        data[destOffset + 2] = 0;
+        data[destOffset + 3] = 0;
+      } else {
+        const [r, g, b] = rgb[colorIdx];
+        data[destOffset] = r;
+        data[destOffset + 1] = g;
+        data[destOffset + 2] = b;
+        data[destOffset + 3] = 255;
+        packed = 0x1000000 | (r << 16) | (g << 8) | b;
+      }
+      h ^= packed;
+      h = Math.imul(h, 0x01000193);
+    }
+  }
+  return h >>> 0;
+}
+
+/**
+ * Rasterize a packed sheet (see packSheetTiles) into SHEET_SIZE² RGBA `data`.
+ * Empty slots are left as they are.
+ * @returns {Uint32Array} writeTileCell hash per tile (0 for empty slots)
+ */
+export function rasterizePackedSheet(data, pix, present, rgb) {
+  const hashes = new Uint32Array(SHEET_TILES);
+  for (let tileIdx = 0; tileIdx < SHEET_TILES; tileIdx++) {
+    if (!present[tileIdx]) continue;
+    const x = (tileIdx & 15) * 8;
+    const y = (tileIdx >> 4) * 8;
+    hashes[tileIdx] = writeTileCell(data, SHEET_SIZE, x, y, pix, tileIdx * 64, rgb);
+  }
+  return hashes;
+}
@@ -0,0 +1,54 @@
+/**
+ * Sheet worker: rasterizes packed tile sheets off the main thread and
+ * encodes them as PNG blobs on an OffscreenCanvas, with an ImageBitmap copy
+ * the main thread draws into its inspector canvases.
+ *
+ * In: { id, pix, present, colors, encode } (see packSheetTiles).
+ * Out: { id, blob, bitmap, hashes }, or { id, error } when encoding fails.
+ * `encode: false` skips the PNG (blob is null) for sheets only drawn from
+ * the bitmap, such as TileCache atlas sheets.
+ *
+ * Started as a module worker by SheetPipeline; the message handler is only
+ * installed inside a WorkerGlobalScope so tests can import renderSheetJob.
+ */
+import { SHEET_SIZE, parseSheetColors, rasterizePackedSheet } from './sheet-raster.js';
+
+let canvas = null;
+let context = null;
+
+/**
+ * @param {{ id: number, pix: Uint8Array, present: Uint8Array, colors: string[], encode?: boolean }} job
+ * @returns {Promise<{ id: number, blob: Blob|null, bitmap: ImageBitmap, hashes: Uint32Array }>}
+ */
+export async function renderSheetJob(job) {
+  if (!canvas) {
+    canvas = new OffscreenCanvas(SHEET_SIZE, SHEET_SIZE);
+    context = canvas.getContext('2d');
+  }
+
+  const image = new ImageData(SHEET_SIZE, SHEET_SIZE);
+  const hashes = rasterizePackedSheet(image.data, job.pix, job.present, parseSheetColors(job.colors));
+  if (job.encode === false) {
+    return { id: job.id, blob: null, bitmap: await createImageBitmap(image), hashes };
+  }
+  context.putImageData(image, 0, 0);
+
+  // convertToBlob snapshots the canvas now, so the next job can reuse it.
+  const [blob, bitmap] = await Promise.all([
+    canvas.convertToBlob({ type: 'image/png' }),
+    createImageBitmap(image),
+  ]);
+  return { id: job.id, blob, bitmap, hashes };
+}
+
+if (typeof globalThis.WorkerGlobalScope === 'function' && globalThis instanceof globalThis.WorkerGlobalScope) {
+  globalThis.onmessage = async (event) => {
+    const job = event.data;
+    try {
+      const result = await renderSheetJob(job);
+      globalThis.postMessage(result, [result.bitmap, result.hashes.buffer]);
+    } catch (err) {
+      globalThis.postMessage({ id: job.id, error: err.message });
+    }
+  };
+}
@@ -0,0 +1,104 @@
+/**
+ * Per-scanline OAM evaluation: the 8-sprites-per-scanline limit and the
+ * sprite overflow flag.
+ *
+ * On each visible scanline the 2C02 walks OAM in index order and keeps the
+ * first eight sprites in range; later in-range sprites drop out for that line.
+ * The overflow flag follows the hardware's buggy search (after eight hits,
+ * a miss advances both the sprite index and the byte offset), so it reports
+ * the same false positives/negatives as a real console.
+ */
+
+export const SPRITES_PER_SCANLINE = 8;
+
+/**
+ * @param {object[]} sprites - 64 extracted OAM entries ({ x, y, tileIndex, palette, flipH, flipV, behindBg })
+ * @param {number} spriteSize - 0 = 8x8, 1 = 8x16
+ * @returns {{
+ *   height: number,
+ *   droppedRows: Array<number[]|null>,
+ *   lineCounts: Uint8Array,
+ *   overflow: boolean,
+ *   overflowLine: number,
+ * }} droppedRows[i] lists sprite-relative rows (0 = top on screen) that
+ *   sprite i loses to the limit; lineCounts holds in-range sprites per line
+ *   before the limit is applied.
+ */
+export function evaluateSpriteScanlines(sprites, spriteSize) {
+  const height = spriteSize === 1 ? 16 : 8;
+  const droppedRows = new Array(64).fill(null);
+  const lineCounts = new Uint8Array(240);
+  let overflow = false;
+  let overflowLine = -1;
+
+  for (let line = 0; line < 240; line++) {
+    let found = 0;
+    let n = 0;
+    for (; n < 64 && found < SPRITES_PER_SCANLINE; n++) {
+      if (_inRange(sprites[n]?.y, line, height)) found++;
+    }
+
+    let total = found;
+    for (let k = n; k < 64; k++) {
+      const y = sprites[k]?.y;
+      if (!_inRange(y, line, height)) continue;
+      total++;
+      const row = line - (y + 1);
+      if (droppedRows[k]) droppedRows[k].push(row);
+      else droppedRows[k] = [row];
+    }
+    lineCounts[line] = total;
+
+    if (!overflow && found === SPRITES_PER_SCANLINE && _hardwareOverflow(sprites, n, line, height)) {
+      overflow = true;
+      overflowLine = line;
+    }
+  }
+
+  return { height, droppedRows, lineCounts, overflow, overflowLine };
+}
+
+/**
+ * Collapse sorted dropped rows into the visible [start, end) runs of a sprite.
+ */
+export function visibleRowRuns(droppedRows, height) {
+  const runs = [];
+  let start = 0;
+  for (const row of droppedRows || []) {
+    if (row > start) runs.push([start, row]);
+    start = row + 1;
+  }
+  if (start < height) runs.push([start, height]);
+  return runs;
+}
+
+function _inRange(oamY, line, height) {
+  if (!Number.isFinite(oamY)) return false;
+  const d = line - (oamY + 1);
+  return d >= 0 && d < height;
+}
+
+function _hardwareOverflow(sprites, n, line, height) {
+  let m = 0;
+  while (n < 64) {
+    if (_inRange(_oamByte(sprites[n], m), line, height)) return true;
+    // Hardware bug: a miss increments m alongside n.
+    n++;
+    m = (m + 1) & 3;
+  }
+  return false;
+}
+
+function _oamByte(spr, m) {
+  if (!spr) return 0xFF;
+  switch (m) {
+    case 0: return spr.y;
+    case 1: return spr.tileIndex;
+    case 2:
+      return ((spr.palette >> 2) & 3)
+        | (spr.behindBg ? 0x20 : 0)
+        | (spr.flipH ? 0x40 : 0)
+        | (spr.flipV ? 0x80 : 0);
+    default: return spr.x;
+  }
+}
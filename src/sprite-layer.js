@@ -2,10 +2,38 @@
  * Sprite layer: 64 absolutely-positioned sprite divs.
  * All sprites are updated every frame (OAM is volatile).
  * Supports both 8x8 and 8x16 sprite modes.
+ *
+ * Priority modes:
+ * - 'approx': behind-BG sprites get z-index -1, front sprites 1.
+ * - 'exact': z-index follows OAM order on both sides of the BG layer (the
+ *   viewport must be a stacking context), and each front sprite is masked
+ *   where a lower-index behind-BG sprite has an opaque pixel. The first
+ *   opaque sprite in OAM order then decides BG vs sprite, as on hardware.
+ *
+ * Sprite limit modes:
+ * - 'off': all 64 sprites drawn, no OAM evaluation.
+ * - 'hardware': per-scanline OAM evaluation; rows past the 8th sprite on a
+ *   line are clipped away with clip-path and the overflow flag is reported.
+ * - 'no-flicker': evaluation runs (overflow flag, data-dropped-rows) but
+ *   every sprite stays visible, removing multiplexing flicker.
  */
+import { evaluateSpriteScanlines, visibleRowRuns } from './sprite-evaluator.js';
+import {
+  SPRITE_MASK_PAD_X,
+  SPRITE_MASK_PAD_Y,
+  SPRITE_MASK_CELL_W,
+  SPRITE_MASK_CELL_H,
+} from './tile-cache.js';
+
+const SPRITE_LIMIT_MODES = ['off', 'hardware', 'no-flicker'];
+const MASK_SHEET_SIZE = `${SPRITE_MASK_CELL_W * 16}px ${SPRITE_MASK_CELL_H * 16}px`;
+
 export class SpriteLayer {
   constructor(container) {
     this.container = container;
+    this.priorityMode = 'approx';
+    this.limitMode = 'off';
+    this.lastEvaluation = null;
 
     this.spriteLayer = document.createElement('div');
     this.spriteLayer.className = 'sprite-layer';
@@ -44,6 +72,36 @@ export class SpriteLayer {
     }
 
     this.prevSpriteSize = -1;
+    // Last mask-image written per sprite, to skip redundant style writes.
+    this._maskStyles = new Array(64).fill('');
+    this._clipStyles = new Array(64).fill('');
+    this._overflowKey = '';
+  }
+
+  /**
+   * @param {'off'|'hardware'|'no-flicker'} mode
+   */
+  setSpriteLimitMode(mode) {
+    this.limitMode = SPRITE_LIMIT_MODES.includes(mode) ? mode : 'off';
+    this.spriteLayer.dataset.limitMode = this.limitMode;
+    if (this.limitMode === 'off') {
+      this.lastEvaluation = null;
+      this._applyOverflowState(null);
+      for (let i = 0; i < 64; i++) this._applyDropout(i, null, false, 8);
+    }
+    return this.limitMode;
+  }
+
+  /**
+   * @param {'approx'|'exact'} mode
+   */
+  setPriorityMode(mode) {
+    this.priorityMode = mode === 'exact' ? 'exact' : 'approx';
+    this.spriteLayer.dataset.priorityMode = this.priorityMode;
+    if (this.priorityMode !== 'exact') {
+      for (let i = 0; i < 64; i++) this._applyMask(i, null, '');
+    }
+    return this.priorityMode;
   }
 
   /**
@@ -57,6 +115,11 @@ export class SpriteLayer {
     if (!spritesVisible) return;
 
     const is8x16 = spriteSize === 1;
+    const exact = this.priorityMode === 'exact';
+    const placed = exact ? new Array(64).fill(null) : null;
+    const evaluation = this.limitMode !== 'off' ? evaluateSpriteScanlines(sprites, spriteSize) : null;
+    this.lastEvaluation = evaluation;
+    this._applyOverflowState(evaluation);
 
     // If sprite size mode changed, update div structure
     if (spriteSize !== this.prevSpriteSize) {
@@ -76,7 +139,18 @@ export class SpriteLayer {
         continue;
       }
 
+      // Sprites that lose every on-screen row to the scanline limit vanish.
+      const dropped = evaluation ? evaluation.droppedRows[i] : null;
+      if (
+        this.limitMode === 'hardware' && dropped &&
+        dropped.length >= Math.min(sprHeight, 240 - sprY)
+      ) {
+        div.style.display = 'none';
+        continue;
+      }
+
       div.style.display = '';
+      this._applyDropout(i, dropped, spr.flipV, sprHeight);
       div.style.left = `${spr.x}px`;
       div.style.top = `${sprY}px`;
 
@@ -87,8 +161,11 @@ export class SpriteLayer {
       const scaleX = spr.flipH ? -1 : 1;
       const scaleY = spr.flipV ? -1 : 1;
 
-      // Z-index: behind BG = -1, in front = 1
-      div.style.zIndex = spr.behindBg ? -1 : 1;
+      // Z-index: behind BG = -1, in front = 1. Exact mode keeps OAM order
+      // (lower index on top) within each side.
+      div.style.zIndex = exact
+        ? (spr.behindBg ? -1 - i : 64 - i)
+        : (spr.behindBg ? -1 : 1);
 
       // Data attributes for DevTools inspection
       div.dataset.x = spr.x;
@@ -100,6 +177,9 @@ export class SpriteLayer {
       div.dataset.flipV = spr.flipV ? 1 : 0;
       div.dataset.priority = spr.behindBg ? 'behind-bg' : 'in-front';
       const spriteSetClass = this._resolveSpriteSetClass(sprY, sprHeight, spriteRegionPlan);
+      if (exact) {
+        placed[i] = { spr, x: spr.x, y: sprY, height: sprHeight, setClass: spriteSetClass };
+      }
 
       if (is8x16) {
         this._update8x16(i, spr, palGroup, scaleX, scaleY, sprPatternBase, tileCache, spriteSetClass);
@@ -107,6 +187,127 @@ export class SpriteLayer {
         this._update8x8(i, spr, palGroup, scaleX, scaleY, sprPatternBase, tileCache, spriteSetClass);
       }
     }
+
+    if (exact) {
+      this._updatePriorityMasks(placed, is8x16, sprPatternBase, tileCache);
+    }
+  }
+
+  _applyOverflowState(evaluation) {
+    const key = evaluation ? `${evaluation.overflow ? 1 : 0}:${evaluation.overflowLine}` : '';
+    if (key === this._overflowKey) return;
+    this._overflowKey = key;
+
+    if (!evaluation) {
+      delete this.spriteLayer.dataset.overflow;
+      delete this.spriteLayer.dataset.overflowLine;
+      return;
+    }
+    this.spriteLayer.dataset.overflow = evaluation.overflow ? '1' : '0';
+    this.spriteLayer.dataset.overflowLine = String(evaluation.overflowLine);
+  }
+
+  /**
+   * Clip away the rows a sprite lost to the scanline limit. clip-path runs in
+   * the sprite's pre-transform box, so rows are mirrored for vertical flips.
+   */
+  _applyDropout(i, droppedRows, flipV, height) {
+    let clip = '';
+    let rowsAttr = '';
+    if (droppedRows && droppedRows.length > 0) {
+      rowsAttr = _rowsToRuns(droppedRows).map(([a, b]) => `${a}-${b}`).join(',');
+      if (this.limitMode === 'hardware') {
+        const runs = visibleRowRuns(droppedRows, height).map(([a, b]) => (
+          flipV ? [height - b, height - a] : [a, b]
+        ));
+        clip = _runsToClipPath(runs);
+      }
+    }
+
+    const key = clip + '|' + rowsAttr;
+    if (key === this._clipStyles[i]) return;
+    this._clipStyles[i] = key;
+
+    const div = this.spriteDivs[i];
+    div.style.clipPath = clip;
+    if (rowsAttr) div.dataset.droppedRows = rowsAttr;
+    else delete div.dataset.droppedRows;
+  }
+
+  /**
+   * Mask each front sprite with the opaque pixels of every overlapping
+   * behind-BG sprite that precedes it in OAM. Under the mask, the behind
+   * sprite (z below BG) or the opaque BG pixel shows through.
+   */
+  _updatePriorityMasks(placed, is8x16, sprBase, tileCache) {
+    for (let j = 0; j < 64; j++) {
+      const front = placed[j];
+      let layers = null;
+      let sources = '';
+
+      if (front && !front.spr.behindBg) {
+        for (let i = 0; i < j; i++) {
+          const behind = placed[i];
+          if (!behind || !behind.spr.behindBg || !_boxesOverlap(front, behind)) continue;
+
+          for (const tile of _spriteTiles(behind, is8x16, sprBase)) {
+            const layer = this._maskLayer(tile, behind, front, tileCache);
+            if (!layer) continue;
+            (layers || (layers = [])).push(layer);
+          }
+          sources += (sources ? ',' : '') + i;
+        }
+      }
+
+      this._applyMask(j, layers, sources);
+    }
+  }
+
+  _maskLayer(tile, behind, front, tileCache) {
+    const dx = tile.x - front.x;
+    const dy = tile.y - front.y;
+    // Mask coordinates are in the front sprite's pre-transform box, so undo
+    // its flip: mirror the offset and XOR the flip of the mask tile.
+    const localX = front.spr.flipH ? -dx : dx;
+    const localY = front.spr.flipV ? front.height - dy - 8 : dy;
+    const flipH = !!behind.spr.flipH !== !!front.spr.flipH;
+    const flipV = !!behind.spr.flipV !== !!front.spr.flipV;
+
+    const url = tileCache.getSpriteMaskUrl?.(tile.bank, flipH, flipV, behind.setClass);
+    if (!url) return null;
+
+    const cellX = (tile.index & 15) * SPRITE_MASK_CELL_W + SPRITE_MASK_PAD_X;
+    const cellY = ((tile.index >> 4) & 15) * SPRITE_MASK_CELL_H + SPRITE_MASK_PAD_Y;
+    return { url, position: `${localX - cellX}px ${localY - cellY}px` };
+  }
+
+  _applyMask(i, layers, sources) {
+    const div = this.spriteDivs[i];
+    let image = '';
+    if (layers && layers.length > 0) {
+      // Full box minus the union of the behind-sprite masks.
+      image = 'linear-gradient(#000, #000), ' + layers.map((l) => `url("${l.url}")`).join(', ');
+    }
+    const styleKey = image + (layers ? '|' + layers.map((l) => l.position).join(',') : '');
+    if (styleKey === this._maskStyles[i]) return;
+    this._maskStyles[i] = styleKey;
+
+    if (!image) {
+      div.style.removeProperty('mask-image');
+      div.style.removeProperty('mask-position');
+      div.style.removeProperty('mask-size');
+      div.style.removeProperty('mask-repeat');
+      div.style.removeProperty('mask-composite');
+      delete div.dataset.priorityMask;
+      return;
+    }
+
+    div.style.setProperty('mask-image', image);
+    div.style.setProperty('mask-position', ['0 0', ...layers.map((l) => l.position)].join(', '));
+    div.style.setProperty('mask-size', ['100% 100%', ...layers.map(() => MASK_SHEET_SIZE)].join(', '));
+    div.style.setProperty('mask-repeat', 'no-repeat');
+    div.style.setProperty('mask-composite', ['subtract', ...layers.map(() => 'add')].join(', '));
+    div.dataset.priorityMask = sources;
   }
 
   _update8x8(i, spr, palGroup, scaleX, scaleY, sprBase, tileCache, spriteSetClass) {
@@ -191,3 +392,43 @@ export class SpriteLayer {
 function _joinClasses(...parts) {
   return parts.filter(Boolean).join(' ');
 }
+
+function _boxesOverlap(a, b) {
+  return a.x < b.x + 8 && b.x < a.x + 8 && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Screen-space 8x8 tiles of a placed sprite, using hardware tile selection
+ * (8x16 flipV shows the pair's second tile on top).
+ */
+function _spriteTiles(placed, is8x16, sprBase) {
+  const { spr, x, y } = placed;
+  if (!is8x16) {
+    return [{ index: spr.tileIndex, bank: sprBase === 0 ? 0 : 1, x, y }];
+  }
+
+  const bank = spr.tileIndex & 1;
+  const pairTop = spr.tileIndex & 0xFE;
+  return [
+    { index: spr.flipV ? pairTop + 1 : pairTop, bank, x, y },
+    { index: spr.flipV ? pairTop : pairTop + 1, bank, x, y: y + 8 },
+  ];
+}
+
+function _rowsToRuns(rows) {
+  const runs = [];
+  for (const row of rows) {
+    const last = runs[runs.length - 1];
+    if (last && last[1] === row) last[1] = row + 1;
+    else runs.push([row, row + 1]);
+  }
+  return runs;
+}
+
+function _runsToClipPath(runs) {
+  const points = [];
+  for (const [y0, y1] of runs) {
+    points.push(`0% ${y0}px`, `100% ${y0}px`, `100% ${y1}px`, `0% ${y1}px`);
+  }
+  return `polygon(${points.join(', ')})`;
+}
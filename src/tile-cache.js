@@ -3,9 +3,69 @@
  *
  * Sprite sheets are global (bank 0 + bank 1), while BG sheets are cached by
  * (bgPatternBase + CHR signature slice) so different render regions can bind
- * different CHR states in the same frame.
+ * different CHR states in the same frame. Regions drawn under a different
+ * PPUMASK (emphasis/greyscale) than the frame ends with get a sibling BG set
+ * over the same tiles, rendered with that mask's colours.
+ *
+ * CHR-RAM writes are tracked per tile: only the 8x8 cells of rewritten tiles
+ * are redrawn, and a sheet's image URL is republished only when one of its
+ * cells actually changed.
+ *
+ * Sheets are rasterized and encoded through a SheetPipeline: in a worker when
+ * the browser supports it (the previous image stays up until the new one
+ * arrives, at most maxSheetLatency frames later), on the main thread otherwise.
+ *
+ * In the 'variables' palette mode a BG set holds colour-index masks instead
+ * of one sheet per palette group; the page colours them from `--pal-bg-N-M`
+ * custom properties, so BG palette writes never re-render a sheet.
+ *
+ * In atlas mode every sheet is also drawn into a SheetAtlas, whose changed
+ * rows are re-encoded once per frame. Tiles reach their sheet through set
+ * and palette offsets in CSS variables, so the stylesheet only changes when
+ * sets come and go.
  */
+import { maskToken } from './ppu-mask.js';
+import { SHEET_SIZE, parseSheetColors, writeTileCell } from './sheet-raster.js';
+import { SheetPipeline } from './sheet-pipeline.js';
+import { bgPaletteVarDeclarations } from './palette-vars.js';
+import { SheetAtlas } from './sheet-atlas.js';
+
+// How BG sheets carry colour: 'sheets' renders one sheet per palette group,
+// 'variables' renders palette-independent masks coloured by CSS variables.
+export const PALETTE_MODES = ['sheets', 'variables'];
+
+// Mask layers of a BG set in 'variables' mode: every opaque pixel (painted
+// with colour 1), then colour 2 and colour 3 only. mask-image reads alpha.
+const BG_MASK_LAYER_COLORS = [
+  [null, '#ffffff', '#ffffff', '#ffffff'],
+  [null, null, '#ffffff', null],
+  [null, null, null, '#ffffff'],
+];
+
+// Stands in for a sheet's own URL in atlas mode, where only the atlas is encoded.
+const ATLAS_SHEET_URL = 'atlas:';
+
+// Atlas owner of the global sprite sheets (slots 4-11), which take row 0.
+const GLOBAL_SPRITE_SHEETS = Object.freeze({ name: 'global sprite sheets' });
+
+// Sprite mask sheet cell: 8x8 tile plus a margin wide enough for one sprite
+// box (8 wide, up to 16 tall) to overlap the tile from any side.
+export const SPRITE_MASK_PAD_X = 8;
+export const SPRITE_MASK_PAD_Y = 16;
+export const SPRITE_MASK_CELL_W = 8 + SPRITE_MASK_PAD_X * 2;
+export const SPRITE_MASK_CELL_H = 8 + SPRITE_MASK_PAD_Y * 2;
 export class TileCache {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.maxBgSets]
+   * @param {number} [options.maxSpriteSets]
+   * @param {Worker|object|false} [options.sheetWorker] - see SheetPipeline
+   * @param {number} [options.maxSheetLatency] - frames a sheet may wait for the worker
+   * @param {'sheets'|'variables'} [options.paletteMode]
+   * @param {boolean} [options.atlas] - pack all sheets into one atlas (see setAtlasMode)
+   * @param {CSSStyleDeclaration} [options.atlasStyle] - where the atlas row
+   *   images are published (default: the document element's style)
+   */
   constructor(options = {}) {
     // Public canvas slots retained for inspector compatibility.
     // 0-3: active BG set (pal 0-3)
@@ -30,6 +90,33 @@ export class TileCache {
     this.tileChecksums = new Uint32Array(512);
     this.prevBankRefs = new Array(8).fill(0);
 
+    // Cells redrawn in place this frame (CHR-RAM writes), across all sheets
+    this.tilesRedrawn = 0;
+    // Tile indices (0-255) per pattern table whose pixels changed this frame
+    this._dirtyTiles = [new Set(), new Set()];
+    // Per-canvas hash of each 8x8 cell as last drawn, to skip no-op redraws
+    this._cellHashes = new WeakMap();
+    this._urlsRepublished = false;
+
+    this.sheetPipeline = new SheetPipeline({
+      worker: options.sheetWorker,
+      maxLatencyFrames: options.maxSheetLatency,
+    });
+    // Replaced blob: URLs, revoked once the stylesheet no longer names them
+    this._retiredUrls = [];
+    // blob: URLs published and not yet revoked
+    this._objectUrls = new Set();
+
+    // Set lookups and URL lifecycle counts for stats(); kept across reset()
+    this.counters = {
+      bg: { hits: 0, misses: 0, evictions: 0 },
+      sprite: { hits: 0, misses: 0, evictions: 0 },
+      objectUrls: { created: 0, revoked: 0 },
+    };
+    this._stylesheetQueued = false;
+
+    this.paletteMode = PALETTE_MODES.includes(options.paletteMode) ? options.paletteMode : 'sheets';
+
     // Legacy numeric update markers (0-3 BG groups, 4-11 sprite sheets).
     this.updatedSheets = new Set();
 
@@ -54,9 +141,29 @@ export class TileCache {
     this._lastChrSignature = null;
     this._lastChrStateCatalog = [];
 
+    // Opaque-pixel mask sheets for exact sprite priority, rendered on demand.
+    // Indexed [bank][flip] where flip = (flipV << 1) | flipH.
+    this._spriteMasks = _createSpriteMaskRecord();
+    this._maskCanvas = null;
+    this._maskContext = null;
+
     this.prevBgBase = -1;
     this._prevSpriteSignature = null;
     this._consecRegenFrames = 0;
+
+    // Stylesheet rewrites (text actually changed), for stats()
+    this.stylesheetWrites = 0;
+
+    // Atlas mode: sheets packed into SheetAtlas rows, published as
+    // --tile-atlas-N on this style declaration
+    this.atlasStyle = options.atlasStyle ?? document.documentElement.style;
+    this.atlas = null;
+    // Published URL per atlas row
+    this._atlasUrls = [];
+    this._atlasQueued = false;
+    this._atlasPublish = null;
+    this.atlasPublishes = 0;
+    if (options.atlas) this.setAtlasMode(true);
   }
 
   /**
@@ -80,6 +187,9 @@ export class TileCache {
     this._frameSeq++;
     this.updatedSheets.clear();
     this._updatedBgSetGroups.clear();
+    this.tilesRedrawn = 0;
+    this._urlsRepublished = false;
+    this.sheetPipeline.beginFrame();
     this._lastPtTile = ptTile;
     this._lastPaletteManager = paletteManager;
     this._lastChrStateCatalog = Array.isArray(chrStateCatalog) ? chrStateCatalog : [];
@@ -100,11 +210,8 @@ export class TileCache {
       this._updateBankRefs(chrBankSignature);
     }
 
-    const { pt0Dirty: chrDirtyPT0, pt1Dirty: chrDirtyPT1 } = this._checkCHRDirty(ptTile);
-
-    // CHR-RAM writes mutate tile pixels in place; drop affected BG set caches.
-    if (chrDirtyPT0) this._invalidateBgSetsForPT(0);
-    if (chrDirtyPT1) this._invalidateBgSetsForPT(1);
+    const dirtyTiles = this._checkCHRDirty(ptTile);
+    this._dirtyTiles = dirtyTiles;
 
     // Prime BG states captured by tracer so region keys can render historical CHR states.
     if (Array.isArray(chrStateCatalog) && chrStateCatalog.length > 0) {
@@ -117,17 +224,29 @@ export class TileCache {
     }
 
     const bgPTIndex = normalizedBgBase >= 256 ? 1 : 0;
-    const activeBgChrDirty = bgBankDirty || (bgPTIndex === 0 ? chrDirtyPT0 : chrDirtyPT1);
+    const activeTilesSwapped = !!activeSet && this._tilesSwapped(
+      activeSet.tileSlice,
+      ptTile,
+      normalizedBgBase,
+      dirtyTiles[bgPTIndex]
+    );
     const skipPaletteSetIds = new Set();
 
-    if (activeSet && (activeSetNew || activeBgChrDirty || bgBaseChanged)) {
+    if (activeSet && (activeSetNew || bgBankDirty || activeTilesSwapped || bgBaseChanged)) {
       // Refresh active set from current frame-end PT mapping.
       activeSet.tileSlice = this._slicePT(ptTile, normalizedBgBase);
       this._renderAllBgGroups(activeSet, paletteManager);
       skipPaletteSetIds.add(activeSet.id);
     }
 
-    this._renderDirtyPaletteGroupsAcrossBgSets(paletteManager, skipPaletteSetIds);
+    // With palette variables only mask variant sets keep colours in the stylesheet.
+    let variantColorsDirty = false;
+    if (this.paletteMode === 'variables') {
+      variantColorsDirty = paletteManager.dirtyBgGroups.size > 0 && this._hasMaskVariantSets();
+    } else {
+      this._renderDirtyPaletteGroupsAcrossBgSets(paletteManager, skipPaletteSetIds);
+    }
+    this._redrawDirtyTilesAcrossBgSets(ptTile, dirtyTiles, paletteManager, skipPaletteSetIds);
 
     // Sprite sheets are global, but we can target a specific CHR signature
     // (typically the gameplay region signature) when timing data is available.
@@ -155,26 +274,27 @@ export class TileCache {
       chrStateCatalog
     );
 
-    const spr0Dirty = sprBank0Dirty || chrDirtyPT0 || spriteBank0SigChanged;
-    const spr1Dirty = sprBank1Dirty || chrDirtyPT1 || spriteBank1SigChanged;
+    const spr0Dirty = sprBank0Dirty || spriteBank0SigChanged;
+    const spr1Dirty = sprBank1Dirty || spriteBank1SigChanged;
+
+    if (spr0Dirty || dirtyTiles[0].size > 0 || !this._spriteMasks.tiles[0]) {
+      this._spriteMasks.tiles[0] = spriteBank0Tiles;
+      this._spriteMasks.urls[0].fill(null);
+    }
+    if (spr1Dirty || dirtyTiles[1].size > 0 || !this._spriteMasks.tiles[1]) {
+      this._spriteMasks.tiles[1] = spriteBank1Tiles;
+      this._spriteMasks.urls[1].fill(null);
+    }
 
     for (let palGroup = 0; palGroup < 4; palGroup++) {
-      if (paletteManager.dirtySprGroups.has(palGroup) || spr0Dirty) {
-        const colors = paletteManager.getSprPaletteGroup(palGroup);
-        this._renderSpriteSheetFromSlice(4 + palGroup, spriteBank0Tiles, colors);
-        this.updatedSheets.add(4 + palGroup);
-      }
+      this._refreshSpriteSheet(4 + palGroup, spriteBank0Tiles, paletteManager, palGroup, spr0Dirty, dirtyTiles[0]);
     }
 
     for (let palGroup = 0; palGroup < 4; palGroup++) {
-      if (paletteManager.dirtySprGroups.has(palGroup) || spr1Dirty) {
-        const colors = paletteManager.getSprPaletteGroup(palGroup);
-        this._renderSpriteSheetFromSlice(8 + palGroup, spriteBank1Tiles, colors);
-        this.updatedSheets.add(8 + palGroup);
-      }
+      this._refreshSpriteSheet(8 + palGroup, spriteBank1Tiles, paletteManager, palGroup, spr1Dirty, dirtyTiles[1]);
     }
 
-    if (this.updatedSheets.size > 0) {
+    if (this.updatedSheets.size > 0 || this._urlsRepublished || variantColorsDirty) {
       this._updateStylesheet();
     }
 
@@ -191,13 +311,151 @@ export class TileCache {
     }
   }
 
+  /**
+   * Discard every cached sheet, checksum and signature so the next update()
+   * rebuilds all sheets from scratch. Set ids keep counting up, so stale
+   * `bg-set-*` / `spr-set-*` classes can never match a new set.
+   */
+  reset() {
+    this.sheetPipeline.cancel();
+    for (const set of this.bgSets.values()) set.urls.forEach((url) => this._retireUrl(url));
+    for (const set of this.spriteSets.values()) set.urls.forEach((url) => this._retireUrl(url));
+    for (let i = 4; i < 12; i++) this._retireUrl(this.blobUrls[i]);
+
+    this.bgSets.clear();
+    this.spriteSets.clear();
+    this.tileChecksums.fill(0);
+    this.prevBankRefs.fill(0);
+    this.tilesRedrawn = 0;
+    this._dirtyTiles = [new Set(), new Set()];
+    this._urlsRepublished = false;
+    this.updatedSheets.clear();
+    this._updatedBgSetGroups.clear();
+    this.blobUrls.fill(null);
+
+    this.activeBgSetId = 0;
+    this.activeBgKey = null;
+
+    this._lastPtTile = null;
+    this._lastPaletteManager = null;
+    this._lastChrSignature = null;
+    this._lastChrStateCatalog = [];
+
+    this._spriteMasks = _createSpriteMaskRecord();
+
+    this.prevBgBase = -1;
+    this._prevSpriteSignature = null;
+    this._consecRegenFrames = 0;
+
+    if (this.atlas) this._createAtlas();
+
+    this.styleEl.textContent = '';
+    this._revokeRetiredUrls();
+  }
+
+  /**
+   * @returns {Promise<void>} resolves once every queued sheet has been
+   *   published and the stylesheet updated
+   */
+  async settle() {
+    await this.sheetPipeline.settle();
+    while (this._atlasPublish) await this._atlasPublish;
+  }
+
+  /**
+   * Pack every sheet into a SheetAtlas (or go back to an image per sheet).
+   * Sheets are still rasterized by the sheet worker where there is one, but
+   * only their bitmaps come back; the page shows them through atlas rows.
+   *
+   * Trade-off: the stylesheet stops being rewritten in steady state, but
+   * any sheet change re-encodes its whole 1024x128 atlas row (8 sheets)
+   * instead of one 128x128 sheet, on the main thread's toBlob. Games that
+   * rewrite CHR-RAM every frame pay that encode every frame; the default
+   * per-sheet mode suits them better.
+   *
+   * The atlas uses per-palette sheets, so it turns the 'variables' palette
+   * mode off. Switching drops every cached sheet, as reset() does.
+   * @returns {boolean} whether atlas mode is on
+   */
+  setAtlasMode(enabled) {
+    if (!!enabled === !!this.atlas) return !!this.atlas;
+    if (enabled) {
+      this.paletteMode = 'sheets';
+      this.reset();
+      this._createAtlas();
+    } else {
+      this._clearAtlasUrls();
+      this.atlas = null;
+      this.reset();
+    }
+    return !!this.atlas;
+  }
+
+  /**
+   * Memory and URL accounting (`nesDebug.tileCache.stats()`). Canvas bytes
+   * count 4 bytes per pixel of backing store; `urlBytes` is the length of
+   * data: URLs held for main-thread sheets. Worker bitmaps are closed as soon
+   * as they are drawn, so canvases and URLs are all the cache keeps.
+   */
+  stats() {
+    const sets = [
+      ...[...this.bgSets.values()].map((set) => this._setStats('bg', set)),
+      ...[...this.spriteSets.values()].map((set) => this._setStats('sprite', set)),
+    ];
+    // Slots 0-3 alias the active BG set; only the sprite slots hold their own URLs.
+    const slotUrls = this.blobUrls.slice(4).filter(Boolean);
+    const globalMaskUrls = this._spriteMasks.urls.flat().filter(Boolean);
+    const atlasCanvases = this.atlas ? this.atlas.rows.map((row) => row.canvas) : [];
+    const slotCanvases = [...this.canvases, this._maskCanvas, ...atlasCanvases].filter(Boolean);
+
+    let canvasBytes = slotCanvases.reduce((sum, canvas) => sum + _canvasBytes(canvas), 0);
+    let urlBytes = [...slotUrls, ...globalMaskUrls].reduce((sum, url) => sum + _dataUrlBytes(url), 0);
+    for (const set of sets) {
+      canvasBytes += set.canvasBytes;
+      urlBytes += set.urlBytes;
+    }
+
+    return {
+      bgSets: { count: this.bgSets.size, max: this.maxBgSets, ...this.counters.bg },
+      spriteSets: { count: this.spriteSets.size, max: this.maxSpriteSets, ...this.counters.sprite },
+      bytes: { canvases: canvasBytes, urls: urlBytes },
+      objectUrls: {
+        live: this._objectUrls.size,
+        awaitingRevoke: this._retiredUrls.length,
+        ...this.counters.objectUrls,
+      },
+      sheets: { pending: this.sheetPipeline.pending.size, ...this.sheetPipeline.stats },
+      stylesheetWrites: this.stylesheetWrites,
+      atlas: this.atlas
+        ? { width: this.atlas.width, rows: this.atlas.rows.length, places: this.atlas.size, publishes: this.atlasPublishes }
+        : null,
+      sets,
+    };
+  }
+
+  /**
+   * Select how BG sheets carry colour (see PALETTE_MODES). Switching drops
+   * every cached sheet, as reset() does.
+   * @returns {string} the mode in use
+   */
+  setPaletteMode(mode) {
+    const applied = PALETTE_MODES.includes(mode) ? mode : 'sheets';
+    if (applied !== this.paletteMode) {
+      if (applied === 'variables') this.setAtlasMode(false);
+      this.paletteMode = applied;
+      this.reset();
+    }
+    return applied;
+  }
+
   /**
    * Activate/select BG set for a region.
    * @param {number} bgBase
    * @param {Array} chrBankSignature
    * @param {string|null} explicitKey
+   * @param {{ emphasis: number, greyscale: boolean }|null} ppuMask - PPUMASK colour state of the region
    */
-  activateBgSet(bgBase, chrBankSignature, explicitKey = null) {
+  activateBgSet(bgBase, chrBankSignature, explicitKey = null, ppuMask = null) {
     const normalizedBgBase = bgBase >= 256 ? 256 : 0;
 
     let set = null;
@@ -206,6 +464,7 @@ export class TileCache {
     if (explicitKey && this.bgSets.has(explicitKey)) {
       set = this.bgSets.get(explicitKey);
       set.lastUsedFrame = this._frameSeq;
+      this.counters.bg.hits++;
     } else {
       const ensured = this._ensureBgSet(normalizedBgBase, chrBankSignature, explicitKey);
       set = ensured.set;
@@ -218,6 +477,14 @@ export class TileCache {
       set.tileSlice = this._slicePT(this._lastPtTile, set.bgBase);
     }
 
+    const variant = this._resolvePPUMaskVariant(set, ppuMask);
+    if (variant) {
+      // The variant follows its base set's tiles; re-render when they move.
+      isNew = variant.isNew || variant.set.tileSlice !== set.tileSlice;
+      variant.set.tileSlice = set.tileSlice;
+      set = variant.set;
+    }
+
     if (set.tileSlice && this._lastPaletteManager) {
       if (isNew || this._setNeedsImages(set)) {
         this._renderAllBgGroups(set, this._lastPaletteManager);
@@ -257,21 +524,29 @@ export class TileCache {
     const tilesB0 = this._resolveSpriteBankTiles(0, signature, currentSignature, this._lastPtTile, catalog);
     const tilesB1 = this._resolveSpriteBankTiles(256, signature, currentSignature, this._lastPtTile, catalog);
 
-    let changed = false;
-    for (let palGroup = 0; palGroup < 4; palGroup++) {
-      const idx = palGroup;
-      if (isNew || !set.urls[idx] || paletteDirty.has(palGroup)) {
-        const colors = paletteManager.getSprPaletteGroup(palGroup);
-        set.urls[idx] = this._renderTilesToSheetSlice(set.canvases[idx], set.contexts[idx], tilesB0, colors);
-        changed = true;
-      }
+    if (isNew || !set.masks.tiles[0]) {
+      set.masks = _createSpriteMaskRecord();
+      set.masks.tiles[0] = tilesB0;
+      set.masks.tiles[1] = tilesB1;
     }
-    for (let palGroup = 0; palGroup < 4; palGroup++) {
-      const idx = 4 + palGroup;
+
+    let changed = false;
+    for (let idx = 0; idx < 8; idx++) {
+      const palGroup = idx & 3;
+      const tiles = idx < 4 ? tilesB0 : tilesB1;
+      const dirtyTiles = this._dirtyTiles[idx < 4 ? 0 : 1];
+      const colors = paletteManager.getSprPaletteGroup(palGroup);
+      const assign = (url) => {
+        // Evicted while its render was queued
+        if (this.spriteSets.get(key) !== set) return this._retireUrl(url);
+        this._retireUrl(set.urls[idx]);
+        set.urls[idx] = url;
+      };
       if (isNew || !set.urls[idx] || paletteDirty.has(palGroup)) {
-        const colors = paletteManager.getSprPaletteGroup(palGroup);
-        set.urls[idx] = this._renderTilesToSheetSlice(set.canvases[idx], set.contexts[idx], tilesB1, colors);
+        this._renderSheet(set.canvases[idx], set.contexts[idx], tiles, colors, !!set.urls[idx], assign);
         changed = true;
+      } else if (dirtyTiles.size > 0) {
+        changed = this._redrawTileCells(set.canvases[idx], set.contexts[idx], tiles, colors, dirtyTiles, assign) || changed;
       }
     }
 
@@ -282,14 +557,45 @@ export class TileCache {
     return `spr-set-${set.id}`;
   }
 
+  /**
+   * Opaque-pixel mask sheet for sprite tiles, used by exact priority mode.
+   * Each tile sits in a SPRITE_MASK_CELL_W x SPRITE_MASK_CELL_H cell with a
+   * transparent margin so a mask layer positioned over another sprite's box
+   * never picks up neighbouring tiles. Tiles are pre-flipped within the cell.
+   * @param {number} bankIdx - 0 ($0000) or 1 ($1000)
+   * @param {boolean} flipH
+   * @param {boolean} flipV
+   * @param {string} [setClass] - `spr-set-*` token from activateSpriteSet()
+   * @returns {string|null} image URL, or null when tiles are unavailable
+   */
+  getSpriteMaskUrl(bankIdx, flipH, flipV, setClass = '') {
+    const bank = bankIdx ? 1 : 0;
+    const flip = (flipV ? 2 : 0) | (flipH ? 1 : 0);
+    const masks = this._resolveSpriteMaskRecord(setClass);
+    const tiles = masks.tiles[bank];
+    if (!tiles) return null;
+
+    if (!masks.urls[bank][flip]) {
+      masks.urls[bank][flip] = this._renderSpriteMaskSheet(tiles, !!flipH, !!flipV);
+    }
+    return masks.urls[bank][flip];
+  }
+
   getTilePosition(index) {
     const col = index & 15;
     const row = (index >> 4) & 15;
+    // `this` is optional: the method also works unbound, for plain sheets.
+    if (this?.atlas) {
+      return `calc(-${col * 8}px - var(--set-x) - var(--pal-x)) -${row * 8}px`;
+    }
     return `-${col * 8}px -${row * 8}px`;
   }
 
   bgSheetUpdated(palGroup, setId = this.activeBgSetId) {
+    // Atlas positions do not depend on the sheet's content.
+    if (this.atlas) return false;
     const groups = this._updatedBgSetGroups.get(setId);
+    if (this.paletteMode === 'variables') return !!groups && groups.size > 0;
     return !!groups && groups.has(palGroup);
   }
 
@@ -297,6 +603,50 @@ export class TileCache {
     return this.updatedSheets.has(4 + palGroup) || this.updatedSheets.has(8 + palGroup);
   }
 
+  _resolveSpriteMaskRecord(setClass) {
+    const match = /^spr-set-(\d+)$/.exec(setClass || '');
+    if (match) {
+      const id = Number(match[1]);
+      for (const set of this.spriteSets.values()) {
+        if (set.id === id && set.masks.tiles[0]) return set.masks;
+      }
+    }
+    return this._spriteMasks;
+  }
+
+  _renderSpriteMaskSheet(tileSlice, flipH, flipV) {
+    if (!this._maskCanvas) {
+      this._maskCanvas = document.createElement('canvas');
+      this._maskCanvas.width = SPRITE_MASK_CELL_W * 16;
+      this._maskCanvas.height = SPRITE_MASK_CELL_H * 16;
+      this._maskContext = this._maskCanvas.getContext('2d');
+    }
+
+    const width = this._maskCanvas.width;
+    const imgData = this._maskContext.createImageData(width, this._maskCanvas.height);
+    const data = imgData.data;
+
+    for (let tileIdx = 0; tileIdx < 256; tileIdx++) {
+      const tile = tileSlice[tileIdx];
+      if (!tile) continue;
+
+      const baseX = (tileIdx & 15) * SPRITE_MASK_CELL_W + SPRITE_MASK_PAD_X;
+      const baseY = ((tileIdx >> 4) & 15) * SPRITE_MASK_CELL_H + SPRITE_MASK_PAD_Y;
+
+      for (let py = 0; py < 8; py++) {
+        for (let px = 0; px < 8; px++) {
+          if ((tile.pix[(py << 3) + px] | 0) <= 0) continue;
+          const dx = flipH ? 7 - px : px;
+          const dy = flipV ? 7 - py : py;
+          data[((baseY + dy) * width + baseX + dx) * 4 + 3] = 255;
+        }
+      }
+    }
+
+    this._maskContext.putImageData(imgData, 0, 0);
+    return this._maskCanvas.toDataURL('image/png');
+  }
+
   _primeBgSetsFromCatalog(chrStateCatalog, paletteManager) {
     for (const state of chrStateCatalog) {
       const bgBase = state?.bgBase >= 256 ? 256 : 0;
@@ -327,8 +677,34 @@ export class TileCache {
     }
   }
 
+  /**
+   * Redraw the cells of CHR-RAM tiles rewritten in place in every BG set that
+   * still holds them. Groups already re-rendered this frame are skipped.
+   */
+  _redrawDirtyTilesAcrossBgSets(ptTile, dirtyTiles, paletteManager, skipSetIds) {
+    for (const set of this.bgSets.values()) {
+      if (skipSetIds.has(set.id) || !set.tileSlice) continue;
+      const dirty = dirtyTiles[set.bgBase >= 256 ? 1 : 0];
+      if (dirty.size === 0) continue;
+
+      // Tiles swapped out by a bank switch since the set was sliced are not its tiles.
+      const indices = [...dirty].filter((i) => set.tileSlice[i] === ptTile[set.bgBase + i]);
+      if (indices.length === 0) continue;
+
+      const rendered = this._updatedBgSetGroups.get(set.id);
+      for (let palGroup = 0; palGroup < this._bgSheetsPerSet(); palGroup++) {
+        if (!set.urls[palGroup] || rendered?.has(palGroup)) continue;
+        const colors = this._bgSheetColors(set, palGroup, paletteManager);
+        const assign = (url) => this._assignBgSetUrl(set, palGroup, url);
+        if (this._redrawTileCells(set.canvases[palGroup], set.contexts[palGroup], set.tileSlice, colors, indices, assign)) {
+          set.lastUsedFrame = this._frameSeq;
+        }
+      }
+    }
+  }
+
   _renderAllBgGroups(set, paletteManager) {
-    for (let palGroup = 0; palGroup < 4; palGroup++) {
+    for (let palGroup = 0; palGroup < this._bgSheetsPerSet(); palGroup++) {
       this._renderBgGroup(set, palGroup, paletteManager);
     }
   }
@@ -337,8 +713,10 @@ export class TileCache {
     const tiles = set.tileSlice || this._slicePT(this._lastPtTile, set.bgBase);
     if (!tiles) return;
 
-    const colors = paletteManager.getBgPaletteGroup(palGroup);
-    set.urls[palGroup] = this._renderTilesToSheetSlice(set.canvases[palGroup], set.contexts[palGroup], tiles, colors);
+    const colors = this._bgSheetColors(set, palGroup, paletteManager);
+    this._renderSheet(set.canvases[palGroup], set.contexts[palGroup], tiles, colors, !!set.urls[palGroup], (url) =>
+      this._assignBgSetUrl(set, palGroup, url)
+    );
     set.lastUsedFrame = this._frameSeq;
 
     let groups = this._updatedBgSetGroups.get(set.id);
@@ -349,7 +727,30 @@ export class TileCache {
     groups.add(palGroup);
 
     this.updatedSheets.add(palGroup);
+  }
+
+  // BG sheets per set: palette groups, or mask layers with palette variables.
+  _bgSheetsPerSet() {
+    return this.paletteMode === 'variables' ? BG_MASK_LAYER_COLORS.length : 4;
+  }
+
+  _bgSheetColors(set, sheet, paletteManager) {
+    if (this.paletteMode === 'variables') return BG_MASK_LAYER_COLORS[sheet];
+    return paletteManager.getBgPaletteGroup(sheet, set.ppuMask);
+  }
 
+  _hasMaskVariantSets() {
+    for (const set of this.bgSets.values()) {
+      if (set.ppuMask) return true;
+    }
+    return false;
+  }
+
+  _assignBgSetUrl(set, palGroup, url) {
+    // Evicted while its render was queued
+    if (this.bgSets.get(set.key) !== set) return this._retireUrl(url);
+    this._retireUrl(set.urls[palGroup]);
+    set.urls[palGroup] = url;
     if (set.id === this.activeBgSetId) {
       this._syncActiveBgSetCanvases(set);
     }
@@ -364,7 +765,26 @@ export class TileCache {
   _renderSpriteSheetFromSlice(sheetIndex, tileSlice, colors) {
     const canvas = this.canvases[sheetIndex];
     const ctx = this.contexts[sheetIndex];
-    this.blobUrls[sheetIndex] = this._renderTilesToSheetSlice(canvas, ctx, tileSlice, colors);
+    this._renderSheet(canvas, ctx, tileSlice, colors, !!this.blobUrls[sheetIndex], (url) =>
+      this._assignSpriteSheetUrl(sheetIndex, url)
+    );
+  }
+
+  _assignSpriteSheetUrl(sheetIndex, url) {
+    this._retireUrl(this.blobUrls[sheetIndex]);
+    this.blobUrls[sheetIndex] = url;
+  }
+
+  _refreshSpriteSheet(sheetIndex, tileSlice, paletteManager, palGroup, bankDirty, dirtyTiles) {
+    const colors = paletteManager.getSprPaletteGroup(palGroup);
+    if (bankDirty || paletteManager.dirtySprGroups.has(palGroup)) {
+      this._renderSpriteSheetFromSlice(sheetIndex, tileSlice, colors);
+      this.updatedSheets.add(sheetIndex);
+    } else if (dirtyTiles.size > 0 && this.blobUrls[sheetIndex]) {
+      this._redrawTileCells(this.canvases[sheetIndex], this.contexts[sheetIndex], tileSlice, colors, dirtyTiles, (url) =>
+        this._assignSpriteSheetUrl(sheetIndex, url)
+      );
+    }
   }
 
   _renderTilesToSheetRange(canvas, ctx, ptTile, base, colors) {
@@ -375,46 +795,109 @@ export class TileCache {
     return this._renderTilesToSheetSlice(canvas, ctx, slice, colors);
   }
 
+  /**
+   * Render a whole sheet through the pipeline and hand its URL to `assign`.
+   * A sheet that has no image yet is always rendered synchronously.
+   */
+  _renderSheet(canvas, ctx, tileSlice, colors, hasImage, assign) {
+    this.sheetPipeline.render(canvas, tileSlice, colors, {
+      renderSync: () => this._renderTilesToSheetSlice(canvas, ctx, tileSlice, colors),
+      publish: (url, result) => this._publishSheet(canvas, ctx, url, result, assign),
+      defer: hasImage,
+      // Atlas sheets are encoded as part of their atlas row.
+      encode: !this.atlas,
+    });
+  }
+
+  _publishSheet(canvas, ctx, url, result, assign) {
+    url ??= ATLAS_SHEET_URL;
+    if (url.startsWith('blob:')) {
+      this._objectUrls.add(url);
+      this.counters.objectUrls.created++;
+    }
+    if (result?.hashes) this._cellHashes.set(canvas, result.hashes);
+    if (result?.bitmap) {
+      // Keep the canvas in step for the CHR and nametable viewers.
+      ctx.clearRect(0, 0, SHEET_SIZE, SHEET_SIZE);
+      ctx.drawImage(result.bitmap, 0, 0);
+      if (this.atlas?.draw(canvas, result.bitmap)) this._scheduleAtlasPublish();
+      result.bitmap.close();
+    }
+    assign(url);
+    if (result?.deferred) this._scheduleStylesheet();
+  }
+
   _renderTilesToSheetSlice(canvas, ctx, tileSlice, colors) {
-    const imgData = ctx.createImageData(128, 128);
-    const data = imgData.data;
+    this._rasterizeSheet(canvas, ctx, tileSlice, colors);
+    return this.atlas ? ATLAS_SHEET_URL : canvas.toDataURL('image/png');
+  }
 
-    const rgb = colors.map((c) => {
-      const v = parseInt(c.slice(1), 16);
-      return [(v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff];
-    });
+  _rasterizeSheet(canvas, ctx, tileSlice, colors) {
+    const imgData = ctx.createImageData(SHEET_SIZE, SHEET_SIZE);
+    const rgb = parseSheetColors(colors);
+    const cellHashes = new Uint32Array(256);
 
     for (let tileIdx = 0; tileIdx < 256; tileIdx++) {
       const tile = tileSlice[tileIdx];
       if (!tile) continue;
+      const baseX = (tileIdx & 15) * 8;
+      const baseY = ((tileIdx >> 4) & 15) * 8;
+      cellHashes[tileIdx] = writeTileCell(imgData.data, SHEET_SIZE, baseX, baseY, tile.pix, 0, rgb);
+    }
 
-      const tileCol = tileIdx & 15;
-      const tileRow = (tileIdx >> 4) & 15;
-      const baseX = tileCol * 8;
-      const baseY = tileRow * 8;
+    this._cellHashes.set(canvas, cellHashes);
+    this._putSheetImage(canvas, ctx, imgData, 0, 0);
+  }
 
-      for (let py = 0; py < 8; py++) {
-        for (let px = 0; px < 8; px++) {
-          const colorIdx = tile.pix[(py << 3) + px] | 0;
-          const destOffset = ((baseY + py) * 128 + (baseX + px)) * 4;
-          if (colorIdx <= 0 || colorIdx >= rgb.length || !rgb[colorIdx]) {
-            data[destOffset] = 0;
-            data[destOffset + 1] = 0;
-            data[destOffset + 2] = 0;
-            data[destOffset + 3] = 0;
-          } else {
-            const [r, g, b] = rgb[colorIdx];
-            data[destOffset] = r;
-            data[destOffset + 1] = g;
-            data[destOffset + 2] = b;
-            data[destOffset + 3] = 255;
-          }
-        }
-      }
+  _putSheetImage(canvas, ctx, imageData, x, y) {
+    ctx.putImageData(imageData, x, y);
+    if (this.atlas?.put(canvas, imageData, x, y)) this._scheduleAtlasPublish();
+  }
+
+  /**
+   * Redraw the 8x8 cells of the given tile indices in place. Cells that come
+   * out as they were drawn last time are left alone. With the sheet worker,
+   * a changed cell queues the whole sheet instead of drawing it here.
+   * @param {function(string)} assign - receives the sheet's new image URL
+   * @returns {boolean} whether any cell changed
+   */
+  _redrawTileCells(canvas, ctx, tileSlice, colors, tileIndices, assign) {
+    let cellHashes = this._cellHashes.get(canvas);
+    if (!cellHashes) {
+      cellHashes = new Uint32Array(256);
+      this._cellHashes.set(canvas, cellHashes);
     }
 
-    ctx.putImageData(imgData, 0, 0);
-    return canvas.toDataURL('image/png');
+    // Atlas cells go straight into their row, which is re-encoded anyway.
+    const deferred = !this.atlas && this.sheetPipeline.async;
+    const rgb = parseSheetColors(colors);
+    let cell = null;
+    let redrawn = 0;
+    for (const tileIdx of tileIndices) {
+      const tile = tileSlice[tileIdx];
+      if (!tile) continue;
+      cell ??= deferred ? { data: new Uint8ClampedArray(256) } : ctx.createImageData(8, 8);
+      const hash = writeTileCell(cell.data, 8, 0, 0, tile.pix, 0, rgb);
+      if (hash === cellHashes[tileIdx]) continue;
+      cellHashes[tileIdx] = hash;
+      if (!deferred) this._putSheetImage(canvas, ctx, cell, (tileIdx & 15) * 8, ((tileIdx >> 4) & 15) * 8);
+      redrawn++;
+    }
+
+    // A render still queued for this sheet was packed before these writes.
+    const queued = deferred && this.sheetPipeline.isPending(canvas);
+    if (redrawn === 0 && !queued) return false;
+    this.tilesRedrawn += redrawn;
+
+    if (deferred) {
+      this._renderSheet(canvas, ctx, tileSlice, colors, true, assign);
+    } else if (this.atlas) {
+      assign(ATLAS_SHEET_URL);
+    } else {
+      this._urlsRepublished = true;
+      assign(canvas.toDataURL('image/png'));
+    }
+    return true;
   }
 
   _ensureBgSet(bgBase, chrBankSignature, explicitKey = null) {
@@ -436,7 +919,10 @@ export class TileCache {
       set = this._createBgSetRecord(key, bgBase, signature);
       this.bgSets.set(key, set);
       isNew = true;
+      this.counters.bg.misses++;
       this._evictBgSetsIfNeeded(key);
+    } else {
+      this.counters.bg.hits++;
     }
 
     set.lastUsedFrame = this._frameSeq;
@@ -454,7 +940,7 @@ export class TileCache {
       contexts[i] = c.getContext('2d');
     }
 
-    return {
+    const set = {
       id: this._bgSetSeq++,
       key,
       bgBase,
@@ -463,8 +949,21 @@ export class TileCache {
       canvases,
       contexts,
       urls: [null, null, null, null],
+      ppuMask: null,
       lastUsedFrame: this._frameSeq,
     };
+    this.atlas?.allocate('bg', set, canvases);
+    return set;
+  }
+
+  _resolvePPUMaskVariant(set, ppuMask) {
+    const paletteManager = this._lastPaletteManager;
+    if (!ppuMask || typeof paletteManager?.usesFrameColors !== 'function') return null;
+    if (paletteManager.usesFrameColors(ppuMask)) return null;
+
+    const result = this._getOrCreateBgSet(set.bgBase, `${set.key}|${maskToken(ppuMask)}`, set.signature);
+    result.set.ppuMask = { emphasis: (ppuMask.emphasis ?? 0) & 7, greyscale: !!ppuMask.greyscale };
+    return result;
   }
 
   _buildSpriteSetKey(signature) {
@@ -480,7 +979,10 @@ export class TileCache {
       set = this._createSpriteSetRecord(key, signature);
       this.spriteSets.set(key, set);
       isNew = true;
+      this.counters.sprite.misses++;
       this._evictSpriteSetsIfNeeded(key);
+    } else {
+      this.counters.sprite.hits++;
     }
     set.lastUsedFrame = this._frameSeq;
     return { set, isNew };
@@ -497,19 +999,22 @@ export class TileCache {
       contexts[i] = c.getContext('2d');
     }
 
-    return {
+    const set = {
       id: this._spriteSetSeq++,
       key,
       signature: this._cloneFullSignature(signature),
       canvases,
       contexts,
       urls: new Array(8).fill(null),
+      masks: _createSpriteMaskRecord(),
       lastUsedFrame: this._frameSeq,
     };
+    this.atlas?.allocate('sprite', set, canvases);
+    return set;
   }
 
   _setNeedsImages(set) {
-    return !set.urls[0] || !set.urls[1] || !set.urls[2] || !set.urls[3];
+    return set.urls.slice(0, this._bgSheetsPerSet()).some((url) => !url);
   }
 
   _slicePT(ptTile, bgBase) {
@@ -544,7 +1049,11 @@ export class TileCache {
       }
 
       if (!oldestKey) break;
+      const evicted = this.bgSets.get(oldestKey);
+      evicted.urls.forEach((url) => this._retireUrl(url));
+      this.atlas?.release(evicted);
       this.bgSets.delete(oldestKey);
+      this.counters.bg.evictions++;
 
       if (this.activeBgKey === oldestKey) {
         this.activeBgKey = null;
@@ -567,20 +1076,22 @@ export class TileCache {
       }
 
       if (!oldestKey) break;
+      const evicted = this.spriteSets.get(oldestKey);
+      evicted.urls.forEach((url) => this._retireUrl(url));
+      this.atlas?.release(evicted);
       this.spriteSets.delete(oldestKey);
+      this.counters.sprite.evictions++;
     }
   }
 
-  _invalidateBgSetsForPT(ptIndex) {
-    const targetBase = ptIndex === 0 ? 0 : 256;
-    for (const [key, set] of this.bgSets) {
-      if (set.bgBase !== targetBase) continue;
-      this.bgSets.delete(key);
-      if (this.activeBgKey === key) {
-        this.activeBgKey = null;
-        this.activeBgSetId = 0;
-      }
+  // Whether a dirty slot now holds a different Tile object than the slice
+  // (bank switched rather than rewritten in place).
+  _tilesSwapped(tileSlice, ptTile, bgBase, dirtyTiles) {
+    if (!tileSlice) return false;
+    for (const tileIdx of dirtyTiles) {
+      if (tileSlice[tileIdx] !== ptTile[bgBase + tileIdx]) return true;
     }
+    return false;
   }
 
   _buildBgSetKeyFromSlice(bgBase, signatureSlice) {
@@ -778,20 +1289,22 @@ export class TileCache {
     );
   }
 
+  /**
+   * @returns {[Set<number>, Set<number>]} tile indices (0-255) per pattern
+   *   table whose pixels differ from last frame's
+   */
   _checkCHRDirty(ptTile) {
-    let pt0Dirty = false;
-    let pt1Dirty = false;
+    const dirty = [new Set(), new Set()];
     for (let i = 0; i < 512; i++) {
       const tile = ptTile[i];
       if (!tile) continue;
       const checksum = this._hashPix(tile.pix);
       if (checksum !== this.tileChecksums[i]) {
         this.tileChecksums[i] = checksum;
-        if (i < 256) pt0Dirty = true;
-        else pt1Dirty = true;
+        dirty[i >> 8].add(i & 255);
       }
     }
-    return { pt0Dirty, pt1Dirty };
+    return dirty;
   }
 
   _hashPix(pix) {
@@ -804,13 +1317,26 @@ export class TileCache {
   }
 
   _updateStylesheet() {
+    const css = this.atlas ? this._atlasRules() : this._sheetRules();
+    if (css !== this.styleEl.textContent) {
+      this.styleEl.textContent = css;
+      this.stylesheetWrites++;
+    }
+    this._revokeRetiredUrls();
+  }
+
+  _sheetRules() {
     let css = '';
 
-    for (const set of this.bgSets.values()) {
-      for (let palGroup = 0; palGroup < 4; palGroup++) {
-        const url = set.urls[palGroup];
-        if (!url) continue;
-        css += `.bg-set-${set.id} .bg-pal-${palGroup} { background-image: url("${url}"); }\n`;
+    if (this.paletteMode === 'variables') {
+      css += this._bgMaskRules();
+    } else {
+      for (const set of this.bgSets.values()) {
+        for (let palGroup = 0; palGroup < 4; palGroup++) {
+          const url = set.urls[palGroup];
+          if (!url) continue;
+          css += `.bg-set-${set.id} .bg-pal-${palGroup} { background-image: url("${url}"); }\n`;
+        }
       }
     }
 
@@ -838,6 +1364,153 @@ export class TileCache {
       }
     }
 
-    this.styleEl.textContent = css;
+    return css;
+  }
+
+  // Sheets are found in the atlas by offset (see getTilePosition), so the
+  // rules only change when a set takes or gives up its place.
+  _atlasRules() {
+    let css = '';
+    for (const [prefix, sets] of [['bg', this.bgSets], ['spr', this.spriteSets]]) {
+      for (const set of sets.values()) {
+        const place = this.atlas.placeOf(set);
+        if (place) css += `.${prefix}-set-${set.id} { --set-x: ${place.x}px; --set-image: var(--tile-atlas-${place.row}); }\n`;
+      }
+    }
+    return css;
+  }
+
+  // Mask layers go on the tile and its ::before/::after (see nes-layers.css);
+  // a mask variant set overrides the palette variables for its own tiles.
+  _bgMaskRules() {
+    const paletteManager = this._lastPaletteManager;
+    const targets = ['', '::before', '::after'];
+    let css = '';
+    for (const set of this.bgSets.values()) {
+      targets.forEach((pseudo, layer) => {
+        const url = set.urls[layer];
+        if (url) css += `.bg-set-${set.id} .bg-tile${pseudo} { mask-image: url("${url}"); }\n`;
+      });
+      if (set.ppuMask && paletteManager) {
+        const groups = [0, 1, 2, 3].map((palGroup) => paletteManager.getBgPaletteGroup(palGroup, set.ppuMask));
+        css += `.bg-set-${set.id} { ${bgPaletteVarDeclarations(groups)} }\n`;
+      }
+    }
+    return css;
+  }
+
+  // Worker replies land between frames; batch them into one rewrite.
+  _scheduleStylesheet() {
+    if (this._stylesheetQueued) return;
+    this._stylesheetQueued = true;
+    queueMicrotask(() => {
+      this._stylesheetQueued = false;
+      this._updateStylesheet();
+    });
+  }
+
+  _createAtlas() {
+    this._clearAtlasUrls();
+    this._atlasQueued = false;
+    this._atlasPublish = null;
+    this.atlas = new SheetAtlas({
+      spriteSlots: this.maxSpriteSets + 2,
+      bgSlots: this.maxBgSets + 1,
+    });
+    // Row 0 is the default --set-image (see nes-layers.css).
+    this.atlas.allocate('sprite', GLOBAL_SPRITE_SHEETS, this.canvases.slice(4, 12));
+    return this.atlas;
+  }
+
+  // Sheet draws land throughout update(); encode their rows once after them.
+  _scheduleAtlasPublish() {
+    if (this._atlasQueued) return;
+    this._atlasQueued = true;
+    const atlas = this.atlas;
+    const previous = this._atlasPublish ?? Promise.resolve();
+    const publish = previous.then(() => {
+      this._atlasQueued = false;
+      return atlas.encodeDirty();
+    }).then((rows) => {
+      this._publishAtlasRows(atlas, rows);
+    }).catch((err) => {
+      // Failed rows stay dirty in the atlas and go out with its next draw.
+      this._atlasQueued = false;
+      console.warn(`TileCache: atlas publish failed (${err?.message ?? err}).`);
+    }).finally(() => {
+      if (this._atlasPublish === publish) this._atlasPublish = null;
+    });
+    this._atlasPublish = publish;
+  }
+
+  _publishAtlasRows(atlas, rows) {
+    for (const { row, url } of rows) {
+      if (url?.startsWith('blob:')) {
+        this._objectUrls.add(url);
+        this.counters.objectUrls.created++;
+      }
+      // No URL: the row failed to encode and is still dirty in the atlas.
+      if (!url) continue;
+      if (atlas !== this.atlas) {
+        // Replaced by reset() or setAtlasMode() while encoding
+        this._retireUrl(url);
+        continue;
+      }
+      this._retireUrl(this._atlasUrls[row]);
+      this._atlasUrls[row] = url;
+      this.atlasStyle?.setProperty(`--tile-atlas-${row}`, `url("${url}")`);
+      this.atlasPublishes++;
+    }
+    this._revokeRetiredUrls();
+  }
+
+  _clearAtlasUrls() {
+    this._atlasUrls.forEach((url, row) => {
+      this._retireUrl(url);
+      this.atlasStyle?.removeProperty(`--tile-atlas-${row}`);
+    });
+    this._atlasUrls = [];
+  }
+
+  _retireUrl(url) {
+    if (url?.startsWith('blob:')) this._retiredUrls.push(url);
+  }
+
+  _revokeRetiredUrls() {
+    for (const url of this._retiredUrls) {
+      URL.revokeObjectURL(url);
+      this._objectUrls.delete(url);
+      this.counters.objectUrls.revoked++;
+    }
+    this._retiredUrls.length = 0;
+  }
+
+  _setStats(kind, set) {
+    const urls = set.urls.filter(Boolean);
+    const maskUrls = set.masks ? set.masks.urls.flat().filter(Boolean) : [];
+    return {
+      kind,
+      id: set.id,
+      key: set.key,
+      lastUsedFrame: set.lastUsedFrame,
+      canvasBytes: set.canvases.reduce((sum, canvas) => sum + _canvasBytes(canvas), 0),
+      urlBytes: [...urls, ...maskUrls].reduce((sum, url) => sum + _dataUrlBytes(url), 0),
+      objectUrls: urls.filter((url) => url.startsWith('blob:')).length,
+    };
   }
 }
+
+function _canvasBytes(canvas) {
+  return canvas.width * canvas.height * 4;
+}
+
+function _dataUrlBytes(url) {
+  return url.startsWith('data:') ? url.length : 0;
+}
+
+function _createSpriteMaskRecord() {
+  return {
+    tiles: [null, null],
+    urls: [new Array(4).fill(null), new Array(4).fill(null)],
+  };
+}
@@ -26,6 +26,7 @@ describe('AnnotationPopover (DOM)', () => {
       paletteManager: {
         getBgPaletteGroup: () => ['#000000', '#111111', '#222222', '#333333'],
         getSprPaletteGroup: () => ['#000000', '#444444', '#555555', '#666666'],
+        getPaletteRAMValue: (index) => index,
       },
     };
   });
@@ -90,4 +91,28 @@ describe('AnnotationPopover (DOM)', () => {
     expect(popover.popover.innerHTML).toContain('Sprite #0');
     expect(popover.popover.innerHTML).toContain('#ff0000');
   });
+
+  it('labels sprite palette swatches with their $3Fxx addresses', () => {
+    const state = createMockPPUState({ ptTile: [] }); // no CHR grid to draw
+    const popover = new AnnotationPopover(viewport, renderer, () => state);
+    const sprite = document.createElement('div');
+    Object.assign(sprite.dataset, {
+      type: 'sprite',
+      idx: '0',
+      oamAddr: '$00',
+      tileIdx: '0',
+      tileHex: '$00',
+      x: '0',
+      y: '0',
+      palette: '1',
+    });
+    viewport.appendChild(sprite);
+
+    click(sprite);
+
+    const entries = [...popover.popover.querySelectorAll('.annot-swatch-entry')];
+    expect(entries.map((el) => el.dataset.address)).toEqual(['$3F14', '$3F15', '$3F16', '$3F17']);
+    expect(entries[0].title).toBe('$3F14 \u2192 $3F04 = $14 #000000');
+    expect(entries[1].querySelector('.annot-swatch-addr').textContent).toBe('$3F15');
+  });
 });
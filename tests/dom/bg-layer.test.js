@@ -173,4 +173,20 @@ describe('BGLayer (DOM)', () => {
       tc.getTilePosition(77)
     );
   });
+
+  it('resetDiffCache forces every tile to be rewritten', () => {
+    const bg = new BGLayer(container);
+    const tc = createMockTileCache();
+    const state = createMockPPUState();
+    state.nameTables[0].tile[5] = 42;
+
+    bg.update(state, tc);
+    bg.quadTileDivs[0][5].style.backgroundPosition = '';
+    bg.update(state, tc);
+    expect(bg.quadTileDivs[0][5].style.backgroundPosition).toBe('');
+
+    bg.resetDiffCache();
+    bg.update(state, tc);
+    expect(bg.quadTileDivs[0][5].style.backgroundPosition).toBe(tc.getTilePosition(42));
+  });
 });
@@ -0,0 +1,193 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BGRegionLayer } from '../../src/bg-region-layer.js';
+import { createMockPPUState } from '../helpers/mock-ppu-state.js';
+import { createMockTileCache } from '../helpers/mock-tile-cache.js';
+
+function region(yStart, yEnd, scrollX = 0, extra = {}) {
+  return {
+    yStart,
+    yEnd,
+    scroll: {
+      coarseX: Math.floor(scrollX / 8),
+      coarseY: 0,
+      fineX: scrollX % 8,
+      fineY: 0,
+      nameTableH: 0,
+      nameTableV: 0,
+    },
+    bgVisible: true,
+    spritesVisible: true,
+    bgPatternBase: 0,
+    sprPatternBase: 0,
+    spriteSize: 0,
+    mirrorMap: [0, 1, 2, 3],
+    ...extra,
+  };
+}
+
+describe('BGRegionLayer (DOM)', () => {
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  it('renders more than two regions', () => {
+    const layer = new BGRegionLayer(container);
+    const regions = [region(0, 16, 0), region(16, 200, 40), region(200, 240, 80)];
+
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+
+    expect(layer.root.dataset.regionCount).toBe('3');
+    expect(layer.root.dataset.layerCount).toBe('3');
+    expect(layer.entries).toHaveLength(3);
+  });
+
+  it('shares one pooled BGLayer between bands with identical state', () => {
+    const layer = new BGRegionLayer(container);
+    const regions = [region(0, 16, 0), region(16, 200, 40), region(200, 240, 0)];
+
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+
+    expect(layer.root.dataset.layerCount).toBe('2');
+    expect(container.querySelectorAll('.bg-tile')).toHaveLength(2 * 3840);
+    const shared = layer.entries.find((entry) => entry.band.dataset.bands === '0-16,200-240');
+    expect(shared).toBeDefined();
+    expect(shared.band.style.clipPath).toContain('polygon(');
+  });
+
+  it('clips line splits to their x range and cuts them out of the covering band', () => {
+    const layer = new BGRegionLayer(container);
+    const regions = [region(0, 100, 0), region(100, 240, 40)];
+    const lineSplits = [{ ...region(60, 61, 40), xStart: 120, xEnd: 256 }];
+
+    layer.update(createMockPPUState(), createMockTileCache(), regions, lineSplits);
+
+    expect(layer.root.dataset.layerCount).toBe('2');
+    const bands = layer.entries.map((entry) => entry.band.dataset.bands).sort();
+    expect(bands).toEqual(['0-60,60-61@0-120,61-100', '60-61@120-256,100-240']);
+
+    const split = layer.entries.find((entry) => entry.band.dataset.bands.startsWith('60-61@120'));
+    expect(split.band.style.clipPath).toBe(
+      'polygon(0% 60px, 120px 60px, 100% 60px, 100% 61px, 120px 61px, 120px 60px, 0% 60px, '
+      + '0% 100px, 100% 100px, 100% 240px, 0% 240px)'
+    );
+  });
+
+  it('never creates more layers than maxLayers', () => {
+    const layer = new BGRegionLayer(container, { maxLayers: 2 });
+    const regions = [region(0, 8, 0), region(8, 100, 32), region(100, 104, 33), region(104, 240, 200)];
+
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+
+    expect(layer.entries).toHaveLength(2);
+    const bands = layer.entries.map((entry) => entry.band.dataset.bands).sort();
+    // Smallest groups fold into their closest scroll neighbour.
+    expect(bands).toEqual(['0-8,8-100,100-104', '104-240'].sort());
+  });
+
+  it('reuses the entry that drew the same state last frame', () => {
+    const layer = new BGRegionLayer(container);
+    const tc = createMockTileCache();
+
+    layer.update(createMockPPUState(), tc, [region(0, 32, 0), region(32, 240, 64)]);
+    const bottomEntry = layer.entries.find((entry) => entry.band.dataset.bands === '32-240');
+
+    layer.update(createMockPPUState(), tc, [region(0, 48, 0), region(48, 240, 64)]);
+    expect(bottomEntry.band.dataset.bands).toBe('48-240');
+  });
+
+  it('folds regions beyond maxRegions into the last band', () => {
+    const layer = new BGRegionLayer(container, { maxRegions: 2 });
+    const regions = [region(0, 16, 0), region(16, 100, 40), region(100, 240, 80)];
+
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+
+    expect(layer.root.dataset.regionCount).toBe('2');
+    const bands = layer.entries.map((entry) => entry.band.dataset.bands);
+    expect(bands).toContain('16-240');
+  });
+
+  it('hides all bands when BG is disabled', () => {
+    const layer = new BGRegionLayer(container);
+    layer.update(createMockPPUState(), createMockTileCache(), [region(0, 120, 0), region(120, 240, 8)]);
+    layer.update(createMockPPUState({ bgVisible: false }), createMockTileCache(), [region(0, 240, 0)]);
+
+    expect(layer.root.style.display).toBe('none');
+    for (const entry of layer.entries) {
+      expect(entry.band.style.display).toBe('none');
+    }
+  });
+
+  it('draws per-scanline raster bands with one grid per distinct scroll', () => {
+    const layer = new BGRegionLayer(container, { maxRegions: 240, maxLayers: 6 });
+    const waves = [0, 2, 4, 2];
+    const regions = [];
+    for (let y = 0; y < 240; y++) {
+      regions.push(region(y, y + 1, waves[y % waves.length]));
+    }
+
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+
+    expect(layer.root.dataset.regionCount).toBe('240');
+    expect(layer.root.dataset.layerCount).toBe('3');
+    expect(layer.entries).toHaveLength(3);
+    const shared = layer.entries.find((entry) => entry.band.dataset.bands.startsWith('1-2,'));
+    expect(shared.band.dataset.bands.split(',')).toHaveLength(120);
+  });
+
+  it('gives every raster band past the grid budget its own scroll in a strip', () => {
+    const layer = new BGRegionLayer(container, { maxRegions: 240, maxLayers: 6, stripOverflow: true });
+    const state = createMockPPUState();
+    // Tile = nametable column, so a strip's first tile shows where it scrolled to.
+    for (const nt of state.nameTables) nt.tile.forEach((_, i) => { nt.tile[i] = i % 32; });
+    const regions = [region(0, 200, 0)];
+    // 40 lines of wavy water, each with its own scroll.
+    for (let y = 200; y < 240; y++) regions.push(region(y, y + 1, 3 * (y - 199)));
+
+    layer.update(state, createMockTileCache(), regions);
+
+    expect(layer.root.dataset.layerCount).toBe('6');
+    expect(layer.root.dataset.stripCount).toBe('35');
+    const grids = new Map();
+    for (const entry of layer.entries) {
+      for (const label of entry.band.dataset.bands.split(',')) grids.set(Number(label.split('-')[0]), entry);
+    }
+    const strips = new Map(layer.strips.map((strip) => [Number.parseInt(strip.el.style.top, 10), strip]));
+    for (let y = 200; y < 240; y++) {
+      const scrollX = 3 * (y - 199);
+      const strip = strips.get(y);
+      if (strip) {
+        expect(strip.el.style.height).toBe('1px');
+        expect(strip.grid.style.transform).toBe(`translate(${-(scrollX & 7)}px, ${-(y & 7)}px)`);
+        expect(strip.cells[0].dataset.tileIdx).toBe(String(scrollX >> 3));
+        expect(strip.cells).toHaveLength(scrollX & 7 ? 33 : 32);
+      } else {
+        expect(grids.get(y).layer.bgLayer.style.transform).toBe(`translate(${-scrollX}px, 0px)`);
+      }
+    }
+    expect(container.querySelectorAll('.bg-strip .bg-tile').length).toBeLessThanOrEqual(35 * 33);
+
+    // Back under budget: the strips are hidden.
+    layer.update(state, createMockTileCache(), [region(0, 240, 0)]);
+    expect(layer.root.dataset.stripCount).toBe('0');
+    expect(layer.strips.every((strip) => strip.el.style.display === 'none')).toBe(true);
+  });
+
+  it('tears down pooled layers when the budget shrinks', () => {
+    const layer = new BGRegionLayer(container, { maxLayers: 4 });
+    const regions = [region(0, 60, 0), region(60, 120, 8), region(120, 180, 16), region(180, 240, 24)];
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+    expect(layer.root.querySelectorAll('.bg-region-band')).toHaveLength(4);
+
+    layer.setBudget({ maxLayers: 2 });
+    layer.update(createMockPPUState(), createMockTileCache(), regions);
+
+    expect(layer.entries).toHaveLength(2);
+    expect(layer.root.querySelectorAll('.bg-region-band')).toHaveLength(2);
+    expect(layer.root.dataset.layerCount).toBe('2');
+  });
+});
@@ -0,0 +1,64 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BGStrip } from '../../src/bg-strip.js';
+import { createMockPPUState } from '../helpers/mock-ppu-state.js';
+import { createMockTileCache } from '../helpers/mock-tile-cache.js';
+
+function scrollTo(x, y) {
+  return {
+    coarseX: (x >> 3) & 31,
+    fineX: x & 7,
+    nameTableH: x >= 256 ? 1 : 0,
+    coarseY: ((y % 240) >> 3),
+    fineY: y & 7,
+    nameTableV: y >= 240 ? 1 : 0,
+  };
+}
+
+describe('BGStrip (DOM)', () => {
+  let container;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    container = document.createElement('div');
+    document.body.appendChild(container);
+  });
+
+  it('draws only the tiles under its band, wrapping across nametables', () => {
+    const state = createMockPPUState({ scroll: scrollTo(500, 4), mirrorMap: [0, 1, 0, 1] });
+    // Tile = nametable number * 32 + column.
+    state.nameTables.forEach((nt, n) => nt.tile.forEach((_, i) => { nt.tile[i] = n * 32 + (i % 32); }));
+    state.nameTables[1].attrib[0] = 2 << 2;
+    const strip = new BGStrip(container);
+
+    strip.update(state, createMockTileCache(), [0, 6, 0, 256]);
+
+    expect(strip.el.style.height).toBe('6px');
+    // World x 500 is column 30 of nametable 1, so 33 columns reach column 0 of nametable 0 after the wrap.
+    expect(strip.cells).toHaveLength(33 * 2);
+    expect(strip.grid.style.transform).toBe('translate(-4px, -4px)');
+    expect(strip.cells.slice(0, 3).map((cell) => cell.dataset.tileIdx)).toEqual(['62', '63', '0']);
+    expect(strip.cells[33].dataset.tileIdx).toBe('62');
+  });
+
+  it('offsets a partial-line band by its x and only rewrites changed tiles', () => {
+    const state = createMockPPUState({ scroll: scrollTo(16, 0) });
+    state.nameTables[0].tile.forEach((_, i) => { state.nameTables[0].tile[i] = i % 32; });
+    const tileCache = createMockTileCache();
+    const strip = new BGStrip(container);
+
+    strip.update(state, tileCache, [10, 11, 120, 256]);
+    expect(strip.el.style.left).toBe('120px');
+    expect(strip.el.style.width).toBe('136px');
+    expect(strip.cells).toHaveLength(17);
+    expect(strip.cells[0].dataset.tileIdx).toBe('17');
+
+    const cell = strip.cells[0];
+    cell.style.backgroundPosition = '1px 2px';
+    strip.update(state, tileCache, [10, 11, 120, 256]);
+    expect(cell.style.backgroundPosition).toBe('1px 2px');
+    strip.resetDiffCache();
+    strip.update(state, tileCache, [10, 11, 120, 256]);
+    expect(cell.style.backgroundPosition).toBe(tileCache.getTilePosition(17));
+  });
+});
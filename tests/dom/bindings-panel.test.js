@@ -0,0 +1,80 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { BindingsPanel } from '../../src/bindings-panel.js';
+import { InputBindings, GamepadPoller } from '../../src/input-bindings.js';
+
+describe('BindingsPanel (DOM)', () => {
+  let inspector;
+  let bindings;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    inspector = document.createElement('div');
+    document.body.appendChild(inspector);
+    bindings = new InputBindings({ storage: null });
+  });
+
+  function keyCell(player, button) {
+    return inspector.querySelector(`.binding-key[data-player="${player}"][data-button="${button}"]`);
+  }
+
+  it('lists both players and rebinds a key after clicking its cell', () => {
+    const panel = new BindingsPanel(inspector, bindings);
+    expect(panel.toggle()).toBe(true);
+    expect(keyCell(1, 0).textContent).toBe('Z');
+    expect(keyCell(2, 4).textContent).toBe('T');
+
+    keyCell(2, 0).click();
+    expect(panel.capturing).toBe(true);
+    expect(keyCell(2, 0).classList.contains('capturing')).toBe(true);
+
+    expect(panel.captureKey('KeyV')).toBe(true);
+    expect(panel.capturing).toBe(false);
+    expect(bindings.lookupKey('KeyV')).toEqual({ player: 2, button: 0 });
+    expect(keyCell(2, 0).textContent).toBe('V');
+  });
+
+  it('warns when a binding shadows an app shortcut', () => {
+    const warnings = [];
+    const panel = new BindingsPanel(inspector, bindings, { onWarning: (msg) => warnings.push(msg) });
+    panel.toggle();
+
+    keyCell(1, 1).click();
+    panel.captureKey('KeyS');
+
+    expect(warnings[0]).toContain('Sprite layer');
+    expect(keyCell(1, 1).classList.contains('binding-collision')).toBe(true);
+    expect(panel.warningEl.style.display).toBe('');
+    expect(panel.warningEl.textContent).toContain('shadows the Sprite layer shortcut');
+  });
+
+  it('cancels with Escape and clears with Delete', () => {
+    const panel = new BindingsPanel(inspector, bindings);
+    panel.toggle();
+
+    keyCell(1, 3).click();
+    panel.captureKey('Escape');
+    expect(bindings.keyFor(1, 3)).toBe('Enter');
+
+    keyCell(1, 3).click();
+    panel.captureKey('Delete');
+    expect(bindings.keyFor(1, 3)).toBeNull();
+    expect(keyCell(1, 3).textContent).toBe('—');
+  });
+
+  it('shows connected gamepads with a player selector', () => {
+    const pads = [{ index: 0, id: 'Test <Pad>', connected: true, axes: [], buttons: [] }];
+    const poller = new GamepadPoller(bindings, { getGamepads: () => pads });
+    const panel = new BindingsPanel(inspector, bindings, { poller });
+    panel.toggle();
+
+    const select = inspector.querySelector('.bindings-pad-player');
+    expect(select.dataset.padId).toBe('Test <Pad>');
+    expect(inspector.querySelectorAll('.binding-pad')).toHaveLength(8);
+
+    select.value = '2';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+    expect(bindings.gamepadMapping('Test <Pad>').player).toBe(2);
+    expect(inspector.querySelector('.bindings-pad-name').textContent).toContain('P2');
+  });
+});
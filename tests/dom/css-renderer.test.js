@@ -410,4 +410,117 @@ describe('CSSRenderer (DOM)', () => {
     expect(renderer.spriteLayer.spriteDivs[0].className).toContain('spr-set-top');
     expect(renderer.spriteLayer.spriteDivs[1].className).toContain('spr-set-bottom');
   });
+
+  it('uses canonical per-line regions for BG bands in raster mode', () => {
+    const renderer = new CSSRenderer(wrapper);
+    const line = (yStart, yEnd, fineX) => ({
+      yStart,
+      yEnd,
+      scroll: { coarseX: 0, coarseY: 0, fineX, fineY: 0, nameTableH: 0, nameTableV: 0 },
+      bgVisible: true,
+      spritesVisible: true,
+      bgPatternBase: 0,
+      sprPatternBase: 0,
+      spriteSize: 0,
+    });
+    const state = createMockPPUState({
+      renderPlan: {
+        mode: 'single',
+        eventCount: 3,
+        regions: [line(0, 240, 0)],
+        canonicalRegions: [line(0, 2, 0), line(2, 3, 3), line(3, 240, 0)],
+      },
+    });
+
+    renderer.renderFrame(state);
+    expect(renderer.viewport.dataset.bgRegions).toBe('1');
+    expect(renderer.bgRegionLayer.root.style.display).toBe('none');
+
+    renderer.setRasterMode(true);
+    renderer.renderFrame(state);
+
+    expect(renderer.viewport.dataset.rasterMode).toBe('1');
+    expect(renderer.viewport.dataset.bgRegions).toBe('3');
+    expect(renderer.bgRegionLayer.root.dataset.layerCount).toBe('2');
+    expect(renderer.bgLayer.bgLayer.style.display).toBe('none');
+  });
+
+  it('resetRenderState makes the next frame redraw from scratch', () => {
+    const renderer = new CSSRenderer(wrapper);
+    const state = createMockPPUState();
+    state.nameTables[0].tile[0] = 9;
+
+    renderer.renderFrame(state);
+    renderer.renderFrame(state);
+    expect(renderer.tileCache.updatedSheets.size).toBe(0);
+
+    const tile = renderer.bgLayer.quadTileDivs[0][0];
+    tile.style.backgroundPosition = '';
+    renderer.resetRenderState();
+    renderer.renderFrame(state);
+
+    expect(renderer.tileCache.updatedSheets.size).toBe(12);
+    expect(tile.style.backgroundPosition).toBe('-72px 0px');
+    expect(renderer.bgLayer.bgLayer.className).toContain(`bg-set-${renderer.tileCache.activeBgSetId}`);
+  });
+
+  it('colours BG tiles from palette variables without re-rendering BG sheets', () => {
+    const renderer = new CSSRenderer(wrapper);
+    const state = createMockPPUState();
+    state.nameTables[0].tile[0] = 9;
+    expect(renderer.setPaletteMode('variables')).toBe('variables');
+    expect(renderer.viewport.dataset.paletteMode).toBe('variables');
+
+    renderer.renderFrame(state);
+    expect(renderer.paletteVarWrites).toBe(16);
+    expect(renderer.viewport.style.getPropertyValue('--pal-bg-1-2')).toBe('#000000');
+    const tile = renderer.bgLayer.quadTileDivs[0][0];
+    expect(tile.style.getPropertyValue('mask-position')).toBe(renderer.tileCache.getTilePosition(9));
+    const setId = renderer.tileCache.activeBgSetId;
+    expect(renderer.tileCache.styleEl.textContent).toContain(`.bg-set-${setId} .bg-tile::after { mask-image:`);
+
+    // bgPalette[6] = 0x0000FF (BBGGRR) → #ff0000
+    state.bgPalette[6] = 0x0000ff;
+    renderer.renderFrame(state);
+    expect(renderer.paletteVarWrites).toBe(1);
+    expect(renderer.viewport.style.getPropertyValue('--pal-bg-1-2')).toBe('#ff0000');
+    expect(renderer.tileCache.updatedSheets.size).toBe(0);
+  });
+
+  it('switches the sheet atlas and palette variables modes off each other', () => {
+    const renderer = new CSSRenderer(wrapper, { paletteMode: 'variables' });
+    expect(renderer.viewport.dataset.sheetAtlas).toBe('0');
+
+    expect(renderer.setAtlasMode(true)).toBe(true);
+    expect(renderer.viewport.dataset.sheetAtlas).toBe('1');
+    expect(renderer.viewport.dataset.paletteMode).toBe('sheets');
+    expect(renderer.tileCache.atlasStyle).toBe(renderer.viewport.style);
+    expect(renderer.tileCache.getTilePosition(9)).toBe('calc(-72px - var(--set-x) - var(--pal-x)) -0px');
+
+    expect(renderer.setPaletteMode('variables')).toBe('variables');
+    expect(renderer.viewport.dataset.sheetAtlas).toBe('0');
+    expect(renderer.tileCache.atlas).toBeNull();
+  });
+
+  it('switches master palettes and labels palette swatches with their RAM index', () => {
+    const renderer = new CSSRenderer(wrapper);
+    const inspector = document.createElement('div');
+    renderer.initInspector(inspector);
+    renderer.inspectorPanels.palette.toggle();
+    const state = createMockPPUState();
+    state.paletteRAM = Uint8Array.from({ length: 32 }, (_, i) => (i === 0 ? 0x0f : 0x20 + i));
+
+    renderer.renderFrame(state);
+    expect(renderer.viewport.style.backgroundColor).toBe('#000000');
+    const swatch = inspector.querySelectorAll('.pal-swatch')[5];
+    expect(swatch.dataset.index).toBe(String(0x25));
+    expect(swatch.textContent).toBe('$25');
+
+    expect(renderer.setMasterPalette('nestopia')).toBe('nestopia');
+    renderer.renderFrame(state);
+    expect(renderer.viewport.dataset.masterPalette).toBe('nestopia');
+    expect(renderer.tileCache.updatedSheets.size).toBe(12);
+    expect(inspector.querySelector('.pal-master').textContent).toBe('Nestopia');
+    expect(renderer.paletteManager.getBgPaletteGroup(1)[1]).toBe('#ff6ecc');
+  });
 });
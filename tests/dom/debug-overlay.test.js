@@ -0,0 +1,172 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { CSSRenderer } from '../../src/css-renderer.js';
+import { IRQViewer } from '../../src/irq-viewer.js';
+import { createMockPPUState } from '../helpers/mock-ppu-state.js';
+
+/**
+ * Stub canvas for happy-dom (no real canvas support); records putImageData.
+ */
+function stubCanvas(puts) {
+  const proto = HTMLCanvasElement.prototype;
+  proto.getContext = function () {
+    return {
+      createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+      putImageData: (image) => puts.push(image),
+      clearRect: () => {},
+    };
+  };
+  proto.toDataURL = function () {
+    return 'data:image/png;base64,stub';
+  };
+}
+
+// BG tile 1 opaque red everywhere; the frame buffer agrees except one pixel.
+function createDiffState() {
+  const state = createMockPPUState();
+  state.bgPalette[0] = 0x000000;
+  state.bgPalette[1] = 0x0000ff;
+  state.nameTables[0].tile.fill(1);
+  state.ptTile[1].pix.fill(1);
+  state.buffer.fill(0x0000ff);
+  state.buffer[20 * 256 + 10] = 0x00ff00;
+  return state;
+}
+
+describe('DebugOverlay diff heatmap (DOM)', () => {
+  let wrapper;
+  let puts;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+    puts = [];
+    stubCanvas(puts);
+    wrapper = document.createElement('div');
+    document.body.appendChild(wrapper);
+  });
+
+  function createRenderer(state) {
+    const renderer = new CSSRenderer(wrapper);
+    renderer.viewport.getBoundingClientRect = () => ({
+      left: 0, top: 0, right: 256, bottom: 240, width: 256, height: 240,
+    });
+    renderer.initAnnotation(() => state);
+    return renderer;
+  }
+
+  it('diffs the CSS render model against the frame buffer only while active', () => {
+    const state = createDiffState();
+    const renderer = createRenderer(state);
+    const overlay = renderer.debugOverlay;
+
+    renderer.renderFrame(state);
+    expect(overlay.lastDiff).toBeNull();
+    expect(overlay.diffCanvas.style.display).toBe('none');
+
+    expect(overlay.toggle('diffHeatmap')).toBe(true);
+    renderer.renderFrame(state);
+    expect(overlay.lastDiff.mismatched).toBe(1);
+    expect(overlay.lastDiff.percent).toBeCloseTo(100 / (256 * 240));
+    const heat = puts[puts.length - 1].data;
+    expect(heat[(20 * 256 + 10) * 4 + 3]).toBeGreaterThan(0);
+    expect(heat[3]).toBe(0);
+
+    overlay.toggle('diffHeatmap');
+    expect(overlay.lastDiff).toBeNull();
+  });
+
+  it('reports a clean frame when the render model matches', () => {
+    const state = createDiffState();
+    state.buffer[20 * 256 + 10] = 0x0000ff;
+    const renderer = createRenderer(state);
+    renderer.debugOverlay.toggle('diffHeatmap');
+    renderer.renderFrame(state);
+    expect(renderer.debugOverlay.lastDiff.mismatched).toBe(0);
+  });
+
+  it('opens the pixel-provenance popover when a mismatched pixel is clicked', () => {
+    const state = createDiffState();
+    const renderer = createRenderer(state);
+    renderer.debugOverlay.toggle('diffHeatmap');
+    renderer.renderFrame(state);
+    const popover = renderer.annotationPopover;
+
+    renderer.viewport.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: 10, clientY: 20 }));
+    expect(popover.isVisible).toBe(true);
+    expect(popover.popover.innerHTML).toContain('Pixel Provenance');
+    expect(popover.popover.innerHTML).toContain('Diff Cause');
+
+    // A matching pixel falls through to the popover's normal handling.
+    renderer.viewport.classList.add('paused');
+    renderer.viewport.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: 50, clientY: 50 }));
+    expect(popover.isVisible).toBe(false);
+  });
+});
+
+describe('MMC3 IRQ overlay and inspector (DOM)', () => {
+  let wrapper;
+
+  beforeEach(() => {
+    document.head.innerHTML = '';
+    document.body.innerHTML = '';
+    stubCanvas([]);
+    wrapper = document.createElement('div');
+    document.body.appendChild(wrapper);
+  });
+
+  function createIRQState() {
+    const state = createMockPPUState();
+    state.irq = {
+      start: { counter: 58, latch: 40, enabled: true },
+      writes: [
+        { address: 0xc001, value: 20, kind: 'reload', screenY: 60, dot: 12 },
+        { address: 0xe001, value: 20, kind: 'enable', screenY: 60, dot: 30 },
+      ],
+      fired: [59, 120],
+      predicted: [59, 100],
+    };
+    return state;
+  }
+
+  it('marks predicted and fired IRQ lines below the line they fire on', () => {
+    const state = createIRQState();
+    const renderer = new CSSRenderer(wrapper);
+    const overlay = renderer.debugOverlay;
+    renderer.renderFrame(state);
+    expect(overlay.irqLinesEl.children).toHaveLength(0);
+
+    expect(overlay.toggle('irqLines')).toBe(true);
+    renderer.renderFrame(state);
+    const markers = [...overlay.irqLinesEl.children];
+    expect(markers.map((m) => [m.dataset.line, m.dataset.state, m.style.top])).toEqual([
+      ['59', 'match', '60px'],
+      ['100', 'predicted', '101px'],
+      ['120', 'fired', '121px'],
+    ]);
+
+    state.irq.fired = [59];
+    state.irq.predicted = [59];
+    renderer.renderFrame(state);
+    expect(markers.filter((m) => m.style.display !== 'none')).toHaveLength(1);
+  });
+
+  it('shows counter state and writes per frame in the inspector', () => {
+    const inspector = document.createElement('div');
+    const viewer = new IRQViewer(inspector, null);
+    expect(viewer.toggle()).toBe(true);
+
+    viewer.update(createIRQState());
+    expect(viewer.fields.counter.textContent).toBe('58');
+    expect(viewer.fields.predicted.textContent).toBe('59, 100');
+    expect(viewer.container.classList.contains('irq-mismatch')).toBe(true);
+    const rows = viewer.writesBody.querySelectorAll('tr');
+    expect(rows).toHaveLength(2);
+    expect(rows[0].textContent).toContain('$C001 reload');
+    expect(rows[0].dataset.kind).toBe('reload');
+
+    viewer.update(createMockPPUState());
+    expect(viewer.emptyEl.style.display).toBe('');
+    expect(viewer.summaryEl.style.display).toBe('none');
+  });
+});
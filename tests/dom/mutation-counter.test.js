@@ -0,0 +1,51 @@
+// @vitest-environment happy-dom
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MutationCounter, DEFAULT_MUTATION_BUDGET } from '../../src/mutation-counter.js';
+
+describe('MutationCounter (DOM)', () => {
+  let target;
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+    target = document.createElement('div');
+    document.body.appendChild(target);
+  });
+
+  it('counts attribute changes and added nodes per snapshot', () => {
+    const counter = new MutationCounter(target);
+    target.dataset.frame = '1';
+    target.appendChild(document.createElement('span'));
+
+    expect(counter.snapshot()).toBe(2);
+    expect(counter.snapshot()).toBe(0);
+  });
+
+  it('tracks consecutive frames over budget', () => {
+    const counter = new MutationCounter(target, { budget: 2 });
+    expect(counter.budget).toBe(2);
+
+    for (let i = 0; i < 3; i++) target.dataset[`k${i}`] = '1';
+    counter.snapshot();
+    for (let i = 0; i < 3; i++) target.dataset[`k${i}`] = '2';
+    counter.snapshot();
+
+    expect(counter.isOverBudget()).toBe(true);
+    expect(counter.overBudgetFrames).toBe(2);
+    expect(counter.peakCount).toBe(3);
+
+    target.dataset.k0 = '3';
+    counter.snapshot();
+
+    expect(counter.isOverBudget()).toBe(false);
+    expect(counter.overBudgetFrames).toBe(0);
+    expect(counter.totalOverBudgetFrames).toBe(2);
+  });
+
+  it('scales severity with the budget', () => {
+    expect(MutationCounter.severity(3001)).toBe('mut-red');
+    expect(MutationCounter.severity(1000)).toBe('mut-yellow');
+    expect(MutationCounter.severity(999)).toBe('mut-green');
+    expect(MutationCounter.severity(5000, 6000)).toBe('mut-yellow');
+    expect(DEFAULT_MUTATION_BUDGET).toBe(3000);
+  });
+});
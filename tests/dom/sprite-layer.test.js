@@ -290,4 +290,146 @@ describe('SpriteLayer (DOM)', () => {
       expect(sl.spriteDivs[0].style.display).toBe('');
     });
   });
+
+  describe('exact priority mode', () => {
+    function sprite(x, y, behindBg, extra = {}) {
+      return { x, y, tileIndex: 0x21, palette: 0, flipH: false, flipV: false, behindBg, ...extra };
+    }
+
+    it('orders z-index by OAM index on each side of the BG', () => {
+      const sl = new SpriteLayer(container);
+      sl.setPriorityMode('exact');
+      const state = createMockPPUState({ spriteSize: 0 });
+      state.sprites[0] = sprite(10, 20, true);
+      state.sprites[1] = sprite(40, 20, true);
+      state.sprites[2] = sprite(70, 20, false);
+      state.sprites[3] = sprite(100, 20, false);
+
+      sl.update(state, createMockTileCache());
+
+      expect(sl.spriteDivs[0].style.zIndex).toBe('-1');
+      expect(sl.spriteDivs[1].style.zIndex).toBe('-2');
+      expect(sl.spriteDivs[2].style.zIndex).toBe('62');
+      expect(sl.spriteDivs[3].style.zIndex).toBe('61');
+    });
+
+    it('masks a front sprite under a lower-index behind-BG sprite', () => {
+      const sl = new SpriteLayer(container);
+      sl.setPriorityMode('exact');
+      const state = createMockPPUState({ spriteSize: 0 });
+      state.sprites[0] = sprite(12, 20, true);
+      state.sprites[1] = sprite(10, 18, false);
+      // Higher-index behind sprite never hides a front sprite.
+      state.sprites[2] = sprite(10, 18, true);
+
+      sl.update(state, createMockTileCache());
+
+      const div = sl.spriteDivs[1];
+      expect(div.dataset.priorityMask).toBe('0');
+      expect(div.style.getPropertyValue('mask-image')).toContain('mask-b0-h0-v0');
+      // Tile $21 sits in cell (1, 2); cell origin + padding = (32, 96).
+      // Behind tile is offset (+2, +2) from the front box.
+      expect(div.style.getPropertyValue('mask-position')).toContain('-30px -94px');
+      expect(sl.spriteDivs[0].dataset.priorityMask).toBeUndefined();
+    });
+
+    it('mirrors mask placement through the front sprite flip', () => {
+      const sl = new SpriteLayer(container);
+      sl.setPriorityMode('exact');
+      const state = createMockPPUState({ spriteSize: 0 });
+      state.sprites[0] = sprite(12, 20, true, { flipH: true });
+      state.sprites[1] = sprite(10, 18, false, { flipH: true, flipV: true });
+
+      sl.update(state, createMockTileCache());
+
+      const div = sl.spriteDivs[1];
+      // H flips cancel out; V flip comes from the front sprite only.
+      expect(div.style.getPropertyValue('mask-image')).toContain('mask-b0-h0-v1');
+      // localX = -2, localY = 8 - 2 - 8 = -2
+      expect(div.style.getPropertyValue('mask-position')).toContain('-34px -98px');
+    });
+
+    it('clears masks when switching back to approximate priority', () => {
+      const sl = new SpriteLayer(container);
+      sl.setPriorityMode('exact');
+      const state = createMockPPUState({ spriteSize: 0 });
+      state.sprites[0] = sprite(12, 20, true);
+      state.sprites[1] = sprite(10, 18, false);
+      sl.update(state, createMockTileCache());
+
+      sl.setPriorityMode('approx');
+      sl.update(state, createMockTileCache());
+
+      expect(sl.spriteDivs[1].dataset.priorityMask).toBeUndefined();
+      expect(sl.spriteDivs[1].style.getPropertyValue('mask-image')).toBe('');
+      expect(sl.spriteDivs[1].style.zIndex).toBe('1');
+    });
+  });
+
+  describe('sprite limit modes', () => {
+    function crowdedState(extra = {}) {
+      const state = createMockPPUState({ spriteSize: 0 });
+      for (let i = 0; i < 8; i++) {
+        state.sprites[i] = {
+          x: i * 10, y: 99, tileIndex: 0, palette: 0, flipH: false, flipV: false, behindBg: false,
+        };
+      }
+      // Ninth sprite overlaps the crowded lines 100-107 with its top half.
+      state.sprites[8] = {
+        x: 100, y: 103, tileIndex: 0, palette: 0, flipH: false, flipV: false, behindBg: false, ...extra,
+      };
+      state.sprites[9] = {
+        x: 120, y: 99, tileIndex: 0, palette: 0, flipH: false, flipV: false, behindBg: false,
+      };
+      return state;
+    }
+
+    it('clips dropped rows and hides fully dropped sprites in hardware mode', () => {
+      const sl = new SpriteLayer(container);
+      sl.setSpriteLimitMode('hardware');
+
+      sl.update(crowdedState(), createMockTileCache());
+
+      expect(sl.spriteDivs[8].style.display).toBe('');
+      expect(sl.spriteDivs[8].dataset.droppedRows).toBe('0-4');
+      expect(sl.spriteDivs[8].style.clipPath).toBe('polygon(0% 4px, 100% 4px, 100% 8px, 0% 8px)');
+      expect(sl.spriteDivs[9].style.display).toBe('none');
+      expect(sl.spriteLayer.dataset.overflow).toBe('1');
+      // On line 100 the buggy search misses sprite 8 and then reads sprite 9's
+      // tile byte as Y, so the flag first sets on line 104.
+      expect(sl.spriteLayer.dataset.overflowLine).toBe('104');
+    });
+
+    it('mirrors the clip for vertically flipped sprites', () => {
+      const sl = new SpriteLayer(container);
+      sl.setSpriteLimitMode('hardware');
+
+      sl.update(crowdedState({ flipV: true }), createMockTileCache());
+
+      expect(sl.spriteDivs[8].style.clipPath).toBe('polygon(0% 0px, 100% 0px, 100% 4px, 0% 4px)');
+    });
+
+    it('keeps every sprite visible in no-flicker mode', () => {
+      const sl = new SpriteLayer(container);
+      sl.setSpriteLimitMode('no-flicker');
+
+      sl.update(crowdedState(), createMockTileCache());
+
+      expect(sl.spriteDivs[9].style.display).toBe('');
+      expect(sl.spriteDivs[8].style.clipPath).toBe('');
+      expect(sl.spriteDivs[8].dataset.droppedRows).toBe('0-4');
+      expect(sl.spriteLayer.dataset.overflow).toBe('1');
+    });
+
+    it('skips evaluation when the limit is off', () => {
+      const sl = new SpriteLayer(container);
+
+      sl.update(crowdedState(), createMockTileCache());
+
+      expect(sl.lastEvaluation).toBeNull();
+      expect(sl.spriteDivs[9].style.display).toBe('');
+      expect(sl.spriteLayer.dataset.overflow).toBeUndefined();
+    });
+  });
 });
+
@@ -1,7 +1,14 @@
 // @vitest-environment happy-dom
-import { describe, it, expect, beforeEach } from 'vitest';
-import { TileCache } from '../../src/tile-cache.js';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  TileCache,
+  SPRITE_MASK_PAD_X,
+  SPRITE_MASK_PAD_Y,
+  SPRITE_MASK_CELL_W,
+  SPRITE_MASK_CELL_H,
+} from '../../src/tile-cache.js';
 import { PaletteManager } from '../../src/palette-manager.js';
+import { MASTER_PALETTES } from '../../src/master-palettes.js';
 
 /**
  * Stub canvas 2D context for happy-dom (which lacks real canvas).
@@ -38,6 +45,11 @@ describe('TileCache (DOM)', () => {
     stubCanvas();
   });
 
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete HTMLCanvasElement.prototype.toBlob;
+  });
+
   it('constructor creates 12 canvases and appends style element', () => {
     const tc = new TileCache();
     expect(tc.canvases).toHaveLength(12);
@@ -98,6 +110,29 @@ describe('TileCache (DOM)', () => {
     expect(tc.updatedSheets.size).toBe(0);
   });
 
+  it('reset drops cached sets so the next update rebuilds every sheet', () => {
+    const tc = new TileCache();
+    const pm = new PaletteManager();
+    const bg = new Array(16).fill(0);
+    const spr = new Array(16).fill(0);
+    const ptTile = createPtTile();
+
+    pm.update(bg, spr);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    const firstSetId = tc.activeBgSetId;
+
+    tc.reset();
+    expect(tc.bgSets.size).toBe(0);
+    expect(tc.styleEl.textContent).toBe('');
+
+    // Same inputs, unchanged palettes: everything is regenerated anyway.
+    pm.update(bg, spr);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(tc.updatedSheets.size).toBe(12);
+    expect(tc.activeBgSetId).toBeGreaterThan(firstSetId);
+    expect(tc.styleEl.textContent).toContain(`.bg-set-${tc.activeBgSetId} .bg-pal-0`);
+  });
+
   it('update regenerates only dirty palette groups', () => {
     const tc = new TileCache();
     const pm = new PaletteManager();
@@ -141,8 +176,9 @@ describe('TileCache (DOM)', () => {
     ptTile[5].pix[0] = 3;
     tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
 
-    // All sheets should be regenerated (CHR dirty)
-    expect(tc.updatedSheets.size).toBeGreaterThan(0);
+    // Tile $05's cell is redrawn in the 4 BG and 4 bank-0 sprite sheets
+    expect(tc.updatedSheets.size).toBe(0);
+    expect(tc.tilesRedrawn).toBe(8);
   });
 
   it('detects CHR changes in bank 1 (tiles 256-511)', () => {
@@ -160,8 +196,52 @@ describe('TileCache (DOM)', () => {
     ptTile[300].pix[0] = 3;
     tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
 
-    // Sprite bank 1 sheets (8-11) should be regenerated
-    expect(tc.updatedSheets.size).toBeGreaterThan(0);
+    // Only the sprite bank 1 sheets (8-11) hold the tile
+    expect(tc.tilesRedrawn).toBe(4);
+  });
+
+  it('redraws only the rewritten CHR-RAM cells and republishes their sheets', () => {
+    const puts = [];
+    let urlSeq = 0;
+    const proto = HTMLCanvasElement.prototype;
+    proto.getContext = function () {
+      return {
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+        putImageData: (img, x, y) => { puts.push({ width: img.width, x, y }); },
+      };
+    };
+    proto.toDataURL = () => `data:image/png;base64,${++urlSeq}`;
+
+    const tc = new TileCache();
+    const pm = new PaletteManager();
+    // Colours 1 and 2 match, so swapping them draws the same pixels.
+    const palette = Array.from({ length: 16 }, (_, i) => [0, 0x111111, 0x111111, 0x333333][i & 3]);
+    pm.update(palette, palette);
+    const ptTile = createPtTile();
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    const css = tc.styleEl.textContent;
+
+    puts.length = 0;
+    pm.update(palette, palette);
+    ptTile[0x21].pix[9] = 2; // tile $21: column 1, row 2
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+
+    expect(tc.updatedSheets.size).toBe(0);
+    expect(tc.tilesRedrawn).toBe(8);
+    expect(puts).toHaveLength(8);
+    expect(puts.every((put) => put.width === 8 && put.x === 8 && put.y === 16)).toBe(true);
+    expect(tc.styleEl.textContent).not.toBe(css);
+    expect(tc.blobUrls[0]).toBe(tc.bgSets.get(tc.activeBgKey).urls[0]);
+
+    // A rewrite that draws the same colours leaves the sheets alone.
+    puts.length = 0;
+    const published = tc.styleEl.textContent;
+    pm.update(palette, palette);
+    ptTile[0x21].pix[9] = 1;
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(tc.tilesRedrawn).toBe(0);
+    expect(puts).toHaveLength(0);
+    expect(tc.styleEl.textContent).toBe(published);
   });
 
   it('stylesheet contains correct class names for both sprite banks', () => {
@@ -335,4 +415,437 @@ describe('TileCache (DOM)', () => {
       expect(tc.updatedSheets.has(i)).toBe(true);
     }
   });
+
+  it('renders padded, pre-flipped sprite opaque masks on demand', () => {
+    const frames = [];
+    const proto = HTMLCanvasElement.prototype;
+    proto.getContext = function () {
+      return {
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+        putImageData: (img) => { frames.push(img); },
+      };
+    };
+
+    const tc = new TileCache();
+    const pm = new PaletteManager();
+    pm.update(new Array(16).fill(0), new Array(16).fill(0));
+    const ptTile = createPtTile();
+    ptTile[1].pix[0] = 2; // tile $01, pixel (0, 0)
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+
+    frames.length = 0;
+    expect(tc.getSpriteMaskUrl(0, true, false)).toBe('data:image/png;base64,stub');
+    expect(frames).toHaveLength(1);
+
+    const img = frames[0];
+    expect(img.width).toBe(SPRITE_MASK_CELL_W * 16);
+    expect(img.height).toBe(SPRITE_MASK_CELL_H * 16);
+    // Flipped horizontally: pixel lands at x=7 inside tile $01's padded cell.
+    const x = SPRITE_MASK_CELL_W + SPRITE_MASK_PAD_X + 7;
+    const y = SPRITE_MASK_PAD_Y;
+    expect(img.data[(y * img.width + x) * 4 + 3]).toBe(255);
+    expect(img.data[(y * img.width + x - 7) * 4 + 3]).toBe(0);
+
+    // Cached until the sprite bank changes.
+    tc.getSpriteMaskUrl(0, true, false);
+    expect(frames).toHaveLength(1);
+  });
+
+  it('renders BG sets for a non-frame PPUMASK with that mask\'s colours', () => {
+    const tc = new TileCache();
+    const pm = new PaletteManager();
+    const master = MASTER_PALETTES.ntsc.colors;
+    const paletteRAM = Uint8Array.from({ length: 32 }, (_, i) => 0x30 + (i & 15));
+    const bg = Array.from(paletteRAM.slice(0, 16), (index) => master[index]);
+    pm.update(bg, new Array(16).fill(0), { paletteRAM, emphasis: 0, greyscale: false });
+    const ptTile = createPtTile();
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+
+    const base = tc.activateBgSet(0, bankSig(ptTile), null, { emphasis: 0, greyscale: false });
+    const rendered = [];
+    const render = tc._renderTilesToSheetSlice.bind(tc);
+    tc._renderTilesToSheetSlice = (canvas, ctx, tiles, colors) => {
+      rendered.push(colors);
+      return render(canvas, ctx, tiles, colors);
+    };
+
+    const grey = tc.activateBgSet(0, bankSig(ptTile), null, { emphasis: 0, greyscale: true });
+    expect(grey).not.toBe(base);
+    expect(rendered).toHaveLength(4);
+    expect(rendered[1][1]).toBe(pm._toCSS(master[0x20]));
+    const variant = [...tc.bgSets.values()].find((set) => `bg-set-${set.id}` === grey);
+    expect(variant.ppuMask).toEqual({ emphasis: 0, greyscale: true });
+    expect(variant.tileSlice).toBe(tc.bgSets.get(variant.key.split('|')[0]).tileSlice);
+
+    // Cached like any other set; the frame mask keeps the base set.
+    expect(tc.activateBgSet(0, bankSig(ptTile), null, { emphasis: 0, greyscale: true })).toBe(grey);
+    expect(rendered).toHaveLength(4);
+    expect(tc.activateBgSet(0, bankSig(ptTile), null, { emphasis: 0, greyscale: false })).toBe(base);
+  });
+
+  it('renders palette-independent BG masks in the variables palette mode', () => {
+    const tc = new TileCache({ paletteMode: 'variables' });
+    const pm = new PaletteManager();
+    const master = MASTER_PALETTES.ntsc.colors;
+    const paletteRAM = Uint8Array.from({ length: 32 }, (_, i) => 0x30 + (i & 15));
+    const source = { paletteRAM, emphasis: 0, greyscale: false };
+    pm.update([], [], source);
+    const ptTile = createPtTile();
+    const rendered = [];
+    const render = tc._renderTilesToSheetSlice.bind(tc);
+    tc._renderTilesToSheetSlice = (canvas, ctx, tiles, colors) => {
+      rendered.push(colors);
+      return render(canvas, ctx, tiles, colors);
+    };
+
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    const set = tc.bgSets.get(tc.activeBgKey);
+    expect(set.urls.filter(Boolean)).toHaveLength(3);
+    expect(rendered.slice(0, 3)).toEqual([
+      [null, '#ffffff', '#ffffff', '#ffffff'],
+      [null, null, '#ffffff', null],
+      [null, null, null, '#ffffff'],
+    ]);
+    const css = tc.styleEl.textContent;
+    expect(css).toContain(`.bg-set-${set.id} .bg-tile { mask-image: url("${set.urls[0]}"); }`);
+    expect(css).toContain(`.bg-set-${set.id} .bg-tile::before { mask-image:`);
+    expect(css).not.toContain('.bg-pal-');
+
+    // BG palette writes leave every sheet alone.
+    rendered.length = 0;
+    paletteRAM[5] = 0x16;
+    pm.update([], [], source);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(rendered).toHaveLength(0);
+    expect(tc.bgSheetUpdated(1)).toBe(false);
+
+    // A band under another PPUMASK overrides the variables for its set.
+    const grey = tc.activateBgSet(0, bankSig(ptTile), null, { emphasis: 0, greyscale: true });
+    expect(tc.styleEl.textContent).toContain(`.${grey} { --pal-bg-0-0: ${pm._toCSS(master[0x20])};`);
+
+    expect(tc.setPaletteMode('sheets')).toBe('sheets');
+    expect(tc.bgSets.size).toBe(0);
+  });
+
+  it('counts set hits, misses and evictions and reports canvas bytes per set', () => {
+    const tc = new TileCache({ maxBgSets: 2 });
+    const pm = new PaletteManager();
+    pm.update(new Array(16).fill(0), new Array(16).fill(0));
+    const ptTile = createPtTile();
+    const sigs = [0, 1, 2].map((n) => bankSig(ptTile).map((ref, i) => (i < 4 ? { bank: n, i } : ref)));
+
+    tc.update(ptTile, pm, 0, 0, sigs[0]);
+    tc.activateBgSet(0, sigs[0]);
+    tc.activateBgSet(0, sigs[1]);
+    tc.activateBgSet(0, sigs[2]);
+    tc.activateSpriteSet(sigs[0]);
+    tc.activateSpriteSet(sigs[0]);
+
+    const stats = tc.stats();
+    expect(stats.bgSets).toMatchObject({ count: 2, max: 2, hits: 1, misses: 3, evictions: 1 });
+    expect(stats.spriteSets).toMatchObject({ count: 1, hits: 1, misses: 1, evictions: 0 });
+    const bgSet = stats.sets.find((set) => set.kind === 'bg');
+    expect(bgSet.canvasBytes).toBe(4 * 128 * 128 * 4);
+    expect(bgSet.urlBytes).toBe(4 * 'data:image/png;base64,stub'.length);
+    expect(bgSet.objectUrls).toBe(0);
+    expect(stats.sets.find((set) => set.kind === 'sprite').canvasBytes).toBe(8 * 128 * 128 * 4);
+    expect(stats.bytes.canvases).toBe((12 + 2 * 4 + 8) * 128 * 128 * 4);
+    expect(stats.objectUrls).toMatchObject({ live: 0, created: 0, revoked: 0 });
+  });
+
+  it('does not leak object URLs over 10k frames of bank switches and palette cycling', async () => {
+    const created = [];
+    const revoked = new Set();
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(() => {
+      created.push(`blob:soak/${created.length}`);
+      return created[created.length - 1];
+    });
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation((url) => revoked.add(url));
+
+    const worker = { jobs: [], postMessage(msg) { this.jobs.push(msg.id); } };
+    const reply = (id) => worker.onmessage({
+      data: { id, blob: new Blob(['png']), bitmap: null, hashes: new Uint32Array(256) },
+    });
+    const tc = new TileCache({ sheetWorker: worker, maxBgSets: 4, maxSpriteSets: 4 });
+    const pm = new PaletteManager();
+    const bg = new Array(16).fill(0);
+    const spr = new Array(16).fill(0);
+    const ptTile = createPtTile();
+    const banks = Array.from({ length: 6 }, () => createPtTile().slice(0, 64));
+
+    const step = (frame) => {
+      pm.update(bg, spr);
+      tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+      tc.activateSpriteSet(bankSig(ptTile));
+      // Most jobs get answered; the rest hit the latency bound.
+      worker.jobs.splice(0).forEach((id, n) => {
+        if ((frame + n) % 5 !== 0) reply(id);
+      });
+    };
+
+    for (let frame = 0; frame < 10000; frame++) {
+      if (frame % 16 === 0) ptTile.splice(0, 64, ...banks[(frame >> 4) % banks.length]);
+      if (frame % 3 === 0) bg[frame % 16] = frame;
+      if (frame % 7 === 0) spr[frame % 16] = frame;
+      if (frame % 50 === 0) ptTile[300].pix[frame % 64] ^= 1;
+      step(frame);
+    }
+    step(10000);
+    step(10001);
+    await tc.settle();
+
+    const stats = tc.stats();
+    expect(stats.bgSets.evictions).toBeGreaterThan(100);
+    expect(stats.spriteSets.evictions).toBeGreaterThan(100);
+    expect(stats.sheets.completed).toBeGreaterThan(1000);
+    expect(stats.sheets.forced).toBeGreaterThan(100);
+    expect(stats.sheets.pending).toBe(0);
+
+    // Live URLs are exactly the ones the cache still shows; none of the
+    // revoked ones is left in the stylesheet.
+    const live = created.filter((url) => !revoked.has(url));
+    const shown = new Set([
+      ...[...tc.bgSets.values(), ...tc.spriteSets.values()].flatMap((set) => set.urls),
+      ...tc.blobUrls,
+    ]);
+    expect(stats.objectUrls).toMatchObject({ live: live.length, created: created.length, revoked: revoked.size });
+    expect(live.every((url) => shown.has(url))).toBe(true);
+    expect(live.length).toBeLessThanOrEqual(4 * 4 + 4 * 8 + 8);
+    const css = tc.styleEl.textContent;
+    expect([...revoked].some((url) => css.includes(`"${url}"`))).toBe(false);
+
+    tc.reset();
+    expect(tc.stats().objectUrls.live).toBe(0);
+    expect(revoked.size).toBe(created.length);
+  });
+
+  it('packs every set into atlas rows at fixed places and stops rewriting the stylesheet', async () => {
+    const puts = [];
+    const proto = HTMLCanvasElement.prototype;
+    proto.getContext = function () {
+      return {
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+        putImageData: (img, x, y) => { puts.push({ canvas: this, width: img.width, x, y }); },
+      };
+    };
+    proto.toBlob = (callback) => callback(new Blob(['png']));
+    let urlSeq = 0;
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:atlas/${urlSeq++}`);
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+    const host = document.createElement('div');
+    const tc = new TileCache({ atlas: true, atlasStyle: host.style, maxBgSets: 2, paletteMode: 'variables' });
+    expect(tc.paletteMode).toBe('sheets');
+    const pm = new PaletteManager();
+    const bg = new Array(16).fill(0x112233);
+    const spr = new Array(16).fill(0);
+    pm.update(bg, spr);
+    const ptTile = createPtTile();
+    const sigs = [0, 1, 2].map((n) => bankSig(ptTile).map((ref, i) => (i < 4 ? { bank: n, i } : ref)));
+
+    tc.update(ptTile, pm, 0, 0, sigs[0]);
+    const bgClass = tc.activateBgSet(0, sigs[0]);
+    const sprClass = tc.activateSpriteSet(sigs[0]);
+    await tc.settle();
+
+    const bgSet = tc.bgSets.get(tc.activeBgKey);
+    const bgPlace = tc.atlas.placeOf(bgSet);
+    const sprPlace = tc.atlas.placeOf([...tc.spriteSets.values()][0]);
+    // Sprite rows first (global sheets in row 0), BG half-rows below them.
+    expect(sprPlace).toEqual({ row: 1, x: 0 });
+    expect(bgPlace.row).toBeGreaterThanOrEqual(tc.maxSpriteSets + 1);
+    const rows = [0, 1, bgPlace.row];
+    expect(rows.map((row) => host.style.getPropertyValue(`--tile-atlas-${row}`))).toEqual(
+      [0, 1, 2].map((n) => `url("blob:atlas/${n}")`),
+    );
+    const css = tc.styleEl.textContent;
+    expect(css).toContain(`.${bgClass} { --set-x: ${bgPlace.x}px; --set-image: var(--tile-atlas-${bgPlace.row}); }`);
+    expect(css).toContain(`.${sprClass} { --set-x: 0px; --set-image: var(--tile-atlas-1); }`);
+    expect(css).not.toContain('url(');
+    expect(tc.getTilePosition(0x21)).toBe('calc(-8px - var(--set-x) - var(--pal-x)) -16px');
+    const bgRow = tc.atlas.rows[bgPlace.row].canvas;
+    expect(puts.some((put) => put.canvas === bgRow && put.x === bgPlace.x + 128 && put.y === 0)).toBe(true);
+
+    // BG palette writes only re-encode the BG set's row.
+    const writes = tc.stylesheetWrites;
+    const publishes = tc.atlasPublishes;
+    for (let frame = 1; frame <= 3; frame++) {
+      bg[frame] = 0x445566 + frame;
+      pm.update(bg, spr);
+      tc.update(ptTile, pm, 0, 0, sigs[0]);
+      tc.activateBgSet(0, sigs[0]);
+      tc.activateSpriteSet(sigs[0]);
+      expect(tc.bgSheetUpdated(0)).toBe(false);
+      await tc.settle();
+    }
+    expect(tc.atlasPublishes).toBe(publishes + 3);
+    expect(host.style.getPropertyValue(`--tile-atlas-${bgPlace.row}`)).toBe(`url("blob:atlas/${urlSeq - 1}")`);
+    expect(host.style.getPropertyValue('--tile-atlas-0')).toBe('url("blob:atlas/0")');
+
+    // CHR-RAM rewrites re-encode every row showing the tile, once per frame.
+    ptTile[0x21].pix[0] = 1;
+    tc.update(ptTile, pm, 0, 0, sigs[0]);
+    tc.activateBgSet(0, sigs[0]);
+    tc.activateSpriteSet(sigs[0]);
+    await tc.settle();
+    expect(tc.atlasPublishes).toBe(publishes + 3 + rows.length);
+    expect(tc.stylesheetWrites).toBe(writes);
+    expect(tc.styleEl.textContent).toBe(css);
+    expect(tc.atlas.placeOf(bgSet)).toEqual(bgPlace);
+    expect(tc.stats().objectUrls).toMatchObject({ live: rows.length, created: urlSeq, revoked: urlSeq - rows.length });
+
+    // A set that is evicted gives its place to the next one.
+    tc.activateBgSet(0, sigs[1]);
+    tc.activateBgSet(0, sigs[2]);
+    expect(tc.bgSets.has(bgSet.key)).toBe(false);
+    expect(tc.atlas.size).toBe(1 + 1 + 2);
+    expect(tc.stylesheetWrites).toBeGreaterThan(writes);
+    expect(tc.stats().atlas).toMatchObject({ width: 1024, rows: tc.atlas.rows.length, places: 4 });
+
+    await tc.settle();
+    tc.setAtlasMode(false);
+    expect(rows.map((row) => host.style.getPropertyValue(`--tile-atlas-${row}`))).toEqual(['', '', '']);
+    expect(tc.getTilePosition(0x21)).toBe('-8px -16px');
+    expect(tc.stats().objectUrls.live).toBe(0);
+  });
+
+  it('keeps atlas rows that fail to encode dirty and publishes them with the next draw', async () => {
+    let encoding = 'throw';
+    HTMLCanvasElement.prototype.toBlob = (callback) => {
+      if (encoding === 'throw') throw new Error('encoder unavailable');
+      callback(encoding === 'null' ? null : new Blob(['png']));
+    };
+    let urlSeq = 0;
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:atlas/${urlSeq++}`);
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+    const host = document.createElement('div');
+    const tc = new TileCache({ atlas: true, atlasStyle: host.style });
+    const pm = new PaletteManager();
+    pm.update(new Array(16).fill(0x112233), new Array(16).fill(0));
+    const ptTile = createPtTile();
+    const frame = () => {
+      tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+      tc.activateBgSet(0, bankSig(ptTile));
+      tc.activateSpriteSet(bankSig(ptTile));
+    };
+
+    frame();
+    await tc.settle();
+    expect(tc.atlasPublishes).toBe(0);
+    expect(host.style.getPropertyValue('--tile-atlas-0')).toBe('');
+
+    encoding = 'null';
+    ptTile[0x21].pix[0] = 1;
+    frame();
+    await tc.settle();
+    expect(tc.atlasPublishes).toBe(0);
+    expect(tc.stats().objectUrls.created).toBe(0);
+
+    // One more draw anywhere re-encodes every row still dirty.
+    encoding = 'blob';
+    ptTile[0x21].pix[0] = 2;
+    frame();
+    await tc.settle();
+    const bgRow = tc.atlas.placeOf(tc.bgSets.get(tc.activeBgKey)).row;
+    expect(host.style.getPropertyValue('--tile-atlas-0')).toMatch(/^url\("blob:atlas\/\d+"\)$/);
+    expect(host.style.getPropertyValue(`--tile-atlas-${bgRow}`)).toMatch(/^url\("blob:atlas\/\d+"\)$/);
+    expect(tc.atlasPublishes).toBe(urlSeq);
+    expect(tc._atlasQueued).toBe(false);
+  });
+
+  it('rasterizes atlas sheets in the sheet worker without encoding them there', async () => {
+    const draws = [];
+    const proto = HTMLCanvasElement.prototype;
+    proto.getContext = function () {
+      return {
+        createImageData: (w, h) => ({ data: new Uint8ClampedArray(w * h * 4), width: w, height: h }),
+        putImageData: () => {},
+        clearRect: () => {},
+        drawImage: (image, x, y) => { draws.push({ canvas: this, image, x, y }); },
+      };
+    };
+    proto.toBlob = (callback) => callback(new Blob(['png']));
+    let urlSeq = 0;
+    vi.spyOn(URL, 'createObjectURL').mockImplementation(() => `blob:atlas/${urlSeq++}`);
+    vi.spyOn(URL, 'revokeObjectURL').mockImplementation(() => {});
+
+    const worker = { posted: [], postMessage(msg) { this.posted.push(msg); } };
+    const host = document.createElement('div');
+    const tc = new TileCache({ atlas: true, atlasStyle: host.style, sheetWorker: worker });
+    const pm = new PaletteManager();
+    const bg = new Array(16).fill(0x112233);
+    const spr = new Array(16).fill(0);
+    pm.update(bg, spr);
+    const ptTile = createPtTile();
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    await tc.settle();
+    const published = tc.atlasPublishes;
+
+    bg[1] = 0x445566;
+    pm.update(bg, spr);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(worker.posted).toHaveLength(1);
+    const job = worker.posted[0];
+    expect(job.encode).toBe(false);
+
+    const bitmap = { closed: false, close() { this.closed = true; } };
+    worker.onmessage({ data: { id: job.id, blob: null, bitmap, hashes: new Uint32Array(256) } });
+    await tc.settle();
+    expect(draws.some((draw) => draw.image === bitmap && tc.atlas.rows.some((row) => row.canvas === draw.canvas))).toBe(true);
+    expect(bitmap.closed).toBe(true);
+    expect(tc.atlasPublishes).toBe(published + 1);
+    expect(tc.stats().objectUrls.created).toBe(urlSeq);
+    expect(tc.styleEl.textContent).not.toContain('blob:');
+  });
+
+  it('keeps the previous sheet until the sheet worker replies, within the latency bound', async () => {
+    const worker = { posted: [], postMessage(msg) { this.posted.push(msg); } };
+    const tc = new TileCache({ sheetWorker: worker, maxSheetLatency: 2 });
+    const pm = new PaletteManager();
+    const bg = new Array(16).fill(0x112233);
+    const spr = new Array(16).fill(0);
+    pm.update(bg, spr);
+    const ptTile = createPtTile();
+    ptTile[5].pix[0] = 1;
+
+    // First images have nothing to fall back on and render synchronously.
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(worker.posted).toHaveLength(0);
+    const firstUrl = tc.blobUrls[0];
+    expect(firstUrl).toBe('data:image/png;base64,stub');
+
+    bg[1] = 0x445566;
+    pm.update(bg, spr);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(worker.posted).toHaveLength(1);
+    const job = worker.posted[0];
+    expect(job.colors[1]).toBe(pm._toCSS(0x445566));
+    expect(job.pix[5 * 64]).toBe(1);
+    expect(job.present[5]).toBe(1);
+    expect(tc.blobUrls[0]).toBe(firstUrl);
+    expect(tc.styleEl.textContent).not.toContain('blob:');
+
+    worker.onmessage({ data: { id: job.id, blob: new Blob(['png']), bitmap: null, hashes: new Uint32Array(256) } });
+    await tc.settle();
+    expect(tc.blobUrls[0]).toMatch(/^blob:/);
+    expect(tc.styleEl.textContent).toContain(tc.blobUrls[0]);
+
+    // No reply: the sheet is rendered on the main thread maxSheetLatency frames later.
+    bg[1] = 0x778899;
+    pm.update(bg, spr);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    const lateJob = worker.posted[1];
+    pm.update(bg, spr);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(tc.blobUrls[0]).toMatch(/^blob:/);
+    tc.update(ptTile, pm, 0, 0, bankSig(ptTile));
+    expect(tc.blobUrls[0]).toBe('data:image/png;base64,stub');
+    expect(tc.sheetPipeline.stats.forced).toBe(1);
+
+    // The late reply is dropped.
+    worker.onmessage({ data: { id: lateJob.id, blob: new Blob(['png']), bitmap: null, hashes: new Uint32Array(256) } });
+    await tc.settle();
+    expect(tc.blobUrls[0]).toBe('data:image/png;base64,stub');
+  });
 });
@@ -3,14 +3,20 @@ import fs from 'fs';
 import path from 'path';
 import { PNG } from 'pngjs';
 import pixelmatch from 'pixelmatch';
+import { DiffReport } from '../../scripts/diff-report.js';
+import { decodePNG } from '../../scripts/png-codec.js';
 
 const ROMS_DIR = path.resolve('roms');
 const RESULTS_DIR = path.resolve('tests/e2e/test-results');
+const MOVIES_DIR = path.resolve('tests/e2e/movies');
+const REPORT_DIR = path.join(RESULTS_DIR, 'diff-report');
 
 /**
  * ROM catalog: each entry lists the ROM filename and checkpoints to compare.
  * maxDiffPercent accounts for known CSS-vs-canvas differences
  * (behind-BG sprite priority, no 8-sprite-per-scanline limit, etc.)
+ * A checkpoint with a `movie` (tests/e2e/movies, native JSON or FM2) is
+ * reached by replaying that input from power-on instead of idling.
  */
 const ROM_CATALOG = [
   {
@@ -19,6 +25,7 @@ const ROM_CATALOG = [
     checkpoints: [
       { frame: 250, label: 'title-screen', maxDiffPercent: 15 },
       { frame: 400, label: 'title-settled', maxDiffPercent: 15 },
+      { frame: 600, label: 'world-1-1', maxDiffPercent: 15, movie: 'smb1-start-walk.fm2' },
     ],
   },
   {
@@ -45,11 +52,10 @@ function loadROMFile(filename) {
 }
 
 /**
- * Decode a PNG buffer into { data, width, height }.
+ * Read an input movie as text.
  */
-function decodePNG(buffer) {
-  const png = PNG.sync.read(buffer);
-  return { data: png.data, width: png.width, height: png.height };
+function loadMovieFile(filename) {
+  return fs.readFileSync(path.join(MOVIES_DIR, filename), 'utf8');
 }
 
 /**
@@ -77,6 +83,14 @@ function compareImages(pngBufA, pngBufB) {
 // Ensure results directory exists
 fs.mkdirSync(RESULTS_DIR, { recursive: true });
 
+// Cause-classified heatmaps for every checkpoint, written once all ROMs ran.
+const report = new DiffReport();
+
+test.afterAll(() => {
+  const indexPath = report.write(REPORT_DIR);
+  console.log(`Pixel-diff report: ${indexPath}`);
+});
+
 for (const rom of ROM_CATALOG) {
   test.describe(rom.label, () => {
     const romBytes = loadROMFile(rom.file);
@@ -93,6 +107,13 @@ for (const rom of ROM_CATALOG) {
       test(`${checkpoint.label} (frame ${checkpoint.frame})`, async ({ page }) => {
         test.skip(!romBytes, `ROM not found: ${rom.file}`);
 
+        if (checkpoint.movie) {
+          await page.evaluate(
+            (text) => window.testHarness.playMovie(text),
+            loadMovieFile(checkpoint.movie),
+          );
+        }
+
         // Step to target frame in chunks
         await page.evaluate(
           (n) => window.testHarness.stepFrames(n),
@@ -119,6 +140,20 @@ for (const rom of ROM_CATALOG) {
         const { diffPercent, diffPNG } = compareImages(cssPNG, canvasPNG);
         fs.writeFileSync(path.join(RESULTS_DIR, `${prefix}-diff.png`), diffPNG);
 
+        // Classify mismatches against the frame buffer for the report
+        const diffState = await page.evaluate(() => window.testHarness.getDiffState());
+        const css = decodePNG(cssPNG);
+        const classified = report.addFrame({
+          rom: rom.label,
+          label: checkpoint.label,
+          frame: diffState.frame,
+          css: css.data,
+          cssWidth: css.width,
+          ppuState: diffState,
+          maxDiffPercent: checkpoint.maxDiffPercent,
+        });
+        console.log(`${prefix}: causes ${JSON.stringify(classified.causes)}`);
+
         console.log(
           `${prefix}: ${diffPercent.toFixed(2)}% diff (max ${checkpoint.maxDiffPercent}%)`,
         );
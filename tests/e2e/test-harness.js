@@ -6,6 +6,9 @@ import { NES } from 'jsnes';
 import { PPUStateExtractor } from '../../src/ppu-state-extractor.js';
 import { PPUWriteTracer } from '../../src/ppu-write-tracer.js';
 import { CSSRenderer } from '../../src/css-renderer.js';
+import { AudioOutput, EMULATOR_SAMPLE_RATE } from '../../src/audio-output.js';
+import { MovieRecorder, MoviePlayer, parseMovie, serializeMovie } from '../../src/input-movie.js';
+import { toDiffState } from '../../src/pixel-diff.js';
 
 const wrapperEl = document.getElementById('viewport-wrapper');
 const canvas = document.getElementById('ref-canvas');
@@ -15,12 +18,15 @@ let nes = null;
 let extractor = null;
 let tracer = null;
 let renderer = null;
+let audio = null;
 let latestPPUState = null;
 let latestTimingTrace = null;
 let frameCount = 0;
 let ready = false;
 let timingTraceEnabled = false;
 let mapperTraceEnabled = false;
+let movieRecorder = null;
+let moviePlayer = null;
 
 function renderCanvasFrame(buffer) {
   const imgData = ctx.createImageData(256, 240);
@@ -35,6 +41,31 @@ function renderCanvasFrame(buffer) {
   ctx.putImageData(imgData, 0, 0);
 }
 
+/**
+ * Restart the ROM from power-on (movies are anchored there).
+ */
+function powerCycle() {
+  nes.reloadROM();
+  tracer.resync();
+  renderer.resetRenderState();
+  latestPPUState = null;
+  latestTimingTrace = null;
+  frameCount = 0;
+}
+
+/**
+ * Run one frame, driving the pads from the movie being played and recording
+ * them into the movie being recorded.
+ */
+function emulateFrame() {
+  if (moviePlayer && !moviePlayer.applyFrame(nes, moviePlayer.position, { command: powerCycle })) {
+    moviePlayer = null;
+  }
+  if (timingTraceEnabled && tracer) tracer.beginFrame();
+  nes.frame();
+  movieRecorder?.recordFrame(nes);
+}
+
 window.testHarness = {
   /**
    * Load a ROM from a byte array (number[]).
@@ -48,7 +79,10 @@ window.testHarness = {
         latestPPUState = extractor.extract({ timingTrace });
         latestPPUState.buffer = buffer;
       },
-      onAudioSample() {},
+      onAudioSample(left, right) {
+        audio?.pushSample(left, right);
+      },
+      sampleRate: EMULATOR_SAMPLE_RATE,
     });
     extractor = new PPUStateExtractor(nes);
     tracer = new PPUWriteTracer(nes);
@@ -63,6 +97,8 @@ window.testHarness = {
     nes.loadROM(str);
     tracer.install();
     latestTimingTrace = null;
+    movieRecorder = null;
+    moviePlayer = null;
     frameCount = 0;
     ready = true;
   },
@@ -77,8 +113,7 @@ window.testHarness = {
     while (remaining > 0) {
       const batch = Math.min(remaining, CHUNK);
       for (let i = 0; i < batch; i++) {
-        if (timingTraceEnabled && tracer) tracer.beginFrame();
-        nes.frame();
+        emulateFrame();
         if (latestPPUState) {
           renderer.renderFrame(latestPPUState);
           renderCanvasFrame(latestPPUState.buffer);
@@ -91,6 +126,8 @@ window.testHarness = {
         await new Promise((r) => setTimeout(r, 0));
       }
     }
+    // Pixel comparisons need the sheets the worker is still encoding
+    await renderer.tileCache.settle();
   },
 
   /**
@@ -107,8 +144,7 @@ window.testHarness = {
     while (remaining > 0) {
       const batch = Math.min(remaining, CHUNK);
       for (let i = 0; i < batch; i++) {
-        if (timingTraceEnabled && tracer) tracer.beginFrame();
-        nes.frame();
+        emulateFrame();
 
         if (latestPPUState) {
           renderer.renderFrame(latestPPUState);
@@ -133,9 +169,70 @@ window.testHarness = {
       }
     }
 
+    await renderer.tileCache.settle();
     return finalizeDiagnosticsSummary(summary, frameCount);
   },
 
+  /**
+   * Record APU output from now on (headless: nothing is played).
+   */
+  startAudioCapture() {
+    audio = new AudioOutput({ headless: true });
+  },
+
+  /**
+   * Stop recording and return the WAV as number[] (transferable to Playwright).
+   */
+  stopAudioCapture() {
+    if (!audio) return null;
+    const capture = audio.capture;
+    audio = null;
+    return {
+      sampleRate: capture.sampleRate,
+      frames: capture.frameCount,
+      wav: Array.from(capture.toWavBytes()),
+    };
+  },
+
+  /**
+   * Power-cycle and record per-frame input until stopMovieRecording().
+   */
+  startMovieRecording() {
+    powerCycle();
+    moviePlayer = null;
+    movieRecorder = new MovieRecorder();
+  },
+
+  /**
+   * @returns {string|null} the recording in the native JSON movie format
+   */
+  stopMovieRecording() {
+    if (!movieRecorder) return null;
+    const text = serializeMovie(movieRecorder.movie);
+    movieRecorder = null;
+    return text;
+  },
+
+  /**
+   * Power-cycle and drive the pads from a movie (native JSON or FM2 text)
+   * during the following stepFrames() calls.
+   */
+  playMovie(text) {
+    const movie = parseMovie(text);
+    powerCycle();
+    movieRecorder = null;
+    moviePlayer = new MoviePlayer(movie);
+    return { length: movie.length, source: movie.source };
+  },
+
+  getMovieStatus() {
+    return {
+      recording: movieRecorder ? movieRecorder.length : null,
+      playing: moviePlayer ? !moviePlayer.done : false,
+      position: moviePlayer ? moviePlayer.position : null,
+    };
+  },
+
   buttonDown(btn) {
     if (nes) nes.buttonDown(1, btn);
   },
@@ -197,6 +294,15 @@ window.testHarness = {
     };
   },
 
+  /**
+   * Latest frame buffer + the PPU state the pixel-diff classifier reads,
+   * as plain arrays (see src/pixel-diff.js toDiffState).
+   */
+  getDiffState() {
+    if (!latestPPUState) return null;
+    return { frame: frameCount, ...toDiffState(latestPPUState) };
+  },
+
   getNametableDebug(rows = 30, cols = 32) {
     if (!latestPPUState?.nameTables) return null;
     const r = Math.max(1, Math.min(30, rows | 0));
@@ -257,6 +363,7 @@ function createDiagnosticsSummary(startFrame, timingEnabled, sampleEvery, maxSam
     framesWithSheetRegens: 0,
     totalSheetRegens: 0,
     maxSheetRegensPerFrame: 0,
+    totalTilesRedrawn: 0,
     maxTraceEventsPerFrame: 0,
     maxVisibleTraceEventsPerFrame: 0,
     totalMapperWrites: 0,
@@ -351,6 +458,8 @@ function recordDiagnosticsFrame(summary, frame, ppuState, timingTrace, previousC
   summary.totalSheetRegens += sheetRegens;
   if (sheetRegens > 0) summary.framesWithSheetRegens++;
   summary.maxSheetRegensPerFrame = Math.max(summary.maxSheetRegensPerFrame, sheetRegens);
+  const tilesRedrawn = renderer.tileCache.tilesRedrawn ?? 0;
+  summary.totalTilesRedrawn += tilesRedrawn;
 
   if (
     summary.sampleEvery > 0 &&
@@ -374,6 +483,7 @@ function recordDiagnosticsFrame(summary, frame, ppuState, timingTrace, previousC
       sprPatternBases: Array.from(uniqueSprBases).sort((a, b) => a - b),
       chrSwitchedRegions: switchedRegions,
       sheetRegens,
+      tilesRedrawn,
     });
   }
 
@@ -390,6 +500,7 @@ function finalizeDiagnosticsSummary(summary, endFrame) {
     avgMapperWritesPerFrame: summary.totalMapperWrites / frameDenom,
     avgVisibleMapperWritesPerFrame: summary.totalVisibleMapperWrites / frameDenom,
     avgSheetRegensPerFrame: summary.totalSheetRegens / frameDenom,
+    avgTilesRedrawnPerFrame: summary.totalTilesRedrawn / frameDenom,
   };
 }
 
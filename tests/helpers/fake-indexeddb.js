@@ -0,0 +1,98 @@
+/**
+ * Minimal in-memory IDBFactory covering what SaveStateStore uses:
+ * open/upgrade, one keyPath object store, a single-field index, and
+ * put/get/getAll/delete requests. Values are structured-cloned like the real
+ * thing, and request callbacks fire asynchronously.
+ */
+export function createFakeIndexedDB() {
+  const databases = new Map();
+
+  return {
+    databases,
+    open(name, version = 1) {
+      const req = _createRequest();
+      queueMicrotask(() => {
+        let db = databases.get(name);
+        const upgrade = !db || db.version < version;
+        if (!db) {
+          db = _createDatabase(name, version);
+          databases.set(name, db);
+        }
+        db.version = Math.max(db.version, version);
+        req.result = db;
+        if (upgrade) req.onupgradeneeded?.({ target: req });
+        req.onsuccess?.({ target: req });
+      });
+      return req;
+    },
+  };
+}
+
+function _createDatabase(name, version) {
+  const stores = new Map();
+  return {
+    name,
+    version,
+    closed: false,
+    objectStoreNames: { contains: (storeName) => stores.has(storeName) },
+    createObjectStore(storeName, { keyPath }) {
+      const store = { keyPath, records: new Map(), indexes: new Map() };
+      stores.set(storeName, store);
+      return { createIndex: (indexName, field) => store.indexes.set(indexName, field) };
+    },
+    transaction(storeName) {
+      const store = stores.get(storeName);
+      if (!store) throw new Error(`NotFoundError: ${storeName}`);
+      return { objectStore: () => _wrapStore(store) };
+    },
+    close() {
+      this.closed = true;
+    },
+  };
+}
+
+function _wrapStore(store) {
+  return {
+    put(value) {
+      const copy = structuredClone(value);
+      return _resolve(() => {
+        store.records.set(copy[store.keyPath], copy);
+        return copy[store.keyPath];
+      });
+    },
+    get(key) {
+      return _resolve(() => {
+        const value = store.records.get(key);
+        return value === undefined ? undefined : structuredClone(value);
+      });
+    },
+    delete(key) {
+      return _resolve(() => {
+        store.records.delete(key);
+      });
+    },
+    index(indexName) {
+      const field = store.indexes.get(indexName);
+      return {
+        getAll(value) {
+          return _resolve(() => Array.from(store.records.values())
+            .filter((record) => record[field] === value)
+            .map((record) => structuredClone(record)));
+        },
+      };
+    },
+  };
+}
+
+function _createRequest() {
+  return { result: undefined, error: null, onsuccess: null, onerror: null, onupgradeneeded: null };
+}
+
+function _resolve(fn) {
+  const req = _createRequest();
+  queueMicrotask(() => {
+    req.result = fn();
+    req.onsuccess?.({ target: req });
+  });
+  return req;
+}
@@ -12,6 +12,10 @@ export function createMockTileCache() {
       return `-${col * 8}px -${row * 8}px`;
     },
 
+    getSpriteMaskUrl(bankIdx, flipH, flipV, setClass = '') {
+      return `mask-b${bankIdx}-h${flipH ? 1 : 0}-v${flipV ? 1 : 0}${setClass ? '-' + setClass : ''}`;
+    },
+
     bgSheetUpdated(palGroup) {
       return updatedBgSheets.has(palGroup);
     },
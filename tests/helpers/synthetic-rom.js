@@ -0,0 +1,224 @@
+/**
+ * Builds tiny NROM images in memory so emulator-level tests run without
+ * commercial ROMs. The default program enables pulse 1 with a constant tone
+ * and spins forever.
+ */
+
+// LDA #$01; STA $4015   enable pulse 1
+// LDA #$BF; STA $4000   duty 2, constant volume 15
+// LDA #$FD; STA $4002   timer low
+// LDA #$00; STA $4003   timer high / length load
+// JMP *                 spin
+// RTI                   NMI / IRQ handler
+export const TONE_PROGRAM = [
+  0xA9, 0x01, 0x8D, 0x15, 0x40,
+  0xA9, 0xBF, 0x8D, 0x00, 0x40,
+  0xA9, 0xFD, 0x8D, 0x02, 0x40,
+  0xA9, 0x00, 0x8D, 0x03, 0x40,
+  0x4C, 0x14, 0xC0,
+  0x40,
+];
+
+// NMI handler counts frames in $00, sums A-button presses into $01 and
+// writes $00 to PPUSCROLL, so state depends on both time and input.
+export const INPUT_PROGRAM = [
+  0xA9, 0x80, 0x8D, 0x00, 0x20, // LDA #$80; STA $2000
+  0xA9, 0x1E, 0x8D, 0x01, 0x20, // LDA #$1E; STA $2001
+  0x4C, 0x0A, 0xC0, // JMP $C00A
+  0xE6, 0x00, // $C00D: INC $00
+  0xA9, 0x01, 0x8D, 0x16, 0x40, // LDA #$01; STA $4016
+  0xA9, 0x00, 0x8D, 0x16, 0x40, // LDA #$00; STA $4016
+  0xAD, 0x16, 0x40, // LDA $4016 (A button)
+  0x29, 0x01, // AND #$01
+  0x18, 0x65, 0x01, 0x85, 0x01, // CLC; ADC $01; STA $01
+  0xA5, 0x00, 0x8D, 0x05, 0x20, 0x8D, 0x05, 0x20, // LDA $00; STA $2005 x2
+  0x40, // RTI
+];
+export const INPUT_HANDLER = 0xC00D;
+
+// MMC3 scanline IRQ fixture (mapper 4). Reset enables rendering, loads 40
+// into the counter and reload value and enables the IRQ. Each IRQ bumps $00,
+// sets the next reload value to 20 + ($00 & 15), acknowledges with
+// $E000/$E001 and writes $00 to PPUSCROLL, so every IRQ is a scroll split.
+export const MMC3_IRQ_PROGRAM = [
+  0x78, 0xD8, // SEI; CLD
+  0x2C, 0x02, 0x20, 0x10, 0xFB, // wait vblank
+  0x2C, 0x02, 0x20, 0x10, 0xFB, // wait vblank
+  0xA9, 0x1E, 0x8D, 0x01, 0x20, // LDA #$1E; STA $2001
+  0xA9, 0x28, 0x8D, 0x00, 0xC0, // LDA #40; STA $C000
+  0x8D, 0x01, 0xC0, // STA $C001
+  0x8D, 0x01, 0xE0, // STA $E001
+  0x58, // CLI
+  0x4C, 0x1D, 0xC0, // JMP $C01D
+  0xE6, 0x00, // $C020: INC $00
+  0xA5, 0x00, 0x29, 0x0F, // LDA $00; AND #$0F
+  0x18, 0x69, 0x14, // CLC; ADC #20
+  0x8D, 0x01, 0xC0, // STA $C001
+  0x8D, 0x00, 0xE0, // STA $E000
+  0x8D, 0x01, 0xE0, // STA $E001
+  0x8D, 0x05, 0x20, 0x8D, 0x05, 0x20, // STA $2005 x2
+  0x40, // RTI
+];
+export const MMC3_IRQ_HANDLER = 0xC020;
+
+// Sprite-0 split fixture (SMB1-style status bar). Reset puts sprite 0 at
+// Y 30, X 128 and enables NMI, BG and sprites. The NMI handler sets scroll
+// (0, 0), waits for the hit flag to clear and then set, and scrolls X to
+// $40. Use with solidCHR() so every BG and sprite pixel is opaque.
+export const SPRITE0_PROGRAM = [
+  0x78, 0xD8, // SEI; CLD
+  0x2C, 0x02, 0x20, 0x10, 0xFB, // wait vblank
+  0x2C, 0x02, 0x20, 0x10, 0xFB, // wait vblank
+  0xA9, 0x00, 0x8D, 0x03, 0x20, // LDA #0; STA $2003
+  0xA9, 0x1E, 0x8D, 0x04, 0x20, // sprite 0 Y = 30
+  0xA9, 0x00, 0x8D, 0x04, 0x20, // tile 0
+  0x8D, 0x04, 0x20, // attributes 0
+  0xA9, 0x80, 0x8D, 0x04, 0x20, // X = 128
+  0xA9, 0x80, 0x8D, 0x00, 0x20, // LDA #$80; STA $2000
+  0xA9, 0x1E, 0x8D, 0x01, 0x20, // LDA #$1E; STA $2001
+  0x4C, 0x2D, 0xC0, // JMP $C02D
+  0x2C, 0x02, 0x20, // $C030: BIT $2002
+  0xA9, 0x00, 0x8D, 0x05, 0x20, 0x8D, 0x05, 0x20, // scroll 0,0
+  0x2C, 0x02, 0x20, 0x70, 0xFB, // BIT $2002; BVS -5
+  0x2C, 0x02, 0x20, 0x50, 0xFB, // BIT $2002; BVC -5
+  0xA9, 0x40, 0x8D, 0x05, 0x20, // $2005 = X ($40)
+  0xA9, 0x00, 0x8D, 0x05, 0x20, // $2005 = Y (0)
+  0x40, // RTI
+];
+export const SPRITE0_HANDLER = 0xC030;
+
+/** CHR whose tile 0 is color 1 in every pixel. */
+export function solidCHR() {
+  const chr = new Uint8Array(0x2000);
+  chr.fill(0xFF, 0, 8);
+  return chr;
+}
+
+/**
+ * @param {object} [options]
+ * @param {number[]} [options.program] - code placed at $C000 (the reset vector)
+ * @param {number} [options.handler] - address for the NMI/IRQ vectors
+ * @param {Uint8Array} [options.chr] - CHR ROM (zeros by default)
+ * @param {number} [options.chrBanks] - CHR ROM size in 8KB banks (default 1)
+ * @param {number} [options.mapper] - iNES mapper number (default 0)
+ * @returns {Uint8Array} iNES image (16KB PRG, mapper 0 unless overridden)
+ */
+export function createSyntheticROM(options = {}) {
+  const program = options.program ?? TONE_PROGRAM;
+  const handler = options.handler ?? 0xC000 + program.length - 1;
+  const prg = new Uint8Array(0x4000);
+  prg.set(program, 0);
+  // Vectors at $FFFA (NMI), $FFFC (RESET), $FFFE (IRQ).
+  prg[0x3FFA] = handler & 0xFF;
+  prg[0x3FFB] = handler >> 8;
+  prg[0x3FFC] = 0x00;
+  prg[0x3FFD] = 0xC0;
+  prg[0x3FFE] = handler & 0xFF;
+  prg[0x3FFF] = handler >> 8;
+
+  const chrBanks = options.chrBanks ?? 1;
+  const mapper = options.mapper ?? 0;
+  const rom = new Uint8Array(16 + 0x4000 + chrBanks * 0x2000);
+  rom.set([0x4E, 0x45, 0x53, 0x1A, 1, chrBanks, (mapper & 0x0F) << 4, mapper & 0xF0], 0);
+  rom.set(prg, 16);
+  if (options.chr) rom.set(options.chr.subarray(0, chrBanks * 0x2000), 16 + 0x4000);
+  return rom;
+}
+
+/**
+ * Split-scroll fixture. Reset fills nametable $2000 with tile = row and
+ * $2800 with tile = row + 32, then enables BG and NMI. The NMI handler
+ * resets scroll, burns `outer` x `inner` delay loops (plus `nops`) and then
+ * does the $2006/$2005/$2005/$2006 mid-frame write that points v at
+ * nametable $2800, Y scroll `scrollY`. With `mask` set, the handler
+ * instead restores PPUMASK to $0A and the mid-frame write is $2001 = mask.
+ * @param {object} [options]
+ * @param {number} [options.scrollY]
+ * @param {number} [options.mask] - PPUMASK value for a mid-frame $2001 write
+ * @param {number} [options.outer]
+ * @param {number} [options.inner]
+ * @param {number} [options.nops]
+ * @returns {{ program: number[], handler: number }}
+ */
+export function splitScrollProgram(options = {}) {
+  const scrollY = options.scrollY ?? 0x4b;
+  const program = [
+    0x78, 0xD8, // SEI; CLD
+    0x2C, 0x02, 0x20, 0x10, 0xFB, // wait vblank
+    0x2C, 0x02, 0x20, 0x10, 0xFB, // wait vblank
+    0xA9, 0x3F, 0x8D, 0x06, 0x20, 0xA9, 0x00, 0x8D, 0x06, 0x20, // $2006 = $3F00
+    0xA9, 0x0F, 0x8D, 0x07, 0x20, 0xA9, 0x16, 0x8D, 0x07, 0x20, // palette 0
+    0xA9, 0x2A, 0x8D, 0x07, 0x20, 0xA9, 0x30, 0x8D, 0x07, 0x20,
+    ..._fillNametable(0x20, 0),
+    ..._fillNametable(0x28, 32),
+    0xA9, 0x80, 0x8D, 0x00, 0x20, // LDA #$80; STA $2000
+    0xA9, 0x0A, 0x8D, 0x01, 0x20, // LDA #$0A; STA $2001 (BG incl. left column)
+  ];
+  const spin = 0xC000 + program.length;
+  program.push(0x4C, spin & 0xFF, spin >> 8); // JMP *
+
+  const handler = 0xC000 + program.length;
+  const maskSplit = options.mask !== undefined;
+  if (maskSplit) program.push(0xA9, 0x0A, 0x8D, 0x01, 0x20); // LDA #$0A; STA $2001
+  program.push(
+    0xA9, 0x00, 0x8D, 0x06, 0x20, 0x8D, 0x06, 0x20, // $2006 = $0000
+    0x8D, 0x05, 0x20, 0x8D, 0x05, 0x20, // scroll 0,0
+    0xA9, 0x80, 0x8D, 0x00, 0x20, // LDA #$80; STA $2000
+    0xA2, options.outer ?? 12, // LDX #outer
+    0xA0, options.inner ?? 228, // LDY #inner
+    0x88, 0xD0, 0xFD, // DEY; BNE -3
+    0xCA, 0xD0, 0xF8, // DEX; BNE -8
+    ...new Array(options.nops ?? 17).fill(0xEA),
+  );
+  if (maskSplit) {
+    program.push(0xA9, options.mask, 0x8D, 0x01, 0x20); // LDA #mask; STA $2001
+  } else {
+    program.push(
+      0xA9, 0x08, 0x8D, 0x06, 0x20, // $2006 = $08 (nametable $2800)
+      0xA9, scrollY, 0x8D, 0x05, 0x20, // $2005 = Y
+      0xA9, 0x00, 0x8D, 0x05, 0x20, // $2005 = X (0)
+      0xA9, (scrollY & 0xF8) << 2 & 0xFF, 0x8D, 0x06, 0x20, // $2006 = coarse Y low bits
+    );
+  }
+  program.push(0x40); // RTI
+  return { program, handler };
+}
+
+/**
+ * CHR where every pixel row of tiles 0-63 is unique: tile t row r encodes
+ * t * 8 + r in its bit planes, so a BG pixel row identifies the nametable
+ * row it came from.
+ */
+export function rowFingerprintCHR() {
+  const chr = new Uint8Array(0x2000);
+  for (let tile = 0; tile < 64; tile++) {
+    for (let row = 0; row < 8; row++) {
+      const id = tile * 8 + row;
+      chr[tile * 16 + row] = id & 0xFF;
+      chr[tile * 16 + 8 + row] = id >= 256 ? 0xF0 : 0x0F;
+    }
+  }
+  return chr;
+}
+
+// 30 rows of 32 tiles (tile = first + row) then a zeroed attribute table.
+function _fillNametable(high, first) {
+  return [
+    0xA9, high, 0x8D, 0x06, 0x20, 0xA9, 0x00, 0x8D, 0x06, 0x20, // $2006 = high:00
+    0xA2, first, // LDX #first
+    0xA0, 0x20, // LDY #32
+    0x8E, 0x07, 0x20, // STX $2007
+    0x88, 0xD0, 0xFA, // DEY; BNE -6
+    0xE8, 0xE0, first + 30, 0xD0, 0xF3, // INX; CPX #first+30; BNE -13
+    0xA9, 0x00, 0xA0, 0x40, // LDA #0; LDY #64
+    0x8D, 0x07, 0x20, // STA $2007
+    0x88, 0xD0, 0xFA, // DEY; BNE -6
+  ];
+}
+
+/** jsnes loadROM() takes a binary string. */
+export function romToString(bytes) {
+  let str = '';
+  for (let i = 0; i < bytes.length; i++) str += String.fromCharCode(bytes[i]);
+  return str;
+}
@@ -0,0 +1,203 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { NES } from 'jsnes';
+import {
+  AudioOutput,
+  LinearResampler,
+  WavCapture,
+  driftCorrection,
+  encodeWav,
+  EMULATOR_SAMPLE_RATE,
+  MAX_DRIFT_ADJUST,
+} from '../../src/audio-output.js';
+import { AudioRingBuffer } from '../../src/audio-worklet.js';
+import { createSyntheticROM, romToString } from '../helpers/synthetic-rom.js';
+
+function captureROM(frames) {
+  const audio = new AudioOutput({ headless: true });
+  const nes = new NES({
+    sampleRate: EMULATOR_SAMPLE_RATE,
+    onFrame() {},
+    onAudioSample: (l, r) => audio.pushSample(l, r),
+  });
+  nes.loadROM(romToString(createSyntheticROM()));
+  for (let i = 0; i < frames; i++) {
+    nes.frame();
+    audio.endFrame();
+  }
+  return audio.capture;
+}
+
+describe('encodeWav', () => {
+  it('writes a 16-bit PCM RIFF header', () => {
+    const bytes = encodeWav(new Int16Array([1, -1, 2, -2]), 44100, 2);
+    const view = new DataView(bytes.buffer);
+    const ascii = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+    expect(bytes).toHaveLength(44 + 8);
+    expect(ascii(0)).toBe('RIFF');
+    expect(ascii(8)).toBe('WAVE');
+    expect(view.getUint16(22, true)).toBe(2);
+    expect(view.getUint32(24, true)).toBe(44100);
+    expect(view.getUint32(40, true)).toBe(8);
+    expect(view.getInt16(46, true)).toBe(-1);
+  });
+});
+
+describe('LinearResampler', () => {
+  it('converts 44.1kHz to 48kHz at the expected rate', () => {
+    const resampler = new LinearResampler(44100, 48000);
+    const out = resampler.process(new Float32Array(44100 * 2));
+    expect(Math.abs((out.length >> 1) - 48000)).toBeLessThanOrEqual(2);
+  });
+
+  it('is seamless across chunk boundaries', () => {
+    const input = Float32Array.from({ length: 2000 }, (_, i) => Math.sin(i / 7));
+    const whole = new LinearResampler(44100, 48000).process(input);
+
+    const split = new LinearResampler(44100, 48000);
+    const a = split.process(input.subarray(0, 734));
+    const b = split.process(input.subarray(734));
+    const joined = new Float32Array(a.length + b.length);
+    joined.set(a);
+    joined.set(b, a.length);
+
+    expect(joined.length).toBe(whole.length);
+    for (let i = 0; i < whole.length; i++) {
+      expect(joined[i]).toBeCloseTo(whole[i], 5);
+    }
+  });
+});
+
+describe('driftCorrection', () => {
+  it('stretches when the buffer runs low and squeezes when it runs high', () => {
+    expect(driftCorrection(2400, 2400)).toBe(1);
+    expect(driftCorrection(0, 2400)).toBeCloseTo(1 + MAX_DRIFT_ADJUST);
+    expect(driftCorrection(1e6, 2400)).toBeCloseTo(1 - MAX_DRIFT_ADJUST);
+    expect(driftCorrection(1200, 2400)).toBeGreaterThan(1);
+  });
+});
+
+describe('AudioRingBuffer', () => {
+  it('drops the oldest frames on overflow and pads silence on underrun', () => {
+    const ring = new AudioRingBuffer(4);
+    ring.push(new Float32Array([1, -1, 2, -2, 3, -3]));
+    ring.push(new Float32Array([4, -4, 5, -5]));
+    expect(ring.size).toBe(4);
+    expect(ring.overruns).toBe(1);
+
+    const left = new Float32Array(6);
+    const right = new Float32Array(6);
+    expect(ring.pull(left, right)).toBe(4);
+    expect(Array.from(left)).toEqual([2, 3, 4, 5, 0, 0]);
+    expect(Array.from(right)).toEqual([-2, -3, -4, -5, 0, 0]);
+    expect(ring.underruns).toBe(1);
+  });
+});
+
+describe('AudioOutput', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('captures identical WAV output for identical runs (headless)', () => {
+    const first = captureROM(30);
+    const second = captureROM(30);
+
+    expect(first.frameCount).toBeGreaterThan(30 * 700);
+    const pcm = first.samples();
+    expect(pcm.some((s) => s !== 0)).toBe(true);
+    expect(Buffer.from(first.toWavBytes()).equals(Buffer.from(second.toWavBytes()))).toBe(true);
+    expect(first.toBlob().type).toBe('audio/wav');
+  });
+
+  it('posts resampled frames to the worklet and clears them on mute', async () => {
+    const posted = [];
+    class FakeAudioWorkletNode {
+      constructor() {
+        this.port = { postMessage: (msg) => posted.push(msg), onmessage: null };
+      }
+      connect() {}
+      disconnect() {}
+    }
+    class FakeAudioContext {
+      constructor() {
+        this.sampleRate = 48000;
+        this.state = 'running';
+        this.currentTime = 0;
+        this.destination = {};
+        this.audioWorklet = { addModule: async () => {} };
+      }
+      createGain() {
+        return { gain: { setTargetAtTime: vi.fn() }, connect() {}, disconnect() {} };
+      }
+    }
+    vi.stubGlobal('AudioWorkletNode', FakeAudioWorkletNode);
+
+    const audio = new AudioOutput({ AudioContext: FakeAudioContext, volume: 0.8 });
+    expect(await audio.start()).toBe(true);
+
+    for (let i = 0; i < 735; i++) audio.pushSample(0.25, -0.25);
+    audio.endFrame();
+    expect(posted).toHaveLength(1);
+    expect(posted[0].type).toBe('samples');
+    expect(posted[0].samples.length >> 1).toBeGreaterThan(790);
+    expect(audio.stats.ratio).toBeGreaterThan(1); // empty buffer: stretch
+
+    audio.setMuted(true);
+    audio.pushSample(0.25, -0.25);
+    audio.endFrame();
+    expect(posted.map((msg) => msg.type)).toEqual(['samples', 'clear']);
+    expect(audio.gain.gain.setTargetAtTime).toHaveBeenLastCalledWith(0, 0, 0.01);
+  });
+
+  it('stays silent when the browser blocks resume, until a later start() succeeds', async () => {
+    const posted = [];
+    let allowPlayback = false;
+    vi.stubGlobal('AudioWorkletNode', class {
+      constructor() {
+        this.port = { postMessage: (msg) => posted.push(msg), onmessage: null };
+      }
+      connect() {}
+    });
+    class SuspendedAudioContext {
+      constructor() {
+        this.sampleRate = 44100;
+        this.state = 'suspended';
+        this.currentTime = 0;
+        this.destination = {};
+        this.audioWorklet = { addModule: async () => {} };
+      }
+      createGain() {
+        return { gain: { setTargetAtTime() {} }, connect() {} };
+      }
+      async resume() {
+        if (!allowPlayback) throw new Error('NotAllowedError');
+        this.state = 'running';
+      }
+    }
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const audio = new AudioOutput({ AudioContext: SuspendedAudioContext });
+    expect(await audio.start()).toBe(false);
+    expect(audio.blocked).toBe(true);
+    for (let i = 0; i < 735; i++) audio.pushSample(0.25, -0.25);
+    audio.endFrame();
+    expect(posted).toHaveLength(0);
+
+    allowPlayback = true;
+    expect(await audio.start()).toBe(true);
+    expect(audio.blocked).toBe(false);
+    for (let i = 0; i < 735; i++) audio.pushSample(0.25, -0.25);
+    audio.endFrame();
+    expect(posted).toHaveLength(1);
+  });
+});
+
+describe('WavCapture', () => {
+  it('clamps samples to 16-bit range', () => {
+    const capture = new WavCapture(22050);
+    capture.pushSample(2, -2);
+    expect(Array.from(capture.samples())).toEqual([32767, -32767]);
+  });
+});
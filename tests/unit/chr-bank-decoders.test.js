@@ -0,0 +1,186 @@
+import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
+import {
+  CHRBankDecoder,
+  MMC1Decoder,
+  MMC2Decoder,
+  MMC3Decoder,
+  MMC5Decoder,
+  TQROMDecoder,
+  createCHRBankDecoder,
+  inferCHRBanks,
+} from '../../src/chr-bank-decoders.js';
+import { PPUWriteTracer } from '../../src/ppu-write-tracer.js';
+import { createSyntheticROM, romToString } from '../helpers/synthetic-rom.js';
+
+// Serial MMC1 register load: five writes, LSB first.
+function mmc1Write(decoder, address, value) {
+  for (let i = 0; i < 5; i++) decoder.write(address, (value >> i) & 1);
+}
+
+function createNES(mapper, chrBanks) {
+  const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+  nes.loadROM(romToString(createSyntheticROM({ mapper, chrBanks })));
+  return nes;
+}
+
+describe('CHR bank decoders', () => {
+  it('keeps the power-on banks when nothing switches CHR', () => {
+    const decoder = new CHRBankDecoder(32);
+    expect(decoder.handles(0x8000)).toBe(false);
+    expect(decoder.signature()).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+
+  it('decodes MMC1 serial writes in 8KB and 4KB modes', () => {
+    const decoder = new MMC1Decoder(64); // 64KB CHR
+    mmc1Write(decoder, 0xa000, 0x03);
+    expect(decoder.signature()).toEqual([12, 13, 14, 15, 16, 17, 18, 19]);
+
+    mmc1Write(decoder, 0x8000, 0x10); // 4KB CHR mode
+    mmc1Write(decoder, 0xc000, 0x05);
+    expect(decoder.signature()).toEqual([12, 13, 14, 15, 20, 21, 22, 23]);
+
+    // A write with bit 7 set drops the partial value.
+    decoder.write(0xa000, 1);
+    decoder.write(0xa000, 0x80);
+    mmc1Write(decoder, 0xa000, 0x01);
+    expect(decoder.signature().slice(0, 4)).toEqual([4, 5, 6, 7]);
+  });
+
+  it('decodes MMC3 2KB and 1KB banks with CHR inversion', () => {
+    const decoder = new MMC3Decoder(256);
+    decoder.write(0x8000, 0x00);
+    decoder.write(0x8001, 0x20);
+    decoder.write(0x8000, 0x05);
+    decoder.write(0x8001, 0x31);
+    expect(decoder.signature()).toEqual([0x20, 0x21, 2, 3, 4, 5, 6, 0x31]);
+
+    decoder.write(0x8000, 0x82); // R2 with $1000 inversion
+    decoder.write(0x8001, 0x40);
+    decoder.write(0x8000, 0x81); // R1 lands at $1800
+    decoder.write(0x8001, 0x50);
+    expect(decoder.signature()).toEqual([0x40, 0x21, 2, 3, 4, 5, 0x50, 0x51]);
+
+    decoder.write(0x8000, 0x06); // PRG commands leave CHR alone
+    decoder.write(0x8001, 0x07);
+    expect(decoder.signature()[0]).toBe(0x40);
+  });
+
+  it('reports TQROM CHR-RAM banks by name', () => {
+    const decoder = new TQROMDecoder(64);
+    decoder.write(0x8000, 0x00);
+    decoder.write(0x8001, 0x42);
+    decoder.write(0x8000, 0x02);
+    decoder.write(0x8001, 0x05);
+    expect(decoder.signature()).toEqual(['ram2', 'ram3', 2, 3, 5, 5, 6, 7]);
+  });
+
+  it('decodes MMC5 pages in each CHR mode', () => {
+    const decoder = new MMC5Decoder(1024);
+    decoder.write(0x5101, 0); // 8KB
+    decoder.write(0x5127, 3);
+    expect(decoder.signature()).toEqual([24, 25, 26, 27, 28, 29, 30, 31]);
+
+    decoder.write(0x5101, 2); // 2KB
+    decoder.write(0x5121, 5);
+    decoder.write(0x5125, 9);
+    expect(decoder.signature()).toEqual([10, 11, 0, 1, 18, 19, 6, 7]);
+  });
+
+  it('follows the MMC2 latches through the mapper', () => {
+    const mapper = { latch0: 0xfe, latch1: 0xfe };
+    const decoder = new MMC2Decoder(128);
+    decoder.sync(mapper);
+    decoder.write(0xb000, 2);
+    decoder.write(0xc000, 3);
+    decoder.write(0xe000, 4);
+    expect(decoder.signature()).toEqual([12, 13, 14, 15, 16, 17, 18, 19]);
+
+    mapper.latch0 = 0xfd;
+    expect(decoder.signature().slice(0, 4)).toEqual([8, 9, 10, 11]);
+  });
+
+  it('wraps banks to the CHR size and leaves CHR-RAM carts alone', () => {
+    const decoder = new MMC3Decoder(16);
+    decoder.write(0x8000, 0x02);
+    decoder.write(0x8001, 0x13);
+    expect(decoder.signature()[4]).toBe(3);
+
+    const ram = new MMC3Decoder(0);
+    ram.write(0x8000, 0x02);
+    ram.write(0x8001, 0x13);
+    expect(ram.signature()).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+  });
+});
+
+describe('CHR bank decoders against jsnes', () => {
+  // Drive the real mapper through the tracer and compare the decoded
+  // signature with the banks jsnes actually put in ppu.ptTile.
+  function check(mapper, chrBanks, writes) {
+    const nes = createNES(mapper, chrBanks);
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+    expect(tracer.consumeFrameTrace().chrBankSignature).toEqual(inferCHRBanks(nes));
+    for (const [address, value] of writes) {
+      nes.mmap.write(address, value);
+      expect(tracer.consumeFrameTrace().chrBankSignature).toEqual(inferCHRBanks(nes));
+    }
+    return tracer.consumeFrameTrace().chrBankSignature;
+  }
+
+  it('matches MMC1 (quirks included)', () => {
+    const serial = (address, value) => Array.from({ length: 5 }, (_, i) => [address, (value >> i) & 1]);
+    const banks = check(1, 4, [
+      ...serial(0xa000, 0x13), // 8KB mode, jsnes upper-half bit
+      ...serial(0x8000, 0x10),
+      ...serial(0xa000, 0x02),
+      ...serial(0xc000, 0x07),
+    ]);
+    expect(banks).toEqual([8, 9, 10, 11, 28, 29, 30, 31]);
+  });
+
+  it('matches MMC3', () => {
+    const banks = check(4, 8, [
+      [0x8000, 0x00], [0x8001, 0x0a],
+      [0x8000, 0x03], [0x8001, 0x31],
+      [0x8000, 0x84], [0x8001, 0x3f],
+      [0x8000, 0x81], [0x8001, 0x06],
+    ]);
+    expect(banks).toEqual([10, 11, 63, 3, 4, 49, 6, 7]);
+  });
+
+  it('matches CNROM and GxROM latches', () => {
+    expect(check(3, 4, [[0x8000, 2], [0x8000, 3]])).toEqual([24, 25, 26, 27, 28, 29, 30, 31]);
+    expect(check(66, 4, [[0x8000, 0x31]])).toEqual([8, 9, 10, 11, 12, 13, 14, 15]);
+  });
+
+  it('recovers switched banks after a toJSON/fromJSON round trip', () => {
+    // Tag every 1KB bank's first tile with its bank number so banks differ.
+    const chr = new Uint8Array(8 * 0x2000);
+    for (let bank = 0; bank < 64; bank++) chr[bank * 0x400] = bank;
+    const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+    nes.loadROM(romToString(createSyntheticROM({ mapper: 4, chrBanks: 8, chr })));
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+    nes.mmap.write(0x8000, 0x00);
+    nes.mmap.write(0x8001, 0x0a);
+    nes.mmap.write(0x8000, 0x05);
+    nes.mmap.write(0x8001, 0x31);
+    const switched = tracer.consumeFrameTrace().chrBankSignature;
+    expect(switched).toEqual([10, 11, 2, 3, 4, 5, 6, 0x31]);
+
+    nes.fromJSON(JSON.parse(JSON.stringify(nes.toJSON())));
+    expect(tracer.resync()).toBe(true);
+    expect(tracer.consumeFrameTrace().chrBankSignature).toEqual(switched);
+  });
+
+  it('seeds a new decoder from the mapper after a state load', () => {
+    const nes = createNES(4, 8);
+    nes.mmap.write(0x8000, 0x02);
+    nes.mmap.write(0x8001, 0x21);
+    const decoder = createCHRBankDecoder(nes);
+    expect(decoder.signature()).toEqual([0, 1, 2, 3, 0x21, 5, 6, 7]);
+    decoder.write(0x8001, 0x22);
+    expect(decoder.signature()[4]).toBe(0x22);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { PNG } from 'pngjs';
+import { installHeadlessDOM, HeadlessRunner, ppuStateToJSON } from '../../scripts/headless-runner.js';
+import { parseFrameList } from '../../scripts/headless-render.js';
+import { InputMovie, packFrame } from '../../src/input-movie.js';
+import {
+  INPUT_PROGRAM,
+  INPUT_HANDLER,
+  createSyntheticROM,
+  romToString,
+} from '../helpers/synthetic-rom.js';
+
+const ROM = romToString(createSyntheticROM({ program: INPUT_PROGRAM, handler: INPUT_HANDLER }));
+
+describe('HeadlessRunner', () => {
+  let restoreDOM;
+
+  beforeAll(() => {
+    restoreDOM = installHeadlessDOM();
+  });
+
+  afterAll(() => {
+    restoreDOM();
+  });
+
+  it('writes a PNG, a standalone DOM snapshot and the PPU state for a frame', () => {
+    const runner = new HeadlessRunner(ROM);
+    for (let i = 0; i < 3; i++) runner.step();
+    const out = runner.capture();
+    runner.destroy();
+
+    expect(out.frame).toBe(3);
+    const png = PNG.sync.read(out.png);
+    expect([png.width, png.height]).toEqual([256, 240]);
+
+    expect(out.snapshot).toMatch(/^<!DOCTYPE html>/);
+    expect(out.snapshot).toContain('class="nes-viewport"');
+    expect(out.snapshot).toContain('<style id="tile-cache-styles">');
+    expect(out.snapshot).toContain('data:image/png;base64,');
+
+    const state = JSON.parse(out.state);
+    expect(state.buffer).toBeUndefined();
+    expect(state.scroll).toBeDefined();
+    expect(Array.isArray(state.bgPalette)).toBe(true);
+  });
+
+  it('drives the pads from a movie, frame for frame', () => {
+    // Hold A for the first 10 frames; the NMI handler sums A presses into $01.
+    const frames = Array.from({ length: 20 }, (_, f) => packFrame([f < 10 ? 0x01 : 0, 0]));
+    const runner = new HeadlessRunner(ROM, { movie: new InputMovie({ frames }) });
+    for (let i = 0; i < 20; i++) runner.step();
+    const withMovie = runner.nes.cpu.mem[1];
+    runner.destroy();
+
+    const idle = new HeadlessRunner(ROM);
+    for (let i = 0; i < 20; i++) idle.step();
+    const withoutMovie = idle.nes.cpu.mem[1];
+    idle.destroy();
+
+    expect(withMovie).not.toBe(withoutMovie);
+  });
+});
+
+describe('ppuStateToJSON', () => {
+  it('converts typed arrays and drops the frame buffer', () => {
+    const json = ppuStateToJSON({ buffer: new Int32Array(4), mem: new Uint8Array([1, 2]), nested: { a: 1 } });
+    expect(JSON.parse(json)).toEqual({ mem: [1, 2], nested: { a: 1 } });
+  });
+});
+
+describe('parseFrameList', () => {
+  it('expands ranges, sorts and deduplicates', () => {
+    expect(parseFrameList('10,3-5,4')).toEqual([3, 4, 5, 10]);
+    expect(() => parseFrameList('0')).toThrow(/start at 1/);
+    expect(() => parseFrameList('a-b')).toThrow(/Bad frame spec/);
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect } from 'vitest';
+import {
+  InputBindings,
+  GamepadPoller,
+  DEFAULT_KEY_BINDINGS,
+  BINDINGS_STORAGE_KEY,
+  SHORTCUT_KEYS,
+  APP_SHORTCUTS,
+  DEBUG_SHORTCUTS,
+  INSPECT_SHORTCUTS,
+  SAVE_STATE_SHORTCUTS,
+} from '../../src/input-bindings.js';
+
+function createStorage() {
+  const items = new Map();
+  return {
+    items,
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+}
+
+function createPad(index, id = `pad-${index}`) {
+  return {
+    index,
+    id,
+    connected: true,
+    axes: [0, 0],
+    buttons: Array.from({ length: 16 }, () => ({ pressed: false })),
+  };
+}
+
+describe('InputBindings', () => {
+  it('maps the default keys for both players', () => {
+    const bindings = new InputBindings({ storage: null });
+    expect(bindings.lookupKey('KeyZ')).toEqual({ player: 1, button: 0 });
+    expect(bindings.lookupKey('ShiftRight')).toEqual({ player: 1, button: 2 });
+    expect(bindings.lookupKey('KeyT')).toEqual({ player: 2, button: 4 });
+    expect(bindings.lookupKey('KeyB')).toBeNull();
+    expect(bindings.shortcutCollisions()).toEqual([]);
+  });
+
+  it('persists bindings to storage and restores them', () => {
+    const storage = createStorage();
+    const bindings = new InputBindings({ storage });
+    bindings.setKey(2, 0, 'KeyV');
+    bindings.setGamepadButton('pad-x', 3, 7);
+    bindings.setGamepadPlayer('pad-x', 2);
+
+    expect(JSON.parse(storage.items.get(BINDINGS_STORAGE_KEY)).keys[1][0]).toBe('KeyV');
+    const restored = new InputBindings({ storage });
+    expect(restored.lookupKey('KeyV')).toEqual({ player: 2, button: 0 });
+    expect(restored.lookupKey('KeyK')).toBeNull();
+    expect(restored.gamepadMapping('pad-x')).toMatchObject({ player: 2 });
+    expect(restored.gamepadMapping('pad-x').buttons[3]).toBe(7);
+  });
+
+  it('moves a key that was bound elsewhere and reports shortcut collisions', () => {
+    const bindings = new InputBindings({ storage: null });
+    const moved = bindings.setKey(2, 3, 'KeyZ');
+    expect(moved.displaced).toEqual({ player: 1, button: 0 });
+    expect(bindings.keyFor(1, 0)).toBeNull();
+
+    const clash = bindings.setKey(1, 0, 'KeyB');
+    expect(clash.shortcut).toBe('BG layer');
+    expect(bindings.shortcutCollisions()).toEqual([
+      { player: 1, button: 0, code: 'KeyB', shortcut: 'BG layer' },
+    ]);
+    expect(() => bindings.setKey(3, 0, 'KeyA')).toThrow(RangeError);
+  });
+
+  it('builds the shortcut key codes from the shortcut tables onKeydown dispatches on', () => {
+    expect(SHORTCUT_KEYS.Digit7).toBe(DEBUG_SHORTCUTS.Digit7.label);
+    expect(SHORTCUT_KEYS.KeyV).toBe(INSPECT_SHORTCUTS.KeyV.label);
+    expect(SHORTCUT_KEYS.F9).toBe(SAVE_STATE_SHORTCUTS.F9.label);
+    expect(SHORTCUT_KEYS.Backspace).toBe(APP_SHORTCUTS.Backspace.label);
+    const tables = [APP_SHORTCUTS, DEBUG_SHORTCUTS, INSPECT_SHORTCUTS, SAVE_STATE_SHORTCUTS];
+    const codes = tables.flatMap(Object.keys);
+    expect(Object.keys(SHORTCUT_KEYS).sort()).toEqual(codes.sort());
+    expect(codes.every((code) => /^(Key[A-Z]|Digit\d|F\d+|Backspace)$/.test(code))).toBe(true);
+
+    const bindings = new InputBindings({ storage: null });
+    expect(bindings.setKey(1, 0, 'Digit7').shortcut).toBe('IRQ line overlay');
+  });
+
+  it('falls back to defaults on unreadable storage and restores defaults on reset', () => {
+    const storage = createStorage();
+    storage.setItem(BINDINGS_STORAGE_KEY, '{not json');
+    const bindings = new InputBindings({ storage });
+    expect(bindings.keys).toEqual(DEFAULT_KEY_BINDINGS);
+
+    bindings.setKey(1, 0, 'KeyA');
+    bindings.reset();
+    expect(bindings.keys).toEqual(DEFAULT_KEY_BINDINGS);
+  });
+});
+
+describe('GamepadPoller', () => {
+  it('reports button edges per player, including the left stick as d-pad', () => {
+    const pads = [createPad(0), createPad(1)];
+    const poller = new GamepadPoller(new InputBindings({ storage: null }), { getGamepads: () => pads });
+    const events = [];
+    const record = (player, button, pressed) => events.push([player, button, pressed]);
+
+    pads[0].buttons[1].pressed = true; // A
+    pads[1].axes[0] = -0.9; // Left
+    poller.poll(record);
+    poller.poll(record);
+    expect(events).toEqual([[1, 0, true], [2, 6, true]]);
+
+    events.length = 0;
+    pads[0].buttons[1].pressed = false;
+    poller.poll(record);
+    expect(events).toEqual([[1, 0, false]]);
+  });
+
+  it('releases held buttons when a pad disconnects or changes player', () => {
+    const pads = [createPad(0)];
+    const bindings = new InputBindings({ storage: null });
+    const poller = new GamepadPoller(bindings, { getGamepads: () => pads });
+    const events = [];
+    const record = (player, button, pressed) => events.push([player, button, pressed]);
+
+    pads[0].buttons[9].pressed = true; // Start
+    poller.poll(record);
+    bindings.setGamepadPlayer('pad-0', 2);
+    poller.poll(record);
+    pads.length = 0;
+    poller.poll(record);
+
+    expect(events).toEqual([[1, 3, true], [1, 3, false], [2, 3, true], [2, 3, false]]);
+  });
+
+  it('captures the first newly pressed raw button for remapping', () => {
+    const pads = [createPad(0, 'pad-a')];
+    const poller = new GamepadPoller(new InputBindings({ storage: null }), { getGamepads: () => pads });
+    pads[0].buttons[2].pressed = true;
+    poller.pollRawPress();
+    expect(poller.pollRawPress()).toBeNull();
+
+    pads[0].buttons[5].pressed = true;
+    expect(poller.pollRawPress()).toEqual({ id: 'pad-a', index: 0, button: 5 });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
+import {
+  InputMovie,
+  MovieRecorder,
+  MoviePlayer,
+  MOVIE_COMMAND_RESET,
+  packFrame,
+  parseMovie,
+  parseFM2,
+  serializeMovie,
+} from '../../src/input-movie.js';
+import {
+  INPUT_PROGRAM,
+  INPUT_HANDLER,
+  createSyntheticROM,
+  romToString,
+} from '../helpers/synthetic-rom.js';
+
+function powerOn() {
+  const nes = new NES({ onFrame() {}, onAudioSample() {} });
+  nes.loadROM(romToString(createSyntheticROM({ program: INPUT_PROGRAM, handler: INPUT_HANDLER })));
+  return nes;
+}
+
+const FM2_SAMPLE = [
+  'version 3',
+  'emuVersion 22020',
+  'rerecordCount 17',
+  'palFlag 0',
+  'romFilename Test',
+  'guid 01234567-89AB-CDEF-0123-456789ABCDEF',
+  'fourscore 0',
+  'port0 1',
+  'port1 1',
+  'port2 0',
+  'comment author someone',
+  '|0|........|........||',
+  '|1|.......A|........||',
+  '|0|R..UT...|......B.||',
+  '|0|........|RLDUTSBA||',
+  '',
+].join('\n');
+
+describe('movie serialization', () => {
+  it('round-trips the native format with run-length encoded input', () => {
+    const frames = [0, 0, 0, 0x01, 0x01, 0x0208, 0, 0];
+    const movie = new InputMovie({ romHash: 'abc', frames, rerecords: 3, comment: 'hi' });
+    const text = serializeMovie(movie);
+    expect(JSON.parse(text).input).toBe('0*3,1*2,208*1,0*2');
+
+    const parsed = parseMovie(text);
+    expect(parsed.frames).toEqual(frames);
+    expect(parsed.romHash).toBe('abc');
+    expect(parsed.rerecords).toBe(3);
+    expect(parsed.comment).toBe('hi');
+  });
+
+  it('rejects unknown and corrupt movie files', () => {
+    expect(() => parseMovie('not a movie')).toThrow(/Unrecognized/);
+    expect(() => parseMovie('{"format":"css-nes-movie","version":1,"length":5,"input":"0*2"}'))
+      .toThrow(/corrupt/);
+  });
+
+  it('rejects run counts past the header length before decoding them', () => {
+    expect(() => parseMovie('{"format":"css-nes-movie","version":1,"length":2,"input":"0*ffffffff"}'))
+      .toThrow(/runs past 2 frames/);
+    expect(() => parseMovie('{"format":"css-nes-movie","version":1,"input":"0*2,1*ffffffff"}'))
+      .toThrow(/corrupt/);
+  });
+});
+
+describe('parseFM2', () => {
+  it('maps RLDUTSBA columns and commands onto packed frames', () => {
+    const movie = parseMovie(FM2_SAMPLE);
+    expect(movie.source).toBe('fm2');
+    expect(movie.rerecords).toBe(17);
+    expect(movie.comment).toBe('author someone');
+    expect(movie.meta.romFilename).toBe('Test');
+    expect(movie.length).toBe(4);
+
+    expect(movie.frame(0)).toEqual({ pads: [0, 0], command: 0 });
+    expect(movie.frame(1)).toEqual({ pads: [0x01, 0], command: MOVIE_COMMAND_RESET });
+    // R (bit 7), U (bit 4), T = Start (bit 3); pad 2 B (bit 1)
+    expect(movie.frame(2)).toEqual({ pads: [0x98, 0x02], command: 0 });
+    expect(movie.frame(3).pads[1]).toBe(0xFF);
+  });
+
+  it('rejects movies it cannot replay from power-on with gamepads', () => {
+    expect(() => parseFM2(FM2_SAMPLE.replace('palFlag 0', 'savestate base64:AAAA'))).toThrow(/savestate/);
+    expect(() => parseFM2(FM2_SAMPLE.replace('port1 1', 'port1 2'))).toThrow(/Zapper/);
+    expect(() => parseFM2(FM2_SAMPLE.replace('palFlag 0', 'binary 1'))).toThrow(/Binary/);
+  });
+});
+
+describe('MovieRecorder / MoviePlayer', () => {
+  it('replays a recording from power-on to the identical machine state', () => {
+    const live = powerOn();
+    const recorder = new MovieRecorder({ romHash: 'rom' });
+    for (let f = 0; f < 90; f++) {
+      if (f % 7 === 0) live.buttonDown(1, 0);
+      if (f % 7 === 3) live.buttonUp(1, 0);
+      if (f === 40) live.buttonDown(2, 3);
+      live.frame();
+      recorder.recordFrame(live);
+    }
+    const text = serializeMovie(recorder.movie);
+
+    const replay = powerOn();
+    const player = new MoviePlayer(parseMovie(text));
+    while (player.applyFrame(replay)) replay.frame();
+
+    expect(player.done).toBe(true);
+    expect(live.cpu.mem[1]).toBeGreaterThan(0);
+    expect(Array.from(replay.cpu.mem.slice(0, 0x800))).toEqual(Array.from(live.cpu.mem.slice(0, 0x800)));
+    expect(replay.controllers[2].state[3]).toBe(0x41);
+  });
+
+  it('truncates and counts a rerecord when recording over earlier frames', () => {
+    const nes = powerOn();
+    const recorder = new MovieRecorder();
+    for (let f = 0; f < 10; f++) recorder.recordFrame(nes);
+    nes.buttonDown(1, 7);
+    recorder.recordFrame(nes, 4);
+
+    expect(recorder.length).toBe(5);
+    expect(recorder.movie.rerecords).toBe(1);
+    expect(recorder.movie.frames[4]).toBe(packFrame([0x80, 0]));
+  });
+
+  it('hands reset / power commands to the caller before applying the pads', () => {
+    const nes = powerOn();
+    const player = new MoviePlayer(new InputMovie({ frames: [0, packFrame([1, 0], MOVIE_COMMAND_RESET)] }));
+    const commands = [];
+    player.applyFrame(nes, 0, { command: (cmd, index) => commands.push([cmd, index]) });
+    player.applyFrame(nes, 1, { command: (cmd, index) => commands.push([cmd, index]) });
+
+    expect(commands).toEqual([[MOVIE_COMMAND_RESET, 1]]);
+    expect(nes.controllers[1].state[0]).toBe(0x41);
+    expect(player.applyFrame(nes)).toBe(false);
+    expect(player.done).toBe(true);
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
+import {
+  MASTER_PALETTES,
+  DEFAULT_MASTER_PALETTE,
+  PAL_FILE_SIZE,
+  PAL_FILE_EMPHASIS_SIZE,
+  getMasterPalette,
+  parsePalFile,
+} from '../../src/master-palettes.js';
+
+// 0xBBGGRR → [r, g, b]
+function rgb(packed) {
+  return [packed & 0xff, (packed >> 8) & 0xff, (packed >> 16) & 0xff];
+}
+
+describe('master palettes', () => {
+  it('ships 64 colours per palette with black in the $xE/$xF columns', () => {
+    for (const [id, palette] of Object.entries(MASTER_PALETTES)) {
+      expect(palette.id).toBe(id);
+      expect(palette.colors).toHaveLength(64);
+      for (const index of [0x0e, 0x0f, 0x1e, 0x1f, 0x2f, 0x3e, 0x3f]) expect(palette.colors[index]).toBe(0);
+    }
+  });
+
+  it('defaults to the table jsnes renders the reference canvas with', () => {
+    const { ppu } = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+    expect(getMasterPalette(DEFAULT_MASTER_PALETTE).colors).toEqual(ppu.palTable.emphTable[0]);
+  });
+
+  it('generates a PAL palette with the expected hue families', () => {
+    const { colors } = MASTER_PALETTES.pal;
+    const [r16, g16, b16] = rgb(colors[0x16]);
+    expect(r16).toBeGreaterThan(Math.max(g16, b16)); // $16 red
+    const [r1a, g1a, b1a] = rgb(colors[0x1a]);
+    expect(g1a).toBeGreaterThan(Math.max(r1a, b1a)); // $1A green
+    const [r12, g12, b12] = rgb(colors[0x12]);
+    expect(b12).toBeGreaterThan(Math.max(r12, g12)); // $12 blue
+    expect(rgb(colors[0x20])).toEqual([255, 255, 255]);
+  });
+
+  it('returns null for unknown ids', () => {
+    expect(getMasterPalette('toString')).toBeNull();
+    expect(getMasterPalette('nope')).toBeNull();
+  });
+});
+
+describe('parsePalFile', () => {
+  it('reads 64 RGB triplets', () => {
+    const bytes = new Uint8Array(PAL_FILE_SIZE);
+    bytes.set([0x12, 0x34, 0x56], 3 * 0x21);
+    const palette = parsePalFile(bytes.buffer, 'test.pal');
+    expect(palette).toMatchObject({ id: 'custom', label: 'test.pal', emphasisTables: null });
+    expect(palette.colors[0x21]).toBe(0x563412);
+  });
+
+  it('keeps the emphasis tables of 512-colour files', () => {
+    const bytes = new Uint8Array(PAL_FILE_EMPHASIS_SIZE);
+    bytes.set([0xff, 0, 0], PAL_FILE_SIZE * 5 + 3 * 0x16);
+    const palette = parsePalFile(bytes);
+    expect(palette.emphasisTables).toHaveLength(8);
+    expect(palette.emphasisTables[0]).toBe(palette.colors);
+    expect(palette.emphasisTables[5][0x16]).toBe(0x0000ff);
+  });
+
+  it('rejects other sizes', () => {
+    expect(() => parsePalFile(new Uint8Array(100))).toThrow(/100 bytes/);
+  });
+});
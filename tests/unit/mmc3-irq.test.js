@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
+import { predictIRQLines, hasIRQCounter } from '../../src/mmc3-irq.js';
+import { PPUWriteTracer } from '../../src/ppu-write-tracer.js';
+import { PPUStateExtractor } from '../../src/ppu-state-extractor.js';
+import { PREFERRED_SPLIT_SLACK } from '../../src/scroll-region-planner.js';
+import {
+  createSyntheticROM,
+  romToString,
+  MMC3_IRQ_PROGRAM,
+  MMC3_IRQ_HANDLER,
+} from '../helpers/synthetic-rom.js';
+
+function write(address, value, screenY) {
+  return { address, value, screenY, dot: 100 };
+}
+
+describe('predictIRQLines', () => {
+  it('fires when the counter drops below zero and reloads from the latch', () => {
+    const { lines, end } = predictIRQLines({
+      start: { counter: 10, latch: 99, enabled: true },
+      writes: [write(0xc001, 50, 5)],
+    });
+    // Clocks at the end of lines -1..9 take the counter from 10 to -1.
+    expect(lines).toEqual([9, 60, 111, 162, 213]);
+    expect(end).toEqual({ counter: 24, latch: 50, enabled: true });
+  });
+
+  it('applies a line\'s writes before that line\'s clock', () => {
+    const { lines } = predictIRQLines({
+      start: { counter: 200, latch: 200, enabled: false },
+      writes: [
+        write(0xc000, 3, -10), // vblank: before the pre-render clock
+        write(0xe001, 0, 20),
+        write(0xe000, 0, 23), // lands before line 23 would fire
+        write(0xe001, 0, 100),
+        write(0xc000, 0, 150),
+      ],
+    });
+    expect(lines).toEqual([100, 150]);
+  });
+
+  it('skips lines with rendering off', () => {
+    const on = { bgVisible: true, spritesVisible: false };
+    const off = { bgVisible: false, spritesVisible: false };
+    const scanlines = Array.from({ length: 240 }, (_, y) => (y < 100 ? off : on));
+    const { lines } = predictIRQLines({ start: { counter: 4, latch: 200, enabled: true }, writes: [] }, { scanlines });
+    expect(lines).toEqual([104]);
+  });
+
+  it('recognizes MMC3 mappers', () => {
+    expect(hasIRQCounter({ clockIrqCounter() {}, irqLatchValue: 0 })).toBe(true);
+    expect(hasIRQCounter({ clockIrqCounter() {} })).toBe(false);
+  });
+});
+
+describe('MMC3 IRQ tracing against jsnes', () => {
+  function runIRQFrames(frames) {
+    const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+    nes.loadROM(romToString(createSyntheticROM({
+      mapper: 4,
+      program: MMC3_IRQ_PROGRAM,
+      handler: MMC3_IRQ_HANDLER,
+    })));
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+    const extractor = new PPUStateExtractor(nes);
+    const states = [];
+    for (let i = 0; i < frames; i++) {
+      tracer.beginFrame();
+      nes.frame();
+      states.push(extractor.extract({ timingTrace: tracer.consumeFrameTrace() }));
+    }
+    tracer.uninstall();
+    return states;
+  }
+
+  it('predicts the lines jsnes fires the IRQ on', () => {
+    const states = runIRQFrames(8);
+    for (const state of states.slice(2)) {
+      const { irq } = state;
+      expect(irq.fired.length).toBeGreaterThan(4);
+      expect(irq.predicted).toEqual(irq.fired);
+      expect(state.renderPlan.irqLines).toEqual(irq.fired);
+      // Each IRQ handler reloads and acknowledges on the line after it fired
+      // (the handler for a line 239 IRQ runs in vblank).
+      const reloads = irq.writes.filter((w) => w.kind === 'reload' && w.screenY >= 0 && w.screenY < 240);
+      expect(reloads.map((w) => w.screenY)).toEqual(irq.fired.filter((y) => y < 239).map((y) => y + 1));
+      expect(irq.writes.filter((w) => w.kind === 'enable' && w.screenY >= 0 && w.screenY < 240)).toHaveLength(reloads.length);
+    }
+  });
+
+  it('puts each IRQ scroll split within the preferred window after its line', () => {
+    const state = runIRQFrames(4).pop();
+    const { irqLines, canonicalRegions } = state.renderPlan;
+    const splits = canonicalRegions.slice(1).map((region) => region.yStart);
+    expect(splits.length).toBeGreaterThan(0);
+    for (const y of splits) {
+      expect(irqLines.some((line) => y >= line + 1 && y <= line + 1 + PREFERRED_SPLIT_SLACK)).toBe(true);
+    }
+  });
+
+  it('leaves irq null on boards without a counter', () => {
+    const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+    nes.loadROM(romToString(createSyntheticROM()));
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+    tracer.beginFrame();
+    nes.frame();
+    const trace = tracer.consumeFrameTrace();
+    expect(trace.irq).toBeNull();
+    expect(new PPUStateExtractor(nes).extract({ timingTrace: trace }).irq).toBeNull();
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
+import { createSyntheticROM, romToString } from '../helpers/synthetic-rom.js';
 import { PaletteManager } from '../../src/palette-manager.js';
+import { emphasizeColor, maskedColor } from '../../src/ppu-mask.js';
+import { MASTER_PALETTES, parsePalFile } from '../../src/master-palettes.js';
+import { paletteRAMIndex, readPaletteRAM, formatPaletteAddress } from '../../src/palette-ram.js';
 
 describe('PaletteManager', () => {
   describe('_toCSS', () => {
@@ -72,6 +77,19 @@ describe('PaletteManager', () => {
       spr2[10] = 0xFF;
       expect(pm.update(spr2, bg)).toBe(true);
     });
+
+    it('marks every group dirty again after reset', () => {
+      const pm = new PaletteManager();
+      const bg = new Array(16).fill(0);
+      const spr = new Array(16).fill(0);
+      pm.update(bg, spr);
+      expect(pm.update(bg, spr)).toBe(false);
+
+      pm.reset();
+      expect(pm.update(bg, spr)).toBe(true);
+      expect(pm.dirtyBgGroups.size).toBe(4);
+      expect(pm.dirtySprGroups.size).toBe(4);
+    });
   });
 
   describe('dirty group tracking', () => {
@@ -174,4 +192,169 @@ describe('PaletteManager', () => {
       expect(pm.getBackgroundColor()).toBe('#0f0f0f');
     });
   });
+
+  describe('PPUMASK variants', () => {
+    const ppu = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false }).ppu;
+    const master = ppu.palTable.emphTable[0];
+    const ram = Uint8Array.from({ length: 32 }, (_, i) => (i * 7 + 0x21) & 0x3f);
+
+    it('matches jsnes emphasis tables for every bit combination', () => {
+      for (let emphasis = 0; emphasis < 8; emphasis++) {
+        const table = ppu.palTable.emphTable[emphasis];
+        for (let i = 0; i < 64; i++) expect(emphasizeColor(master[i], emphasis)).toBe(table[i]);
+      }
+    });
+
+    it('matches the jsnes greyscale palette', () => {
+      for (let i = 0; i < 32; i++) ppu.vramMem[0x3f00 + i] = ram[i];
+      ppu.f_dispType = 1;
+      ppu.updatePalettes();
+      for (let i = 0; i < 16; i++) {
+        expect(maskedColor(master, ram[i], { greyscale: true })).toBe(ppu.imgPalette[i]);
+      }
+      ppu.f_dispType = 0;
+    });
+
+    it('serves frame colours for the frame mask and recomputes others', () => {
+      const pm = new PaletteManager();
+      const bg = Array.from(ram.slice(0, 16), (index) => master[index]);
+      pm.update(bg, new Array(16).fill(0), { paletteRAM: ram, emphasis: 0, greyscale: false });
+
+      expect(pm.usesFrameColors({ emphasis: 0, greyscale: false })).toBe(true);
+      expect(pm.getBgPaletteGroup(1, { emphasis: 0 })).toEqual(pm.getBgPaletteGroup(1));
+      expect(pm.getBgPaletteGroup(1, { emphasis: 2, greyscale: false })).toEqual(
+        Array.from(ram.slice(4, 8), (index) => pm._toCSS(emphasizeColor(master[index], 2)))
+      );
+    });
+
+    it('marks groups dirty when palette RAM moves under unchanged frame colours', () => {
+      const pm = new PaletteManager();
+      const grey = new Array(16).fill(master[0x20]);
+      const source = { paletteRAM: new Uint8Array(32).fill(0x21), greyscale: true };
+      pm.update(grey, new Array(16).fill(0), source);
+      pm.update(grey, new Array(16).fill(0), source);
+      expect(pm.dirtyBgGroups.size).toBe(0);
+
+      const moved = Uint8Array.from(source.paletteRAM);
+      moved[9] = 0x2c;
+      pm.update(grey, new Array(16).fill(0), { ...source, paletteRAM: moved });
+      expect([...pm.dirtyBgGroups]).toEqual([2]);
+    });
+
+    it('falls back to frame colours without palette RAM', () => {
+      const pm = new PaletteManager();
+      pm.update(new Array(16).fill(0x0000ff), new Array(16).fill(0));
+      expect(pm.usesFrameColors({ emphasis: 7 })).toBe(true);
+      expect(pm.getBgPaletteGroup(0, { emphasis: 7 })[1]).toBe('#ff0000');
+    });
+  });
+
+  describe('master palettes', () => {
+    const ram = Uint8Array.from({ length: 32 }, (_, i) => i * 2);
+    const zeros = new Array(16).fill(0);
+
+    it('resolves palette RAM through the selected master palette', () => {
+      const pm = new PaletteManager({ masterPalette: 'nestopia' });
+      pm.update(zeros, zeros, { paletteRAM: ram, emphasis: 0, greyscale: false });
+      expect(pm.getBgPaletteGroup(1)[2]).toBe(pm._toCSS(MASTER_PALETTES.nestopia.colors[12]));
+      expect(pm.getSprPaletteGroup(0)[1]).toBe(pm._toCSS(MASTER_PALETTES.nestopia.colors[34]));
+      expect(pm.getBgPaletteIndices(1)).toEqual([8, 10, 12, 14]);
+      // $3F1C mirrors $3F0C
+      expect(pm.getSprPaletteIndices(3)).toEqual([24, 58, 60, 62]);
+    });
+
+    it('redraws every group after a palette switch', () => {
+      const pm = new PaletteManager();
+      const source = { paletteRAM: ram, emphasis: 0, greyscale: false };
+      pm.update(zeros, zeros, source);
+      pm.update(zeros, zeros, source);
+      expect(pm.dirtyBgGroups.size).toBe(0);
+
+      expect(pm.setMasterPalette('fceux')).toBe('fceux');
+      pm.update(zeros, zeros, source);
+      expect(pm.dirtyBgGroups.size).toBe(4);
+      expect(pm.dirtySprGroups.size).toBe(4);
+      expect(pm.getBackgroundColor()).toBe('#747474');
+    });
+
+    it('uses the emphasis tables of an imported palette', () => {
+      const bytes = new Uint8Array(1536);
+      bytes.set([1, 2, 3], 192 * 3 + 3 * 4);
+      const pm = new PaletteManager();
+      pm.setMasterPalette(parsePalFile(bytes));
+      pm.update(zeros, zeros, { paletteRAM: ram, emphasis: 3, greyscale: false });
+      expect(pm.getBgPaletteGroup(0)[2]).toBe('#010203');
+    });
+
+    it('rejects unknown palettes and keeps jsnes colours without palette RAM', () => {
+      const pm = new PaletteManager();
+      expect(() => pm.setMasterPalette('vga')).toThrow(/vga/);
+      pm.update(new Array(16).fill(0x0000ff), zeros);
+      expect(pm.getBackgroundColor()).toBe('#ff0000');
+      expect(pm.getBgPaletteIndices(0)).toBeNull();
+    });
+  });
+
+  describe('palette RAM', () => {
+    const zeros = new Array(16).fill(0);
+
+    it('folds $3F10/$3F14/$3F18/$3F1C onto the BG entries', () => {
+      expect([0x3f10, 0x3f14, 0x3f18, 0x3f1c].map(paletteRAMIndex)).toEqual([0, 4, 8, 12]);
+      expect([0x3f11, 0x3f0c, 0x3f30, 0x3ff3].map(paletteRAMIndex)).toEqual([17, 12, 0, 19]);
+      expect(formatPaletteAddress(21)).toBe('$3F15');
+
+      const vram = new Uint8Array(0x4000);
+      for (let i = 0; i < 32; i++) vram[0x3f00 + i] = 0x40 + i;
+      const ram = readPaletteRAM(vram);
+      expect(ram[16]).toBe(0x00);
+      expect(ram[20]).toBe(0x04);
+      expect(ram[17]).toBe(0x11);
+    });
+
+    it('tracks dirtiness by palette RAM index', () => {
+      const pm = new PaletteManager();
+      const ram = Uint8Array.from({ length: 32 }, (_, i) => i);
+      pm.update(zeros, zeros, { paletteRAM: ram });
+      expect(pm.dirtyIndices.size).toBe(32);
+      pm.update(zeros, zeros, { paletteRAM: ram });
+      expect(pm.dirtyIndices.size).toBe(0);
+
+      const moved = Uint8Array.from(ram);
+      moved[6] = 0x30;
+      moved[19] = 0x30;
+      expect(pm.update(zeros, zeros, { paletteRAM: moved })).toBe(true);
+      expect([...pm.dirtyIndices].sort((a, b) => a - b)).toEqual([6, 19]);
+      expect([...pm.dirtyBgGroups]).toEqual([1]);
+      expect([...pm.dirtySprGroups]).toEqual([0]);
+    });
+
+    it('marks the sprite mirrors dirty with the backdrop', () => {
+      const pm = new PaletteManager();
+      const ram = new Uint8Array(32).fill(0x0f);
+      pm.update(zeros, zeros, { paletteRAM: ram });
+
+      const backdrop = Uint8Array.from(ram);
+      backdrop[0] = 0x21;
+      pm.update(zeros, zeros, { paletteRAM: backdrop });
+      expect([...pm.dirtyIndices].sort((a, b) => a - b)).toEqual([0, 16]);
+      expect(pm.getPaletteRAMValue(16)).toBe(0x21);
+      expect(pm.getSprPaletteGroup(0)[0]).toBe(pm.getBackgroundColor());
+    });
+
+    it('matches jsnes after a write through $3F10', () => {
+      const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+      nes.loadROM(romToString(createSyntheticROM()));
+      const ppu = nes.ppu;
+      ppu.writeVRAMAddress(0x3f);
+      ppu.writeVRAMAddress(0x10);
+      ppu.vramWrite(0x2a);
+      const ram = readPaletteRAM(ppu.vramMem);
+      expect(ram[0]).toBe(0x2a);
+      expect(ram[16]).toBe(0x2a);
+
+      const pm = new PaletteManager();
+      pm.update(ppu.imgPalette, ppu.sprPalette, { paletteRAM: ram });
+      expect(pm.getBackgroundColor()).toBe(pm._toCSS(ppu.imgPalette[0]));
+    });
+  });
 });
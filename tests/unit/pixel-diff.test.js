@@ -0,0 +1,276 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import {
+  diffFrame,
+  classifyPixel,
+  diffHeatmapRGBA,
+  framebufferToRGBA,
+  toDiffState,
+  rasterizeRenderModel,
+  DiffAccumulator,
+  DIFF_CAUSE_COLORS,
+} from '../../src/pixel-diff.js';
+import { DiffReport } from '../../scripts/diff-report.js';
+import { createMockPPUState } from '../helpers/mock-ppu-state.js';
+
+// Packed 0xBBGGRR, as jsnes stores palettes.
+const BLACK = 0x000000;
+const RED = 0x0000ff;
+const GREEN = 0x00ff00;
+const BLUE = 0xff0000;
+const WHITE = 0xffffff;
+
+function createState(overrides = {}) {
+  const state = createMockPPUState(overrides);
+  state.bgPalette[0] = BLACK;
+  state.bgPalette[1] = RED;
+  state.bgPalette[2] = GREEN;
+  state.bgPalette[5] = WHITE;
+  state.sprPalette[1] = BLUE;
+  return state;
+}
+
+function setPixel(rgba, x, y, packed) {
+  const i = (y * 256 + x) * 4;
+  rgba[i] = packed & 0xff;
+  rgba[i + 1] = (packed >> 8) & 0xff;
+  rgba[i + 2] = (packed >> 16) & 0xff;
+}
+
+function region(yStart, yEnd, scrollX, chrSetKey = '0:0,0,0,0') {
+  return {
+    yStart,
+    yEnd,
+    scroll: { coarseX: scrollX >> 3, coarseY: 0, fineX: scrollX & 7, fineY: 0, nameTableH: 0, nameTableV: 0 },
+    scrollX,
+    scrollY: 0,
+    bgPatternBase: 0,
+    chrSetKey,
+  };
+}
+
+describe('diffFrame', () => {
+  it('reports no mismatches when the CSS raster equals the frame buffer', () => {
+    const state = createState();
+    const result = diffFrame(framebufferToRGBA(state.buffer), state);
+    expect(result.mismatched).toBe(0);
+    expect(result.percent).toBe(0);
+    expect(result.mask.every((v) => v === 0)).toBe(true);
+  });
+
+  it('ignores drift within tolerance and honours the CSS row stride', () => {
+    const state = createState();
+    const css = new Uint8Array(300 * 240 * 4);
+    css[(10 * 300 + 5) * 4] = 10;
+    css[(10 * 300 + 6) * 4] = 200;
+
+    const result = diffFrame(css, state, { cssWidth: 300 });
+    expect(result.mismatched).toBe(1);
+    expect(result.mask[10 * 256 + 6]).not.toBe(0);
+  });
+
+  it('attributes a sprite drawn over BG that the reference hides to sprite priority', () => {
+    const state = createState();
+    // BG tile 1 is opaque (index 1, red) everywhere; sprite 0 covers (0,0) in blue.
+    state.nameTables[0].tile.fill(1);
+    state.ptTile[1].pix.fill(1);
+    state.ptTile[2].pix.fill(1);
+    state.sprites[0] = { x: 0, y: -1, tileIndex: 2, palette: 0, flipH: false, flipV: false, behindBg: false };
+
+    state.buffer.fill(RED);
+    const css = framebufferToRGBA(state.buffer);
+    setPixel(css, 0, 0, BLUE);
+
+    const result = diffFrame(css, state);
+    expect(result.mismatched).toBe(1);
+    expect(result.causes['sprite-priority']).toBe(1);
+  });
+
+  it('accumulates per-ROM totals and draws heatmaps in cause colors', () => {
+    const state = createState();
+    const css = framebufferToRGBA(state.buffer);
+    setPixel(css, 3, 4, WHITE);
+    state.buffer[4 * 256 + 3] = 0x123456;
+
+    const result = diffFrame(css, state);
+    expect(result.causes.palette).toBe(1);
+
+    const heat = diffHeatmapRGBA(result);
+    const i = (4 * 256 + 3) * 4;
+    expect(Array.from(heat.slice(i, i + 4))).toEqual([...DIFF_CAUSE_COLORS.palette, 255]);
+    expect(heat[3]).toBe(0);
+
+    const total = new DiffAccumulator();
+    total.add(result);
+    total.add(diffFrame(framebufferToRGBA(state.buffer), state));
+    expect(total.frames).toBe(2);
+    expect(total.causes.palette).toBe(1);
+    expect(total.toRGBA()[i + 3]).toBeGreaterThan(0);
+  });
+});
+
+describe('classifyPixel', () => {
+  it('flags a reference color outside the frame palettes as palette', () => {
+    expect(classifyPixel(createState(), 10, 10, '#123456')).toBe('palette');
+  });
+
+  it('flags the same color index from another palette group as palette', () => {
+    const state = createState();
+    state.nameTables[0].tile.fill(1);
+    state.ptTile[1].pix.fill(1);
+    // CSS drew group 0 index 1 (red); reference shows group 1 index 1 (white)
+    expect(classifyPixel(state, 0, 0, '#ffffff')).toBe('palette');
+  });
+
+  it('flags another index of the same palette as a CHR set mismatch', () => {
+    const state = createState();
+    state.nameTables[0].tile.fill(1);
+    state.ptTile[1].pix.fill(1);
+    expect(classifyPixel(state, 0, 0, '#00ff00')).toBe('chr-set');
+  });
+
+  it('flags rows the planner merged with a different scroll as region seam', () => {
+    const state = createState({
+      renderPlan: {
+        regions: [region(0, 240, 0)],
+        canonicalRegions: [region(0, 100, 0), region(100, 240, 8)],
+      },
+    });
+    expect(classifyPixel(state, 0, 50, '#123456')).toBe('palette');
+    expect(classifyPixel(state, 0, 150, '#123456')).toBe('region-seam');
+  });
+
+  it('flags a row whose exact CHR set differs from its planned region as chr-set', () => {
+    const state = createState({
+      renderPlan: {
+        regions: [region(0, 240, 0)],
+        canonicalRegions: [region(0, 120, 0), region(120, 240, 0, '0:7,7,7,7')],
+      },
+    });
+    expect(classifyPixel(state, 0, 130, '#123456')).toBe('chr-set');
+  });
+
+  it('flags pixels on a planned region boundary as region seam', () => {
+    const regions = [region(0, 64, 0), region(64, 240, 0)];
+    const state = createState({ renderPlan: { regions, canonicalRegions: regions } });
+    expect(classifyPixel(state, 0, 63, '#123456')).toBe('region-seam');
+    expect(classifyPixel(state, 0, 64, '#123456')).toBe('region-seam');
+    expect(classifyPixel(state, 0, 66, '#123456')).toBe('palette');
+  });
+});
+
+describe('DiffReport', () => {
+  it('writes an HTML report with per-frame and per-ROM heatmaps', () => {
+    const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'diff-report-'));
+    try {
+      const state = toDiffState(createState());
+      const css = framebufferToRGBA(state.buffer);
+      setPixel(css, 1, 1, WHITE);
+      state.buffer[256 + 1] = 0x123456;
+
+      const report = new DiffReport({ title: 'Test <report>' });
+      report.addFrame({ rom: 'Test ROM', label: 'title', frame: 60, css, ppuState: state, maxDiffPercent: 0 });
+      const indexPath = report.write(outDir);
+
+      const html = fs.readFileSync(indexPath, 'utf8');
+      expect(html).toContain('<title>Test &lt;report&gt;</title>');
+      expect(html).toContain('class="over-budget"');
+      expect(html).toContain('test-rom-title-60-heatmap.png');
+      for (const file of ['test-rom-heatmap.png', 'test-rom-title-60-css.png', 'test-rom-title-60-reference.png']) {
+        expect(fs.existsSync(path.join(outDir, file))).toBe(true);
+      }
+
+      const summary = JSON.parse(fs.readFileSync(path.join(outDir, 'summary.json'), 'utf8'));
+      expect(summary.roms[0].checkpoints[0]).toMatchObject({ label: 'title', frame: 60, mismatched: 1 });
+      expect(summary.roms[0].causes.palette).toBe(1);
+    } finally {
+      fs.rmSync(outDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('rasterizeRenderModel', () => {
+  function overlapState() {
+    const state = createState();
+    // Opaque BG (red) at tile 0; two overlapping sprites at (0,0).
+    state.nameTables[0].tile.fill(1);
+    state.ptTile[1].pix.fill(1);
+    state.ptTile[2].pix.fill(1);
+    state.sprPalette[5] = GREEN;
+    state.sprites[0] = { x: 0, y: -1, tileIndex: 2, palette: 0, flipH: false, flipV: false, behindBg: true };
+    state.sprites[1] = { x: 0, y: -1, tileIndex: 2, palette: 4, flipH: false, flipV: false, behindBg: false };
+    return state;
+  }
+
+  function pixelAt(rgba, x, y) {
+    const i = (y * 256 + x) * 4;
+    return (rgba[i + 2] << 16) | (rgba[i + 1] << 8) | rgba[i];
+  }
+
+  it('stacks sprites like the approx and exact priority modes', () => {
+    const state = overlapState();
+    // Approx: behind-BG sprites sit under the viewport; the front sprite wins.
+    expect(pixelAt(rasterizeRenderModel(state), 0, 0)).toBe(GREEN);
+    // Exact: sprite 0 comes first in OAM and is behind opaque BG, so BG shows.
+    expect(pixelAt(rasterizeRenderModel(state, { priority: 'exact' }), 0, 0)).toBe(RED);
+    expect(pixelAt(rasterizeRenderModel(state, { priority: 'exact' }), 20, 20)).toBe(RED);
+  });
+
+  it('skips rows dropped by the scanline limit and honours hidden layers', () => {
+    const state = overlapState();
+    state.sprites[0].y = 240;
+    const droppedRows = new Array(64).fill(null);
+    droppedRows[1] = [2, 3];
+
+    const rgba = rasterizeRenderModel(state, { droppedRows });
+    expect(pixelAt(rgba, 0, 1)).toBe(GREEN);
+    expect(pixelAt(rgba, 0, 2)).toBe(RED);
+    expect(pixelAt(rasterizeRenderModel(state, { bgVisible: false, spritesVisible: false }), 0, 0)).toBe(BLACK);
+  });
+
+  it('scrolls each render-plan region independently', () => {
+    const state = createState();
+    state.nameTables[0].tile[1] = 1; // second tile column
+    state.ptTile[1].pix.fill(1);
+    state.renderPlan = { regions: [region(0, 120, 0), region(120, 240, 8)] };
+
+    const rgba = rasterizeRenderModel(state);
+    expect(pixelAt(rgba, 0, 0)).toBe(BLACK);
+    expect(pixelAt(rgba, 8, 0)).toBe(RED);
+    expect(pixelAt(rgba, 0, 120)).toBe(BLACK); // row 120 of tile column 1 is tile row 15
+  });
+
+  it('switches scroll mid-line at each line split', () => {
+    const state = createState();
+    state.nameTables[0].tile[1] = 1;
+    state.ptTile[1].pix.fill(1);
+    state.renderPlan = {
+      regions: [region(0, 240, 0)],
+      lineSplits: [{ ...region(2, 3, 8), xStart: 4, xEnd: 256 }],
+    };
+
+    const rgba = rasterizeRenderModel(state);
+    expect(pixelAt(rgba, 0, 2)).toBe(BLACK);
+    expect(pixelAt(rgba, 4, 2)).toBe(RED); // world x 12 is tile column 1
+    expect(pixelAt(rgba, 4, 3)).toBe(BLACK);
+  });
+
+  it('draws each region from its own CHR set across a mid-frame bank switch', () => {
+    const state = createState();
+    state.nameTables[0].tile.fill(1);
+    // The frame ends with bank 0 mapped, where tile 1 is colour 2...
+    state.ptTile[1].pix.fill(2);
+    // ...but the status bar above line 120 was drawn with bank 1, where it is colour 1.
+    const statusBarTiles = Array.from({ length: 256 }, () => ({ pix: new Uint8Array(64) }));
+    statusBarTiles[1].pix.fill(1);
+    state.chrStateCatalog = [{ key: '0:1,0,0,0', bgBase: 0, signature: [1, 0, 0, 0], tiles: statusBarTiles }];
+    state.renderPlan = { regions: [region(0, 120, 0, '0:1,0,0,0'), region(120, 240, 0)] };
+
+    const rgba = rasterizeRenderModel(state);
+    expect(pixelAt(rgba, 0, 0)).toBe(RED);
+    expect(pixelAt(rgba, 0, 119)).toBe(RED);
+    expect(pixelAt(rgba, 0, 120)).toBe(GREEN);
+  });
+});
@@ -1,6 +1,15 @@
 import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
 import { PPUStateExtractor } from '../../src/ppu-state-extractor.js';
+import { PPUWriteTracer } from '../../src/ppu-write-tracer.js';
 import { createMockNES } from '../helpers/mock-nes.js';
+import {
+  createSyntheticROM,
+  romToString,
+  SPRITE0_PROGRAM,
+  SPRITE0_HANDLER,
+  solidCHR,
+} from '../helpers/synthetic-rom.js';
 
 describe('PPUStateExtractor', () => {
   it('extracts bgPalette as a copy of the first 16 entries', () => {
@@ -160,30 +169,24 @@ describe('PPUStateExtractor', () => {
     expect(state.nameTables[1].attrib[0]).toBe(3);
   });
 
-  it('extracts chrBankSignature as numeric 1KB region signatures', () => {
+  it('extracts chrBankSignature as 1KB bank numbers', () => {
     const nes = createMockNES();
     const state = new PPUStateExtractor(nes).extract();
 
-    expect(state.chrBankSignature).toHaveLength(8);
-    // Signature values are numeric and stable until tile refs change.
-    for (let i = 0; i < 8; i++) {
-      expect(typeof state.chrBankSignature[i]).toBe('number');
-    }
+    // No trace and no CHR-ROM to look tiles up in: the power-on 8KB bank.
+    expect(state.chrBankSignature).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
   });
 
-  it('chrBankSignature changes when ptTile entries are replaced', () => {
+  it('takes chrBankSignature from the decoded banks in the trace', () => {
     const nes = createMockNES();
     const extractor = new PPUStateExtractor(nes);
+    const banks = [8, 9, 10, 11, 'ram0', 'ram1', 14, 15];
 
-    const state1 = extractor.extract();
-    const origRef = state1.chrBankSignature[0];
-
-    // Simulate a bank switch: replace the first tile object
-    const newTile = { pix: new Uint8Array(64).fill(1) };
-    nes.ppu.ptTile[0] = newTile;
-
-    const state2 = extractor.extract();
-    expect(state2.chrBankSignature[0]).not.toBe(origRef);
+    const state = extractor.extract({
+      timingTrace: { startState: null, events: [], chrBankSignature: banks },
+    });
+    expect(state.chrBankSignature).toEqual(banks);
+    expect(state.chrBankSignature).not.toBe(banks);
   });
 
   it('passes through spriteSize, spr0HitY, and buffer', () => {
@@ -197,6 +200,19 @@ describe('PPUStateExtractor', () => {
     expect(state.buffer).toBe(nes.ppu.buffer);
   });
 
+  it('extracts 32 bytes of palette RAM with the $3F10 mirrors', () => {
+    const nes = createMockNES();
+    expect(new PPUStateExtractor(nes).extract().paletteRAM).toBeNull();
+
+    nes.ppu.vramMem = new Uint8Array(0x8000);
+    for (let i = 0; i < 32; i++) nes.ppu.vramMem[0x3f00 + i] = 0xc0 | i;
+    const { paletteRAM } = new PPUStateExtractor(nes).extract();
+    expect(paletteRAM).toHaveLength(32);
+    expect(paletteRAM[5]).toBe(0x05);
+    expect(paletteRAM[21]).toBe(0x15);
+    expect([16, 20, 24, 28].map((i) => paletteRAM[i])).toEqual([0x00, 0x04, 0x08, 0x0c]);
+  });
+
   it('includes a single-region renderPlan by default', () => {
     const nes = createMockNES();
     const state = new PPUStateExtractor(nes).extract();
@@ -274,3 +290,41 @@ describe('PPUStateExtractor', () => {
     expect(state.renderPlan.canonicalSplitCount).toBe(1);
   });
 });
+
+describe('PPUStateExtractor sprite-0 split hint', () => {
+  it('splits a snapshot with a sprite-0 hit into status bar and playfield', () => {
+    const nes = createMockNES();
+    nes.ppu.regHT = 12;
+    nes.ppu.spr0HitY = 30;
+    const state = new PPUStateExtractor(nes).extract();
+
+    expect(state.renderPlan.source).toBe('snapshot');
+    expect(state.renderPlan.regions.map((region) => region.scrollX)).toEqual([0, 96]);
+    expect(state.renderPlan.regions[1].yStart).toBe(31);
+    expect(state.renderPlan.canonicalRegions).toHaveLength(2);
+  });
+
+  it('matches the traced split of an SMB1-style status bar in jsnes', () => {
+    const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+    nes.loadROM(romToString(createSyntheticROM({
+      program: SPRITE0_PROGRAM,
+      handler: SPRITE0_HANDLER,
+      chr: solidCHR(),
+    })));
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+    const extractor = new PPUStateExtractor(nes);
+    let traced = null;
+    for (let i = 0; i < 4; i++) {
+      tracer.beginFrame();
+      nes.frame();
+      traced = extractor.extract({ timingTrace: tracer.consumeFrameTrace() });
+    }
+    tracer.uninstall();
+    const snapshot = extractor.extract();
+
+    expect(snapshot.spr0HitY).toBe(31);
+    const bounds = (regions) => regions.map((region) => [region.yStart, region.scrollX]);
+    expect(bounds(snapshot.renderPlan.regions)).toEqual(bounds(traced.renderPlan.canonicalRegions));
+  });
+});
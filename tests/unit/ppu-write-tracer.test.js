@@ -134,4 +134,26 @@ describe('PPUWriteTracer', () => {
     expect(Array.isArray(first.tiles)).toBe(true);
     expect(first.tiles).toHaveLength(256);
   });
+
+  it('resync re-patches a replaced mapper and drops the open frame', () => {
+    const nes = createMockNES();
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+
+    tracer.beginFrame();
+    nes.mmap.regWrite(0x2000, 0x18);
+
+    // nes.fromJSON() resets the machine, creating a new mapper.
+    nes.mmap = createMockNES().mmap;
+    const rawRegWrite = nes.mmap.regWrite;
+    expect(tracer.resync()).toBe(true);
+    expect(nes.mmap.regWrite).not.toBe(rawRegWrite);
+    expect(tracer.consumeFrameTrace().events).toHaveLength(0);
+
+    tracer.beginFrame();
+    nes.mmap.regWrite(0x2001, 0x00);
+    const trace = tracer.consumeFrameTrace();
+    expect(trace.events).toHaveLength(1);
+    expect(trace.events[0].address).toBe(0x2001);
+  });
 });
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
+import {
+  RewindBuffer,
+  applyControllerInputs,
+  packState,
+  unpackState,
+} from '../../src/rewind-buffer.js';
+import { PPUWriteTracer } from '../../src/ppu-write-tracer.js';
+import {
+  INPUT_PROGRAM,
+  INPUT_HANDLER,
+  createSyntheticROM,
+  romToString,
+} from '../helpers/synthetic-rom.js';
+
+function createMachine() {
+  const machine = { trace: null };
+  machine.nes = new NES({
+    onFrame() {
+      machine.trace = machine.tracer.consumeFrameTrace();
+    },
+    onAudioSample() {},
+  });
+  machine.tracer = new PPUWriteTracer(machine.nes);
+  machine.nes.loadROM(romToString(createSyntheticROM({ program: INPUT_PROGRAM, handler: INPUT_HANDLER })));
+  machine.tracer.install();
+  return machine;
+}
+
+function hooksFor(machine) {
+  return {
+    restore(state) {
+      machine.nes.fromJSON(state);
+      machine.tracer.resync();
+    },
+    runFrame(input) {
+      applyControllerInputs(machine.nes, input);
+      machine.tracer.beginFrame();
+      machine.nes.frame();
+    },
+  };
+}
+
+describe('packState / unpackState', () => {
+  it('round-trips without sharing arrays with the source', () => {
+    const source = { mem: [0, 255, 7], wide: [-1, 70000], f: [0.5], nested: [{ a: [1, 2] }], flag: true };
+    const packed = packState(source);
+    expect(packed.mem).toBeInstanceOf(Uint8Array);
+    expect(packed.wide).toBeInstanceOf(Int32Array);
+    expect(packed.f).toBeInstanceOf(Float64Array);
+
+    const restored = unpackState(packed);
+    expect(restored).toEqual(source);
+    restored.mem[0] = 99;
+    expect(source.mem[0]).toBe(0);
+    expect(packed.mem[0]).toBe(0);
+  });
+});
+
+describe('RewindBuffer', () => {
+  it('re-emulates any buffered frame exactly, including its timing trace', () => {
+    const machine = createMachine();
+    const rewind = new RewindBuffer({ keyframeInterval: 8 });
+    const ramAfter = [];
+    const traceLengths = [];
+
+    for (let f = 0; f < 40; f++) {
+      if (f % 5 === 0) machine.nes.buttonDown(1, 0);
+      if (f % 5 === 2) machine.nes.buttonUp(1, 0);
+      rewind.beginFrame(machine.nes);
+      machine.tracer.beginFrame();
+      machine.nes.frame();
+      rewind.endFrame(machine.trace);
+      ramAfter.push([machine.nes.cpu.mem[0], machine.nes.cpu.mem[1]]);
+      traceLengths.push(machine.trace.events.length);
+    }
+    expect(ramAfter[39][1]).toBeGreaterThan(0);
+
+    for (const target of [37, 12, 8, 0, 23]) {
+      const entry = rewind.seek(target, hooksFor(machine));
+      expect(entry.frame).toBe(target);
+      expect([machine.nes.cpu.mem[0], machine.nes.cpu.mem[1]]).toEqual(ramAfter[target]);
+      expect(machine.trace.events).toHaveLength(traceLengths[target]);
+      expect(entry.trace.events).toHaveLength(traceLengths[target]);
+    }
+    expect(rewind.position).toBe(23);
+    expect(rewind.inHistory).toBe(true);
+  });
+
+  it('branches the timeline when recording resumes after a seek', () => {
+    const machine = createMachine();
+    const rewind = new RewindBuffer({ keyframeInterval: 4 });
+    for (let f = 0; f < 10; f++) {
+      rewind.beginFrame(machine.nes);
+      machine.nes.frame();
+    }
+
+    rewind.seek(5, hooksFor(machine));
+    expect(rewind.beginFrame(machine.nes)).toBe(6);
+    machine.nes.frame();
+
+    expect(rewind.lastFrame).toBe(6);
+    expect(rewind.frameCount).toBe(7);
+    expect(rewind.inHistory).toBe(false);
+  });
+
+  it('keeps only the last N seconds, dropping whole keyframe segments', () => {
+    const rewind = new RewindBuffer({ seconds: 0.5, keyframeInterval: 10 });
+    const nes = { toJSON: () => ({ cpu: { mem: [1, 2, 3] } }), controllers: {} };
+    for (let f = 0; f < 100; f++) rewind.beginFrame(nes);
+
+    expect(rewind.lastFrame).toBe(99);
+    expect(rewind.firstFrame).toBe(70);
+    expect(rewind.frameCount).toBe(30);
+    expect(rewind.entry(69)).toBeNull();
+    expect(rewind.entry(70).frame).toBe(70);
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect, vi } from 'vitest';
+import { SaveStateStore, hashROM } from '../../src/save-states.js';
+import { createFakeIndexedDB } from '../helpers/fake-indexeddb.js';
+
+function createMockNES(frame = 0) {
+  return {
+    toJSON() {
+      return { cpu: { mem: [frame, 1, 2] }, ppu: { vramMem: [3, 4] }, mmap: {}, papu: {} };
+    },
+  };
+}
+
+describe('hashROM', () => {
+  it('returns the SHA-256 hex digest of the ROM bytes', async () => {
+    const hash = await hashROM(new TextEncoder().encode('abc'));
+    expect(hash).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+
+  it('accepts an ArrayBuffer', async () => {
+    const bytes = new Uint8Array([0x4e, 0x45, 0x53, 0x1a]);
+    expect(await hashROM(bytes.buffer)).toBe(await hashROM(bytes));
+  });
+
+  it('rejects with a clear error outside a secure context', async () => {
+    vi.stubGlobal('crypto', {});
+    try {
+      await expect(hashROM(new Uint8Array(4))).rejects.toThrow('secure context');
+    } finally {
+      vi.unstubAllGlobals();
+    }
+  });
+});
+
+describe('SaveStateStore', () => {
+  it('round-trips machine state through a slot', async () => {
+    const store = new SaveStateStore({ indexedDB: createFakeIndexedDB() });
+
+    const summary = await store.save('rom-a', 3, createMockNES(7), { frame: 120 });
+    expect(summary).toMatchObject({ romHash: 'rom-a', slot: 3, frame: 120 });
+    expect(summary.state).toBeUndefined();
+
+    const record = await store.load('rom-a', 3);
+    expect(record.state.cpu.mem).toEqual([7, 1, 2]);
+    expect(record.savedAt).toBeGreaterThan(0);
+  });
+
+  it('keeps slots separate per ROM hash and overwrites on re-save', async () => {
+    const store = new SaveStateStore({ indexedDB: createFakeIndexedDB() });
+    await store.save('rom-a', 2, createMockNES(1));
+    await store.save('rom-a', 0, createMockNES(2));
+    await store.save('rom-b', 0, createMockNES(3));
+    await store.save('rom-a', 2, createMockNES(4));
+
+    const slots = await store.list('rom-a');
+    expect(slots.map((entry) => entry.slot)).toEqual([0, 2]);
+    expect((await store.load('rom-a', 2)).state.cpu.mem[0]).toBe(4);
+    expect((await store.load('rom-b', 0)).state.cpu.mem[0]).toBe(3);
+    expect(await store.load('rom-b', 2)).toBeNull();
+
+    await store.delete('rom-a', 0);
+    expect((await store.list('rom-a')).map((entry) => entry.slot)).toEqual([2]);
+  });
+
+  it('rejects out-of-range slots and a missing ROM hash', async () => {
+    const store = new SaveStateStore({ indexedDB: createFakeIndexedDB(), slotCount: 4 });
+    await expect(store.save('rom-a', 4, createMockNES())).rejects.toThrow(RangeError);
+    await expect(store.load(null, 0)).rejects.toThrow(/ROM hash/);
+  });
+
+  it('reports when IndexedDB is unavailable', async () => {
+    const store = new SaveStateStore({ indexedDB: null });
+    expect(store.available).toBe(false);
+    await expect(store.list('rom-a')).rejects.toThrow(/not available/);
+  });
+});
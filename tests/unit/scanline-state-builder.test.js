@@ -1,5 +1,15 @@
 import { describe, it, expect } from 'vitest';
+import { NES } from 'jsnes';
 import { buildScanlineState } from '../../src/scanline-state-builder.js';
+import { PPUWriteTracer } from '../../src/ppu-write-tracer.js';
+import { PPUStateExtractor } from '../../src/ppu-state-extractor.js';
+import { rasterizeRenderModel, framebufferToRGBA } from '../../src/pixel-diff.js';
+import {
+  createSyntheticROM,
+  romToString,
+  splitScrollProgram,
+  rowFingerprintCHR,
+} from '../helpers/synthetic-rom.js';
 
 function fallback() {
   return {
@@ -120,3 +130,191 @@ describe('scanline-state-builder', () => {
     expect(model.canonicalSegments[1].source).toBe('mapper');
   });
 });
+
+describe('scanline-state-builder dot timing', () => {
+  const regs = {
+    regHT: 0, regVT: 0, regFH: 0, regFV: 0, regH: 0, regV: 0,
+    f_bgVisibility: 1, f_spVisibility: 1, f_bgPatternTable: 0, f_spPatternTable: 0, f_spriteSize: 0,
+  };
+
+  function write(seq, address, value, screenY, dot, after = {}, extra = {}) {
+    const phase = screenY < 0 ? 'prerender' : screenY < 240 ? 'visible' : 'vblank';
+    return { seq, address, value, phase, screenY, scanline: screenY + 21, dot, after: { ...regs, ...after }, ...extra };
+  }
+
+  function build(events, startState = regs) {
+    return buildScanlineState({ startState, events }, fallback());
+  }
+
+  it('copies horizontal scroll at dot 257: earlier writes show next line, later ones a line after', () => {
+    const before = build([write(0, 0x2005, 96, 100, 200), write(1, 0x2005, 0, 100, 210)]);
+    expect(before.scanlines[100].scroll.coarseX).toBe(0);
+    expect(before.scanlines[101].scroll.coarseX).toBe(12);
+
+    const after = build([write(0, 0x2005, 96, 100, 300), write(1, 0x2005, 0, 100, 310)]);
+    expect(after.scanlines[101].scroll.coarseX).toBe(0);
+    expect(after.scanlines[102].scroll.coarseX).toBe(12);
+    expect(after.lineSplits).toHaveLength(0);
+  });
+
+  it('applies fine X from the pixel being output and carries it into the next line', () => {
+    const model = build([write(0, 0x2005, 0x25, 50, 100)]);
+    expect(model.lineSplits).toHaveLength(1);
+    expect(model.lineSplits[0]).toMatchObject({ y: 50, x: 99, source: 'ppu' });
+    expect(model.lineSplits[0].state.scroll.fineX).toBe(5);
+    expect(model.lineSplits[0].state.scroll.coarseX).toBe(0);
+    expect(model.scanlines[50].scroll.fineX).toBe(0);
+    expect(model.scanlines[51].scroll).toMatchObject({ fineX: 5, coarseX: 4 });
+  });
+
+  it('loads v on a second $2006 write, from the next fetched tile', () => {
+    // $2006 $0A,$43: nametable $2800, coarse Y 18, coarse X 3.
+    const model = build([
+      write(0, 0x2006, 0x0a, 120, 90, {}, { firstWriteBefore: true }),
+      write(1, 0x2006, 0x43, 120, 100, {}, { firstWriteBefore: false }),
+    ]);
+    // Dot 100 is inside the fetch of tile 12; tile 13 is the first fetched
+    // after the write, shown two tiles behind the output at x=120. Tile
+    // column 3 lands there, and row 144 of the lower nametable on line 120.
+    expect(model.lineSplits).toHaveLength(1);
+    expect(model.lineSplits[0]).toMatchObject({ y: 120, x: 120 });
+    expect(model.lineSplits[0].state.scroll).toMatchObject({
+      coarseX: 20, nameTableH: 1, coarseY: 3, fineY: 0, nameTableV: 1,
+    });
+    // From the next line the dot-257 copy restores t's horizontal position;
+    // v keeps counting rows from the loaded one.
+    expect(model.scanlines[121].scroll).toMatchObject({ coarseX: 3, nameTableH: 0, coarseY: 3, fineY: 0, nameTableV: 1 });
+    expect(model.scanlines[239].scroll).toEqual(model.scanlines[121].scroll);
+  });
+
+  it('ignores mid-frame vertical scroll writes until the pre-render copy', () => {
+    const midFrame = build([write(0, 0x2005, 0, 80, 100), write(1, 0x2005, 0x3a, 80, 110)]);
+    expect(midFrame.scanlines[239].scroll.coarseY).toBe(0);
+    expect(midFrame.appliedEventCount).toBe(0);
+
+    const early = build([write(0, 0x2005, 16, -1, 290), write(1, 0x2005, 56, -1, 300)]);
+    expect(early.scanlines[0].scroll.coarseY).toBe(7);
+    expect(early.scanlines[0].scroll.coarseX).toBe(0);
+    expect(early.scanlines[1].scroll.coarseX).toBe(2);
+
+    const late = build([write(0, 0x2005, 0, -1, 310), write(1, 0x2005, 56, -1, 320)]);
+    expect(late.scanlines[0].scroll.coarseY).toBe(0);
+
+    const vblank = build([write(0, 0x2005, 16, -5, 100), write(1, 0x2005, 56, -5, 110)]);
+    expect(vblank.scanlines[0].scroll).toMatchObject({ coarseY: 7, coarseX: 2 });
+  });
+
+  it('advances v one row per line and wraps coarse Y 29 into the other nametable', () => {
+    // Y scroll 232: line 8 reaches row 240, the top of the lower nametable.
+    const model = build([write(0, 0x2005, 0, -5, 100), write(1, 0x2005, 232, -5, 110)]);
+    expect(model.segments).toHaveLength(1);
+    expect(model.scanlines[100].scroll).toMatchObject({ coarseY: 29, nameTableV: 0 });
+
+    // Coarse Y 31 (attribute rows) wraps to 0 without switching nametables:
+    // line 8 shows row 0 again, i.e. a frame scroll of -8.
+    const negative = build([write(0, 0x2005, 0, -5, 100), write(1, 0x2005, 248, -5, 110)]);
+    expect(negative.segments.map((seg) => seg.yStart)).toEqual([0, 8]);
+    expect(negative.scanlines[8].scroll).toMatchObject({ coarseY: 29, fineY: 0, nameTableV: 1 });
+  });
+
+  it('freezes v while rendering is off', () => {
+    const model = build([
+      write(0, 0x2001, 0, 10, 300, { f_bgVisibility: 0, f_spVisibility: 0 }),
+      write(1, 0x2001, 0x18, 30, 300, { f_bgVisibility: 1, f_spVisibility: 1 }),
+    ]);
+    // Lines 11-31 skip 20 increments, so the rest of the frame samples
+    // rows 20 higher.
+    expect(model.scanlines[10].scroll.coarseY).toBe(0);
+    expect(model.scanlines[32].bgVisible).toBe(true);
+    expect(model.scanlines[32].scroll).toMatchObject({ coarseY: 27, fineY: 4, nameTableV: 1 });
+  });
+
+  it('switches mapper banks and PPUMASK mid-line', () => {
+    const chrA = [{}, {}, {}, {}, {}, {}, {}, {}];
+    const chrB = [...chrA];
+    chrB[0] = {};
+    const model = build([
+      write(0, 0x8000, 0, 30, 17, { chrSignature: chrB }),
+      write(1, 0x2001, 0x08, 30, 129, { chrSignature: chrB, f_spVisibility: 0 }),
+      write(2, 0x8000, 0, 30, 250, { chrSignature: chrA, f_spVisibility: 0 }),
+    ], { ...regs, chrSignature: chrA });
+
+    expect(model.lineSplits.map((s) => [s.y, s.x, s.source])).toEqual([
+      [30, 40, 'mapper'],
+      [30, 128, 'ppu'],
+    ]);
+    expect(model.lineSplits[1].state.spritesVisible).toBe(false);
+    // Dot 250 fetches past the right edge, so the bank applies next line.
+    expect(model.scanlines[31].chrSignature[0][0]).toBe(chrA[0]);
+    expect(model.scanlines[31].spritesVisible).toBe(false);
+  });
+});
+
+describe('buildScanlineState against jsnes frames', () => {
+  function renderSplitFrame(options) {
+    const { program, handler } = splitScrollProgram(options);
+    const nes = new NES({ onFrame() {}, onAudioSample() {}, emulateSound: false });
+    nes.loadROM(romToString(createSyntheticROM({ program, handler, chr: rowFingerprintCHR() })));
+    const tracer = new PPUWriteTracer(nes);
+    tracer.install();
+    const extractor = new PPUStateExtractor(nes);
+    let state = null;
+    let trace = null;
+    for (let i = 0; i < 5; i++) {
+      tracer.beginFrame();
+      nes.frame();
+      trace = tracer.consumeFrameTrace();
+      state = extractor.extract({ timingTrace: trace });
+    }
+    tracer.uninstall();
+    return { state, trace };
+  }
+
+  // jsnes blanks an 8-pixel border (clipToTvSize), so compare inside it.
+  function mismatchedLines(state) {
+    const css = rasterizeRenderModel(state, { regions: state.renderPlan.canonicalRegions });
+    const reference = framebufferToRGBA(state.buffer);
+    const lines = [];
+    for (let y = 8; y < 232; y++) {
+      const row = y * 256 * 4;
+      for (let i = row + 8 * 4; i < row + 248 * 4; i++) {
+        if (css[i] !== reference[i]) {
+          lines.push(y);
+          break;
+        }
+      }
+    }
+    return lines;
+  }
+
+  it.each([0x4b, 0x10, 0xe8])('reproduces an hblank $2006 split to Y %i line for line', (scrollY) => {
+    const { state, trace } = renderSplitFrame({ scrollY });
+    const writes = trace.events.filter((e) => e.address === 0x2006 && e.screenY >= 0);
+    const last = writes[writes.length - 1];
+    expect(last.dot).toBeGreaterThanOrEqual(257);
+    expect(last.dot).toBeLessThanOrEqual(320);
+
+    const regions = state.renderPlan.canonicalRegions;
+    expect(regions).toHaveLength(2);
+    expect(regions[1].yStart).toBe(last.screenY + 1);
+    expect(mismatchedLines(state)).toEqual([]);
+  });
+  // jsnes draws whole lines, so land the write in hblank like a real game
+  // would. Greyscale is left out: jsnes fills the backdrop with its own
+  // monochrome colour for the whole frame.
+  it.each([
+    [0x2a, 1],
+    [0x8a, 4],
+    [0xea, 7],
+  ])('colours each band by its emphasis across a mid-frame PPUMASK %i write', (mask, emphasis) => {
+    const { state, trace } = renderSplitFrame({ mask, nops: 25 });
+    const write = trace.events.filter((e) => e.address === 0x2001 && e.screenY >= 0).pop();
+    expect(write.dot).toBeGreaterThanOrEqual(257);
+    expect(write.dot).toBeLessThanOrEqual(320);
+    expect(state.emphasis).toBe(emphasis);
+
+    const regions = state.renderPlan.canonicalRegions;
+    expect(regions.map((r) => [r.yStart, r.emphasis])).toEqual([[0, 0], [write.screenY + 1, emphasis]]);
+    expect(mismatchedLines(state)).toEqual([]);
+  });
+});
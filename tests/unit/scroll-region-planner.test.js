@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { planScrollRegions } from '../../src/scroll-region-planner.js';
+import { planScrollRegions, planLineSplits } from '../../src/scroll-region-planner.js';
 
 function makeState(scrollX, scrollY, signature = null) {
   return {
@@ -106,4 +106,99 @@ describe('scroll-region-planner', () => {
     expect(regions[1].yStart).toBe(120);
     expect(regions[1].yEnd).toBe(240);
   });
+
+  it('keeps high-contrast thin splits over tall near-identical ones', () => {
+    const statusBar = makeState(0, 0);
+    const playfieldA = makeState(100, 0);
+    const playfieldB = makeState(101, 0);
+    const footer = makeState(0, 0);
+    footer.bgPatternBase = 256;
+
+    const scanlines = new Array(240);
+    for (let y = 0; y < 240; y++) {
+      if (y < 8) scanlines[y] = statusBar;
+      else if (y < 100) scanlines[y] = playfieldA;
+      else if (y < 200) scanlines[y] = playfieldB;
+      else scanlines[y] = footer;
+    }
+
+    const regions = planScrollRegions({ scanlines }, null, { maxRegions: 3, minRegionHeight: 1 });
+
+    expect(regions).toHaveLength(3);
+    expect(regions[0].yEnd).toBe(8);
+    expect(regions[0].scrollX).toBe(0);
+    expect(regions[1].yStart).toBe(8);
+    expect(regions[1].yEnd).toBe(200);
+    expect(regions[2].yStart).toBe(200);
+    expect(regions[2].bgPatternBase).toBe(256);
+  });
+
+  it('keeps preferred splits when the region budget forces a merge', () => {
+    const scanlines = new Array(240);
+    for (let y = 0; y < 240; y++) {
+      if (y < 80) scanlines[y] = makeState(0, 0);
+      else if (y < 160) scanlines[y] = makeState(2, 0);
+      else scanlines[y] = makeState(4, 0);
+    }
+    const options = { maxRegions: 2, minRegionHeight: 1 };
+
+    // Both splits cost the same; the first one goes.
+    expect(planScrollRegions({ scanlines }, null, options)[1].yStart).toBe(160);
+    // A predicted IRQ on line 78 lands within the slack of the split at 80.
+    const regions = planScrollRegions({ scanlines }, null, { ...options, preferredSplits: [79] });
+    expect(regions.map((region) => region.yStart)).toEqual([0, 80]);
+  });
+
+  it('splits a snapshot at the sprite-0 hit into a status bar at the origin', () => {
+    const scanlines = Array.from({ length: 240 }, () => makeState(100, 8));
+    const regions = planScrollRegions({ scanlines }, null, { sprite0HitY: 30 });
+
+    expect(regions.map((region) => [region.yStart, region.yEnd])).toEqual([[0, 31], [31, 240]]);
+    expect(regions[0].scroll).toEqual({ coarseX: 0, coarseY: 0, fineX: 0, fineY: 0, nameTableH: 0, nameTableV: 0 });
+    expect(regions[1].scrollX).toBe(100);
+    expect(regions[1].scrollY).toBe(8);
+  });
+
+  it('ignores the sprite-0 hint without a hit, at the origin, or once the model splits', () => {
+    const uniform = { scanlines: Array.from({ length: 240 }, () => makeState(100, 0)) };
+    expect(planScrollRegions(uniform, null, { sprite0HitY: -1 })).toHaveLength(1);
+
+    const origin = { scanlines: Array.from({ length: 240 }, () => makeState(0, 0)) };
+    expect(planScrollRegions(origin, null, { sprite0HitY: 30 })).toHaveLength(1);
+
+    const split = { scanlines: Array.from({ length: 240 }, (_, y) => makeState(y < 50 ? 0 : 100, 0)) };
+    const regions = planScrollRegions(split, null, { sprite0HitY: 30 });
+    expect(regions.map((region) => region.yStart)).toEqual([0, 50]);
+  });
+
+  it('allows more than two regions by default', () => {
+    const scanlines = new Array(240);
+    for (let y = 0; y < 240; y++) {
+      if (y < 24) scanlines[y] = makeState(0, 0);
+      else if (y < 200) scanlines[y] = makeState(64, 0);
+      else scanlines[y] = makeState(0, 16);
+    }
+
+    const regions = planScrollRegions({ scanlines });
+    expect(regions).toHaveLength(3);
+    expect(regions.map((region) => region.yStart)).toEqual([0, 24, 200]);
+  });
+
+  it('turns mid-line splits into partial-line regions ending at the next split', () => {
+    const lineSplits = [
+      { y: 40, x: 96, state: makeState(8, 0) },
+      { y: 40, x: 200, state: makeState(16, 0) },
+      { y: 90, x: 24, state: makeState(0, 32) },
+    ];
+
+    const splits = planLineSplits({ scanlines: [], lineSplits });
+    expect(splits.map((r) => [r.yStart, r.yEnd, r.xStart, r.xEnd])).toEqual([
+      [40, 41, 96, 200],
+      [40, 41, 200, 256],
+      [90, 91, 24, 256],
+    ]);
+    expect(splits[1].scrollX).toBe(16);
+    expect(splits[2].scrollY).toBe(32);
+    expect(planLineSplits({ scanlines: [] })).toEqual([]);
+  });
 });
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { SheetPipeline } from '../../src/sheet-pipeline.js';
+
+function createSilentWorker() {
+  return { posted: 0, postMessage() { this.posted++; } };
+}
+
+describe('SheetPipeline', () => {
+  it('forces a sheet re-queued every frame once its first render is maxLatencyFrames old', () => {
+    const worker = createSilentWorker();
+    const pipeline = new SheetPipeline({ worker, maxLatencyFrames: 2 });
+    const key = {};
+    const published = [];
+
+    // CHR-RAM animation: the sheet changes every frame, the worker never answers.
+    for (let frame = 0; frame < 100; frame++) {
+      pipeline.beginFrame();
+      pipeline.render(key, [], [], {
+        renderSync: () => `sync-${frame}`,
+        publish: (url) => published.push({ frame, url }),
+      });
+    }
+
+    expect(worker.posted).toBeGreaterThan(0);
+    expect(pipeline.stats.forced).toBeGreaterThan(0);
+    // No image is ever more than maxLatencyFrames behind.
+    const frames = [-1, ...published.map((entry) => entry.frame)];
+    const gaps = frames.slice(1).map((frame, i) => frame - frames[i]);
+    expect(Math.max(...gaps)).toBeLessThanOrEqual(2);
+  });
+
+  it('renders synchronously without a worker', () => {
+    const pipeline = new SheetPipeline({ worker: false });
+    let url = null;
+    expect(pipeline.render({}, [], [], { renderSync: () => 'data:', publish: (u) => { url = u; } })).toBe(false);
+    expect(url).toBe('data:');
+    expect(pipeline.async).toBe(false);
+  });
+});
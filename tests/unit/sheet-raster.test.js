@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SHEET_SIZE,
+  parseSheetColors,
+  packSheetTiles,
+  writeTileCell,
+  rasterizePackedSheet,
+} from '../../src/sheet-raster.js';
+
+function tileOf(fill) {
+  return { pix: Array.from({ length: 64 }, (_, i) => (i + fill) & 3) };
+}
+
+describe('sheet-raster', () => {
+  const rgb = parseSheetColors(['#000000', '#ff0000', '#00ff00', '#0000ff']);
+
+  it('parses #rrggbb colours', () => {
+    expect(rgb[1]).toEqual([255, 0, 0]);
+    expect(rgb[3]).toEqual([0, 0, 255]);
+  });
+
+  it('packs present tiles and skips empty slots', () => {
+    const slice = new Array(256).fill(null);
+    slice[2] = tileOf(1);
+    const { pix, present } = packSheetTiles(slice);
+    expect(present[2]).toBe(1);
+    expect(present[3]).toBe(0);
+    expect(Array.from(pix.subarray(128, 192))).toEqual(slice[2].pix);
+  });
+
+  it('rasterizes packed tiles exactly like writing each cell', () => {
+    const slice = new Array(256).fill(null);
+    slice[0] = tileOf(0);
+    slice[17] = tileOf(2);
+    const { pix, present } = packSheetTiles(slice);
+    const sheet = new Uint8ClampedArray(SHEET_SIZE * SHEET_SIZE * 4);
+    const hashes = rasterizePackedSheet(sheet, pix, present, rgb);
+
+    const cell = new Uint8ClampedArray(8 * 8 * 4);
+    expect(hashes[17]).toBe(writeTileCell(cell, 8, 0, 0, slice[17].pix, 0, rgb));
+    expect(hashes[1]).toBe(0);
+
+    // Tile 17 sits at (8, 8); its pixel 1 is colour 3, pixel 2 colour 0.
+    const at = (x, y) => Array.from(sheet.subarray((y * SHEET_SIZE + x) * 4, (y * SHEET_SIZE + x) * 4 + 4));
+    expect(at(9, 8)).toEqual([0, 0, 255, 255]);
+    expect(at(10, 8)).toEqual([0, 0, 0, 0]);
+  });
+
+  it('hashes cells by the colours written', () => {
+    const cell = new Uint8ClampedArray(8 * 8 * 4);
+    const same = parseSheetColors(['#000000', '#ff0000', '#ff0000', '#0000ff']);
+    const a = writeTileCell(cell, 8, 0, 0, [1, ...new Array(63).fill(0)], 0, same);
+    const b = writeTileCell(cell, 8, 0, 0, [2, ...new Array(63).fill(0)], 0, same);
+    const c = writeTileCell(cell, 8, 0, 0, [3, ...new Array(63).fill(0)], 0, same);
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+  });
+});
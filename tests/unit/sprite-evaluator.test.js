@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { evaluateSpriteScanlines, visibleRowRuns } from '../../src/sprite-evaluator.js';
+
+function makeSprites(placements = []) {
+  const sprites = Array.from({ length: 64 }, () => ({
+    x: 0, y: 0xEF, tileIndex: 0xFF, palette: 0, flipH: false, flipV: false, behindBg: false,
+  }));
+  placements.forEach((placement, i) => {
+    if (placement) Object.assign(sprites[i], placement);
+  });
+  return sprites;
+}
+
+function row(count, y, extra = {}) {
+  return Array.from({ length: count }, () => ({ y, ...extra }));
+}
+
+describe('sprite-evaluator', () => {
+  it('keeps the first eight in-range sprites in OAM order', () => {
+    const sprites = makeSprites(row(10, 99));
+    const result = evaluateSpriteScanlines(sprites, 0);
+
+    for (let i = 0; i < 8; i++) expect(result.droppedRows[i]).toBeNull();
+    expect(result.droppedRows[8]).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(result.droppedRows[9]).toEqual([0, 1, 2, 3, 4, 5, 6, 7]);
+    expect(result.lineCounts[100]).toBe(10);
+    expect(result.overflow).toBe(true);
+    expect(result.overflowLine).toBe(100);
+  });
+
+  it('drops only the scanlines where the limit is exceeded', () => {
+    // Eight sprites on lines 100-107, a ninth spanning 104-111.
+    const sprites = makeSprites([...row(8, 99), { y: 103 }]);
+    const result = evaluateSpriteScanlines(sprites, 0);
+
+    expect(result.droppedRows[8]).toEqual([0, 1, 2, 3]);
+    expect(visibleRowRuns(result.droppedRows[8], 8)).toEqual([[4, 8]]);
+  });
+
+  it('uses 16-pixel ranges for 8x16 sprites', () => {
+    const sprites = makeSprites([...row(8, 99), { y: 91 }]);
+    const result = evaluateSpriteScanlines(sprites, 1);
+
+    expect(result.height).toBe(16);
+    // Ninth sprite covers 92-107 and loses 100-115 overlap → rows 8-15.
+    expect(result.droppedRows[8]).toEqual([8, 9, 10, 11, 12, 13, 14, 15]);
+  });
+
+  it('reproduces the hardware overflow false negative', () => {
+    // Sprite 8 misses, so the buggy search reads sprite 9's tile byte as Y.
+    const sprites = makeSprites([...row(8, 99), { y: 200 }, { y: 99, tileIndex: 0 }]);
+    const result = evaluateSpriteScanlines(sprites, 0);
+
+    expect(result.droppedRows[9]).not.toBeNull();
+    expect(result.overflow).toBe(false);
+    expect(result.overflowLine).toBe(-1);
+  });
+
+  it('reproduces the hardware overflow false positive', () => {
+    const sprites = makeSprites([...row(8, 99), { y: 200 }, { y: 200, tileIndex: 97 }]);
+    const result = evaluateSpriteScanlines(sprites, 0);
+
+    expect(result.lineCounts[100]).toBe(8);
+    expect(result.overflow).toBe(true);
+    expect(result.overflowLine).toBe(100);
+  });
+
+  it('returns every row as visible when nothing is dropped', () => {
+    expect(visibleRowRuns(null, 8)).toEqual([[0, 8]]);
+    expect(visibleRowRuns([2, 3, 6], 8)).toEqual([[0, 2], [4, 6], [7, 8]]);
+  });
+});